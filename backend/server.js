@@ -14,10 +14,13 @@ dotenv.config();
 
 // Services
 const toolsService = require('./src/services/tools');
+const { createKnowledgeRouter } = require('./src/routes/knowledgeRouter');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Listen on the loopback interface only, so the API is not reachable from the network
+const HOST = process.env.HOST || '127.0.0.1';
 
 // Define API_UNAVAILABLE flag at the top with other variables
 let GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
@@ -50,12 +53,20 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 console.log(`Using LLM model: ${LLM_MODEL}`);
 console.log(`API key ${GOOGLE_API_KEY ? 'is' : 'is NOT'} set`);
 
-// Configure CORS to allow all origins
-app.use(cors({
+// Configure CORS to allow all origins, except on the knowledge base API:
+// web pages open in a browser must not be able to read or change the library
+// (the API also checks the Host header and requires the install's token)
+const allowAllOrigins = cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+});
+app.use((req, res, next) => {
+  if (req.path === '/api/v1' || req.path.startsWith('/api/v1/')) {
+    return next();
+  }
+  allowAllOrigins(req, res, next);
+});
 
 // Set Content Security Policy headers
 app.use((req, res, next) => {
@@ -389,12 +400,13 @@ const knowledgeController = {
       // Get the database service
       const database = require('./src/services/database');
       
-      // List all items with the given parameters
-      const items = await database.listItems(limit, sortBy, sortDirection);
+      // List one page of items with the given parameters
+      const { items, total } = await database.listItems({ limit, sortBy, sortDirection });
       
       return {
         success: true,
-        items: items || []
+        items: items || [],
+        total
       };
     } catch (error) {
       console.error('Error listing items:', error);
@@ -739,6 +751,9 @@ app.post('/api/llm/execute-tool', llmController.executeToolCall);
 app.post('/api/llm/embeddings', llmController.generateEmbeddings);
 app.get('/api/llm/config', configController.getConfig);
 
+// Knowledge base REST API (items, search, ingestion)
+app.use('/api/v1', createKnowledgeRouter());
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', version: '1.0.0' });
@@ -775,7 +790,7 @@ const isPortInUse = async (port) => {
     });
     
     try {
-      server.listen(port);
+      server.listen(port, HOST);
       // Add timeout to avoid hanging indefinitely
       setTimeout(() => {
         try {
@@ -894,7 +909,7 @@ const startServer = async () => {
       }
       
       // Attempt to start the server
-      server = app.listen(currentPort);
+      server = app.listen(currentPort, HOST);
       
       // Add event handlers for server errors
       server.on('error', (err) => {
@@ -910,7 +925,7 @@ const startServer = async () => {
       
       // If we reach here, server started successfully
       console.log(`Server successfully started on port ${currentPort}`);
-      console.log(`API available at http://localhost:${currentPort}/api`);
+      console.log(`API available at http://${HOST}:${currentPort}/api`);
       console.log(`Using LLM model: ${LLM_MODEL}`);
       
       // Set up IPC handlers if running in Electron environment
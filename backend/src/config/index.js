@@ -36,6 +36,8 @@ const defaultConfig = {
     name: 'knowledge_store',
     // Collection settings
     collection: 'knowledge_items',
+    // Per-chunk vector table (one row per chunk with its own embedding)
+    chunkCollection: 'knowledge_chunks',
   },
   
   // Content processing settings
@@ -49,6 +51,7 @@ const defaultConfig = {
   embeddings: {
     modelName: 'all-MiniLM-L6-v2', // Default model for node-nlp
     dimensions: 384, // Dimensions of the embedding vectors
+    provider: 'auto', // Embedding provider for new libraries: openai, gemini, local or auto (OpenAI when a key is set)
   },
   
   // Paths
@@ -63,7 +66,9 @@ const defaultConfig = {
     pdfPath: path.join(dataPath, 'pdf_storage'),
     webPath: path.join(dataPath, 'web_storage'),
     videoPath: path.join(dataPath, 'video_storage'),
-    transcriptPath: path.join(dataPath, 'transcript_storage')
+    docsPath: path.join(dataPath, 'docs_storage'),
+    transcriptPath: path.join(dataPath, 'transcript_storage'),
+    conversationPath: path.join(dataPath, 'conversations')
   },
   
   // Logging configuration
@@ -143,7 +148,8 @@ const config = loadConfig(configPath);
   config.storage.pdfPath,
   config.storage.webPath,
   config.storage.videoPath,
-  config.storage.transcriptPath
+  config.storage.transcriptPath,
+  config.storage.conversationPath
 ].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
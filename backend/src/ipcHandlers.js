@@ -14,10 +14,41 @@ const { URL } = require('url');
 
 // Import services
 const { processPDF } = require('./services/pdfProcessor');
-const { processURL } = require('./services/urlProcessor');
+const { processDocumentFile, processFolder } = require('./services/docsProcessor');
+const { processURL, refreshURL } = require('./services/urlProcessor');
+const { listVersions, diffVersions } = require('./services/urlVersions');
 const { processYouTube } = require('./services/youtubeProcessor');
-const { deleteItem, listItems, semanticSearch: dbSemanticSearch, addItem } = require('./services/database');
+const { extractAttachment, promoteAttachment } = require('./services/attachments');
+const { captureBrowserPage, archiveBrowserPage } = require('./services/browserCapture');
+const { listArchives, listAllArchives } = require('./services/pageArchive');
+const { listHighlights, addHighlight, deleteHighlight } = require('./services/highlights');
+const {
+  listQueue,
+  addToQueue,
+  getArticle,
+  updateQueueEntry,
+  removeFromQueue,
+  promoteToLibrary
+} = require('./services/readLater');
+const {
+  deleteItem,
+  getItemById,
+  listItems,
+  semanticSearch: dbSemanticSearch,
+  getEmbeddingStatus
+} = require('./services/database');
+const { libraryRebuildJob } = require('./services/libraryRebuild');
+const { watchedFolders } = require('./services/watchedFolders');
+const {
+  listConversations,
+  getConversation,
+  saveConversation,
+  updateConversation,
+  deleteConversation
+} = require('./services/conversations');
 const { semanticSearch } = require('./services/search');
+const { retrieveContext } = require('./services/retrieval');
+const { generateEmbedding } = require('./services/embedding');
 const llmService = require('./services/llm');
 const toolsService = require('./services/tools');
 const config = require('./config');
@@ -78,7 +109,9 @@ function loadSettings() {
       openrouter: process.env.OPENROUTER_API_KEY || ''
     },
     models: {
+      chatProvider: process.env.LLM_PROVIDER || 'gemini',
       defaultChatModel: process.env.LLM_MODEL || 'gemini-2.0-flash',
+      localBaseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
       defaultEmbeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
     },
     interface: {
@@ -89,7 +122,9 @@ function loadSettings() {
     advanced: {
       debugMode: false,
       maxTokens: 2048,
-      temperature: 0.7
+      temperature: 0.7,
+      agentMaxSteps: 6,
+      agentMaxSeconds: 90
     }
   };
   
@@ -194,6 +229,16 @@ function saveSettings(settings) {
     }
     
     if (settings.models) {
+      if (settings.models.chatProvider) {
+        logger.info(`Updated chat provider: ${process.env.LLM_PROVIDER || 'Not set'} -> ${settings.models.chatProvider}`);
+        process.env.LLM_PROVIDER = settings.models.chatProvider;
+      }
+      
+      if (settings.models.localBaseUrl) {
+        logger.info(`Updated local model server: ${process.env.LOCAL_LLM_BASE_URL || 'Not set'} -> ${settings.models.localBaseUrl}`);
+        process.env.LOCAL_LLM_BASE_URL = settings.models.localBaseUrl;
+      }
+      
       if (settings.models.defaultChatModel) {
         logger.info(`Updated default chat model: ${process.env.LLM_MODEL || 'Not set'} -> ${settings.models.defaultChatModel}`);
         process.env.LLM_MODEL = settings.models.defaultChatModel;
@@ -325,6 +370,60 @@ function findStoryDirectory() {
   return null;
 }
 
+// Abort controllers of the streaming chat requests in flight, by request ID
+const activeChatStreams = new Map();
+
+/**
+ * Make the API keys and chat provider options from the settings available to the LLM service
+ * Values set in the environment take precedence.
+ */
+function applyLlmSettings() {
+  // Load fresh settings to get the latest API keys
+  const currentSettings = loadSettings();
+  const apiKeys = (currentSettings && currentSettings.apiKeys) || {};
+  const models = (currentSettings && currentSettings.models) || {};
+  
+  // Ensure GOOGLE_API_KEY is available from environment or settings
+  if (!process.env.GOOGLE_API_KEY && apiKeys.google) {
+    logger.info('Setting GOOGLE_API_KEY from settings');
+    process.env.GOOGLE_API_KEY = apiKeys.google;
+  }
+  
+  if (!process.env.OPENAI_API_KEY && apiKeys.openai) {
+    logger.info('Setting OPENAI_API_KEY from settings');
+    process.env.OPENAI_API_KEY = apiKeys.openai;
+  }
+  
+  if (!process.env.LLM_PROVIDER && models.chatProvider) {
+    process.env.LLM_PROVIDER = models.chatProvider;
+  }
+  
+  if (!process.env.LOCAL_LLM_BASE_URL && models.localBaseUrl) {
+    process.env.LOCAL_LLM_BASE_URL = models.localBaseUrl;
+  }
+  
+  // Make sure our environment variable is passed to child processes
+  process.env.GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
+}
+
+/**
+ * Send an event to the renderer of every open window
+ * @param {string} channel - Event channel
+ * @param {*} payload - Event payload
+ */
+function broadcastToWindows(channel, payload) {
+  const { BrowserWindow } = require('electron');
+  if (!BrowserWindow) {
+    return;
+  }
+  
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      window.webContents.send(channel, payload);
+    }
+  });
+}
+
 /**
  * Server-side fetch to bypass CSP restrictions
  * @param {string} url - URL to fetch
@@ -489,6 +588,8 @@ function initializeIpcHandlers() {
       const isApiKeyValid = await llmService.checkApiKey();
       
       return { 
+        llmProvider: llmService.getDefaultLlmProviderId(),
+        llmProviders: llmService.listLlmProviders(),
         llmModel: process.env.LLM_MODEL || 'gemini-2.0-flash',
         embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-005',
         apiKeyValid: isApiKeyValid
@@ -512,6 +613,46 @@ function initializeIpcHandlers() {
     }
   });
 
+  // Process a document file (Markdown, text, HTML, EPUB, DOCX or PDF)
+  safelyRegisterHandler('process-document', async (event, filePath, options = {}) => {
+    try {
+      logger.info(`Processing document: ${filePath}`);
+      const result = await processDocumentFile(filePath, options || {});
+      logger.debug('Document processing completed successfully');
+      return { success: true, result };
+    } catch (error) {
+      logger.error('Error processing document:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Process every supported document in a folder
+  safelyRegisterHandler('process-folder', async (event, folderPath, options = {}) => {
+    try {
+      logger.info(`Processing folder: ${folderPath}`, options);
+      const result = await processFolder(folderPath, options || {});
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Error processing folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Let the user pick a folder to ingest
+  safelyRegisterHandler('select-folder', async (event) => {
+    try {
+      const { dialog, BrowserWindow } = require('electron');
+      const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Choose a folder of documents',
+        properties: ['openDirectory']
+      });
+      return { success: true, folderPath: result.canceled ? null : result.filePaths[0] };
+    } catch (error) {
+      logger.error('Error selecting folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Process URL
   safelyRegisterHandler('process-url', async (event, url) => {
     try {
@@ -525,6 +666,150 @@ function initializeIpcHandlers() {
     }
   });
 
+  // Fetch a stored web page again, keeping the new text as a version if it changed
+  safelyRegisterHandler('refresh-url', async (event, id) => {
+    try {
+      logger.info(`Refreshing URL item: ${id}`);
+      const result = await refreshURL(id);
+      return { success: true, result };
+    } catch (error) {
+      logger.error('Error refreshing URL:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the stored versions of a web page item
+  safelyRegisterHandler('get-url-versions', async (event, id) => {
+    try {
+      return { success: true, versions: listVersions(id) };
+    } catch (error) {
+      logger.error('Error listing URL versions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Diff two versions of a web page item
+  safelyRegisterHandler('diff-url-versions', async (event, id, fromVersion, toVersion) => {
+    try {
+      return { success: true, diff: diffVersions(id, fromVersion, toVersion) };
+    } catch (error) {
+      logger.error('Error diffing URL versions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the highlights made on a page in reader view
+  safelyRegisterHandler('highlights:list', async (event, url) => {
+    try {
+      return { success: true, highlights: listHighlights(url) };
+    } catch (error) {
+      logger.error('Error listing highlights:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add a highlight to a page and store it as a searchable item
+  safelyRegisterHandler('highlights:add', async (event, highlight) => {
+    try {
+      return { success: true, highlight: await addHighlight(highlight || {}) };
+    } catch (error) {
+      logger.error('Error adding highlight:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove a highlight and its item
+  safelyRegisterHandler('highlights:delete', async (event, url, id) => {
+    try {
+      return { success: await deleteHighlight(url, id) };
+    } catch (error) {
+      logger.error('Error deleting highlight:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the articles saved for later; options.status picks 'unread' or 'read' ones
+  safelyRegisterHandler('read-later:list', async (event, options = {}) => {
+    try {
+      return { success: true, articles: listQueue(options || {}) };
+    } catch (error) {
+      logger.error('Error listing read-later queue:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Save an article for later with an offline snapshot of its reader HTML and images
+  safelyRegisterHandler('read-later:add', async (event, article) => {
+    try {
+      return { success: true, article: await addToQueue(article || {}) };
+    } catch (error) {
+      logger.error('Error saving article for later:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Get a queued article for reading offline
+  safelyRegisterHandler('read-later:get', async (event, id) => {
+    try {
+      return { success: true, article: getArticle(id) };
+    } catch (error) {
+      logger.error('Error reading queued article:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Update the read status or reading progress of a queued article
+  safelyRegisterHandler('read-later:update', async (event, id, changes = {}) => {
+    try {
+      return { success: true, article: updateQueueEntry(id, changes || {}) };
+    } catch (error) {
+      logger.error('Error updating queued article:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remove an article and its snapshot from the queue
+  safelyRegisterHandler('read-later:remove', async (event, id) => {
+    try {
+      return { success: removeFromQueue(id) };
+    } catch (error) {
+      logger.error('Error removing queued article:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Add a queued article to the library
+  safelyRegisterHandler('read-later:promote', async (event, id) => {
+    try {
+      const { entry, result } = await promoteToLibrary(id);
+      return { success: true, article: entry, ...result };
+    } catch (error) {
+      logger.error('Error promoting queued article:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Archive the page open in the browser as a self-contained HTML file
+  safelyRegisterHandler('archive-page', async (event, capture) => {
+    try {
+      logger.info(`Archiving page: ${capture?.url}`);
+      return { success: true, ...(await archiveBrowserPage(capture)) };
+    } catch (error) {
+      logger.error('Error archiving page:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // List the archives of an item, or of every item when no ID is given
+  safelyRegisterHandler('get-page-archives', async (event, itemId) => {
+    try {
+      return { success: true, archives: itemId ? listArchives(itemId) : listAllArchives() };
+    } catch (error) {
+      logger.error('Error listing page archives:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Process YouTube
   safelyRegisterHandler('process-youtube', async (event, url) => {
     try {
@@ -538,6 +823,18 @@ function initializeIpcHandlers() {
     }
   });
 
+  // Get an item with its full extracted text
+  safelyRegisterHandler('get-item', async (event, id) => {
+    try {
+      logger.info(`Getting item: ${id}`);
+      const item = await getItemById(id, { includeContent: false, includeText: true });
+      return { success: true, item };
+    } catch (error) {
+      logger.error('Error getting item:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Delete item
   safelyRegisterHandler('delete-item', async (event, id) => {
     try {
@@ -552,12 +849,12 @@ function initializeIpcHandlers() {
   });
 
   // List items
-  safelyRegisterHandler('list-items', async (event) => {
+  safelyRegisterHandler('list-items', async (event, options = {}) => {
     try {
-      logger.info('Listing items');
-      const items = await listItems();
-      logger.debug(`Listed ${items.length} items successfully`);
-      return { success: true, items };
+      logger.info('Listing items', { options });
+      const { items, total, offset, nextCursor, hasMore } = await listItems(options || {});
+      logger.debug(`Listed ${items.length} of ${total} items successfully`);
+      return { success: true, items, total, offset, nextCursor, hasMore };
     } catch (error) {
       logger.error('Error listing items:', error);
       return { success: false, error: error.message };
@@ -567,58 +864,8 @@ function initializeIpcHandlers() {
   // Save browser content
   safelyRegisterHandler('save-browser-content', async (event, content) => {
     try {
-      logger.info(`Saving browser content from: ${content.url}`);
-      
-      if (!content || !content.text || !content.title) {
-        return { success: false, error: 'Invalid content: missing required fields' };
-      }
-      
-      // Generate a unique ID for the browser content
-      const id = `browser-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      
-      // Process text for vector DB
-      // Extract text chunks (simplified for now)
-      const chunkSize = 1000; // Characters per chunk
-      const textChunks = [];
-      
-      for (let i = 0; i < content.text.length; i += chunkSize) {
-        const chunk = content.text.slice(i, i + chunkSize);
-        if (chunk.trim().length > 0) {
-          textChunks.push(chunk);
-        }
-      }
-      
-      // Prepare metadata
-      const metadata = {
-        url: content.url,
-        domain: new URL(content.url).hostname,
-        browser_saved: true,
-        timestamp: new Date().toISOString(),
-        link_count: content.links ? content.links.length : 0,
-        ...content.metadata
-      };
-      
-      // Prepare the item to save
-      const item = {
-        id,
-        title: content.title || 'Untitled Browser Page',
-        source_type: 'browser',
-        source_identifier: content.url,
-        extracted_text: content.text,
-        text_chunks: textChunks,
-        summary: `Browser page: ${content.title}`,
-        metadata: JSON.stringify(metadata),
-        created_at: new Date().toISOString()
-      };
-      
-      // We'll get embeddings for this content during the addItem process
-      // This requires the embedding API to be configured and working
-      
-      // Save to vector DB
-      const result = await addItem(item);
-      
-      logger.info(`Successfully saved browser content from ${content.url}`);
-      return { success: true, id };
+      const result = await captureBrowserPage(content || {});
+      return { success: true, ...result };
     } catch (error) {
       logger.error('Error saving browser content:', error);
       return { success: false, error: error.message };
@@ -626,10 +873,10 @@ function initializeIpcHandlers() {
   });
 
   // Semantic search
-  safelyRegisterHandler('search', async (event, query, limit = 5) => {
+  safelyRegisterHandler('search', async (event, query, limit = 5, options = {}) => {
     try {
-      logger.info(`Searching for: "${query}"`);
-      const results = await semanticSearch(query, limit);
+      logger.info(`Searching for: "${query}"`, { mode: options.mode });
+      const results = await semanticSearch(query, limit, options);
       logger.debug(`Search completed with ${results.length} results`);
       return { success: true, results };
     } catch (error) {
@@ -638,6 +885,116 @@ function initializeIpcHandlers() {
     }
   });
 
+  // Retrieve, re-rank and pack the passages that answer a question, for "Ask the Sieve" answers
+  safelyRegisterHandler('rag:retrieve', async (event, question, options = {}) => {
+    try {
+      return { success: true, ...await retrieveContext(question, options || {}) };
+    } catch (error) {
+      logger.error('Error retrieving context:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Embedding model of the library, the configured provider and any running re-embedding job
+  safelyRegisterHandler('get-embedding-status', async () => {
+    try {
+      return { success: true, ...getEmbeddingStatus() };
+    } catch (error) {
+      logger.error('Error getting embedding status:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Background rebuild of every item's chunks and embeddings
+  safelyRegisterHandler('rebuild:start', async (event, options = {}) => {
+    try {
+      logger.info('Starting library rebuild', options);
+      const job = await libraryRebuildJob.start(options || {});
+      return { success: true, job };
+    } catch (error) {
+      logger.error('Error starting library rebuild:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('rebuild:resume', async () => {
+    try {
+      const job = await libraryRebuildJob.resume();
+      return { success: true, job };
+    } catch (error) {
+      logger.error('Error resuming library rebuild:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('rebuild:cancel', async () => {
+    try {
+      const job = await libraryRebuildJob.cancel();
+      return { success: true, job };
+    } catch (error) {
+      logger.error('Error cancelling library rebuild:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('rebuild:status', async () => {
+    try {
+      return { success: true, job: libraryRebuildJob.getStatus() };
+    } catch (error) {
+      logger.error('Error getting library rebuild status:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Push rebuild progress to every window so the Settings screen can follow it
+  libraryRebuildJob.removeAllListeners('progress');
+  libraryRebuildJob.on('progress', (job) => broadcastToWindows('rebuild:progress', job));
+
+  // Folders kept in sync with the library
+  safelyRegisterHandler('watched-folders:list', async () => {
+    try {
+      return { success: true, sources: watchedFolders.listSources() };
+    } catch (error) {
+      logger.error('Error listing watched folders:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('watched-folders:add', async (event, options = {}) => {
+    try {
+      logger.info('Adding watched folder', options);
+      const source = await watchedFolders.addSource(options || {});
+      return { success: true, source };
+    } catch (error) {
+      logger.error('Error adding watched folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('watched-folders:remove', async (event, id, options = {}) => {
+    try {
+      await watchedFolders.removeSource(id, options || {});
+      return { success: true };
+    } catch (error) {
+      logger.error('Error removing watched folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('watched-folders:sync', async (event, id) => {
+    try {
+      const source = await watchedFolders.requestSync(id);
+      return { success: true, source };
+    } catch (error) {
+      logger.error('Error syncing watched folder:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Push sync status changes to every window
+  watchedFolders.removeAllListeners('status');
+  watchedFolders.on('status', (source) => broadcastToWindows('watched-folders:status', source));
+
   // List all files
   safelyRegisterHandler('list-all-files', async (event, params = {}) => {
     try {
@@ -745,18 +1102,7 @@ function initializeIpcHandlers() {
   safelyRegisterHandler('chat', async (event, params) => {
     try {
       logger.info(`Chat request received with model: ${params.model || 'default'}`);
-      
-      // Add this: Load fresh settings to get the latest API key
-      const currentSettings = loadSettings();
-      
-      // Ensure GOOGLE_API_KEY is available from environment or settings
-      if (!process.env.GOOGLE_API_KEY && currentSettings && currentSettings.apiKeys && currentSettings.apiKeys.google) {
-        logger.info('Setting GOOGLE_API_KEY from settings');
-        process.env.GOOGLE_API_KEY = currentSettings.apiKeys.google;
-      }
-      
-      // Make sure our environment variable is passed to child processes
-      process.env.GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
+      applyLlmSettings();
       
       try {
         const result = await llmService.chat(params);
@@ -783,6 +1129,117 @@ function initializeIpcHandlers() {
     }
   });
 
+  // LLM chat streamed to the requesting window as 'chat:stream-event' messages
+  // ({ requestId, type: 'token', text } or { requestId, type: 'tool-call', toolCall })
+  safelyRegisterHandler('chat:stream', async (event, requestId, params) => {
+    const controller = new AbortController();
+    activeChatStreams.set(requestId, controller);
+    
+    try {
+      logger.info(`Streaming chat request ${requestId} received with model: ${params.model || 'default'}`);
+      applyLlmSettings();
+      
+      const response = await llmService.chatStream(params, {
+        signal: controller.signal,
+        onEvent: (streamEvent) => {
+          if (!event.sender.isDestroyed()) {
+            event.sender.send('chat:stream-event', { requestId, ...streamEvent });
+          }
+        }
+      });
+      
+      return { success: true, response };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info(`Streaming chat request ${requestId} cancelled`);
+        return { success: false, cancelled: true };
+      }
+      
+      logger.error('Error in streaming chat:', error);
+      return { success: false, error: error.message };
+    } finally {
+      activeChatStreams.delete(requestId);
+    }
+  });
+  
+  // Abort a streaming chat request
+  safelyRegisterHandler('chat:cancel', async (event, requestId) => {
+    const controller = activeChatStreams.get(requestId);
+    if (!controller) {
+      return { success: false, error: `No chat request ${requestId} in progress` };
+    }
+    
+    controller.abort();
+    return { success: true };
+  });
+
+  // Stored chat conversations
+  safelyRegisterHandler('conversations:list', async (event, options = {}) => {
+    try {
+      return { success: true, conversations: listConversations(options || {}) };
+    } catch (error) {
+      logger.error('Error listing conversations:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('conversations:get', async (event, id) => {
+    try {
+      return { success: true, conversation: getConversation(id) };
+    } catch (error) {
+      logger.error('Error reading conversation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('conversations:save', async (event, conversation) => {
+    try {
+      return { success: true, conversation: saveConversation(conversation || {}) };
+    } catch (error) {
+      logger.error('Error saving conversation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('conversations:update', async (event, id, changes = {}) => {
+    try {
+      return { success: true, conversation: updateConversation(id, changes || {}) };
+    } catch (error) {
+      logger.error('Error updating conversation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  safelyRegisterHandler('conversations:delete', async (event, id) => {
+    try {
+      deleteConversation(id);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error deleting conversation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Extract the text of a file, pasted data or URL attached to a chat message, without storing it
+  safelyRegisterHandler('attachments:extract', async (event, source = {}) => {
+    try {
+      return { success: true, attachment: await extractAttachment(source || {}) };
+    } catch (error) {
+      logger.error('Error extracting attachment:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Keep a chat attachment as a permanent item
+  safelyRegisterHandler('attachments:promote', async (event, attachment) => {
+    try {
+      return { success: true, result: await promoteAttachment(attachment || {}) };
+    } catch (error) {
+      logger.error('Error promoting attachment:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Generate embeddings
   safelyRegisterHandler('generate-embeddings', async (event, params) => {
     try {
@@ -849,15 +1306,20 @@ function initializeIpcHandlers() {
     try {
       logger.info(`Advanced semantic search for: "${query}"`);
       
+      // Keyword search ranks on the query text alone and needs no embedding
+      const keywordOnly = options.mode === 'keyword';
+      if (keywordOnly && !query) {
+        throw new Error('A query must be provided for keyword search');
+      }
+      
       // Generate embeddings if queryVector not provided
       let vectorToUse = queryVector;
-      if (!vectorToUse && query) {
+      if (!vectorToUse && query && !keywordOnly) {
         logger.debug('Generating embeddings for semantic search query');
-        const embeddingResult = await llmService.generateEmbeddings(query);
-        vectorToUse = embeddingResult.embedding;
+        vectorToUse = await generateEmbedding(query);
       }
       
-      if (!vectorToUse) {
+      if (!vectorToUse && !keywordOnly) {
         throw new Error('Either query or queryVector must be provided for semantic search');
       }
       
@@ -1177,66 +1639,18 @@ function initializeIpcHandlers() {
  */
 async function savePageToKnowledgeBase(event, pageData) {
   try {
-    console.log('[IPC] Saving page to knowledge base:', pageData.url);
-    
-    if (!pageData || !pageData.url || !pageData.title) {
-      throw new Error('Missing required page data');
-    }
-    
-    // Get services
-    const { DatabaseService } = require('./services/database');
-    const { LlmService } = require('./services/llm');
-    
-    // Initialize services
-    const db = new DatabaseService();
-    const llm = new LlmService();
-    
-    // Generate embeddings for page content
-    let embeddings = null;
-    
-    if (pageData.text) {
-      try {
-        // Truncate text if too long (embedding models typically have token limits)
-        const truncatedText = pageData.text.substring(0, 8000);
-        
-        // Generate embeddings
-        const embeddingResult = await llm.generateEmbeddings(truncatedText);
-        if (embeddingResult && embeddingResult.embedding) {
-          embeddings = embeddingResult.embedding;
-        }
-      } catch (error) {
-        console.error('[IPC] Error generating embeddings:', error);
-        // Continue without embeddings if generation fails
-      }
-    }
-    
-    // Format page data for storage
-    const documentData = {
-      id: `page-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
-      url: pageData.url,
-      title: pageData.title,
-      content: pageData.content,
-      text: pageData.text,
-      headings: pageData.headings || [],
-      analysis: pageData.analysis || null,
-      savedAt: pageData.savedAt || new Date().toISOString(),
-      embeddings: embeddings,
-      type: 'web_page',
-      source: 'browser_research'
-    };
-    
-    // Save to database
-    await db.saveDocument(documentData);
-    
-    console.log('[IPC] Page saved to knowledge base:', documentData.id);
+    logger.info(`Saving page to knowledge base: ${pageData && pageData.url}`);
+    const result = await captureBrowserPage(pageData || {});
     
     return {
       success: true,
-      documentId: documentData.id,
-      message: 'Page saved to knowledge base'
+      ...result,
+      // Older callers read the new item's ID from here
+      documentId: result.id,
+      message: result.duplicate ? 'Page is already in the knowledge base' : 'Page saved to knowledge base'
     };
   } catch (error) {
-    console.error('[IPC] Error saving page to knowledge base:', error);
+    logger.error('Error saving page to knowledge base:', error);
     return {
       success: false,
       error: error.message || 'Unknown error',
@@ -598,6 +598,22 @@ class DbMemoryManager {
     return this._memoryPressure;
   }
 
+  /**
+   * Execute a database operation, requesting garbage collection first if under memory pressure
+   *
+   * @param {Function} operation Async function performing the database work
+   * @param {string} [operationName='operation'] Name used in log output
+   * @returns {Promise<any>} Result of the operation
+   */
+  async executeWithMemoryCheck(operation, operationName = 'operation') {
+    if (this._memoryPressure) {
+      this.logger.warn(`Memory pressure detected before ${operationName}, requesting garbage collection`);
+      memoryManager.tryForceGC();
+    }
+
+    return operation();
+  }
+
   /**
    * Clear the query cache
    */
@@ -0,0 +1,331 @@
+/**
+ * Knowledge Base REST API
+ * Versioned HTTP routes over the same database, search and processor services the IPC handlers use,
+ * so scripts and other local tools can drive the knowledge base without the Electron app.
+ * Every route needs the install's API token as a bearer token, and requests must be addressed to the
+ * loopback interface so a web page cannot reach the API through DNS rebinding.
+ */
+
+const express = require('express');
+const fs = require('fs');
+const { getApiToken, tokensMatch } = require('../services/apiToken');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('KnowledgeAPI');
+
+// Largest page a single list request may ask for
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Load the real services lazily so requiring the router stays cheap
+ * @returns {Object} Services used by the routes
+ */
+function loadDefaultServices() {
+  return {
+    database: require('../services/database'),
+    search: require('../services/search'),
+    processors: {
+      text: require('../services/textProcessor').processText,
+      url: require('../services/urlProcessor').processURL,
+      pdf: require('../services/pdfProcessor').processPDF,
+      document: require('../services/docsProcessor').processDocumentFile,
+      folder: require('../services/docsProcessor').processFolder,
+      youtube: require('../services/youtubeProcessor').processYouTube
+    }
+  };
+}
+
+/**
+ * Map a service error to an HTTP status code
+ * @param {Error} error The error thrown by a service
+ * @returns {number} HTTP status code
+ */
+function statusForError(error) {
+  const message = error && error.message ? error.message : '';
+
+  if (/not found/i.test(message)) {
+    return 404;
+  }
+  if (/^(Invalid|Cannot sort by|Unknown search mode|Unsupported file type)/.test(message) || /is required$/.test(message)) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Wrap an async route handler so failures become JSON error responses
+ * @param {string} action Description used in logs
+ * @param {Function} handler The route handler
+ * @returns {Function} Express middleware
+ */
+function route(action, handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      const status = statusForError(error);
+      if (status >= 500) {
+        logger.error(`Error ${action}:`, error);
+      } else {
+        logger.warn(`Rejected request ${action}: ${error.message}`);
+      }
+      res.status(status).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Reject a request with a 400 response
+ * @param {Object} res Express response
+ * @param {string} message Error message
+ * @returns {Object} The response
+ */
+function badRequest(res, message) {
+  return res.status(400).json({ success: false, error: message });
+}
+
+/**
+ * Summarize a stored item for a response, leaving out text and vectors
+ * @param {Object} item The processed item
+ * @returns {Object} ID, title and source type of the item
+ */
+function summarizeItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    sourceType: item.source_type || item.sourceType,
+    ...(item.duplicate ? { duplicate: true } : {})
+  };
+}
+
+/**
+ * Respond with an ingested item
+ * An item that was already in the library is answered with 200 instead of 201 Created.
+ * @param {Object} res Express response
+ * @param {Object} item The stored item, or the existing duplicate
+ */
+function sendIngested(res, item) {
+  res.status(item.duplicate ? 200 : 201).json({ success: true, item: summarizeItem(item) });
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} value The value to check
+ * @returns {boolean} Whether the value is a usable URL
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {Object} req Express request
+ * @returns {string|null} The token, or null when none was sent
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Check that a request was addressed to the loopback interface
+ * A page served from a rebound domain still sends that domain in the Host header.
+ * @param {Object} req Express request
+ * @returns {boolean} Whether the Host header names 127.0.0.1, localhost or [::1] on the local port
+ */
+function isLoopbackHost(req) {
+  const host = (req.get('Host') || '').toLowerCase();
+  const port = req.socket && req.socket.localPort;
+  return ['127.0.0.1', 'localhost', '[::1]'].some(name => host === `${name}:${port}`);
+}
+
+/**
+ * Create the /api/v1 router
+ * @param {Object} [services] Services to route to (defaults to the real database, search and processors)
+ * @param {Object} [options] Router options
+ * @param {Function} [options.getToken] Returns the API token (defaults to the token of this install)
+ * @returns {Object} Express router
+ */
+function createKnowledgeRouter(services = null, options = {}) {
+  const router = express.Router();
+  const getToken = options.getToken || getApiToken;
+  let resolvedServices = services;
+  let databaseReady = null;
+
+  const getServices = () => {
+    if (!resolvedServices) {
+      resolvedServices = loadDefaultServices();
+    }
+    return resolvedServices;
+  };
+
+  // Only answer requests addressed to this machine
+  router.use((req, res, next) => {
+    if (!isLoopbackHost(req)) {
+      logger.warn(`Rejected request for host ${req.get('Host')}: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: 'Requests must be addressed to 127.0.0.1 or localhost' });
+    }
+    next();
+  });
+
+  // Every route reads or changes the library, or reads local files
+  router.use((req, res, next) => {
+    if (!tokensMatch(bearerToken(req), getToken())) {
+      logger.warn(`Rejected request without a valid API token: ${req.method} ${req.originalUrl}`);
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, error: 'A valid API token is required' });
+    }
+    next();
+  });
+
+  // Open the database on first use when running headless (the Electron app opens it at startup)
+  router.use(route('initializing database', async (req, res, next) => {
+    const { database } = getServices();
+
+    if (!databaseReady) {
+      databaseReady = database.isDatabaseInitialized && database.isDatabaseInitialized()
+        ? Promise.resolve()
+        : database.initializeDatabase();
+      databaseReady.catch(() => {
+        databaseReady = null;
+      });
+    }
+
+    await databaseReady;
+    next();
+  }));
+
+  // List items, one page at a time
+  router.get('/items', route('listing items', async (req, res) => {
+    const { limit, offset, cursor, sortBy, sortDirection, sourceType } = req.query;
+
+    const options = {
+      limit: Math.min(parseInt(limit, 10) || 50, MAX_PAGE_SIZE),
+      offset: parseInt(offset, 10) || 0,
+      cursor: cursor || null,
+      sortBy: sortBy || 'created_at',
+      sortDirection: sortDirection === 'asc' ? 'asc' : 'desc',
+      where: sourceType ? { source_type: sourceType } : null
+    };
+
+    const { items, total, nextCursor, hasMore } = await getServices().database.listItems(options);
+    res.json({ success: true, items, total, offset: options.offset, nextCursor, hasMore });
+  }));
+
+  // Get a single item
+  router.get('/items/:id', route('getting item', async (req, res) => {
+    const item = await getServices().database.getItemById(req.params.id, {
+      includeContent: req.query.includeContent !== 'false'
+    });
+    res.json({ success: true, item });
+  }));
+
+  // Store plain text as a new item
+  router.post('/items', route('creating item', async (req, res) => {
+    const { text, title, sourceType, sourceIdentifier, metadata } = req.body || {};
+
+    if (!text || typeof text !== 'string') {
+      return badRequest(res, 'text is required');
+    }
+
+    const item = await getServices().processors.text({ text, title, sourceType, sourceIdentifier, metadata });
+    sendIngested(res, item);
+  }));
+
+  // Delete an item
+  router.delete('/items/:id', route('deleting item', async (req, res) => {
+    const result = await getServices().database.deleteItem(req.params.id);
+    res.json({ success: true, result });
+  }));
+
+  // Search items by keyword, meaning or both
+  router.post('/search', route('searching', async (req, res) => {
+    const { query, limit = 5, mode = 'hybrid' } = req.body || {};
+
+    if (!query || typeof query !== 'string') {
+      return badRequest(res, 'query is required');
+    }
+
+    const results = await getServices().search.semanticSearch(query, Math.min(parseInt(limit, 10) || 5, 50), { mode });
+    res.json({ success: true, results });
+  }));
+
+  // Ingest a web page
+  router.post('/ingest/url', route('ingesting URL', async (req, res) => {
+    const { url } = req.body || {};
+
+    if (!isHttpUrl(url)) {
+      return badRequest(res, 'url must be an http(s) URL');
+    }
+
+    const item = await getServices().processors.url(url);
+    sendIngested(res, item);
+  }));
+
+  // Ingest a PDF from the local file system
+  router.post('/ingest/pdf', route('ingesting PDF', async (req, res) => {
+    const { filePath } = req.body || {};
+
+    if (!filePath || typeof filePath !== 'string') {
+      return badRequest(res, 'filePath is required');
+    }
+    if (!fs.existsSync(filePath)) {
+      return badRequest(res, `File does not exist: ${filePath}`);
+    }
+
+    const item = await getServices().processors.pdf(filePath);
+    sendIngested(res, item);
+  }));
+
+  // Ingest a document file (Markdown, text, HTML, EPUB, DOCX or PDF) from the local file system
+  router.post('/ingest/document', route('ingesting document', async (req, res) => {
+    const { filePath } = req.body || {};
+
+    if (!filePath || typeof filePath !== 'string') {
+      return badRequest(res, 'filePath is required');
+    }
+    if (!fs.existsSync(filePath)) {
+      return badRequest(res, `File does not exist: ${filePath}`);
+    }
+
+    const item = await getServices().processors.document(filePath);
+    sendIngested(res, item);
+  }));
+
+  // Ingest every supported document in a local folder
+  router.post('/ingest/folder', route('ingesting folder', async (req, res) => {
+    const { folderPath, include, exclude, recursive } = req.body || {};
+
+    if (!folderPath || typeof folderPath !== 'string') {
+      return badRequest(res, 'folderPath is required');
+    }
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+      return badRequest(res, `Folder does not exist: ${folderPath}`);
+    }
+
+    const result = await getServices().processors.folder(folderPath, { include, exclude, recursive });
+    res.status(201).json({ success: true, ...result });
+  }));
+
+  // Ingest a YouTube video
+  router.post('/ingest/youtube', route('ingesting YouTube video', async (req, res) => {
+    const { url } = req.body || {};
+
+    if (!isHttpUrl(url)) {
+      return badRequest(res, 'url must be an http(s) URL');
+    }
+
+    const item = await getServices().processors.youtube(url);
+    sendIngested(res, item);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createKnowledgeRouter
+};
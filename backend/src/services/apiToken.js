@@ -0,0 +1,66 @@
+/**
+ * API Token Service
+ * Holds the per-install token that callers of the knowledge base REST API must send to change
+ * the library. The token is generated on first use and kept in api_token.json next to the database.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('ApiToken');
+
+const TOKEN_FILE = 'api_token.json';
+
+// Random bytes in a generated token
+const TOKEN_BYTES = 32;
+
+/**
+ * Path of the token file
+ * @returns {string} Absolute file path
+ */
+function tokenPath() {
+  return path.join(config.database.path, TOKEN_FILE);
+}
+
+/**
+ * Get the API token of this install, generating it on first use
+ * @returns {string} The token
+ */
+function getApiToken() {
+  const stored = readJsonFile(tokenPath());
+  if (stored && typeof stored.token === 'string' && stored.token) {
+    return stored.token;
+  }
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+  writeJsonFileAtomic(tokenPath(), { token, createdAt: new Date().toISOString() });
+  // Only the owner of the install may read the token
+  fs.chmodSync(tokenPath(), 0o600);
+
+  logger.info(`Generated API token in ${tokenPath()}`);
+  return token;
+}
+
+/**
+ * Check a token sent by a caller against the install token
+ * @param {string} candidate Token sent with the request
+ * @param {string} token The install token
+ * @returns {boolean} Whether the tokens match
+ */
+function tokensMatch(candidate, token) {
+  if (typeof candidate !== 'string' || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(candidate);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  getApiToken,
+  tokensMatch
+};
@@ -0,0 +1,211 @@
+/**
+ * Chat Attachments Service
+ * Extracts text from files, pasted data and URLs dropped into a conversation without storing them,
+ * and promotes an attachment to a permanent item when the user asks for it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createContextLogger } = require('../utils/logger');
+const { createFileProcessor, isSupportedFile } = require('../utils/processors/processorFactory');
+const { fetchArticle, processURL } = require('./urlProcessor');
+const { processDocumentFile } = require('./docsProcessor');
+const { processText } = require('./textProcessor');
+
+const logger = createContextLogger('Attachments');
+
+// Images are read with OCR rather than a document processor
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.tif', '.tiff'];
+
+// Attachment text beyond this many characters is cut so it fits into a prompt
+const MAX_ATTACHMENT_CHARS = 20000;
+
+// Cut attachments whose full text is kept for promotion; the oldest is dropped first
+const MAX_KEPT_FULL_TEXTS = 50;
+
+// Full text of cut attachments that can only be promoted from their text, by attachment ID
+const fullTexts = new Map();
+
+/**
+ * Check whether a file is an image that needs OCR
+ * @param {string} fileName File name or path
+ * @returns {boolean} Whether the extension is a known image type
+ */
+function isImageFile(fileName) {
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Read the text in an image with OCR
+ * @param {string} filePath Path to the image
+ * @returns {Promise<string>} Recognized text
+ */
+async function recognizeImage(filePath) {
+  // Loaded on demand; only needed when images are attached
+  const Tesseract = require('tesseract.js');
+  const { data } = await Tesseract.recognize(filePath, 'eng');
+  return data.text || '';
+}
+
+/**
+ * Extract the title and text of a local file without storing it
+ * @param {string} filePath Path to the file
+ * @param {string} [name] Name shown for the file, defaults to its base name
+ * @returns {Promise<Object>} { kind, title, text }
+ */
+async function extractFile(filePath, name = path.basename(filePath)) {
+  if (isImageFile(name)) {
+    return { kind: 'image', title: name, text: await recognizeImage(filePath) };
+  }
+
+  if (!isSupportedFile(name)) {
+    throw new Error(`Unsupported attachment type: ${path.extname(name) || name}`);
+  }
+
+  const document = await createFileProcessor(filePath).extractDocument(filePath);
+  return { kind: 'file', title: document.title || name, text: document.extractedText || '' };
+}
+
+/**
+ * Extract pasted file data by writing it to a temporary file first
+ * @param {string} name Original file name; its extension picks the extractor
+ * @param {string} data File contents, base64 encoded
+ * @returns {Promise<Object>} { kind, title, text }
+ */
+async function extractData(name, data) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cognivore-attachment-'));
+  const filePath = path.join(directory, path.basename(name));
+
+  try {
+    fs.writeFileSync(filePath, Buffer.from(data, 'base64'));
+    return await extractFile(filePath, name);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check whether an attachment is promoted from its extracted text
+ * Files and URLs can be ingested again from their source; images and pasted data cannot.
+ * @param {string} kind Attachment kind
+ * @param {Object} source Where the attachment came from
+ * @returns {boolean} Whether promotion stores the extracted text
+ */
+function promotesFromText(kind, source) {
+  return !source.url && !(source.filePath && kind !== 'image');
+}
+
+/**
+ * Keep the full text of a cut attachment until it is promoted
+ * @param {string} id Attachment ID
+ * @param {string} text Full extracted text
+ */
+function keepFullText(id, text) {
+  fullTexts.set(id, text);
+  if (fullTexts.size > MAX_KEPT_FULL_TEXTS) {
+    fullTexts.delete(fullTexts.keys().next().value);
+  }
+}
+
+/**
+ * Extract the text of an attachment without storing it
+ * @param {Object} source What was attached; exactly one of:
+ * @param {string} [source.filePath] Path of a dropped file
+ * @param {string} [source.url] Dropped or pasted URL
+ * @param {string} [source.data] Pasted file contents, base64 encoded, together with source.name
+ * @param {string} [source.name] File name of pasted data
+ * @returns {Promise<Object>} { id, kind, title, source, text, truncated }
+ */
+async function extractAttachment(source = {}) {
+  let extracted;
+  let origin;
+
+  if (source.url) {
+    logger.info(`Extracting URL attachment: ${source.url}`);
+    const article = await fetchArticle(source.url);
+    extracted = { kind: 'url', title: article.title, text: article.extractedText };
+    origin = { url: source.url };
+  } else if (source.filePath) {
+    logger.info(`Extracting file attachment: ${source.filePath}`);
+    if (!fs.existsSync(source.filePath)) {
+      throw new Error(`File not found: ${source.filePath}`);
+    }
+    extracted = await extractFile(source.filePath);
+    origin = { filePath: source.filePath };
+  } else if (source.data && source.name) {
+    logger.info(`Extracting pasted attachment: ${source.name}`);
+    extracted = await extractData(source.name, source.data);
+    origin = { name: source.name };
+  } else {
+    throw new Error('An attachment needs a file path, a URL or file data');
+  }
+
+  const text = (extracted.text || '').trim();
+  if (!text) {
+    throw new Error(`No text could be extracted from ${extracted.title}`);
+  }
+
+  const id = uuidv4();
+  const truncated = text.length > MAX_ATTACHMENT_CHARS;
+  if (truncated) {
+    logger.debug(`Attachment "${extracted.title}" cut from ${text.length} characters`);
+    if (promotesFromText(extracted.kind, origin)) {
+      keepFullText(id, text);
+    }
+  }
+
+  return {
+    id,
+    kind: extracted.kind,
+    title: extracted.title,
+    source: origin,
+    text: truncated ? text.substring(0, MAX_ATTACHMENT_CHARS) : text,
+    truncated
+  };
+}
+
+/**
+ * Store an attachment as a permanent item
+ * Files and URLs are ingested again from their source so nothing is lost to truncation;
+ * images and pasted data only exist as the extracted text, so a cut one is stored from the
+ * full text kept when it was extracted.
+ * @param {Object} attachment Attachment returned by extractAttachment
+ * @returns {Promise<Object>} The stored item, or the existing item if already in the library
+ * @throws {Error} When the attachment was cut and its full text is no longer kept
+ */
+async function promoteAttachment(attachment = {}) {
+  const { id, kind, title, text, truncated, source = {} } = attachment;
+  logger.info(`Promoting attachment: ${title}`, { kind });
+
+  if (source.url) {
+    return processURL(source.url);
+  }
+  if (source.filePath && kind !== 'image') {
+    return processDocumentFile(source.filePath);
+  }
+
+  const fullText = truncated ? fullTexts.get(id) : text;
+  if (!fullText) {
+    throw new Error(`The full text of ${title} is no longer available; attach it again to save it`);
+  }
+
+  const item = await processText({
+    text: fullText,
+    title,
+    sourceType: kind === 'image' ? 'image' : 'text',
+    sourceIdentifier: source.filePath || source.name,
+    metadata: { attachment: true, ocr: kind === 'image' }
+  });
+  fullTexts.delete(id);
+  return item;
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  MAX_ATTACHMENT_CHARS,
+  isImageFile,
+  extractAttachment,
+  promoteAttachment
+};
@@ -0,0 +1,224 @@
+/**
+ * Browser Capture Service
+ * Stores pages captured in the built-in browser as searchable items. Every way of saving a
+ * page (the save button, the research panel and the save-browser-content channel) goes
+ * through here, so captured pages are chunked, embedded and described the same way.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { chunkByParagraphs } = require('../utils/textChunker');
+const { generateEmbeddings } = require('./embedding');
+const { addItem, addItemChunks, findItemIdBySource } = require('./database');
+const { saveArchive } = require('./pageArchive');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('BrowserCapture');
+
+// Links and headings kept in the metadata; long pages can list thousands of links
+const MAX_STORED_LINKS = 100;
+const MAX_STORED_HEADINGS = 50;
+
+/**
+ * Turn captured HTML into plain text with paragraph breaks
+ * Used when a capture carries markup but no extracted text.
+ * @param {string} html Captured HTML
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+    .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
+    .replace(/<\/(p|div|section|article|li|h[1-6]|blockquote|pre|tr)>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Bring the different capture shapes into one
+ * Accepts the processed output of the browser's ExtractorManager ({ title, text, html, url,
+ * headings, links, metadata, byline, siteName, summary }) either directly or wrapped in the
+ * `content` field of a save request, alongside the older { url, title, content, text } requests.
+ * @param {Object} capture Captured page
+ * @returns {Object} { url, title, text, headings, links, metadata, byline, siteName, summary, analysis, extractionMethod }
+ */
+function normalizeCapture(capture = {}) {
+  const extracted = capture.content && typeof capture.content === 'object' ? capture.content : {};
+  const html = typeof capture.content === 'string' ? capture.content : (extracted.html || capture.html || '');
+
+  let text = capture.text || extracted.text || '';
+  if (!text.trim() && html) {
+    text = htmlToText(html);
+  }
+
+  return {
+    url: capture.url || extracted.url || '',
+    title: capture.title || extracted.title || '',
+    text,
+    headings: capture.headings || extracted.headings || [],
+    links: capture.links || extracted.links || [],
+    metadata: { ...(extracted.metadata || {}), ...(capture.metadata || {}) },
+    byline: capture.byline || extracted.byline || '',
+    siteName: capture.siteName || extracted.siteName || '',
+    summary: capture.summary || extracted.summary || '',
+    analysis: capture.analysis || null,
+    extractionMethod: capture.extractionMethod || extracted.extractionMethod || null
+  };
+}
+
+/**
+ * Turn a date value into an ISO string
+ * @param {*} value Date string or timestamp
+ * @returns {string|null} ISO date, or null if the value is not a date
+ */
+function toIsoDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build the metadata stored with a captured page
+ * Author, dates, language and OpenGraph fields sit at the top level under fixed names so
+ * searches can filter on them (see search.matchesFilters).
+ * @param {Object} page Normalized capture, see normalizeCapture
+ * @param {number} chunkCount Number of text chunks
+ * @returns {Object} Item metadata
+ */
+function captureMetadata(page, chunkCount) {
+  const fields = page.metadata;
+  const openGraph = fields.openGraph || {};
+
+  let hostname = '';
+  try {
+    hostname = new URL(page.url).hostname;
+  } catch (error) {
+    logger.debug(`Captured page has no parsable URL: ${page.url}`);
+  }
+
+  return {
+    url: page.url,
+    hostname,
+    browser_saved: true,
+    extraction_date: new Date().toISOString(),
+    extraction_method: page.extractionMethod,
+    chunk_count: chunkCount,
+    author: fields.author || page.byline || null,
+    publisher: fields.publisher || null,
+    site_name: page.siteName || openGraph.site_name || null,
+    published_date: toIsoDate(fields.published),
+    modified_date: toIsoDate(fields.modified),
+    language: fields.language ? String(fields.language).toLowerCase() : null,
+    description: fields.description || page.summary || null,
+    keywords: Array.isArray(fields.keywords) ? fields.keywords : [],
+    image: fields.image || openGraph.image || null,
+    content_type: fields.type || openGraph.type || null,
+    opengraph: openGraph,
+    twitter: fields.twitter || {},
+    headings: page.headings
+      .filter(heading => heading && heading.text)
+      .slice(0, MAX_STORED_HEADINGS)
+      .map(heading => ({ level: heading.level, text: heading.text })),
+    link_count: page.links.length,
+    links: page.links
+      .slice(0, MAX_STORED_LINKS)
+      .map(link => (typeof link === 'string' ? { url: link } : { url: link.url || link.href, text: link.text || '' }))
+      .filter(link => link.url),
+    analysis: page.analysis
+  };
+}
+
+/**
+ * Store a page captured in the browser
+ * @param {Object} capture Captured page, see normalizeCapture for the accepted shapes
+ * @returns {Promise<Object>} { id, title, duplicate, chunkCount }; `duplicate` is true when the
+ *   page was already in the library, in which case `id` is the existing item
+ */
+async function captureBrowserPage(capture) {
+  const page = normalizeCapture(capture);
+
+  if (!page.url) {
+    throw new Error('A captured page needs a URL');
+  }
+  if (!page.text.trim()) {
+    throw new Error(`No text was captured from ${page.url}`);
+  }
+
+  const id = uuidv4();
+  const title = page.title || page.url;
+  logger.info(`Capturing browser page: ${page.url}`, { id, length: page.text.length });
+
+  const textChunks = chunkByParagraphs(page.text);
+  const chunkEmbeddings = await generateEmbeddings(textChunks);
+  logger.debug(`Split into ${textChunks.length} chunks with ${chunkEmbeddings.length} embeddings`);
+
+  const item = {
+    id,
+    source_type: 'browser',
+    source_identifier: page.url,
+    title,
+    original_content_path: page.url,
+    extracted_text: page.text,
+    text_chunks: textChunks,
+    // Use first chunk's embedding as the primary vector for the document
+    vector: chunkEmbeddings[0] || [],
+    metadata: captureMetadata(page, textChunks.length)
+  };
+
+  // Store in database, with a vector per chunk so every passage is searchable
+  const stored = await addItem(item);
+  if (stored.duplicate) {
+    logger.info(`Page ${page.url} is already in the library as ${stored.id}`);
+    return { id: stored.id, title, duplicate: true, chunkCount: textChunks.length };
+  }
+  await addItemChunks(id, textChunks, chunkEmbeddings, page.text);
+  logger.info(`Browser page stored with ID: ${id}`);
+
+  return { id, title, duplicate: false, chunkCount: textChunks.length };
+}
+
+/**
+ * Archive a page captured in the browser next to its item
+ * A page that is not in the library yet is stored first, so every archive belongs to an item.
+ * @param {Object} capture { url, title, html, text } with the serialized DOM and visible text of the page
+ * @returns {Promise<Object>} { itemId, saved, archive } where `saved` is true when the page was
+ *   added to the library for the archive, and `archive` is the stored archive of pageArchive
+ */
+async function archiveBrowserPage(capture = {}) {
+  if (!capture.url) {
+    throw new Error('A captured page needs a URL');
+  }
+
+  let itemId = await findItemIdBySource(capture.url);
+  let saved = false;
+  if (!itemId) {
+    const stored = await captureBrowserPage({
+      url: capture.url,
+      title: capture.title,
+      text: capture.text,
+      content: capture.html,
+      extractionMethod: 'page-archive'
+    });
+    itemId = stored.id;
+    saved = !stored.duplicate;
+  }
+
+  const archive = await saveArchive(itemId, capture);
+  return { itemId, saved, archive };
+}
+
+module.exports = {
+  normalizeCapture,
+  captureMetadata,
+  captureBrowserPage,
+  archiveBrowserPage
+};
@@ -0,0 +1,245 @@
+/**
+ * Conversations Service
+ * Keeps chat conversations (messages, tool calls and their results, the provider and model they
+ * talk to, and the prompt profile they use) as one JSON file each in the conversations folder of the app data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createContextLogger } = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+
+const logger = createContextLogger('Conversations');
+
+// Longest title taken from the first message of a conversation
+const MAX_TITLE_LENGTH = 60;
+
+// Characters of context kept on each side of a search match
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Path of a conversation file
+ * @param {string} id Conversation ID
+ * @returns {string} Absolute file path
+ */
+function conversationPath(id) {
+  return path.join(config.storage.conversationPath, `${path.basename(id)}.json`);
+}
+
+/**
+ * Get the text of a message, whatever shape its content has
+ * @param {Object} message Chat message
+ * @returns {string} Message text
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  return message.content ? JSON.stringify(message.content) : '';
+}
+
+/**
+ * Make a title from the first user message of a conversation
+ * @param {Array<Object>} messages Chat messages
+ * @returns {string} Title
+ */
+function titleFromMessages(messages) {
+  const firstMessage = messages.find(message => message.role === 'user');
+  const text = firstMessage ? messageText(firstMessage).replace(/\s+/g, ' ').trim() : '';
+
+  if (!text) {
+    return 'New chat';
+  }
+  return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Describe a conversation without its messages
+ * @param {Object} conversation Stored conversation
+ * @returns {Object} { id, title, pinned, createdAt, updatedAt, provider, model, profileId, messageCount }
+ */
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    pinned: conversation.pinned,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    provider: conversation.provider,
+    model: conversation.model,
+    profileId: conversation.profileId || null,
+    messageCount: conversation.messages.length
+  };
+}
+
+/**
+ * Order conversations pinned first, then most recently updated first
+ * @param {Object} a Conversation summary
+ * @param {Object} b Conversation summary
+ * @returns {number} Sort order
+ */
+function byPinnedThenRecent(a, b) {
+  if (a.pinned !== b.pinned) {
+    return a.pinned ? -1 : 1;
+  }
+  return b.updatedAt.localeCompare(a.updatedAt);
+}
+
+/**
+ * Read every stored conversation, skipping files that cannot be parsed
+ * @returns {Array<Object>} Stored conversations
+ */
+function readAllConversations() {
+  const dir = config.storage.conversationPath;
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return readJsonFile(path.join(dir, name));
+      } catch (error) {
+        logger.error(`Conversation file ${name} is unreadable, skipping it`, { error: error.message });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Find where every search term occurs in a conversation
+ * @param {Object} conversation Stored conversation
+ * @param {Array<string>} terms Lower-case search terms
+ * @returns {Object|null} { role, snippet } of the first message containing a term, or null when a term is missing
+ */
+function matchConversation(conversation, terms) {
+  const texts = [conversation.title, ...conversation.messages.map(messageText)].map(text => text.toLowerCase());
+  if (!terms.every(term => texts.some(text => text.includes(term)))) {
+    return null;
+  }
+
+  for (const message of conversation.messages) {
+    const text = messageText(message);
+    const index = text.toLowerCase().indexOf(terms[0]);
+    if (index !== -1) {
+      const start = Math.max(0, index - SNIPPET_CONTEXT);
+      const end = Math.min(text.length, index + terms[0].length + SNIPPET_CONTEXT);
+      const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+      return { role: message.role, snippet };
+    }
+  }
+
+  // Only the title matched
+  return { role: null, snippet: '' };
+}
+
+/**
+ * List the stored conversations, pinned first, then most recently updated first
+ * @param {Object} [options]
+ * @param {string} [options.query] Full-text search; only conversations containing every word are listed
+ * @returns {Array<Object>} Conversation summaries, see summarize, with a match ({ role, snippet }) when searching
+ */
+function listConversations({ query } = {}) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const conversations = readAllConversations();
+
+  if (terms.length === 0) {
+    return conversations.map(summarize).sort(byPinnedThenRecent);
+  }
+
+  return conversations
+    .map(conversation => {
+      const match = matchConversation(conversation, terms);
+      return match ? { ...summarize(conversation), match } : null;
+    })
+    .filter(Boolean)
+    .sort(byPinnedThenRecent);
+}
+
+/**
+ * Read a conversation with its messages
+ * @param {string} id Conversation ID
+ * @returns {Object} { id, title, pinned, createdAt, updatedAt, provider, model, profileId, messages }
+ */
+function getConversation(id) {
+  const conversation = readJsonFile(conversationPath(id));
+  if (!conversation) {
+    throw new Error(`Conversation ${id} not found`);
+  }
+  return conversation;
+}
+
+/**
+ * Store the messages of a conversation, creating it when it has no ID yet
+ * The title is taken from the first user message until the conversation is renamed.
+ * @param {Object} conversation { id, messages, provider, model, profileId }
+ * @returns {Object} Summary of the stored conversation
+ */
+function saveConversation({ id, messages = [], provider, model, profileId } = {}) {
+  const existing = id ? readJsonFile(conversationPath(id)) : null;
+  const now = new Date().toISOString();
+
+  const stored = {
+    id: existing ? existing.id : (id || uuidv4()),
+    title: existing ? existing.title : titleFromMessages(messages),
+    pinned: existing ? existing.pinned : false,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    provider: provider || (existing && existing.provider) || null,
+    model: model || (existing && existing.model) || null,
+    profileId: profileId || (existing && existing.profileId) || null,
+    messages
+  };
+
+  writeJsonFileAtomic(conversationPath(stored.id), stored);
+  logger.debug(`Stored conversation ${stored.id} with ${messages.length} messages`);
+
+  return summarize(stored);
+}
+
+/**
+ * Rename or pin a conversation
+ * @param {string} id Conversation ID
+ * @param {Object} changes { title, pinned }
+ * @returns {Object} Summary of the updated conversation
+ */
+function updateConversation(id, { title, pinned } = {}) {
+  const conversation = getConversation(id);
+
+  if (typeof title === 'string') {
+    const trimmed = title.replace(/\s+/g, ' ').trim();
+    if (!trimmed) {
+      throw new Error('Conversation title cannot be empty');
+    }
+    conversation.title = trimmed;
+  }
+  if (typeof pinned === 'boolean') {
+    conversation.pinned = pinned;
+  }
+
+  writeJsonFileAtomic(conversationPath(id), conversation);
+  logger.info(`Updated conversation ${id}`, { title, pinned });
+
+  return summarize(conversation);
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id Conversation ID
+ */
+function deleteConversation(id) {
+  fs.rmSync(conversationPath(id), { force: true });
+  logger.info(`Deleted conversation ${id}`);
+}
+
+module.exports = {
+  listConversations,
+  getConversation,
+  saveConversation,
+  updateConversation,
+  deleteConversation
+};
@@ -10,6 +10,24 @@ const zlib = require('zlib');
 const util = require('util');
 const config = require('../config');
 const { createContextLogger } = require('../utils/logger');
+const { locateChunks } = require('../utils/textChunker');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { KeywordIndex } = require('./keywordIndex');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { hashFile, contentHash, sourceKey } = require('../utils/contentIdentity');
+const { removeVersions } = require('./urlVersions');
+const { removeArchives } = require('./pageArchive');
+// Loaded for its side effect of registering the built-in embedding providers
+require('./embedding');
+const {
+  getEmbeddingProvider,
+  hasEmbeddingProvider,
+  getConfiguredEmbeddingProvider,
+  setActiveEmbeddingProvider,
+  describeEmbeddingProvider,
+  listEmbeddingProviders,
+  isSameEmbeddingSpace
+} = require('./embeddingProviders');
 const { 
   memoryManager, 
   batchOptimizer, 
@@ -28,15 +46,114 @@ const logger = createContextLogger('Database');
 
 let db;
 let collection;
+let chunkCollection;
 let monitoredDb;
 
+// Full-text index over item chunks, built from the table on first keyword search
+const keywordIndex = new KeywordIndex();
+let keywordIndexReady = null;
+
+// Source keys and content hashes of stored items, built from the table on first add
+const ingestKeys = { bySource: new Map(), byContent: new Map() };
+let ingestKeysReady = null;
+
+// Embedding model and table names of the library, mirrored in the manifest file next to the tables
+let libraryEmbedding = null;
+// Staging tables of a library rebuild in progress: { target, collection, chunkCollection }
+let rebuild = null;
+
+// File in the database directory recording which embedding model produced the stored vectors
+const EMBEDDING_MANIFEST_FILE = 'embedding_manifest.json';
+
+// Number of chunk rows fetched per requested item, so several hits on one item still leave enough distinct items
+const CHUNK_OVERFETCH_FACTOR = 4;
+
+/**
+ * Quote a value for use in a LanceDB SQL filter
+ * @param {string} value The value to quote
+ * @returns {string} The quoted value
+ */
+const sqlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Default page size for listItems
+const DEFAULT_PAGE_SIZE = 50;
+
+// Columns listItems can sort on
+const LIST_SORT_FIELDS = ['created_at', 'title'];
+
+// Ranking strategies supported by hybridSearch
+const SEARCH_MODES = ['keyword', 'vector', 'hybrid'];
+
+/**
+ * Build a LanceDB SQL filter from a `where` option
+ * Strings are passed through as-is. Objects map column names to a value (equality),
+ * an array of values (IN) or null (IS NULL), and are combined with AND.
+ * @param {string|Object|null} where The filter
+ * @returns {string|undefined} The SQL filter, or undefined when there is nothing to filter on
+ */
+function buildWhereClause(where) {
+  if (!where) {
+    return undefined;
+  }
+  
+  if (typeof where === 'string') {
+    return where.trim() || undefined;
+  }
+  
+  const toLiteral = (value) => (
+    typeof value === 'number' || typeof value === 'boolean' ? String(value) : sqlString(value)
+  );
+  
+  const conditions = Object.entries(where).map(([column, value]) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+      throw new Error(`Invalid filter column: ${column}`);
+    }
+    
+    if (value === null) {
+      return `${column} IS NULL`;
+    }
+    
+    if (Array.isArray(value)) {
+      return value.length > 0 ? `${column} IN (${value.map(toLiteral).join(', ')})` : 'false';
+    }
+    
+    return `${column} = ${toLiteral(value)}`;
+  });
+  
+  return conditions.length > 0 ? conditions.join(' AND ') : undefined;
+}
+
+/**
+ * Encode a listing position as an opaque cursor
+ * @param {Object} key Sort key of the last returned row ({ value, id })
+ * @returns {string} The cursor
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify([key.value, key.id])).toString('base64');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor The cursor
+ * @returns {Object} Sort key ({ value, id })
+ */
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    return { value, id };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
 // Ensure storage directories exist
 const ensureStorageDirectories = () => {
   const storagePaths = [
     config.storage.pdfPath,
     config.storage.webPath,
     config.storage.videoPath,
-    config.storage.transcriptPath
+    config.storage.transcriptPath,
+    config.storage.docsPath
   ];
   
   storagePaths.forEach(dirPath => {
@@ -77,17 +194,27 @@ async function initializeDatabase() {
     });
     
     logger.info('Connected to LanceDB');
+    
+    // The manifest names the tables and the embedding model of an existing library; new libraries
+    // use the configured provider
+    const manifest = readEmbeddingManifest();
+    const configuredProvider = getConfiguredEmbeddingProvider();
+    const tableNames = {
+      collection: manifest ? manifest.collection : config.database.collection,
+      chunkCollection: manifest ? manifest.chunkCollection : config.database.chunkCollection
+    };
+    const dimensions = manifest ? manifest.dimensions : configuredProvider.dimensions;
 
     try {
       // Try to open the existing collection
-      collection = await monitoredDb.openTable(config.database.collection);
-      logger.info(`Opened existing collection: ${config.database.collection}`);
+      collection = await monitoredDb.openTable(tableNames.collection);
+      logger.info(`Opened existing collection: ${tableNames.collection}`);
     } catch (error) {
       // Collection doesn't exist, create it
-      logger.info(`Creating new collection: ${config.database.collection}`);
+      logger.info(`Creating new collection: ${tableNames.collection}`);
       
       // Create a simple consistent vector for initialization
-      const sampleVector = new Array(config.embeddings.dimensions).fill(0);
+      const sampleVector = new Array(dimensions).fill(0);
       
       // Sample data for initialization
       const sampleData = [{
@@ -104,6 +231,7 @@ async function initializeDatabase() {
         file_size: 0,
         transcript: '',
         compressed: false,
+        created_at: new Date().toISOString(),
         metadata: JSON.stringify({
           sample: true,
           creation_date: new Date().toISOString()
@@ -112,26 +240,194 @@ async function initializeDatabase() {
       
       // Create collection - use either monitoredDb if it has createTable or fallback to raw db
       if (typeof monitoredDb.createTable === 'function') {
-        collection = await monitoredDb.createTable(config.database.collection, sampleData);
+        collection = await monitoredDb.createTable(tableNames.collection, sampleData);
       } else {
         // Fallback to the original db object if the monitored version doesn't have createTable
         logger.debug('Using raw db connection for table creation');
-        collection = await db.createTable(config.database.collection, sampleData);
+        collection = await db.createTable(tableNames.collection, sampleData);
       }
-      logger.info(`Created collection: ${config.database.collection}`);
+      logger.info(`Created collection: ${tableNames.collection}`);
     }
     
+    // Open the per-chunk vector table alongside the item table
+    chunkCollection = await openChunkCollection(tableNames.chunkCollection, dimensions);
+    
+    libraryEmbedding = manifest || await recordLibraryEmbedding(configuredProvider, tableNames);
+    activateLibraryEmbedding(configuredProvider);
+    
     // Monitor memory after initialization
     const memAfter = memoryManager.monitorMemory();
     logger.debug(`Memory after DB initialization: ${memAfter.heapUsedMB}MB`);
     
-    return { db: monitoredDb, collection };
+    return { db: monitoredDb, collection, chunkCollection };
   } catch (error) {
     logger.error('Error initializing database:', error);
     throw error;
   }
 }
 
+/**
+ * Check whether initializeDatabase has opened the item table
+ * @returns {boolean} Whether the database is ready for queries
+ */
+function isDatabaseInitialized() {
+  return !!collection;
+}
+
+/**
+ * Get the connection to create and drop tables with
+ * @returns {Object} The monitored connection if it supports table management, else the raw one
+ */
+function tableConnection() {
+  return typeof monitoredDb.createTable === 'function' ? monitoredDb : db;
+}
+
+/**
+ * Open the per-chunk vector table, creating it if it doesn't exist yet
+ * Each row holds one chunk of an item with its own embedding and character offsets.
+ * @param {string} tableName Name of the chunk table
+ * @param {number} dimensions Vector size used when the table is created
+ * @returns {Promise<Object>} The chunk table
+ */
+async function openChunkCollection(tableName, dimensions) {
+  try {
+    const table = await monitoredDb.openTable(tableName);
+    logger.info(`Opened existing chunk collection: ${tableName}`);
+    return table;
+  } catch (error) {
+    logger.info(`Creating new chunk collection: ${tableName}`);
+    
+    // LanceDB infers the schema from the initial rows, so seed with a sample row and remove it afterwards
+    const sampleChunk = [{
+      id: 'sample',
+      item_id: 'sample',
+      chunk_index: 0,
+      start_offset: 0,
+      end_offset: 0,
+      text: '',
+      vector: new Array(dimensions).fill(0),
+      created_at: new Date().toISOString()
+    }];
+    
+    const table = await tableConnection().createTable(tableName, sampleChunk);
+    await table.delete(`id = ${sqlString('sample')}`);
+    
+    logger.info(`Created chunk collection: ${tableName}`);
+    return table;
+  }
+}
+
+/**
+ * Path of the embedding manifest
+ * @returns {string} Absolute path of the manifest file
+ */
+function embeddingManifestPath() {
+  return path.join(config.database.path, EMBEDDING_MANIFEST_FILE);
+}
+
+/**
+ * Read the embedding manifest of the library
+ * @returns {Object|null} { providerId, modelId, dimensions, collection, chunkCollection, updatedAt },
+ *   or null for a library that has no manifest yet
+ */
+function readEmbeddingManifest() {
+  const manifestPath = embeddingManifestPath();
+  
+  try {
+    return readJsonFile(manifestPath);
+  } catch (error) {
+    // Guessing the model would risk mixing vector spaces, so refuse to open the library
+    throw new Error(`Embedding manifest ${manifestPath} is unreadable: ${error.message}`);
+  }
+}
+
+/**
+ * Write the embedding manifest, replacing the previous one atomically
+ * @param {Object} manifest The manifest to write
+ */
+function writeEmbeddingManifest(manifest) {
+  writeJsonFileAtomic(embeddingManifestPath(), manifest);
+}
+
+/**
+ * Read the vector size of a table from its schema
+ * @param {Object} table The LanceDB table
+ * @returns {Promise<number|null>} Vector dimensions, or null if the table has no vector column
+ */
+async function vectorDimensionsOf(table) {
+  const schema = await table.schema;
+  const field = schema.fields.find(candidate => candidate.name === 'vector');
+  return field && field.type && field.type.listSize ? field.type.listSize : null;
+}
+
+/**
+ * Record the embedding model of a library that has no manifest yet
+ * Libraries created before the manifest existed are attributed to the configured provider when
+ * their vectors have its size; otherwise the model is unknown and the library must be re-embedded
+ * before new vectors can be added.
+ * @param {Object} provider The configured provider
+ * @param {Object} tableNames { collection, chunkCollection }
+ * @returns {Promise<Object>} The written manifest
+ */
+async function recordLibraryEmbedding(provider, tableNames) {
+  const storedDimensions = await vectorDimensionsOf(collection);
+  const matches = storedDimensions === provider.dimensions;
+  
+  const manifest = {
+    providerId: matches ? provider.id : null,
+    modelId: matches ? provider.modelId : 'unknown',
+    dimensions: storedDimensions,
+    ...tableNames,
+    updatedAt: new Date().toISOString()
+  };
+  
+  if (!matches) {
+    logger.warn(`Stored vectors have ${storedDimensions} dimensions but ${provider.id} produces ${provider.dimensions}; re-embed the library to use it`);
+  }
+  
+  writeEmbeddingManifest(manifest);
+  logger.info(`Recorded embedding manifest for ${manifest.modelId} (${manifest.dimensions} dimensions)`);
+  return manifest;
+}
+
+/**
+ * Point embedding generation at the provider that produced the library's vectors
+ * @param {Object} configuredProvider The provider the configuration asks for
+ */
+function activateLibraryEmbedding(configuredProvider) {
+  const { providerId, modelId, dimensions } = libraryEmbedding;
+  const usable = !!providerId && hasEmbeddingProvider(providerId) &&
+    isSameEmbeddingSpace(getEmbeddingProvider(providerId), libraryEmbedding);
+  
+  setActiveEmbeddingProvider(usable ? providerId : null);
+  
+  if (!usable) {
+    logger.warn(`No embedding provider produces the library's vectors (${modelId}, ${dimensions} dimensions); adding and vector search are disabled until it is re-embedded`);
+  } else if (!isSameEmbeddingSpace(configuredProvider, libraryEmbedding)) {
+    logger.warn(`Configured embedding provider ${configuredProvider.id} differs from the library's ${providerId}; keeping ${providerId} until the library is re-embedded`);
+  }
+}
+
+/**
+ * Reject a vector that does not fit the library's vector column
+ * @param {Array<number>} vector The vector to check
+ * @param {string} label What the vector belongs to, used in the error
+ */
+function assertLibraryVector(vector, label) {
+  if (libraryEmbedding && Array.isArray(vector) && vector.length > 0 && vector.length !== libraryEmbedding.dimensions) {
+    throw new Error(`${label} has ${vector.length} dimensions but the library stores ${libraryEmbedding.dimensions}-dimensional ${libraryEmbedding.modelId} vectors`);
+  }
+}
+
+/**
+ * Reject writes while the library is being rebuilt, since they would miss the staging tables
+ */
+function assertWritable() {
+  if (rebuild) {
+    throw new Error('The library is being rebuilt; try again when it finishes');
+  }
+}
+
 /**
  * Compress text data using gzip
  * @param {string} text - The text to compress
@@ -182,6 +478,9 @@ async function storeFile(sourcePath, sourceType, identifier) {
       case 'youtube':
         targetDir = config.storage.videoPath;
         break;
+      case 'document':
+        targetDir = config.storage.docsPath;
+        break;
       default:
         targetDir = path.join(config.database.path, 'misc_storage');
     }
@@ -308,16 +607,167 @@ async function storeTranscript(transcript, identifier) {
   }
 }
 
+/**
+ * Parse an item's metadata column
+ * @param {string|Object} metadata Stored metadata
+ * @returns {Object} The metadata object, empty if it is missing or unreadable
+ */
+function parseMetadata(metadata) {
+  if (metadata && typeof metadata === 'object') {
+    return metadata;
+  }
+  try {
+    const parsed = JSON.parse(metadata || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Work out the canonical source key and content hash of an item about to be added
+ * @param {Object} dbItem The item, with snake_case fields
+ * @returns {Promise<Object>} { sourceKey, contentHash }, either may be null
+ */
+async function identifyItem(dbItem) {
+  const metadata = parseMetadata(dbItem.metadata);
+  const filePath = dbItem.original_content_path;
+  
+  // Files are recognized by their bytes, whatever their name or folder
+  let fileHash = null;
+  if (filePath && !/^https?:/i.test(filePath) && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    fileHash = await hashFile(filePath);
+  }
+  
+  return {
+    sourceKey: sourceKey({ ...dbItem, metadata }, fileHash),
+    contentHash: contentHash(dbItem.extracted_text)
+  };
+}
+
+/**
+ * Record the source key and content hash of a stored item
+ * @param {string} id Item ID
+ * @param {Object} identity { sourceKey, contentHash }
+ */
+function rememberIngestKeys(id, identity) {
+  if (identity.sourceKey) {
+    ingestKeys.bySource.set(identity.sourceKey, id);
+  }
+  if (identity.contentHash) {
+    ingestKeys.byContent.set(identity.contentHash, id);
+  }
+}
+
+/**
+ * Drop the keys of a deleted item
+ * @param {string} id Item ID
+ */
+function forgetIngestKeys(id) {
+  [ingestKeys.bySource, ingestKeys.byContent].forEach(keys => {
+    keys.forEach((itemId, key) => {
+      if (itemId === id) {
+        keys.delete(key);
+      }
+    });
+  });
+}
+
+/**
+ * Build the source key and content hash lookup from the item table the first time it is needed
+ * Items stored before keys were recorded in their metadata are keyed from their source and text.
+ * @returns {Promise<void>}
+ */
+function ensureIngestKeys() {
+  if (!ingestKeysReady) {
+    ingestKeysReady = (async () => {
+      const total = await collection.countRows();
+      const rows = total > 0
+        ? await collection.filter(undefined)
+          .select(['id', 'source_type', 'source_identifier', 'extracted_text', 'metadata'])
+          .limit(total)
+          .execute()
+        : [];
+      
+      rows.filter(row => row.source_type !== 'sample').forEach(row => {
+        const metadata = parseMetadata(row.metadata);
+        rememberIngestKeys(row.id, {
+          sourceKey: metadata.source_key || sourceKey({ ...row, metadata }),
+          contentHash: metadata.content_hash || contentHash(row.extracted_text)
+        });
+      });
+      logger.info(`Indexed the source and content keys of ${rows.length} items`);
+    })().catch(error => {
+      // Let the next add retry the build
+      ingestKeysReady = null;
+      throw error;
+    });
+  }
+  
+  return ingestKeysReady;
+}
+
+/**
+ * Find a stored item with the same source or the same content
+ * @param {Object} identity { sourceKey, contentHash } of the new item
+ * @returns {Promise<Object|null>} { row, matchedOn: 'source'|'content' }, or null if the item is new
+ */
+async function findDuplicateItem(identity) {
+  await ensureIngestKeys();
+  
+  const candidates = [
+    ['source', identity.sourceKey && ingestKeys.bySource.get(identity.sourceKey)],
+    ['content', identity.contentHash && ingestKeys.byContent.get(identity.contentHash)]
+  ];
+  
+  for (const [matchedOn, id] of candidates) {
+    if (!id) {
+      continue;
+    }
+    const row = await findItemRow(id);
+    if (row) {
+      return { row, matchedOn };
+    }
+    // The item was removed behind our back
+    forgetIngestKeys(id);
+  }
+  return null;
+}
+
+/**
+ * Find the item stored from a source
+ * @param {string} identifier URL (in any of its forms) or YouTube link of the source
+ * @returns {Promise<string|null>} ID of the item, or null if the source is not in the library
+ */
+async function findItemIdBySource(identifier) {
+  if (!collection) {
+    throw new Error('Database not initialized');
+  }
+
+  const key = sourceKey({ source_identifier: identifier });
+  if (!key) {
+    return null;
+  }
+
+  const match = await findDuplicateItem({ sourceKey: key });
+  return match ? match.row.id : null;
+}
+
 /**
  * Add a new item to the database
+ * An item whose source (normalized URL, YouTube video ID or file bytes) or normalized text is
+ * already in the library is not added again; the existing item is returned instead, flagged with
+ * `duplicate: true` and `matchedOn` ('source' or 'content'). Callers must not store chunks for it.
  * @param {Object} item The item to add
- * @returns {Promise<Object>} The added item
+ * @returns {Promise<Object>} The added item, or the existing duplicate
  */
 const addItem = optimizeQuery(
   async (item) => {
     if (!collection) {
       throw new Error('Database not initialized');
     }
+    assertWritable();
+    assertLibraryVector(item.vector, `Vector of item ${item.id}`);
     
     try {
       // Handle camelCase to snake_case conversion for database fields
@@ -360,6 +810,13 @@ const addItem = optimizeQuery(
         logger.debug('Ensured text_chunks is an array');
       }
       
+      const identity = await identifyItem(dbItem);
+      const duplicate = await findDuplicateItem(identity);
+      if (duplicate) {
+        logger.info(`Item ${dbItem.id} is already in the library as ${duplicate.row.id} (same ${duplicate.matchedOn})`);
+        return { ...toListEntry(duplicate.row), duplicate: true, matchedOn: duplicate.matchedOn };
+      }
+      
       // Ensure summary field exists, it's required by the vectordb schema
       if (!dbItem.summary) {
         // Generate a simple summary based on title or other fields
@@ -396,10 +853,12 @@ const addItem = optimizeQuery(
         logger.debug('Set default compressed flag to false');
       }
       
-      // Ensure metadata is properly stringified if it's an object
-      if (typeof dbItem.metadata === 'object') {
-        dbItem.metadata = JSON.stringify(dbItem.metadata);
-      }
+      // Keep the keys with the item so the lookup can be rebuilt without re-hashing files
+      dbItem.metadata = JSON.stringify({
+        ...parseMetadata(dbItem.metadata),
+        ...(identity.sourceKey ? { source_key: identity.sourceKey } : {}),
+        ...(identity.contentHash ? { content_hash: identity.contentHash } : {})
+      });
       
       // Handle file storage if needed
       if (dbItem.source_type && dbItem.original_content_path) {
@@ -470,6 +929,14 @@ const addItem = optimizeQuery(
       }
       
       await collection.add([dbItem]);
+      
+      if (keywordIndexReady) {
+        keywordIndex.addItem(dbItem.id, keywordChunksForItem(dbItem));
+      }
+      rememberIngestKeys(dbItem.id, identity);
+      
+      // Cached listings and lookups no longer reflect the table
+      dbMemoryManager.clearQueryCache();
       return item; // Return the original item for consistency with the rest of the code
     } catch (error) {
       logger.error('Error adding item to database:', error);
@@ -482,6 +949,147 @@ const addItem = optimizeQuery(
   }
 );
 
+/**
+ * Build the chunk table rows for an item
+ * @param {string} itemId ID of the parent item
+ * @param {Array<string>} chunks Text chunks in document order
+ * @param {Array<Array<number>>} vectors Embedding vector for each chunk
+ * @param {string} sourceText Text the chunks were produced from, used to record offsets
+ * @returns {Array<Object>} Rows for chunks that have an embedding
+ */
+function buildChunkRows(itemId, chunks, vectors, sourceText) {
+  const offsets = locateChunks(sourceText, chunks);
+  const createdAt = new Date().toISOString();
+  
+  return chunks
+    .map((text, index) => ({
+      id: `${itemId}:${index}`,
+      item_id: itemId,
+      chunk_index: index,
+      start_offset: offsets[index].start,
+      end_offset: offsets[index].end,
+      text,
+      vector: vectors[index],
+      created_at: createdAt
+    }))
+    // Skip chunks whose embedding failed rather than storing an empty vector
+    .filter(row => Array.isArray(row.vector) && row.vector.length > 0);
+}
+
+/**
+ * Store per-chunk vectors for an item, replacing any chunks previously stored for it
+ * @param {string} itemId ID of the parent item
+ * @param {Array<string>} chunks Text chunks in document order
+ * @param {Array<Array<number>>} vectors Embedding vector for each chunk
+ * @param {string} [sourceText] Text the chunks were produced from, used to record offsets
+ * @returns {Promise<number>} Number of chunk rows written
+ */
+const addItemChunks = optimizeQuery(
+  async (itemId, chunks, vectors, sourceText = '') => {
+    if (!chunkCollection) {
+      throw new Error('Database not initialized');
+    }
+    
+    if (!itemId) {
+      throw new Error('Item ID is required for storing chunks');
+    }
+    assertWritable();
+    vectors.forEach((vector, index) => assertLibraryVector(vector, `Vector of chunk ${index} of item ${itemId}`));
+    
+    try {
+      const rows = buildChunkRows(itemId, chunks, vectors, sourceText);
+      
+      if (rows.length < chunks.length) {
+        logger.warn(`Skipping ${chunks.length - rows.length} chunks without embeddings for item ${itemId}`);
+      }
+      
+      await chunkCollection.delete(`item_id = ${sqlString(itemId)}`);
+      
+      if (rows.length > 0) {
+        await chunkCollection.add(rows);
+      }
+      
+      logger.info(`Stored ${rows.length} chunks for item ${itemId}`);
+      return rows.length;
+    } catch (error) {
+      logger.error(`Error storing chunks for item ${itemId}:`, error);
+      throw error;
+    }
+  },
+  {
+    queryName: 'addItemChunks',
+    enableCache: false, // No caching for write operations
+  }
+);
+
+/**
+ * Look up a single item row by ID with a filtered scan
+ * @param {string} id The item ID
+ * @returns {Promise<Object|null>} The raw item row, or null if it doesn't exist
+ */
+async function findItemRow(id) {
+  const rows = await collection.filter(`id = ${sqlString(id)}`).limit(1).execute();
+  return rows[0] || null;
+}
+
+/**
+ * Replace fields of a stored item, keeping its ID and creation date
+ * Used when a source is fetched again; the caller stores the new chunk vectors with addItemChunks.
+ * @param {string} id The item ID
+ * @param {Object} changes Fields to replace (e.g. title, extracted_text, text_chunks, vector, metadata)
+ * @returns {Promise<Object>} The updated item row
+ */
+const updateItem = optimizeQuery(
+  async (id, changes) => {
+    if (!collection) {
+      throw new Error('Database not initialized');
+    }
+    assertWritable();
+    assertLibraryVector(changes.vector, `Vector of item ${id}`);
+    
+    const row = await findItemRow(id);
+    if (!row) {
+      throw new Error(`Item with ID ${id} not found`);
+    }
+    
+    const updated = { ...row, ...changes, id, created_at: row.created_at };
+    const metadata = parseMetadata(updated.metadata);
+    const identity = {
+      sourceKey: metadata.source_key || sourceKey({ ...updated, metadata }),
+      contentHash: contentHash(updated.extracted_text)
+    };
+    updated.metadata = JSON.stringify({
+      ...metadata,
+      ...(identity.sourceKey ? { source_key: identity.sourceKey } : {}),
+      ...(identity.contentHash ? { content_hash: identity.contentHash } : {})
+    });
+    
+    // LanceDB has no in-place update for these columns, so swap the row
+    await collection.delete(`id = ${sqlString(id)}`);
+    try {
+      await collection.add([updated]);
+    } catch (error) {
+      await collection.add([row]);
+      throw error;
+    }
+    
+    if (keywordIndexReady) {
+      keywordIndex.addItem(id, keywordChunksForItem(updated));
+    }
+    forgetIngestKeys(id);
+    rememberIngestKeys(id, identity);
+    
+    // Cached listings and lookups no longer reflect the table
+    dbMemoryManager.clearQueryCache();
+    logger.info(`Updated item ${id}`);
+    return updated;
+  },
+  {
+    queryName: 'updateItem',
+    enableCache: false, // No caching for write operations
+  }
+);
+
 /**
  * Delete an item from the database
  * @param {string} id The ID of the item to delete
@@ -496,16 +1104,14 @@ const deleteItem = optimizeQuery(
     if (!id) {
       throw new Error('Item ID is required for deletion');
     }
+    assertWritable();
     
     logger.info(`Attempting to delete item with ID: ${id}`);
     
     try {
       // Get item to retrieve file path before deletion
-      const sampleVector = new Array(config.embeddings.dimensions).fill(0);
-      logger.debug(`Searching for item with ID: ${id} before deletion`);
-      
-      const results = await collection.search(sampleVector).limit(1000).execute();
-      const item = results.find(result => result.id === id);
+      logger.debug(`Looking up item with ID: ${id} before deletion`);
+      const item = await findItemRow(id);
       
       if (!item) {
         logger.warn(`Item with ID ${id} not found for deletion`);
@@ -544,11 +1150,36 @@ const deleteItem = optimizeQuery(
         }
       }
       
+      if (item.source_type === 'url') {
+        try {
+          removeVersions(id);
+        } catch (versionsError) {
+          // Log but don't fail the whole operation if the snapshots can't be removed
+          logger.error(`Error deleting versions of item ${id}:`, versionsError);
+        }
+      }
+      
+      try {
+        removeArchives(id);
+      } catch (archivesError) {
+        // Log but don't fail the whole operation if the archives can't be removed
+        logger.error(`Error deleting archives of item ${id}:`, archivesError);
+      }
+      
       // LanceDB uses a SQL-like query language
       logger.debug(`Executing database delete for item: ${id}`);
-      await collection.delete(`id='${id}'`);
+      await collection.delete(`id = ${sqlString(id)}`);
+      
+      if (chunkCollection) {
+        await chunkCollection.delete(`item_id = ${sqlString(id)}`);
+      }
+      keywordIndex.removeItem(id);
+      forgetIngestKeys(id);
       logger.info(`Successfully deleted item with ID: ${id} from database`);
       
+      // Cached listings and lookups no longer reflect the table
+      dbMemoryManager.clearQueryCache();
+      
       return true;
     } catch (error) {
       logger.error(`Error deleting item with ID ${id}:`, error);
@@ -562,50 +1193,121 @@ const deleteItem = optimizeQuery(
 );
 
 /**
- * List all items in the database
- * @returns {Promise<Array>} Array of items
+ * Build the listing entry for an item row
+ * @param {Object} item The raw item row
+ * @returns {Object} The item summary shown in listings
+ */
+function toListEntry(item) {
+  // Generate preview from available text
+  let preview = '';
+  if (item.text_chunks && Array.isArray(item.text_chunks) && item.text_chunks.length > 0) {
+    // Join first few chunks for a longer preview
+    preview = item.text_chunks.slice(0, 3).join(' ');
+  } else if (item.extracted_text) {
+    preview = item.extracted_text;
+  }
+  
+  // Limit preview length
+  if (preview.length > 500) {
+    preview = preview.substring(0, 497) + '...';
+  }
+  
+  return {
+    id: item.id,
+    title: item.title || 'Untitled',
+    source_type: item.source_type,
+    source_identifier: item.source_identifier,
+    thumbnail_url: item.thumbnail_url || null,
+    preview: preview,
+    created_at: item.created_at
+  };
+}
+
+/**
+ * List items in the database, one page at a time
+ * Only the ID and sort column are scanned for every matching row; full rows are
+ * fetched for the requested page alone. Tables created before `created_at` was part
+ * of the schema fall back to ID order when sorting on it.
+ * @param {Object} options Listing options
+ * @param {number|null} options.limit Page size (null returns every matching row)
+ * @param {number} options.offset Number of rows to skip (ignored when a cursor is given)
+ * @param {string} options.cursor Cursor returned as `nextCursor` by the previous page
+ * @param {string} options.sortBy Column to sort on: 'created_at' or 'title'
+ * @param {string} options.sortDirection 'asc' or 'desc'
+ * @param {string|Object} options.where SQL filter, or an object of column/value pairs
+ * @returns {Promise<Object>} Page of items with `total`, `offset`, `nextCursor` and `hasMore`
  */
 const listItems = optimizeQuery(
-  async () => {
+  async (options = {}) => {
     if (!collection) {
       throw new Error('Database not initialized');
     }
     
+    const {
+      limit = DEFAULT_PAGE_SIZE,
+      offset = 0,
+      cursor = null,
+      sortBy = 'created_at',
+      sortDirection = 'desc',
+      where = null
+    } = options;
+    
+    if (!LIST_SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Cannot sort by ${sortBy}, expected one of: ${LIST_SORT_FIELDS.join(', ')}`);
+    }
+    
     try {
-      // Since neither query() nor scan() is available, use search with a dummy vector
-      // This should return all items when no specific vector search is performed
-      const sampleVector = new Array(config.embeddings.dimensions).fill(0);
-      const results = await collection.search(sampleVector).limit(1000).execute();
-      
-      // Process results to extract just the needed fields
-      return results.map(item => {
-        // Generate preview from available text
-        let preview = '';
-        if (item.text_chunks && Array.isArray(item.text_chunks) && item.text_chunks.length > 0) {
-          // Join first few chunks for a longer preview
-          preview = item.text_chunks.slice(0, 3).join(' ');
-          // Limit preview length
-          if (preview.length > 500) {
-            preview = preview.substring(0, 497) + '...';
-          }
-        } else if (item.extracted_text) {
-          preview = item.extracted_text;
-          // Limit preview length
-          if (preview.length > 500) {
-            preview = preview.substring(0, 497) + '...';
-          }
+      const filter = buildWhereClause(where);
+      const total = await collection.countRows(filter);
+      
+      // Scan just the sort keys of every matching row
+      const schema = await collection.schema;
+      const hasSortColumn = schema.fields.some(field => field.name === sortBy);
+      const keyColumns = hasSortColumn ? ['id', sortBy] : ['id'];
+      const keyRows = total > 0
+        ? await collection.filter(filter).select(keyColumns).limit(total).execute()
+        : [];
+      
+      const direction = sortDirection === 'asc' ? 1 : -1;
+      const keyOf = (row) => {
+        const value = hasSortColumn ? row[sortBy] : null;
+        return { id: row.id, value: sortBy === 'title' && value ? value.toLowerCase() : (value || '') };
+      };
+      const compareKeys = (a, b) => {
+        if (a.value !== b.value) {
+          return (a.value < b.value ? -1 : 1) * direction;
         }
-        
-        return {
-          id: item.id,
-          title: item.title || 'Untitled',
-          source_type: item.source_type,
-          source_identifier: item.source_identifier,
-          thumbnail_url: item.thumbnail_url || null,
-          preview: preview,
-          created_at: item.created_at
-        };
-      });
+        return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+      };
+      const keys = keyRows.map(keyOf).sort(compareKeys);
+      
+      // Resolve the start of the page from the cursor (position after the last returned row) or the offset
+      let start = Math.max(0, parseInt(offset, 10) || 0);
+      if (cursor) {
+        const after = decodeCursor(cursor);
+        const index = keys.findIndex(key => compareKeys(key, after) > 0);
+        start = index === -1 ? keys.length : index;
+      }
+      
+      const pageSize = limit === null ? keys.length : Math.max(0, parseInt(limit, 10) || 0);
+      const pageKeys = keys.slice(start, start + pageSize);
+      
+      // Fetch the full rows for this page only
+      const rows = await fetchItemsByIds(pageKeys.map(key => key.id));
+      const items = pageKeys
+        .filter(key => rows.has(key.id))
+        .map(key => toListEntry(rows.get(key.id)));
+      
+      const hasMore = start + pageKeys.length < keys.length;
+      
+      return {
+        items,
+        total,
+        offset: start,
+        limit: pageSize,
+        nextCursor: hasMore && pageKeys.length > 0 ? encodeCursor(pageKeys[pageKeys.length - 1]) : null,
+        hasMore
+      };
     } catch (error) {
       logger.error('Error listing items from database:', error);
       throw error;
@@ -618,8 +1320,314 @@ const listItems = optimizeQuery(
   }
 );
 
+/**
+ * Fetch full item rows for a set of IDs
+ * @param {Array<string>} ids Item IDs
+ * @returns {Promise<Map<string, Object>>} Items keyed by ID
+ */
+async function fetchItemsByIds(ids) {
+  if (ids.length === 0) {
+    return new Map();
+  }
+  
+  const rows = await collection
+    .filter(`id IN (${ids.map(sqlString).join(', ')})`)
+    .limit(ids.length)
+    .execute();
+  
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+/**
+ * Convert a LanceDB distance into a relevance score between 0 and 1
+ * @param {number} distance The vector distance
+ * @returns {number} Relevance score (higher is more relevant)
+ */
+function distanceToScore(distance) {
+  return typeof distance === 'number' ? 1 / (1 + distance) : 0;
+}
+
+/**
+ * Find which of a set of items have rows in the chunk table
+ * @param {Array<string>} ids Item IDs
+ * @returns {Promise<Set<string>>} IDs of the items that have chunks
+ */
+async function itemIdsWithChunks(ids) {
+  if (!chunkCollection || ids.length === 0) {
+    return new Set();
+  }
+  
+  const filter = `item_id IN (${ids.map(sqlString).join(', ')})`;
+  const count = await chunkCollection.countRows(filter);
+  if (count === 0) {
+    return new Set();
+  }
+  
+  const rows = await chunkCollection.filter(filter).select(['item_id']).limit(count).execute();
+  return new Set(rows.map(row => row.item_id));
+}
+
+/**
+ * Search the chunk table and resolve each hit to its parent item
+ * Only the best matching chunk of each item is kept. Items stored before the chunk
+ * table existed only carry a document-level vector, so those are searched as a fallback.
+ * @param {Array<number>} queryVector The query vector
+ * @param {number} limit Maximum number of items to return
+ * @returns {Promise<Array<Object>>} Item rows with `matched_chunk` and `score` attached
+ */
+async function searchChunks(queryVector, limit) {
+  assertLibraryVector(queryVector, 'Query vector');
+  
+  const results = [];
+  const seen = new Set();
+  
+  if (chunkCollection) {
+    const chunkHits = await chunkCollection
+      .search(queryVector)
+      .limit(limit * CHUNK_OVERFETCH_FACTOR)
+      .execute();
+    
+    // Hits arrive ordered by distance, so the first hit per item is its best passage
+    const bestHits = [];
+    for (const hit of chunkHits) {
+      if (seen.has(hit.item_id)) continue;
+      seen.add(hit.item_id);
+      bestHits.push(hit);
+      if (bestHits.length >= limit) break;
+    }
+    
+    const parents = await fetchItemsByIds(bestHits.map(hit => hit.item_id));
+    
+    bestHits.forEach(hit => {
+      const parent = parents.get(hit.item_id);
+      if (!parent) {
+        logger.warn(`Chunk ${hit.id} references missing item ${hit.item_id}, skipping`);
+        return;
+      }
+      
+      results.push({
+        ...parent,
+        _distance: hit._distance,
+        score: distanceToScore(hit._distance),
+        matched_chunk: {
+          chunk_index: hit.chunk_index,
+          text: hit.text,
+          start_offset: hit.start_offset,
+          end_offset: hit.end_offset
+        }
+      });
+    });
+  }
+  
+  if (results.length < limit) {
+    const itemHits = (await collection.search(queryVector).limit(limit).execute())
+      .filter(item => !seen.has(item.id));
+    
+    // Items with chunk rows were already considered at passage level
+    const chunked = await itemIdsWithChunks(itemHits.map(item => item.id));
+    
+    for (const item of itemHits) {
+      if (results.length >= limit) break;
+      if (chunked.has(item.id)) continue;
+      
+      seen.add(item.id);
+      results.push({
+        ...item,
+        score: item.score !== undefined ? item.score : distanceToScore(item._distance)
+      });
+    }
+  }
+  
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Split an item row into the chunk documents indexed for keyword search
+ * @param {Object} item The item row
+ * @returns {Array<Object>} Chunks as { text, chunkIndex, startOffset, endOffset }
+ */
+function keywordChunksForItem(item) {
+  let textChunks = item.text_chunks || [];
+  if (typeof textChunks === 'string') {
+    try {
+      textChunks = JSON.parse(textChunks);
+    } catch (e) {
+      textChunks = [textChunks];
+    }
+  }
+  
+  if (!Array.isArray(textChunks) || textChunks.length === 0) {
+    textChunks = item.extracted_text ? [item.extracted_text] : [];
+  }
+  
+  const offsets = item.extracted_text ? locateChunks(item.extracted_text, textChunks) : [];
+  
+  return textChunks.map((text, index) => {
+    const located = offsets[index] && offsets[index].start >= 0 ? offsets[index] : null;
+    return {
+      text,
+      chunkIndex: index,
+      startOffset: located ? located.start : null,
+      endOffset: located ? located.end : null
+    };
+  });
+}
+
+/**
+ * Build the keyword index from the item table the first time it is needed
+ * @returns {Promise<void>}
+ */
+function ensureKeywordIndex() {
+  if (!keywordIndexReady) {
+    keywordIndexReady = (async () => {
+      const total = await collection.countRows();
+      const rows = total > 0
+        ? await collection.filter(undefined).select(['id', 'text_chunks', 'extracted_text']).limit(total).execute()
+        : [];
+      
+      rows.forEach(row => keywordIndex.addItem(row.id, keywordChunksForItem(row)));
+      logger.info(`Built keyword index with ${keywordIndex.size} chunks from ${rows.length} items`);
+    })().catch(error => {
+      // Let the next search retry the build
+      keywordIndexReady = null;
+      throw error;
+    });
+  }
+  
+  return keywordIndexReady;
+}
+
+/**
+ * Rank items against a text query with the BM25 keyword index
+ * @param {string} query The text query
+ * @param {number} limit Maximum number of items to return
+ * @returns {Promise<Array<Object>>} Item rows with `matched_chunk`, `bm25` and a relative `score` attached
+ */
+async function keywordSearch(query, limit) {
+  await ensureKeywordIndex();
+  
+  const hits = keywordIndex.search(query, limit);
+  if (hits.length === 0) {
+    return [];
+  }
+  
+  const parents = await fetchItemsByIds(hits.map(hit => hit.itemId));
+  const topScore = hits[0].score;
+  
+  return hits
+    .filter(hit => parents.has(hit.itemId))
+    .map(hit => ({
+      ...parents.get(hit.itemId),
+      bm25: hit.score,
+      score: topScore > 0 ? hit.score / topScore : 0,
+      matched_chunk: {
+        chunk_index: hit.chunkIndex,
+        text: hit.text,
+        start_offset: hit.startOffset,
+        end_offset: hit.endOffset
+      }
+    }));
+}
+
+/**
+ * Rank items with the requested strategy
+ * Hybrid mode fuses the vector and BM25 rankings with reciprocal rank fusion and falls back
+ * to whichever ranking is available when the query text or vector is missing.
+ * @param {string} query The text query
+ * @param {Array<number>} queryVector The query vector
+ * @param {string} mode 'keyword', 'vector' or 'hybrid'
+ * @param {number} limit Maximum number of items to return
+ * @returns {Promise<Array<Object>>} Item rows with `matched_chunk` and `score` attached
+ */
+async function searchByMode(query, queryVector, mode, limit) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode}, expected one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  
+  const hasVector = Array.isArray(queryVector) && queryVector.length > 0;
+  const hasQuery = typeof query === 'string' && query.trim().length > 0;
+  
+  if (mode === 'vector' || (mode === 'hybrid' && !hasQuery)) {
+    return hasVector ? searchChunks(queryVector, limit) : [];
+  }
+  
+  if (mode === 'keyword' || !hasVector) {
+    return hasQuery ? keywordSearch(query, limit) : [];
+  }
+  
+  // Fetch deeper rankings than requested so fusion can promote items found by only one ranker
+  const [vectorHits, keywordHits] = await Promise.all([
+    searchChunks(queryVector, limit * 2),
+    keywordSearch(query, limit * 2)
+  ]);
+  
+  const vectorById = new Map(vectorHits.map(item => [item.id, item]));
+  const keywordById = new Map(keywordHits.map(item => [item.id, item]));
+  
+  return reciprocalRankFusion([
+    vectorHits.map(item => item.id),
+    keywordHits.map(item => item.id)
+  ])
+    .slice(0, limit)
+    .map(({ id, score, ranks }) => {
+      const vectorHit = vectorById.get(id);
+      const keywordHit = keywordById.get(id);
+      // Show the passage from whichever ranker placed the item higher
+      const [vectorRank, keywordRank] = ranks;
+      const primary = vectorHit && (!keywordHit || vectorRank <= keywordRank) ? vectorHit : keywordHit;
+      
+      return {
+        ...primary,
+        score,
+        scores: {
+          vector: vectorHit ? vectorHit.score : null,
+          keyword: keywordHit ? keywordHit.score : null
+        }
+      };
+    });
+}
+
+/**
+ * Search items by keyword, vector or both
+ * @param {string} query The text query (required for keyword and hybrid ranking)
+ * @param {Array<number>} queryVector The query vector (required for vector and hybrid ranking)
+ * @param {Object} options Search options
+ * @param {string} options.mode 'keyword', 'vector' or 'hybrid'
+ * @param {number} options.limit Maximum number of items to return
+ * @returns {Promise<Array>} Matching items with `matched_chunk` and `score` attached, best first
+ */
+const hybridSearch = optimizeQuery(
+  async (query, queryVector = null, options = {}) => {
+    if (!collection) {
+      throw new Error('Database not initialized');
+    }
+    
+    const { mode = 'hybrid', limit = 5 } = options;
+    
+    try {
+      return await searchByMode(query, queryVector, mode, limit);
+    } catch (error) {
+      logger.error(`Error performing ${mode} search:`, error);
+      throw error;
+    }
+  },
+  {
+    queryName: 'hybridSearch',
+    enableCache: true,
+    cacheTTLMs: 300000, // 5 minutes cache
+    cacheKeyFn: (query, queryVector, options = {}) => {
+      const vectorSignature = Array.isArray(queryVector)
+        ? queryVector.slice(0, 5).map(v => v.toFixed(3)).join(':')
+        : 'none';
+      return `hybrid:${options.mode || 'hybrid'}:${options.limit || 5}:${query || ''}:${vectorSignature}`;
+    }
+  }
+);
+
 /**
  * Perform a vector search
+ * Searches chunk-level vectors and returns parent items with the matching passage
+ * attached as `matched_chunk`.
  * @param {Array} queryVector The query vector
  * @param {number} limit The maximum number of results
  * @returns {Promise<Array>} Array of matching items
@@ -647,12 +1655,7 @@ const vectorSearch = optimizeQuery(
         if (global.gc) global.gc();
       }
       
-      const results = await collection
-        .search(queryVector)
-        .limit(limit)
-        .execute();
-      
-      return results;
+      return await searchChunks(queryVector, limit);
     } catch (error) {
       logger.error('Error performing vector search:', error);
       throw error;
@@ -693,12 +1696,13 @@ const semanticSearch = optimizeQuery(
         contextWindowSize = 3,
         minRelevanceScore = 0.6,
         deduplicate = true,
-        maxTotalTokens = 4000
+        maxTotalTokens = 4000,
+        mode = 'vector'
       } = options;
       
-      // Use provided vector or fallback to query
+      // Keyword ranking works from the query text alone; the other modes need a vector
       const searchVector = queryVector;
-      if (!searchVector) {
+      if (!searchVector && mode !== 'keyword') {
         logger.warn('No query vector provided for semantic search, using fallback');
         return [];
       }
@@ -712,14 +1716,14 @@ const semanticSearch = optimizeQuery(
       
       // Execute search with memory optimization
       const results = await dbMemoryManager.executeWithMemoryCheck(
-        async () => collection.search(searchVector).limit(searchLimit).execute(),
+        async () => searchByMode(query, searchVector, mode, searchLimit),
         'semanticSearch'
       );
       
       // Filter and process results
       const processedResults = results
-        // Filter out results with low relevance score
-        .filter(item => item.score >= minRelevanceScore)
+        // Filter out results with low relevance score (keyword and fused scores are relative ranks, not similarities)
+        .filter(item => mode !== 'vector' || item.score >= minRelevanceScore)
         // Map to standardized format with content processing
         .map(item => {
           try {
@@ -743,10 +1747,12 @@ const semanticSearch = optimizeQuery(
               }
             }
             
-            // Prepare content based on options
+            // Prepare content based on options, preferring the passage that matched
             let content = null;
             if (includeContent) {
-              if (textChunks && textChunks.length > 0) {
+              if (item.matched_chunk) {
+                content = item.matched_chunk.text;
+              } else if (textChunks && textChunks.length > 0) {
                 content = textChunks.join(' ');
               } else if (item.extracted_text) {
                 content = item.extracted_text;
@@ -762,11 +1768,18 @@ const semanticSearch = optimizeQuery(
               sourceType: item.source_type,
               sourceId: item.source_identifier,
               score: item.score,
+              scores: item.scores || null,
               content: content,
               estimatedTokens,
               metadata,
               summary: includeSummary ? item.summary || null : null,
-              originalPath: item.original_content_path
+              originalPath: item.original_content_path,
+              passage: item.matched_chunk ? {
+                chunkIndex: item.matched_chunk.chunk_index,
+                text: item.matched_chunk.text,
+                startOffset: item.matched_chunk.start_offset,
+                endOffset: item.matched_chunk.end_offset
+              } : null
             };
           } catch (err) {
             logger.warn(`Error processing search result for item ${item.id}`, err);
@@ -805,7 +1818,7 @@ const semanticSearch = optimizeQuery(
       
       // Monitor memory after search
       const memAfter = memoryManager.monitorMemory();
-      logger.debug(`Memory after semantic search: ${memAfter.heapUsedMB}MB, ${memAfter.heapUsedRatio.toFixed(2)}% used`);
+      logger.debug(`Memory after semantic search: ${memAfter.heapUsedMB}MB`);
       
       // Request garbage collection if memory usage is high
       if (memAfter.heapUsedRatio > 0.7 && global.gc) {
@@ -828,7 +1841,8 @@ const semanticSearch = optimizeQuery(
       if (!query && !queryVector) return 'search:invalid';
       const queryKey = query ? query.substring(0, 50) : '';
       const optionsKey = options ? JSON.stringify(Object.keys(options).sort()) : '';
-      return `semantic:${queryKey}:${optionsKey}`;
+      const modeKey = (options && options.mode) || 'vector';
+      return `semantic:${modeKey}:${queryKey}:${optionsKey}`;
     }
   }
 );
@@ -851,15 +1865,10 @@ const getItemById = optimizeQuery(
         includeVector = false,
         includeContent = true,
         includeTranscript = false,
+        includeText = false,
       } = options;
       
-      // Since we can't directly query by ID with the current vectordb API,
-      // we need to use search as a workaround
-      const sampleVector = new Array(config.embeddings.dimensions).fill(0);
-      const results = await collection.search(sampleVector).limit(1000).execute();
-      
-      // Find the item with matching ID
-      const item = results.find(result => result.id === id);
+      const item = await findItemRow(id);
       
       if (!item) {
         throw new Error(`Item with ID ${id} not found`);
@@ -905,6 +1914,11 @@ const getItemById = optimizeQuery(
         }
       }
       
+      // Include the full extracted text if requested
+      if (includeText) {
+        response.extractedText = item.extracted_text || '';
+      }
+      
       // Include transcript if requested and available
       if (includeTranscript && item.source_type === 'youtube') {
         if (item.transcript_path && fs.existsSync(item.transcript_path)) {
@@ -939,6 +1953,296 @@ const getItemById = optimizeQuery(
   }
 );
 
+/**
+ * Build a row that fits a table schema, used to create an empty table with the same columns
+ * @param {Object} schema Arrow schema of the source table
+ * @param {number} dimensions Vector size of the new table
+ * @param {string} id ID of the seed row
+ * @returns {Object} The seed row
+ */
+function seedRowForSchema(schema, dimensions, id) {
+  const row = {};
+  
+  schema.fields.forEach(field => {
+    const type = String(field.type);
+    
+    if (field.name === 'vector') {
+      row.vector = new Array(dimensions).fill(0);
+    } else if (type.startsWith('Utf8')) {
+      row[field.name] = '';
+    } else if (type.startsWith('List')) {
+      row[field.name] = [''];
+    } else if (type.startsWith('Bool')) {
+      row[field.name] = false;
+    } else if (/^(Float|Int|Uint)/.test(type)) {
+      row[field.name] = 0;
+    } else {
+      throw new Error(`Cannot copy column ${field.name} of type ${type}`);
+    }
+  });
+  
+  row.id = id;
+  return row;
+}
+
+/**
+ * Create an empty table with the columns of another table and a different vector size
+ * @param {Object} sourceTable Table whose columns to copy
+ * @param {string} tableName Name of the new table
+ * @param {number} dimensions Vector size of the new table
+ * @returns {Promise<Object>} The new table
+ */
+async function createTableLike(sourceTable, tableName, dimensions) {
+  const seedId = '__schema_seed__';
+  const schema = await sourceTable.schema;
+  
+  // LanceDB infers the schema from the initial rows, so seed with a row and remove it afterwards
+  const table = await tableConnection().createTable(tableName, [seedRowForSchema(schema, dimensions, seedId)]);
+  await table.delete(`id = ${sqlString(seedId)}`);
+  return table;
+}
+
+/**
+ * Read the IDs of every row in a table
+ * @param {Object} table The LanceDB table
+ * @returns {Promise<Array<string>>} Row IDs, sorted
+ */
+async function scanIds(table) {
+  const total = await table.countRows();
+  const rows = total > 0
+    ? await table.filter(undefined).select(['id']).limit(total).execute()
+    : [];
+  
+  return rows.map(row => row.id).sort();
+}
+
+/**
+ * List the IDs of every item in the library
+ * @returns {Promise<Array<string>>} Item IDs, sorted
+ */
+async function listItemIds() {
+  if (!collection) {
+    throw new Error('Database not initialized');
+  }
+  return scanIds(collection);
+}
+
+/**
+ * Read the stored chunk rows of an item
+ * @param {string} itemId ID of the item
+ * @returns {Promise<Array<Object>>} Chunk rows in document order
+ */
+async function getItemChunkRows(itemId) {
+  const filter = `item_id = ${sqlString(itemId)}`;
+  const count = await chunkCollection.countRows(filter);
+  if (count === 0) {
+    return [];
+  }
+  
+  const rows = await chunkCollection.filter(filter).limit(count).execute();
+  return rows.sort((a, b) => a.chunk_index - b.chunk_index);
+}
+
+/**
+ * Start writing a rebuilt copy of the library into staging tables
+ * Staging tables have the columns of the live tables and the vector size of the target provider.
+ * Adding and deleting items is rejected until the rebuild is committed or ended.
+ * @param {Object} target { providerId, modelId, dimensions, collection, chunkCollection }
+ * @param {Object} [options] Options
+ * @param {boolean} [options.resume=false] Reopen staging tables left by an interrupted rebuild
+ */
+async function beginLibraryRebuild(target, options = {}) {
+  const { resume = false } = options;
+  
+  if (!collection) {
+    throw new Error('Database not initialized');
+  }
+  if (rebuild) {
+    throw new Error('A library rebuild is already in progress');
+  }
+  
+  const staged = resume
+    ? {
+      collection: await monitoredDb.openTable(target.collection),
+      chunkCollection: await monitoredDb.openTable(target.chunkCollection)
+    }
+    : {
+      collection: await createTableLike(collection, target.collection, target.dimensions),
+      chunkCollection: await createTableLike(chunkCollection, target.chunkCollection, target.dimensions)
+    };
+  
+  rebuild = { target, ...staged };
+  logger.info(`${resume ? 'Resumed' : 'Started'} library rebuild into ${target.collection}`, {
+    providerId: target.providerId,
+    dimensions: target.dimensions
+  });
+}
+
+/**
+ * List the IDs of items already written to the staging tables
+ * @returns {Promise<Array<string>>} Item IDs, sorted
+ */
+async function listRebuiltItemIds() {
+  if (!rebuild) {
+    throw new Error('No library rebuild in progress');
+  }
+  return scanIds(rebuild.collection);
+}
+
+/**
+ * Write a rebuilt item and its chunks to the staging tables
+ * Chunks are written before the item row, so an item row in staging means the item is complete.
+ * @param {Object} itemRow The item row with its new text chunks and vector
+ * @param {Array<string>} chunks Text chunks in document order
+ * @param {Array<Array<number>>} vectors Embedding vector for each chunk
+ * @param {string} sourceText Text the chunks were produced from
+ */
+async function writeRebuiltItem(itemRow, chunks, vectors, sourceText) {
+  if (!rebuild) {
+    throw new Error('No library rebuild in progress');
+  }
+  
+  const { target } = rebuild;
+  const label = `Vector of rebuilt item ${itemRow.id}`;
+  [itemRow.vector, ...vectors].forEach(vector => {
+    if (!Array.isArray(vector) || vector.length !== target.dimensions) {
+      throw new Error(`${label} does not have ${target.dimensions} dimensions`);
+    }
+  });
+  
+  // Clear anything an interrupted run left behind for this item
+  const quotedId = sqlString(itemRow.id);
+  await rebuild.chunkCollection.delete(`item_id = ${quotedId}`);
+  await rebuild.collection.delete(`id = ${quotedId}`);
+  
+  const chunkRows = buildChunkRows(itemRow.id, chunks, vectors, sourceText);
+  if (chunkRows.length > 0) {
+    await rebuild.chunkCollection.add(chunkRows);
+  }
+  await rebuild.collection.add([itemRow]);
+}
+
+/**
+ * Remove items from the staging tables (items deleted from the library while a rebuild was paused)
+ * @param {Array<string>} ids Item IDs
+ */
+async function removeRebuiltItems(ids) {
+  if (!rebuild) {
+    throw new Error('No library rebuild in progress');
+  }
+  
+  for (const id of ids) {
+    await rebuild.chunkCollection.delete(`item_id = ${sqlString(id)}`);
+    await rebuild.collection.delete(`id = ${sqlString(id)}`);
+  }
+}
+
+/**
+ * Drop tables by name, logging rather than failing when one cannot be dropped
+ * @param {Array<string>} tableNames Tables to drop
+ */
+async function dropTables(tableNames) {
+  for (const tableName of tableNames) {
+    try {
+      await tableConnection().dropTable(tableName);
+    } catch (error) {
+      logger.warn(`Could not drop table ${tableName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Switch the library over to the staging tables and drop the old ones
+ * The manifest is written first, so it never points at dropped tables.
+ * @returns {Promise<Object>} The embedding status after the switch
+ */
+async function commitLibraryRebuild() {
+  if (!rebuild) {
+    throw new Error('No library rebuild in progress');
+  }
+  
+  const previous = libraryEmbedding;
+  const { target } = rebuild;
+  const switched = { ...target, updatedAt: new Date().toISOString() };
+  
+  writeEmbeddingManifest(switched);
+  libraryEmbedding = switched;
+  collection = rebuild.collection;
+  chunkCollection = rebuild.chunkCollection;
+  rebuild = null;
+  setActiveEmbeddingProvider(target.providerId);
+  
+  // Chunks changed, so the keyword index is rebuilt from the new table on next use
+  keywordIndex.clear();
+  keywordIndexReady = null;
+  dbMemoryManager.clearQueryCache();
+  
+  await dropTables([previous.collection, previous.chunkCollection]);
+  logger.info(`Library switched to ${target.collection} (${target.modelId}, ${target.dimensions} dimensions)`);
+  
+  return getEmbeddingStatus();
+}
+
+/**
+ * Stop writing to the staging tables without switching to them
+ * @param {Object} [options] Options
+ * @param {boolean} [options.dropTables=false] Drop the staging tables instead of keeping them for a resume
+ */
+async function endLibraryRebuild(options = {}) {
+  if (!rebuild) {
+    return;
+  }
+  
+  const { target } = rebuild;
+  rebuild = null;
+  
+  if (options.dropTables) {
+    await dropTables([target.collection, target.chunkCollection]);
+  }
+  logger.info(`Library rebuild into ${target.collection} ${options.dropTables ? 'discarded' : 'suspended'}`);
+}
+
+/**
+ * Drop the staging tables of a rebuild that is not in progress (e.g. one interrupted by a restart)
+ * @param {Object} target { collection, chunkCollection }
+ */
+async function discardLibraryRebuild(target) {
+  if (rebuild && rebuild.target.collection === target.collection) {
+    return endLibraryRebuild({ dropTables: true });
+  }
+  await dropTables([target.collection, target.chunkCollection]);
+}
+
+/**
+ * Describe the library's embedding model, the configured provider and whether a rebuild is running
+ * @returns {Object} { library, configured, switchPending, providers, rebuilding }
+ */
+function getEmbeddingStatus() {
+  let configured = null;
+  try {
+    configured = describeEmbeddingProvider(getConfiguredEmbeddingProvider());
+  } catch (error) {
+    logger.warn(`Configured embedding provider is unavailable: ${error.message}`);
+  }
+  
+  const library = libraryEmbedding
+    ? {
+      providerId: libraryEmbedding.providerId,
+      modelId: libraryEmbedding.modelId,
+      dimensions: libraryEmbedding.dimensions
+    }
+    : null;
+  
+  return {
+    library,
+    configured,
+    // The configuration asks for a model whose vectors the library does not hold yet
+    switchPending: !!library && !!configured && !isSameEmbeddingSpace(configured, library),
+    providers: listEmbeddingProviders(),
+    rebuilding: !!rebuild
+  };
+}
+
 /**
  * Get database memory statistics
  * @returns {Object} Memory statistics for the database
@@ -965,12 +2269,28 @@ function analyzeDatabasePerformance() {
 
 module.exports = {
   initializeDatabase,
+  isDatabaseInitialized,
   addItem,
+  addItemChunks,
+  updateItem,
   deleteItem,
   listItems,
   vectorSearch,
+  hybridSearch,
   semanticSearch,
   getItemById,
+  findItemIdBySource,
+  fetchItemsByIds,
+  listItemIds,
+  getItemChunkRows,
+  getEmbeddingStatus,
+  beginLibraryRebuild,
+  listRebuiltItemIds,
+  writeRebuiltItem,
+  removeRebuiltItems,
+  commitLibraryRebuild,
+  endLibraryRebuild,
+  discardLibraryRebuild,
   getDatabaseStats,
   analyzeDatabasePerformance,
   storeFile,
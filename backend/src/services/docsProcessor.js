@@ -0,0 +1,217 @@
+/**
+ * Docs Processing Service
+ * Ingests local document files (PDF, Markdown, plain text, HTML, EPUB, DOCX) and whole folders of them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+const { createContextLogger } = require('../utils/logger');
+const { createFileProcessor, isSupportedFile } = require('../utils/processors/processorFactory');
+const { addItem, addItemChunks } = require('./database');
+
+const logger = createContextLogger('DocsProcessor');
+
+/**
+ * Process a single document file
+ * @param {string} filePath Path to the file
+ * @param {Object} [options] Processor options (e.g. { chunking: { strategy } }), plus:
+ * @param {string} [options.sourcePath] Path recorded on the item when filePath is a snapshot copy of it
+ * @param {Object} [options.metadata] Extra metadata stored with the item
+ * @returns {Promise<Object>} The processed item with ID
+ */
+async function processDocumentFile(filePath, options = {}) {
+  const { sourcePath, metadata, ...processorOptions } = options;
+
+  try {
+    logger.info(`Processing document: ${filePath}`);
+
+    if (!fs.existsSync(filePath)) {
+      logger.error(`File not found: ${filePath}`);
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const processor = createFileProcessor(filePath, processorOptions);
+    const document = await processor.extractDocument(filePath);
+
+    if (sourcePath) {
+      document.source_identifier = sourcePath;
+      document.filePath = sourcePath;
+    }
+    if (metadata) {
+      document.metadata = { ...document.metadata, ...metadata };
+    }
+
+    if (!document.extractedText || !document.extractedText.trim()) {
+      throw new Error(`No text could be extracted from ${path.basename(filePath)}`);
+    }
+
+    // Collect embedded chunks; the store callback may be invoked once per storage batch
+    const embeddedChunks = [];
+    await processor.processDocumentData([document], async (batch) => {
+      embeddedChunks.push(...batch);
+      return batch.map(chunk => chunk.chunkIndex);
+    });
+
+    return await storeDocument(document, embeddedChunks);
+  } catch (error) {
+    logger.error('Error processing document', {
+      error: error.message,
+      stack: error.stack,
+      filePath
+    });
+    throw error;
+  }
+}
+
+/**
+ * Store an extracted document and its embedded chunks
+ * @param {Object} document Extracted document data
+ * @param {Array<Object>} embeddedChunks Embedded chunks belonging to the document
+ * @returns {Promise<Object>} The stored document, or the existing item if the document is already in the library
+ */
+async function storeDocument(document, embeddedChunks) {
+  const orderedChunks = [...embeddedChunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const textChunks = orderedChunks.map(chunk => chunk.content);
+
+  // Keep the first chunk's embedding as the document-level vector
+  document.vector = orderedChunks[0]?.embedding || [];
+  if (textChunks.length > 0) {
+    document.text_chunks = textChunks;
+  }
+  document.metadata = { ...document.metadata, chunk_count: textChunks.length };
+
+  const stored = await addItem(document);
+  if (stored.duplicate) {
+    logger.info(`Document ${document.filePath} is already in the library as ${stored.id}`);
+    return stored;
+  }
+
+  await addItemChunks(
+    document.id,
+    textChunks,
+    orderedChunks.map(chunk => chunk.embedding),
+    document.extractedText
+  );
+  logger.info(`Document processed and stored with ID: ${document.id}`);
+  return document;
+}
+
+/**
+ * Normalize a glob option to an array of patterns
+ * @param {string|Array<string>} [patterns] One pattern, a comma separated list or an array
+ * @returns {Array<string>} Patterns
+ */
+function toPatterns(patterns) {
+  if (!patterns) {
+    return [];
+  }
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(',');
+  return list.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+/**
+ * Check a folder-relative path against glob patterns
+ * Patterns without a slash match the file name at any depth (e.g. '*.md').
+ * @param {string} relativePath Path relative to the folder, with forward slashes
+ * @param {Array<string>} patterns Glob patterns
+ * @returns {boolean} Whether any pattern matches
+ */
+function matchesAny(relativePath, patterns) {
+  return patterns.some(pattern => minimatch(relativePath, pattern, { dot: true, matchBase: true }));
+}
+
+/**
+ * List the supported files in a folder
+ * Hidden files and folders are skipped, and symbolic links are not followed.
+ * @param {string} folderPath Folder to scan
+ * @param {Object} [options] Scan options
+ * @param {string|Array<string>} [options.include] Globs a file must match (default: every supported file)
+ * @param {string|Array<string>} [options.exclude] Globs of files and folders to skip
+ * @param {boolean} [options.recursive=true] Whether to descend into subfolders
+ * @returns {Array<string>} Absolute file paths, sorted
+ */
+function listFolderDocuments(folderPath, options = {}) {
+  if (!folderPath || !fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+    throw new Error(`Folder not found: ${folderPath}`);
+  }
+
+  const include = toPatterns(options.include);
+  const exclude = toPatterns(options.exclude);
+  const recursive = options.recursive !== false;
+  const root = path.resolve(folderPath);
+  const files = [];
+
+  const walk = (directory) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const absolutePath = path.join(directory, entry.name);
+      const relativePath = path.relative(root, absolutePath).split(path.sep).join('/');
+
+      if (entry.isDirectory()) {
+        // An excluded folder is not walked at all
+        if (recursive && !matchesAny(relativePath, exclude) && !matchesAny(`${relativePath}/`, exclude)) {
+          walk(absolutePath);
+        }
+      } else if (entry.isFile()
+        && isSupportedFile(entry.name)
+        && (include.length === 0 || matchesAny(relativePath, include))
+        && !matchesAny(relativePath, exclude)) {
+        files.push(absolutePath);
+      }
+    }
+  };
+
+  walk(root);
+  return files.sort();
+}
+
+/**
+ * Ingest every supported file in a folder
+ * Files are processed one at a time; a failing file is reported and does not stop the others.
+ * @param {string} folderPath Folder to ingest
+ * @param {Object} [options] Scan options, see listFolderDocuments, plus processor options
+ * @returns {Promise<Object>} { folderPath, total, processed: [{ id, title, filePath }], failed: [{ filePath, error }] }
+ */
+async function processFolder(folderPath, options = {}) {
+  const { include, exclude, recursive, ...processorOptions } = options;
+  const filePaths = listFolderDocuments(folderPath, { include, exclude, recursive });
+  logger.info(`Ingesting ${filePaths.length} documents from ${folderPath}`, { include, exclude });
+
+  const processed = [];
+  const failed = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const document = await processDocumentFile(filePath, processorOptions);
+      processed.push({
+        id: document.id,
+        title: document.title,
+        filePath,
+        ...(document.duplicate ? { duplicate: true } : {})
+      });
+    } catch (error) {
+      failed.push({ filePath, error: error.message });
+    }
+  }
+
+  logger.info(`Ingested ${processed.length} of ${filePaths.length} documents from ${folderPath}`, {
+    failed: failed.length
+  });
+
+  return {
+    folderPath,
+    total: filePaths.length,
+    processed,
+    failed
+  };
+}
+
+module.exports = {
+  processDocumentFile,
+  processFolder,
+  listFolderDocuments
+};
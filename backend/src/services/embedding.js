@@ -12,6 +12,11 @@ const axios = require('axios');
 const crypto = require('crypto');
 const { createContextLogger } = require('../utils/logger');
 const { localEmbeddingService } = require('./localEmbedding');
+const {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  getActiveEmbeddingProvider
+} = require('./embeddingProviders');
 const logger = createContextLogger('Embedding');
 
 // Ensure model cache directory exists
@@ -61,100 +66,65 @@ async function enforceRateLimit() {
 
 /**
  * Generate an embedding vector for a text chunk
+ * Vectors always come from a single provider so they can be compared with what the library stores;
+ * a failing provider raises an error rather than falling back to a model with a different vector space.
  * @param {string} text The text to generate an embedding for
  * @param {Object} options Options for embedding generation
- * @param {boolean} options.preferLocal Whether to prefer local embeddings over API
- * @param {string} options.modelName Model name to use for API embeddings
+ * @param {string} options.providerId Provider to embed with (defaults to the library's provider)
  * @returns {Promise<Array<number>>} The embedding vector
  */
 async function generateEmbedding(text, options = {}) {
+  const provider = options.providerId
+    ? getEmbeddingProvider(options.providerId)
+    : getActiveEmbeddingProvider();
+  logger.debug(`Using embedding provider ${provider.id} (${provider.modelId})`);
+  
+  // Preprocess text
+  const processedText = text
+    .replace(/\s+/g, ' ')    // Replace multiple spaces with a single space
+    .trim();
+  
+  // Check for cached embedding to avoid redundant API calls; the key includes the model so
+  // switching providers never serves a vector from another model
+  const cacheKey = crypto.createHash('md5')
+    .update(`${provider.id}:${provider.modelId}:${provider.dimensions}:${processedText}`)
+    .digest('hex');
+  const cachePath = path.join(config.paths.modelCache, `${cacheKey}.json`);
+  
+  // Try to use cached embedding first
+  if (fs.existsSync(cachePath)) {
+    try {
+      const cachedVector = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      logger.debug(`Retrieved cached embedding for text of length ${text.length}`);
+      return cachedVector;
+    } catch (cacheError) {
+      logger.warn(`Failed to use cached embedding: ${cacheError.message}`);
+    }
+  }
+  
   try {
-    const { preferLocal = false, modelName = null } = options;
-    
-    // Get the model name from environment or config
-    const embeddingModel = modelName || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
-    logger.debug(`Using embedding model: ${embeddingModel}`);
+    const vector = await provider.embed(processedText);
     
-    // Preprocess text
-    const processedText = text
-      .replace(/\s+/g, ' ')    // Replace multiple spaces with a single space
-      .trim();
+    if (!Array.isArray(vector) || vector.length !== provider.dimensions) {
+      throw new Error(`Embedding provider ${provider.id} returned ${Array.isArray(vector) ? vector.length : 'no'} dimensions, expected ${provider.dimensions}`);
+    }
     
-    // Check for cached embedding to avoid redundant API calls
-    const cacheKey = crypto.createHash('md5').update(processedText + (preferLocal ? '_local' : '_api')).digest('hex');
-    const cachePath = path.join(config.paths.modelCache, `${cacheKey}.json`);
+    // Cache the result
+    fs.writeFileSync(cachePath, JSON.stringify(vector));
     
-    // Try to use cached embedding first
-    if (fs.existsSync(cachePath)) {
-      try {
-        const cachedVector = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-        logger.debug(`Retrieved cached embedding for text of length ${text.length}`);
-        return cachedVector;
-      } catch (cacheError) {
-        logger.warn(`Failed to use cached embedding: ${cacheError.message}`);
-      }
-    }
-
-    // If preferLocal is true or if this is for tab clustering, use local embeddings
-    if (preferLocal || processedText.includes('Title:') || processedText.includes('URL:')) {
-      try {
-        logger.debug('Using local embedding service for tab clustering');
-        const vector = await localEmbeddingService.generateEmbedding(processedText);
-        
-        // Cache the result
-        fs.writeFileSync(cachePath, JSON.stringify(vector));
-        
-        logger.debug(`Generated local embedding for text of length ${text.length}`, { 
-          textLength: text.length, 
-          vectorDimensions: vector.length 
-        });
-        
-        return vector;
-      } catch (localError) {
-        logger.warn('Local embedding failed, falling back to API:', localError.message);
-      }
-    }
+    logger.debug(`Generated ${provider.id} embedding for text of length ${text.length}`, { 
+      textLength: text.length, 
+      vectorDimensions: vector.length 
+    });
     
-    // Try API embedding if local is not preferred or failed
-    try {
-      // Use OpenAI embedding API
-      const vector = await executeWithRetry(() => getOpenAIEmbedding(processedText, embeddingModel));
-      
-      // Cache the result
-      fs.writeFileSync(cachePath, JSON.stringify(vector));
-      
-      logger.debug(`Generated API embedding for text of length ${text.length}`, { 
-        textLength: text.length, 
-        vectorDimensions: vector.length 
-      });
-      
-      return vector;
-    } catch (apiError) {
-      logger.error('Error calling embedding API', { 
-        error: apiError.message, 
-        status: apiError.response?.status,
-        data: apiError.response?.data
-      });
-      
-      // Fall back to local embedding if API fails
-      logger.warn('API embedding failed, falling back to local embedding method');
-      try {
-        const vector = await localEmbeddingService.generateEmbedding(processedText);
-        
-        // Cache the result
-        fs.writeFileSync(cachePath, JSON.stringify(vector));
-        
-        return vector;
-      } catch (localFallbackError) {
-        logger.error('Local embedding fallback also failed:', localFallbackError.message);
-        // Final fallback to simple embedding
-        return fallbackEmbedding(processedText);
-      }
-    }
+    return vector;
   } catch (error) {
-    logger.error('Error generating embedding', { error: error.message, stack: error.stack });
-    // Return a zero vector as fallback
-    return new Array(config.embeddings.dimensions).fill(0);
+    logger.error(`Error generating embedding with ${provider.id}`, { 
+      error: error.message, 
+      status: error.response?.status,
+      data: error.response?.data
+    });
+    throw error;
   }
 }
 
@@ -225,9 +195,10 @@ async function executeWithRetry(fn, maxRetries = 5) {
  * Get embedding from OpenAI
  * @param {string} text The text to embed
  * @param {string} modelName The model name to use (text-embedding-3-small or text-embedding-3-large)
+ * @param {number} [dimensions] Vector size to request from text-embedding-3 models
  * @returns {Promise<Array<number>>} The embedding vector
  */
-async function getOpenAIEmbedding(text, modelName) {
+async function getOpenAIEmbedding(text, modelName, dimensions) {
   logger.debug('Using OpenAI for embeddings');
   
   // Use API endpoint for embedding generation
@@ -280,10 +251,8 @@ async function getOpenAIEmbedding(text, modelName) {
   // Add dimensions parameter for text-embedding-3 models
   if (modelName.includes('text-embedding-3')) {
     // Default dimensions based on model
-    const dimensions = config.embeddings.dimensions || 
+    payload.dimensions = dimensions || 
                       (modelName === 'text-embedding-3-large' ? 3072 : 1536);
-    
-    payload.dimensions = dimensions;
   }
   
   const response = await axios.post(
@@ -304,9 +273,10 @@ async function getOpenAIEmbedding(text, modelName) {
 /**
  * Fallback embedding function for when the API is unavailable
  * @param {string} text The text to generate an embedding for
+ * @param {number} [dimensions] Length of the vector
  * @returns {Array<number>} The embedding vector
  */
-function fallbackEmbedding(text) {
+function fallbackEmbedding(text, dimensions = config.embeddings.dimensions) {
   logger.warn('Using fallback embedding method - NOT FOR PRODUCTION USE');
   
   // For demonstration purposes, create a deterministic but unique vector
@@ -315,7 +285,7 @@ function fallbackEmbedding(text) {
   
   // Convert the hash to a series of numbers to create a vector of the required dimension
   const vector = [];
-  for (let i = 0; i < config.embeddings.dimensions; i++) {
+  for (let i = 0; i < dimensions; i++) {
     // Use the hash to generate numbers between -1 and 1
     const bytePosition = i % 16; // md5 hash is 16 bytes
     const byte = parseInt(hash.substring(bytePosition * 2, bytePosition * 2 + 2), 16);
@@ -326,17 +296,62 @@ function fallbackEmbedding(text) {
   return vector;
 }
 
+// Built-in providers. Each declares the model and vector size it produces; the OpenAI dimension follows
+// config.embeddings.dimensions because text-embedding-3 models can shorten their vectors on request.
+registerEmbeddingProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  modelId: process.env.EMBEDDING_MODEL || config.embeddings.openaiModel || 'text-embedding-3-small',
+  dimensions: config.embeddings.dimensions || 1536,
+  embed(text) {
+    return executeWithRetry(() => getOpenAIEmbedding(text, this.modelId, this.dimensions));
+  }
+});
+
+registerEmbeddingProvider({
+  id: 'gemini',
+  label: 'Google Gemini',
+  modelId: config.embeddings.geminiModel || 'text-embedding-004',
+  dimensions: 768,
+  embed(text) {
+    // Required lazily; the LLM service requires this module for tab clustering embeddings
+    const { embedContent } = require('./llm');
+    return executeWithRetry(() => embedContent(text, this.modelId));
+  }
+});
+
+registerEmbeddingProvider({
+  id: 'local',
+  label: 'Local (node-nlp)',
+  modelId: 'local-nlp-embedding',
+  dimensions: localEmbeddingService.dimensions,
+  embed(text) {
+    return localEmbeddingService.generateEmbedding(text);
+  }
+});
+
+registerEmbeddingProvider({
+  id: 'hash',
+  label: 'Hash (testing only)',
+  modelId: 'md5-hash',
+  dimensions: config.embeddings.dimensions || 384,
+  embed(text) {
+    return fallbackEmbedding(text, this.dimensions);
+  }
+});
+
 /**
  * Generate embeddings for multiple text chunks
  * @param {Array<string>} textChunks Array of text chunks
+ * @param {Object} [options] Options passed to generateEmbedding
  * @returns {Promise<Array<Array<number>>>} Array of embedding vectors
  */
-async function generateEmbeddings(textChunks) {
+async function generateEmbeddings(textChunks, options = {}) {
   logger.info(`Generating embeddings for ${textChunks.length} chunks`);
   const embeddings = [];
   
   for (const chunk of textChunks) {
-    const embedding = await generateEmbedding(chunk);
+    const embedding = await generateEmbedding(chunk, options);
     embeddings.push(embedding);
   }
   
@@ -0,0 +1,161 @@
+/**
+ * Embedding Provider Registry
+ * Declares the embedding models the knowledge base can use. Every provider has a fixed model ID and
+ * vector dimension, so vectors from different providers are never mistaken for one another.
+ */
+
+const config = require('../config');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('EmbeddingProviders');
+
+// Registered providers keyed by ID
+const providers = new Map();
+
+// Provider whose vectors the library currently stores; undefined until the database opens,
+// null when the library holds vectors from a model no registered provider produces
+let activeProviderId;
+
+/**
+ * Register an embedding provider, replacing any provider with the same ID
+ * @param {Object} provider The provider
+ * @param {string} provider.id Unique provider ID (e.g. 'openai')
+ * @param {string} [provider.label] Human readable name
+ * @param {string} provider.modelId ID of the model the provider embeds with
+ * @param {number} provider.dimensions Length of every vector the provider returns
+ * @param {Function} provider.embed Async function (text) => Array<number>
+ * @returns {Object} The registered provider
+ */
+function registerEmbeddingProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('Invalid embedding provider: id is required');
+  }
+  if (typeof provider.modelId !== 'string' || !provider.modelId) {
+    throw new Error(`Invalid embedding provider ${provider.id}: modelId is required`);
+  }
+  if (!Number.isInteger(provider.dimensions) || provider.dimensions <= 0) {
+    throw new Error(`Invalid embedding provider ${provider.id}: dimensions must be a positive integer`);
+  }
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`Invalid embedding provider ${provider.id}: embed must be a function`);
+  }
+
+  const registered = { label: provider.id, ...provider };
+  providers.set(provider.id, registered);
+  logger.debug(`Registered embedding provider ${provider.id}`, {
+    modelId: provider.modelId,
+    dimensions: provider.dimensions
+  });
+  return registered;
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} id Provider ID
+ * @returns {boolean} Whether the provider exists
+ */
+function hasEmbeddingProvider(id) {
+  return providers.has(id);
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id Provider ID
+ * @returns {Object} The provider
+ */
+function getEmbeddingProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * Describe a provider without its embed function
+ * @param {Object} provider The provider
+ * @returns {Object} { id, label, modelId, dimensions }
+ */
+function describeEmbeddingProvider(provider) {
+  const { id, label, modelId, dimensions } = provider;
+  return { id, label, modelId, dimensions };
+}
+
+/**
+ * List every registered provider
+ * @returns {Array<Object>} Provider descriptions
+ */
+function listEmbeddingProviders() {
+  return Array.from(providers.values()).map(describeEmbeddingProvider);
+}
+
+/**
+ * Work out which provider the configuration asks for
+ * `config.embeddings.provider` names a provider ID; 'auto' (the default) picks OpenAI when an API
+ * key is available and the local model otherwise.
+ * @returns {string} Provider ID
+ */
+function resolveConfiguredProviderId() {
+  const requested = (config.embeddings && config.embeddings.provider) || 'auto';
+
+  if (requested !== 'auto') {
+    return requested;
+  }
+  return process.env.OPENAI_API_KEY ? 'openai' : 'local';
+}
+
+/**
+ * Get the provider the configuration asks for
+ * @returns {Object} The provider
+ */
+function getConfiguredEmbeddingProvider() {
+  return getEmbeddingProvider(resolveConfiguredProviderId());
+}
+
+/**
+ * Set the provider whose vectors the library stores
+ * @param {string|null} id Provider ID, or null when no registered provider matches the library
+ */
+function setActiveEmbeddingProvider(id) {
+  if (id !== null) {
+    getEmbeddingProvider(id);
+  }
+  activeProviderId = id;
+}
+
+/**
+ * Get the provider whose vectors the library stores
+ * Before the database has opened this is the configured provider.
+ * @returns {Object} The provider
+ */
+function getActiveEmbeddingProvider() {
+  if (activeProviderId === undefined) {
+    return getConfiguredEmbeddingProvider();
+  }
+  if (activeProviderId === null) {
+    throw new Error('No registered embedding provider matches the vectors in the library; re-embed the library to choose one');
+  }
+  return getEmbeddingProvider(activeProviderId);
+}
+
+/**
+ * Check whether two providers (or library descriptions) produce comparable vectors
+ * @param {Object} a Provider or { modelId, dimensions }
+ * @param {Object} b Provider or { modelId, dimensions }
+ * @returns {boolean} Whether vectors from both can share a table
+ */
+function isSameEmbeddingSpace(a, b) {
+  return !!a && !!b && a.modelId === b.modelId && a.dimensions === b.dimensions;
+}
+
+module.exports = {
+  registerEmbeddingProvider,
+  hasEmbeddingProvider,
+  getEmbeddingProvider,
+  describeEmbeddingProvider,
+  listEmbeddingProviders,
+  resolveConfiguredProviderId,
+  getConfiguredEmbeddingProvider,
+  setActiveEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  isSameEmbeddingSpace
+};
@@ -0,0 +1,199 @@
+/**
+ * Highlights Service
+ * Keeps the passages marked in the browser's reader view. Highlights are anchored to the page URL
+ * with text-quote selectors (the quoted text plus a little context on each side), stored per page in
+ * web_storage/highlights, and each one is also stored as a searchable item linked to its page.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { chunkByParagraphs } = require('../utils/textChunker');
+const { normalizeUrl } = require('../utils/contentIdentity');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { generateEmbeddings } = require('./embedding');
+const { addItem, addItemChunks, deleteItem, findItemIdBySource } = require('./database');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('Highlights');
+
+// Colors a highlight can be painted in; the first is the default
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+// Longest prefix or suffix kept in a selector
+const MAX_SELECTOR_CONTEXT = 64;
+
+// Characters of the quote used in a highlight item's title
+const TITLE_QUOTE_LENGTH = 60;
+
+/**
+ * Key a page is stored under, so the same page is found whatever form of its URL is used
+ * @param {string} url Page URL
+ * @returns {string} Normalized URL
+ */
+function pageKey(url) {
+  return normalizeUrl(url) || url;
+}
+
+/**
+ * Path of the file holding the highlights of a page
+ * @param {string} url Page URL
+ * @returns {string} Absolute file path
+ */
+function highlightsPath(url) {
+  const hash = crypto.createHash('sha256').update(pageKey(url)).digest('hex');
+  return path.join(config.storage.webPath, 'highlights', `${hash}.json`);
+}
+
+/**
+ * List the highlights of a page, oldest first
+ * @param {string} url Page URL
+ * @returns {Array<Object>} Highlights
+ */
+function listHighlights(url) {
+  if (!url) {
+    throw new Error('A page URL is required');
+  }
+  return readJsonFile(highlightsPath(url), { highlights: [] }).highlights;
+}
+
+/**
+ * Save the highlights of a page
+ * @param {string} url Page URL
+ * @param {Array<Object>} highlights Highlights
+ */
+function writeHighlights(url, highlights) {
+  writeJsonFileAtomic(highlightsPath(url), { url: pageKey(url), highlights });
+}
+
+/**
+ * Check and trim a text-quote selector
+ * @param {Object} selector { exact, prefix, suffix }
+ * @returns {Object} { type: 'TextQuoteSelector', exact, prefix, suffix }
+ */
+function toTextQuoteSelector(selector = {}) {
+  if (typeof selector.exact !== 'string' || !selector.exact.trim()) {
+    throw new Error('A highlight needs the text it quotes');
+  }
+  return {
+    type: 'TextQuoteSelector',
+    exact: selector.exact,
+    prefix: String(selector.prefix || '').slice(-MAX_SELECTOR_CONTEXT),
+    suffix: String(selector.suffix || '').slice(0, MAX_SELECTOR_CONTEXT)
+  };
+}
+
+/**
+ * Text stored and embedded for a highlight
+ * @param {Object} highlight Highlight
+ * @returns {string} The quote, its note and the page it comes from
+ */
+function highlightText(highlight) {
+  const parts = [highlight.selector.exact.trim()];
+  if (highlight.note) {
+    parts.push(`Note: ${highlight.note}`);
+  }
+  parts.push(`From: ${highlight.title || highlight.url} (${highlight.url})`);
+  return parts.join('\n\n');
+}
+
+/**
+ * Store a highlight as its own item, linked to the page it was made on
+ * @param {Object} highlight Highlight
+ * @returns {Promise<string>} ID of the item; an identical highlight already stored is reused
+ */
+async function storeHighlightItem(highlight) {
+  const text = highlightText(highlight);
+  const textChunks = chunkByParagraphs(text);
+  const chunkEmbeddings = await generateEmbeddings(textChunks);
+
+  const quote = highlight.selector.exact.replace(/\s+/g, ' ').trim();
+  const id = uuidv4();
+  const stored = await addItem({
+    id,
+    source_type: 'highlight',
+    // Not the page URL, or the highlight would be taken for a second copy of its page
+    source_identifier: `highlight:${highlight.id}`,
+    title: quote.length > TITLE_QUOTE_LENGTH ? `“${quote.slice(0, TITLE_QUOTE_LENGTH - 1).trimEnd()}…”` : `“${quote}”`,
+    original_content_path: highlight.url,
+    extracted_text: text,
+    text_chunks: textChunks,
+    vector: chunkEmbeddings[0] || [],
+    metadata: {
+      url: highlight.url,
+      page_title: highlight.title,
+      parent_item_id: highlight.parentItemId,
+      highlight_id: highlight.id,
+      selector: highlight.selector,
+      color: highlight.color,
+      note: highlight.note,
+      created_at: highlight.createdAt
+    }
+  });
+
+  if (stored.duplicate) {
+    return stored.id;
+  }
+  await addItemChunks(id, textChunks, chunkEmbeddings, text);
+  return id;
+}
+
+/**
+ * Add a highlight to a page
+ * @param {Object} input { url, title, selector: { exact, prefix, suffix }, color, note }
+ * @returns {Promise<Object>} The stored highlight, with the ID of its item and of its page's item
+ */
+async function addHighlight(input = {}) {
+  if (!input.url) {
+    throw new Error('A page URL is required');
+  }
+
+  const highlight = {
+    id: uuidv4(),
+    url: input.url,
+    title: input.title || '',
+    selector: toTextQuoteSelector(input.selector),
+    color: HIGHLIGHT_COLORS.includes(input.color) ? input.color : HIGHLIGHT_COLORS[0],
+    note: typeof input.note === 'string' ? input.note.trim() : '',
+    createdAt: new Date().toISOString(),
+    parentItemId: await findItemIdBySource(input.url),
+    itemId: null
+  };
+
+  highlight.itemId = await storeHighlightItem(highlight);
+  writeHighlights(input.url, [...listHighlights(input.url), highlight]);
+  logger.info(`Highlight ${highlight.id} added to ${input.url}`, { itemId: highlight.itemId });
+
+  return highlight;
+}
+
+/**
+ * Remove a highlight from a page, along with its item
+ * @param {string} url Page URL
+ * @param {string} id Highlight ID
+ * @returns {Promise<boolean>} false if the page has no such highlight
+ */
+async function deleteHighlight(url, id) {
+  const highlights = listHighlights(url);
+  const highlight = highlights.find(entry => entry.id === id);
+  if (!highlight) {
+    return false;
+  }
+
+  const remaining = highlights.filter(entry => entry.id !== id);
+  writeHighlights(url, remaining);
+
+  // Identical highlights share an item
+  if (highlight.itemId && !remaining.some(entry => entry.itemId === highlight.itemId)) {
+    await deleteItem(highlight.itemId);
+  }
+  logger.info(`Highlight ${id} removed from ${url}`);
+  return true;
+}
+
+module.exports = {
+  HIGHLIGHT_COLORS,
+  listHighlights,
+  addHighlight,
+  deleteHighlight
+};
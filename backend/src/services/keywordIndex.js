@@ -0,0 +1,207 @@
+/**
+ * Keyword Index Service
+ * In-memory BM25 full-text index over item chunks, used for keyword and hybrid search
+ */
+
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('KeywordIndex');
+
+// BM25 term frequency saturation and length normalization parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Split text into lowercase search terms
+ * Compound tokens such as error codes (`ERR_CONNECTION_RESET`, `E-1042`, `v2.1`) are kept
+ * whole and also indexed by their parts, so both exact and partial lookups match.
+ * @param {string} text The text to tokenize
+ * @returns {Array<string>} Search terms, in order of appearance
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const terms = [];
+  const matches = text.toLowerCase().match(/[\p{L}\p{N}]+(?:[-_.'][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const token of matches) {
+    terms.push(token);
+
+    const parts = token.split(/[-_.']/);
+    if (parts.length > 1) {
+      terms.push(...parts.filter(Boolean));
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * BM25 index where every chunk of an item is a separate document
+ */
+class KeywordIndex {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Remove every document from the index
+   */
+  clear() {
+    // Chunk documents keyed by `${itemId}:${chunkIndex}`
+    this.docs = new Map();
+    // term -> Map(docKey -> term frequency)
+    this.postings = new Map();
+    // itemId -> Array of docKeys
+    this.itemDocs = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of chunk documents in the index
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Index the chunks of an item, replacing anything previously indexed for it
+   * @param {string} itemId ID of the item
+   * @param {Array<Object>} chunks Chunks as { text, chunkIndex, startOffset, endOffset }
+   */
+  addItem(itemId, chunks) {
+    this.removeItem(itemId);
+
+    const docKeys = [];
+
+    chunks.forEach((chunk, position) => {
+      const terms = tokenize(chunk.text);
+      if (terms.length === 0) {
+        return;
+      }
+
+      const chunkIndex = chunk.chunkIndex !== undefined ? chunk.chunkIndex : position;
+      const docKey = `${itemId}:${chunkIndex}`;
+
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+      frequencies.forEach((frequency, term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(docKey, frequency);
+      });
+
+      this.docs.set(docKey, {
+        itemId,
+        chunkIndex,
+        text: chunk.text,
+        startOffset: chunk.startOffset !== undefined ? chunk.startOffset : null,
+        endOffset: chunk.endOffset !== undefined ? chunk.endOffset : null,
+        length: terms.length,
+        terms: Array.from(frequencies.keys())
+      });
+      this.totalLength += terms.length;
+      docKeys.push(docKey);
+    });
+
+    if (docKeys.length > 0) {
+      this.itemDocs.set(itemId, docKeys);
+    }
+  }
+
+  /**
+   * Remove all chunks of an item from the index
+   * @param {string} itemId ID of the item
+   */
+  removeItem(itemId) {
+    const docKeys = this.itemDocs.get(itemId);
+    if (!docKeys) {
+      return;
+    }
+
+    for (const docKey of docKeys) {
+      const doc = this.docs.get(docKey);
+
+      for (const term of doc.terms) {
+        const posting = this.postings.get(term);
+        posting.delete(docKey);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+
+      this.totalLength -= doc.length;
+      this.docs.delete(docKey);
+    }
+
+    this.itemDocs.delete(itemId);
+  }
+
+  /**
+   * Rank items against a query with BM25
+   * Each item is scored by its best matching chunk.
+   * @param {string} query The search query
+   * @param {number} limit Maximum number of items to return
+   * @returns {Array<Object>} Hits as { itemId, chunkIndex, text, startOffset, endOffset, score }, best first
+   */
+  search(query, limit = 10) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0 || this.docs.size === 0) {
+      return [];
+    }
+
+    const docCount = this.docs.size;
+    const averageLength = this.totalLength / docCount;
+    const docScores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+      posting.forEach((frequency, docKey) => {
+        const { length } = this.docs.get(docKey);
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (length / averageLength));
+        const termScore = idf * (frequency * (BM25_K1 + 1)) / norm;
+        docScores.set(docKey, (docScores.get(docKey) || 0) + termScore);
+      });
+    }
+
+    // Keep the best chunk of every item
+    const bestByItem = new Map();
+    docScores.forEach((score, docKey) => {
+      const doc = this.docs.get(docKey);
+      const best = bestByItem.get(doc.itemId);
+      if (!best || score > best.score) {
+        bestByItem.set(doc.itemId, { doc, score });
+      }
+    });
+
+    const hits = Array.from(bestByItem.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ doc, score }) => ({
+        itemId: doc.itemId,
+        chunkIndex: doc.chunkIndex,
+        text: doc.text,
+        startOffset: doc.startOffset,
+        endOffset: doc.endOffset,
+        score
+      }));
+
+    logger.debug(`Keyword search matched ${bestByItem.size} items`, { terms: queryTerms.length });
+    return hits;
+  }
+}
+
+module.exports = {
+  KeywordIndex,
+  tokenize
+};
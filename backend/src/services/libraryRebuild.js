@@ -0,0 +1,384 @@
+/**
+ * Library Rebuild Service
+ * Background job that re-chunks and re-embeds every item, e.g. after changing the chunk size or the
+ * embedding provider. Results go to staging tables that replace the live ones only once every item
+ * is done, and progress is checkpointed to disk so an interrupted job can be resumed.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const database = require('./database');
+const { getActiveEmbeddingProvider, getEmbeddingProvider } = require('./embeddingProviders');
+const { batchGenerateEmbeddings } = require('../utils/batchers/embeddingBatch');
+const { chunkByCharacters, chunkByParagraphs, chunkByMarkdown } = require('../utils/textChunker');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('LibraryRebuild');
+
+// File in the database directory holding the progress of an unfinished rebuild
+const CHECKPOINT_FILE = 'rebuild_checkpoint.json';
+
+// Items fetched from the library per batch
+const ITEM_BATCH_SIZE = 20;
+
+// Chunking strategies, applied to the item's extracted text so chunk offsets stay valid
+const CHUNKING_STRATEGIES = {
+  paragraphs: (text, { chunkSize }) => chunkByParagraphs(text, chunkSize),
+  characters: (text, { chunkSize, chunkOverlap }) => chunkByCharacters(text, chunkSize, chunkOverlap),
+  markdown: (text, { chunkSize }) => chunkByMarkdown(text, chunkSize)
+};
+
+/**
+ * Raised inside the job loop when a cancel was requested
+ */
+class RebuildCancelledError extends Error {
+  constructor() {
+    super('Library rebuild cancelled');
+    this.name = 'RebuildCancelledError';
+  }
+}
+
+/**
+ * Get the text an item is re-chunked from
+ * @param {Object} item The item row
+ * @returns {string} The item's extracted text, or its stored chunks joined together
+ */
+function sourceTextOf(item) {
+  if (item.extracted_text) {
+    return item.extracted_text;
+  }
+  return Array.isArray(item.text_chunks) ? item.text_chunks.join('\n\n') : '';
+}
+
+/**
+ * Record the new chunk count in an item's metadata
+ * @param {string|Object} metadata The stored metadata
+ * @param {number} chunkCount Number of chunks
+ * @returns {string} The updated metadata as JSON
+ */
+function withChunkCount(metadata, chunkCount) {
+  let parsed = {};
+  try {
+    parsed = typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {});
+  } catch (error) {
+    logger.warn('Could not parse item metadata, replacing it', { error: error.message });
+  }
+  return JSON.stringify({ ...parsed, chunk_count: chunkCount });
+}
+
+/**
+ * Runs one library rebuild at a time and reports its progress
+ * Emits 'progress' with the job status after every item and on every state change.
+ */
+class LibraryRebuildJob extends EventEmitter {
+  constructor() {
+    super();
+    this.job = null;
+    this.running = null;
+    this.cancelRequested = false;
+  }
+
+  /**
+   * Check whether a job is walking the library
+   * @returns {boolean} Whether a job is running
+   */
+  isRunning() {
+    return !!this.job && this.job.state === 'running';
+  }
+
+  /**
+   * Path of the checkpoint file
+   * @returns {string} Absolute path
+   */
+  get checkpointPath() {
+    return path.join(config.database.path, CHECKPOINT_FILE);
+  }
+
+  /**
+   * Read the checkpoint of an unfinished rebuild
+   * @returns {Object|null} The checkpoint, or null if there is none
+   */
+  readCheckpoint() {
+    try {
+      return readJsonFile(this.checkpointPath);
+    } catch (error) {
+      logger.error('Rebuild checkpoint is unreadable, ignoring it', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Persist the current job as the checkpoint
+   */
+  saveCheckpoint() {
+    this.job.updatedAt = new Date().toISOString();
+    writeJsonFileAtomic(this.checkpointPath, this.job);
+  }
+
+  /**
+   * Remove the checkpoint once the job has finished or been discarded
+   */
+  clearCheckpoint() {
+    if (fs.existsSync(this.checkpointPath)) {
+      fs.unlinkSync(this.checkpointPath);
+    }
+  }
+
+  /**
+   * Describe the current or last job
+   * A checkpoint left by a job that was running when the app quit is reported as 'interrupted'.
+   * @returns {Object} Job status: { state, options, total, processed, error, ... }, state 'idle' if none
+   */
+  getStatus() {
+    if (this.job) {
+      return { ...this.job };
+    }
+
+    const checkpoint = this.readCheckpoint();
+    if (checkpoint) {
+      return { ...checkpoint, state: checkpoint.state === 'running' ? 'interrupted' : checkpoint.state };
+    }
+    return { state: 'idle' };
+  }
+
+  /**
+   * Publish the job status to listeners
+   */
+  emitProgress() {
+    this.emit('progress', this.getStatus());
+  }
+
+  /**
+   * Start a new rebuild in the background
+   * @param {Object} [options] Rebuild options
+   * @param {string} [options.providerId] Embedding provider (defaults to the library's current one)
+   * @param {string} [options.strategy='paragraphs'] Chunking strategy: paragraphs, characters or markdown
+   * @param {number} [options.chunkSize] Chunk size in characters (defaults to config.processing.chunkSize)
+   * @param {number} [options.chunkOverlap] Overlap for the characters strategy (defaults to config.processing.chunkOverlap)
+   * @returns {Promise<Object>} The job status
+   */
+  async start(options = {}) {
+    if (this.isRunning()) {
+      throw new Error('A library rebuild is already running');
+    }
+    if (this.readCheckpoint()) {
+      throw new Error('An unfinished library rebuild exists; resume or cancel it first');
+    }
+
+    const {
+      providerId = getActiveEmbeddingProvider().id,
+      strategy = 'paragraphs',
+      chunkSize = config.processing.chunkSize,
+      chunkOverlap = config.processing.chunkOverlap
+    } = options;
+
+    if (!CHUNKING_STRATEGIES[strategy]) {
+      throw new Error(`Invalid chunking strategy: ${strategy}, expected one of: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}`);
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new Error('Invalid chunk size: must be a positive integer');
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+      throw new Error('Invalid chunk overlap: must be between 0 and the chunk size');
+    }
+
+    const provider = getEmbeddingProvider(providerId);
+    const suffix = `${provider.id}_${Date.now()}`;
+    const startedAt = new Date().toISOString();
+
+    this.job = {
+      id: `rebuild-${Date.now()}`,
+      state: 'running',
+      options: { providerId: provider.id, strategy, chunkSize, chunkOverlap },
+      target: {
+        providerId: provider.id,
+        modelId: provider.modelId,
+        dimensions: provider.dimensions,
+        collection: `${config.database.collection}_${suffix}`,
+        chunkCollection: `${config.database.chunkCollection}_${suffix}`
+      },
+      total: 0,
+      processed: 0,
+      error: null,
+      startedAt,
+      updatedAt: startedAt
+    };
+
+    try {
+      await database.beginLibraryRebuild(this.job.target);
+    } catch (error) {
+      this.job = null;
+      throw error;
+    }
+
+    this.saveCheckpoint();
+    logger.info('Starting library rebuild', this.job.options);
+    this.launch();
+    return this.getStatus();
+  }
+
+  /**
+   * Resume the rebuild recorded in the checkpoint
+   * @returns {Promise<Object>} The job status
+   */
+  async resume() {
+    if (this.isRunning()) {
+      throw new Error('A library rebuild is already running');
+    }
+
+    const checkpoint = this.readCheckpoint();
+    if (!checkpoint) {
+      throw new Error('There is no library rebuild to resume');
+    }
+
+    await database.beginLibraryRebuild(checkpoint.target, { resume: true });
+    this.job = { ...checkpoint, state: 'running', error: null };
+    this.saveCheckpoint();
+    logger.info(`Resuming library rebuild ${this.job.id}`, { processed: this.job.processed, total: this.job.total });
+    this.launch();
+    return this.getStatus();
+  }
+
+  /**
+   * Cancel the running rebuild, or discard an interrupted one, dropping its staging tables
+   * @returns {Promise<Object>} The job status
+   */
+  async cancel() {
+    if (this.running) {
+      this.cancelRequested = true;
+      await this.running;
+      return this.getStatus();
+    }
+
+    const checkpoint = this.readCheckpoint();
+    if (checkpoint) {
+      await database.discardLibraryRebuild(checkpoint.target);
+      this.clearCheckpoint();
+      this.job = { ...checkpoint, state: 'cancelled', updatedAt: new Date().toISOString() };
+      this.emitProgress();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Run the job loop in the background
+   */
+  launch() {
+    this.cancelRequested = false;
+    this.emitProgress();
+    this.running = this.run().finally(() => {
+      this.running = null;
+    });
+  }
+
+  /**
+   * Walk every item not yet in the staging tables, then switch the library over
+   * @returns {Promise<void>}
+   */
+  async run() {
+    try {
+      const itemIds = await database.listItemIds();
+      const rebuiltIds = new Set(await database.listRebuiltItemIds());
+
+      // Items deleted from the library while the job was interrupted must not come back
+      const liveIds = new Set(itemIds);
+      const deletedIds = Array.from(rebuiltIds).filter(id => !liveIds.has(id));
+      if (deletedIds.length > 0) {
+        await database.removeRebuiltItems(deletedIds);
+      }
+
+      const pendingIds = itemIds.filter(id => !rebuiltIds.has(id));
+      this.job.total = itemIds.length;
+      this.job.processed = itemIds.length - pendingIds.length;
+      this.saveCheckpoint();
+      this.emitProgress();
+
+      for (let start = 0; start < pendingIds.length; start += ITEM_BATCH_SIZE) {
+        const items = await database.fetchItemsByIds(pendingIds.slice(start, start + ITEM_BATCH_SIZE));
+
+        for (const item of items.values()) {
+          if (this.cancelRequested) {
+            throw new RebuildCancelledError();
+          }
+
+          await this.rebuildItem(item);
+          this.job.processed++;
+          this.saveCheckpoint();
+          this.emitProgress();
+        }
+      }
+
+      await database.commitLibraryRebuild();
+      this.clearCheckpoint();
+      this.job = { ...this.job, state: 'completed', updatedAt: new Date().toISOString() };
+      logger.info(`Library rebuild completed: ${this.job.processed} items`);
+    } catch (error) {
+      if (error instanceof RebuildCancelledError) {
+        await database.endLibraryRebuild({ dropTables: true });
+        this.clearCheckpoint();
+        this.job = { ...this.job, state: 'cancelled', updatedAt: new Date().toISOString() };
+        logger.info('Library rebuild cancelled');
+      } else {
+        // Keep the staging tables and checkpoint so the job can be resumed
+        await database.endLibraryRebuild({ dropTables: false });
+        this.job.state = 'failed';
+        this.job.error = error.message;
+        this.saveCheckpoint();
+        logger.error('Library rebuild failed:', error);
+      }
+    }
+
+    this.emitProgress();
+  }
+
+  /**
+   * Re-chunk and re-embed a single item into the staging tables
+   * @param {Object} item The item row
+   * @returns {Promise<void>}
+   */
+  async rebuildItem(item) {
+    const { options, target } = this.job;
+
+    // The placeholder row created with the table carries no content
+    if (item.id === 'sample') {
+      await database.writeRebuiltItem({ ...item, vector: new Array(target.dimensions).fill(0) }, [], [], '');
+      return;
+    }
+
+    const sourceText = sourceTextOf(item);
+    const chunks = sourceText.trim()
+      ? CHUNKING_STRATEGIES[options.strategy](sourceText, options).filter(chunk => chunk.trim())
+      : [];
+
+    // Items without text are embedded from their title so they stay reachable by vector search
+    const embeddingInput = chunks.length > 0 ? chunks : [item.title || item.source_identifier || item.id];
+    const embedded = await batchGenerateEmbeddings(
+      embeddingInput,
+      { includeContent: false, providerId: target.providerId },
+      { batchSize: 10, concurrency: 1, failFast: true }
+    );
+    const vectors = embedded
+      .sort((a, b) => a.chunkIndex - b.chunkIndex)
+      .map(result => result.embedding);
+
+    const itemRow = {
+      ...item,
+      text_chunks: chunks.length > 0 ? chunks : item.text_chunks,
+      // Like the processors, the item's own vector is the embedding of its first chunk
+      vector: vectors[0],
+      metadata: withChunkCount(item.metadata, chunks.length)
+    };
+
+    await database.writeRebuiltItem(itemRow, chunks, chunks.length > 0 ? vectors : [], sourceText);
+  }
+}
+
+// Create singleton instance
+const libraryRebuildJob = new LibraryRebuildJob();
+
+module.exports = {
+  libraryRebuildJob,
+  CHUNKING_STRATEGIES
+};
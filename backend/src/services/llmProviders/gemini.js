@@ -0,0 +1,303 @@
+/**
+ * Gemini LLM Provider
+ * Talks to Google's Gemini models through @google/generative-ai
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createContextLogger } = require('../../utils/logger');
+const { toGeminiSchema, createToolCallId } = require('../../utils/toolDefinitionsAdapter');
+
+const logger = createContextLogger('GeminiProvider');
+
+/**
+ * Get a Gemini model configured for a chat request
+ * @param {Object} request - Provider request
+ * @returns {Object} - The generative model
+ */
+function getGenerativeModel(request) {
+  const apiKey = process.env.GOOGLE_API_KEY || '';
+
+  // Check API key first to avoid making API calls with invalid keys
+  if (!apiKey) {
+    logger.error('No Google API key found in environment variables');
+    throw new Error('Google API key is not configured. Please set GOOGLE_API_KEY in your environment variables.');
+  }
+
+  // Validate API key format (basic validation, not perfect but catches some issues)
+  if (!apiKey.startsWith('AIza') || apiKey.length < 30) {
+    logger.error('Google API key has invalid format');
+    throw new Error('Google API key appears to be invalid. The key should start with "AIza" and be at least 30 characters long.');
+  }
+
+  // Create a new genAI instance with the current API key to ensure we're using the latest key
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return genAI.getGenerativeModel({
+    model: request.model,
+    generationConfig: {
+      temperature: request.temperature,
+      maxOutputTokens: request.maxTokens,
+      topP: 0.9,
+      topK: 40
+    }
+  });
+}
+
+/**
+ * Format chat history for the Gemini API
+ * @param {Array} chatHistory - Array of chat messages
+ * @returns {Array} - Formatted chat history for Gemini API
+ */
+function formatChatHistory(chatHistory) {
+  if (!chatHistory || !Array.isArray(chatHistory)) return [];
+
+  return chatHistory.map(msg => {
+    // Gemini only supports 'user' and 'model' roles
+    // If 'system' role is encountered, convert to 'user'
+    let role = msg.role;
+    if (role === 'system') {
+      logger.warn('System role detected in chat history - Gemini does not support system roles. Converting to user role.');
+      role = 'user';
+    }
+
+    // Ensure content is a string
+    let content = msg.content || '';
+    if (typeof content !== 'string') {
+      content = String(content);
+    }
+
+    return {
+      role: role === 'user' ? 'user' : 'model',
+      parts: [{ text: content }]
+    };
+  });
+}
+
+// Tool-calling adapter: tool definitions become one tool of function declarations, and the
+// function calls Gemini answers with become tool calls
+const toolAdapter = {
+  /**
+   * Format resolved tool definitions for the Gemini API
+   * @param {Array} tools - Resolved tool definitions
+   * @returns {Array|undefined} - Gemini tools, or undefined without tools
+   */
+  formatTools(tools = []) {
+    if (tools.length === 0) {
+      return undefined;
+    }
+
+    return [{
+      functionDeclarations: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        // Gemini rejects object schemas without properties
+        ...(Object.keys(tool.parameters.properties || {}).length > 0 && {
+          parameters: toGeminiSchema(tool.parameters)
+        })
+      }))
+    }];
+  },
+
+  /**
+   * Turn a Gemini function call into a tool call
+   * @param {Object} functionCall - Function call part ({ name, args })
+   * @returns {Object} - Tool call ({ toolCallId, toolName, parameters })
+   */
+  parseToolCall(functionCall) {
+    return {
+      toolCallId: createToolCallId(),
+      toolName: functionCall.name,
+      parameters: functionCall.args || {}
+    };
+  }
+};
+
+/**
+ * Find tool calls Gemini wrote out as code instead of calling them
+ * @param {string} responseText - Text of the response
+ * @returns {Array} - Tool calls found in the text
+ */
+function extractTextToolCalls(responseText) {
+  const toolCalls = [];
+
+  // Check for tool calls in markdown code blocks
+  const toolCallMatches = responseText.match(/```(?:tool_code|tool|code)?\s*\n(listFiles.*?\(.*?\))|`{3}(?:.*?)\n(.*?listFiles.*?\(.*?\))/gs);
+
+  if (toolCallMatches) {
+    logger.info('Found tool calls in markdown code blocks:', toolCallMatches);
+
+    toolCallMatches.forEach(match => {
+      // Extract the function name and arguments
+      const toolCallMatch = match.match(/(\w+)(?:Files\w+)\((\s*\w+\s*=\s*["'].*?["']\s*)\)/);
+      if (toolCallMatch) {
+        const functionName = toolCallMatch[0].split('(')[0].trim();
+        const params = {};
+
+        // Extract key-value pairs from the parameters string
+        const paramMatches = (toolCallMatch[2] || '').matchAll(/(\w+)\s*=\s*["'](.*?)["']/g);
+        for (const paramMatch of paramMatches) {
+          params[paramMatch[1]] = paramMatch[2];
+        }
+
+        toolCalls.push({ toolCallId: createToolCallId(), toolName: functionName, parameters: params });
+        logger.info(`Extracted tool call from code block: ${functionName}`, params);
+      }
+    });
+  }
+
+  // Also look for explicit tool call patterns in text
+  const explicitToolCallMatch = responseText.match(/tool_code\s*\n(listFiles.*?\(.*?\))/);
+  if (explicitToolCallMatch && explicitToolCallMatch[1]) {
+    const functionName = explicitToolCallMatch[1].split('(')[0].trim();
+    const paramsStr = explicitToolCallMatch[1].match(/\((.*?)\)/)?.[1] || '';
+    const params = {};
+
+    const paramMatches = paramsStr.matchAll(/(\w+)\s*=\s*["'](.*?)["']/g);
+    for (const paramMatch of paramMatches) {
+      params[paramMatch[1]] = paramMatch[2];
+    }
+
+    toolCalls.push({ toolCallId: createToolCallId(), toolName: functionName, parameters: params });
+    logger.info(`Extracted explicit tool call: ${functionName}`, params);
+  }
+
+  return toolCalls;
+}
+
+/**
+ * Get the parts of the first candidate of a Gemini response
+ * @param {Object} response - Gemini response or stream chunk
+ * @returns {Array} - Content parts
+ */
+function getCandidateParts(response) {
+  const candidate = response.candidates && response.candidates[0];
+  return (candidate && candidate.content && candidate.content.parts) || [];
+}
+
+/**
+ * Turn an error from the Gemini API into one the user can act on
+ * @param {Error} apiError - Error thrown by the SDK
+ * @param {string} model - Model name of the request
+ * @returns {Error} - Error to throw
+ */
+function translateApiError(apiError, model) {
+  if (apiError.message.includes('PERMISSION_DENIED') ||
+      apiError.message.includes('UNAUTHENTICATED') ||
+      apiError.message.includes('API key')) {
+    logger.error('API key authentication failed. Please check your GOOGLE_API_KEY.');
+    return new Error('Google API key is invalid or has insufficient permissions. Please check your GOOGLE_API_KEY value and make sure it has access to the Gemini API, including function calling capabilities.');
+  }
+  else if (apiError.message.includes('RESOURCE_EXHAUSTED')) {
+    logger.error('Rate limit or quota exceeded on Google API key.');
+    return new Error('Your Google API quota has been exhausted. Please wait a while before trying again or use a different API key.');
+  }
+  else if (apiError.message.includes('MODEL_NOT_FOUND')) {
+    logger.error(`Model "${model}" not found. Check model name or API key permissions.`);
+    return new Error(`The requested model "${model}" was not found or your API key doesn't have access to it. Try a different model or check your API key permissions.`);
+  }
+  else if (apiError.message.includes('safety')) {
+    logger.error('Content filtered due to safety settings.');
+    return new Error('Your request was blocked by content safety systems. Please modify your prompt and try again.');
+  }
+
+  // Pass other errors through unchanged
+  logger.error('Error in Gemini request:', apiError);
+  return apiError;
+}
+
+/**
+ * Send a chat request and wait for the whole response
+ * @param {Object} request - Provider request, see llmProviders
+ * @returns {Promise<Object>} - { text, toolCalls }
+ */
+async function chat(request) {
+  const genModel = getGenerativeModel(request);
+
+  try {
+    const chatSession = genModel.startChat({
+      history: formatChatHistory(request.history),
+      tools: toolAdapter.formatTools(request.tools)
+    });
+
+    const result = await chatSession.sendMessage(request.message);
+
+    if (!result || !result.response) {
+      logger.error('Invalid or empty response from LLM');
+      throw new Error('Received invalid or empty response from LLM');
+    }
+
+    // Log the raw response for debugging
+    logger.debug('Raw LLM response received:', JSON.stringify(result.response, null, 2).substring(0, 500) + '...');
+
+    const parts = getCandidateParts(result.response);
+    const text = parts.filter(part => part.text).map(part => part.text).join('').trim();
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map(part => toolAdapter.parseToolCall(part.functionCall));
+
+    return {
+      text,
+      toolCalls: toolCalls.length > 0 ? toolCalls : extractTextToolCalls(text)
+    };
+  } catch (apiError) {
+    throw translateApiError(apiError, request.model);
+  }
+}
+
+/**
+ * Send a chat request and report the response as it is generated
+ * @param {Object} request - Provider request, see llmProviders
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onEvent - Called with { type: 'token', text } and { type: 'tool-call', toolCall }
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when signalled
+ * @returns {Promise<Object>} - { text, toolCalls }
+ */
+async function chatStream(request, { onEvent = () => {}, signal } = {}) {
+  const genModel = getGenerativeModel(request);
+
+  let text = '';
+  const toolCalls = [];
+
+  try {
+    const chatSession = genModel.startChat({
+      history: formatChatHistory(request.history),
+      tools: toolAdapter.formatTools(request.tools)
+    });
+
+    const result = await chatSession.sendMessageStream(request.message, { signal });
+
+    for await (const chunk of result.stream) {
+      // The SDK only aborts the fetch; stop reading anything it had already buffered
+      if (signal && signal.aborted) {
+        throw new Error('Chat request cancelled');
+      }
+
+      getCandidateParts(chunk).forEach(part => {
+        if (part.text) {
+          text += part.text;
+          onEvent({ type: 'token', text: part.text });
+        } else if (part.functionCall) {
+          const toolCall = toolAdapter.parseToolCall(part.functionCall);
+          toolCalls.push(toolCall);
+          onEvent({ type: 'tool-call', toolCall });
+        }
+      });
+    }
+  } catch (apiError) {
+    if (signal && signal.aborted) {
+      throw apiError;
+    }
+    throw translateApiError(apiError, request.model);
+  }
+
+  return { text, toolCalls };
+}
+
+module.exports = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.0-flash',
+  toolAdapter,
+  chat,
+  chatStream
+};
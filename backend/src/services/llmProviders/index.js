@@ -0,0 +1,123 @@
+/**
+ * LLM Provider Registry
+ * Declares the chat model backends the assistant can talk to. Every provider turns the same
+ * provider-neutral request into calls to its own API and reports text and tool calls back in one shape.
+ *
+ * A request is { model, history, message, tools, temperature, maxTokens }, where history holds the
+ * chat messages ({ role, content, toolCalls }) and tools the resolved tool definitions. Both chat and
+ * chatStream resolve to { text, toolCalls } with toolCalls shaped { toolCallId, toolName, parameters }.
+ */
+
+const { createContextLogger } = require('../../utils/logger');
+const geminiProvider = require('./gemini');
+const { createOpenAiProvider } = require('./openai');
+const logger = createContextLogger('LLMProviders');
+
+// Provider used when neither the request nor the settings name one
+const DEFAULT_PROVIDER_ID = 'gemini';
+
+// Registered providers keyed by ID
+const providers = new Map();
+
+/**
+ * Register an LLM provider, replacing any provider with the same ID
+ * @param {Object} provider The provider
+ * @param {string} provider.id Unique provider ID (e.g. 'openai')
+ * @param {string} [provider.label] Human readable name
+ * @param {string} provider.defaultModel Model used when a request names none
+ * @param {Function} provider.chat Async function (request) => { text, toolCalls }
+ * @param {Function} provider.chatStream Async function (request, { onEvent, signal }) => { text, toolCalls }
+ * @returns {Object} The registered provider
+ */
+function registerLlmProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('Invalid LLM provider: id is required');
+  }
+  if (typeof provider.defaultModel !== 'string' || !provider.defaultModel) {
+    throw new Error(`Invalid LLM provider ${provider.id}: defaultModel is required`);
+  }
+  if (typeof provider.chat !== 'function' || typeof provider.chatStream !== 'function') {
+    throw new Error(`Invalid LLM provider ${provider.id}: chat and chatStream must be functions`);
+  }
+
+  const registered = { label: provider.id, ...provider };
+  providers.set(provider.id, registered);
+  logger.debug(`Registered LLM provider ${provider.id}`, { defaultModel: provider.defaultModel });
+  return registered;
+}
+
+/**
+ * Get a registered provider
+ * @param {string} id Provider ID
+ * @returns {Object} The provider
+ */
+function getLlmProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * List every registered provider
+ * @returns {Array<Object>} Provider descriptions ({ id, label, defaultModel })
+ */
+function listLlmProviders() {
+  return Array.from(providers.values()).map(({ id, label, defaultModel }) => ({ id, label, defaultModel }));
+}
+
+/**
+ * Get the ID of the provider chat requests use by default
+ * `LLM_PROVIDER` is set from the chat provider chosen in the settings.
+ * @returns {string} Provider ID
+ */
+function getDefaultLlmProviderId() {
+  return process.env.LLM_PROVIDER || DEFAULT_PROVIDER_ID;
+}
+
+/**
+ * Work out the provider and model a chat request goes to
+ * `LLM_MODEL` is the default model of the default provider; other providers fall back to their own.
+ * @param {Object} options
+ * @param {string} [options.provider] Provider ID named by the request
+ * @param {string} [options.model] Model named by the request
+ * @returns {Object} { provider, model }
+ */
+function resolveChatTarget({ provider: providerId, model } = {}) {
+  const defaultProviderId = getDefaultLlmProviderId();
+  const provider = getLlmProvider(providerId || defaultProviderId);
+  const defaultModel = provider.id === defaultProviderId && process.env.LLM_MODEL
+    ? process.env.LLM_MODEL
+    : provider.defaultModel;
+
+  return { provider, model: model || defaultModel };
+}
+
+// Built-in providers. The local provider talks to any OpenAI-compatible server (llama.cpp, Ollama,
+// LM Studio); Ollama's default address is used until the settings name another.
+registerLlmProvider(geminiProvider);
+registerLlmProvider(createOpenAiProvider({
+  id: 'openai',
+  label: 'OpenAI',
+  defaultModel: 'gpt-4o-mini',
+  getBaseUrl: () => process.env.OPENAI_BASE_URL || undefined,
+  apiKeyEnv: 'OPENAI_API_KEY',
+  requiresApiKey: true
+}));
+registerLlmProvider(createOpenAiProvider({
+  id: 'local',
+  label: 'Local (OpenAI-compatible)',
+  defaultModel: 'llama3.1',
+  getBaseUrl: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+  apiKeyEnv: 'LOCAL_LLM_API_KEY',
+  requiresApiKey: false
+}));
+
+module.exports = {
+  registerLlmProvider,
+  getLlmProvider,
+  listLlmProviders,
+  getDefaultLlmProviderId,
+  resolveChatTarget
+};
@@ -0,0 +1,304 @@
+/**
+ * OpenAI LLM Provider
+ * Talks to the OpenAI chat completions API, or to any server that implements it
+ * (llama.cpp, Ollama, LM Studio), through the openai package
+ */
+
+const OpenAI = require('openai');
+const { createContextLogger } = require('../../utils/logger');
+const { createToolCallId } = require('../../utils/toolDefinitionsAdapter');
+
+const logger = createContextLogger('OpenAIProvider');
+
+// Tool-calling adapter: tool definitions become function tools, tool calls in the history become
+// assistant tool_calls followed by tool messages, and the tool_calls of a reply become tool calls
+const toolAdapter = {
+  /**
+   * Format resolved tool definitions for the chat completions API
+   * @param {Array} tools - Resolved tool definitions
+   * @returns {Array|undefined} - Function tools, or undefined without tools
+   */
+  formatTools(tools = []) {
+    if (tools.length === 0) {
+      return undefined;
+    }
+
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  },
+
+  /**
+   * Format a tool call of the chat history as an assistant tool call
+   * @param {Object} toolCall - Tool call ({ toolCallId, toolName, parameters })
+   * @returns {Object} - Chat completions tool call
+   */
+  formatToolCall(toolCall) {
+    return {
+      id: toolCall.toolCallId,
+      type: 'function',
+      function: {
+        name: toolCall.toolName,
+        arguments: JSON.stringify(toolCall.parameters || {})
+      }
+    };
+  },
+
+  /**
+   * Turn a chat completions tool call into a tool call
+   * Arguments the model wrote as invalid JSON are dropped rather than failing the reply.
+   * @param {Object} call - Tool call ({ id, function: { name, arguments } })
+   * @returns {Object} - Tool call ({ toolCallId, toolName, parameters })
+   */
+  parseToolCall(call) {
+    let parameters = {};
+    try {
+      parameters = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch (error) {
+      logger.warn(`Ignoring invalid arguments of tool call ${call.function.name}: ${error.message}`);
+    }
+
+    return {
+      toolCallId: call.id || createToolCallId(),
+      toolName: call.function.name,
+      parameters
+    };
+  }
+};
+
+/**
+ * Read a tool result message of the chat history
+ * @param {Object} message - Message with role 'tool'
+ * @returns {Object|null} - { toolCallId, toolName, result }, or null when the content is not a tool result
+ */
+function parseToolMessage(message) {
+  try {
+    const parsed = JSON.parse(message.content);
+    return parsed && parsed.toolCallId ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format chat history and the new message for the chat completions API
+ * Tool calls are only sent with the results that answer them, since the API rejects a tool call
+ * that no tool message follows; other tool output is passed on as a user message.
+ * @param {Array} chatHistory - Array of chat messages
+ * @param {string} message - New user message
+ * @returns {Array} - Chat completions messages
+ */
+function formatMessages(chatHistory = [], message) {
+  const answeredToolCallIds = new Set(chatHistory
+    .filter(msg => msg.role === 'tool')
+    .map(parseToolMessage)
+    .filter(Boolean)
+    .map(result => result.toolCallId));
+  const sentToolCallIds = new Set();
+  const messages = [];
+
+  chatHistory.forEach(msg => {
+    const content = typeof msg.content === 'string' ? msg.content : String(msg.content || '');
+
+    if (msg.role === 'tool') {
+      const toolResult = parseToolMessage(msg);
+      if (toolResult && sentToolCallIds.has(toolResult.toolCallId)) {
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolResult.toolCallId,
+          content: JSON.stringify(toolResult.result)
+        });
+      } else {
+        messages.push({ role: 'user', content: `Tool result:\n${content}` });
+      }
+    } else if (msg.role === 'assistant' || msg.role === 'model') {
+      const toolCalls = (msg.toolCalls || []).filter(toolCall => answeredToolCallIds.has(toolCall.toolCallId));
+      toolCalls.forEach(toolCall => sentToolCallIds.add(toolCall.toolCallId));
+
+      messages.push({
+        role: 'assistant',
+        content: content || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls.map(toolAdapter.formatToolCall) })
+      });
+    } else {
+      messages.push({ role: msg.role === 'system' ? 'system' : 'user', content });
+    }
+  });
+
+  messages.push({ role: 'user', content: message });
+  return messages;
+}
+
+/**
+ * Create a provider for the OpenAI API or a server compatible with it
+ * @param {Object} options
+ * @param {string} options.id - Provider ID
+ * @param {string} options.label - Human readable name
+ * @param {string} options.defaultModel - Model used when a request names none
+ * @param {Function} options.getBaseUrl - Returns the API base URL, or undefined for OpenAI's
+ * @param {string} options.apiKeyEnv - Environment variable holding the API key
+ * @param {boolean} options.requiresApiKey - Whether requests fail without an API key
+ * @returns {Object} - The provider
+ */
+function createOpenAiProvider({ id, label, defaultModel, getBaseUrl, apiKeyEnv, requiresApiKey }) {
+  /**
+   * Get a client for the current API key and base URL
+   * @returns {OpenAI} - The client
+   */
+  function getClient() {
+    const apiKey = process.env[apiKeyEnv] || '';
+
+    if (requiresApiKey && !apiKey) {
+      logger.error(`No API key found for ${label} in ${apiKeyEnv}`);
+      throw new Error(`${label} API key is not configured. Please add it in Settings or set ${apiKeyEnv} in your environment variables.`);
+    }
+
+    // Local servers ignore the key, but the client refuses to start without one
+    return new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: getBaseUrl() });
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {Object} request - Provider request, see llmProviders
+   * @returns {Object} - Request body
+   */
+  function buildBody(request) {
+    const tools = toolAdapter.formatTools(request.tools);
+
+    return {
+      model: request.model,
+      messages: formatMessages(request.history, request.message),
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(tools && { tools })
+    };
+  }
+
+  /**
+   * Turn an error from the API into one the user can act on
+   * @param {Error} apiError - Error thrown by the client
+   * @param {string} model - Model name of the request
+   * @returns {Error} - Error to throw
+   */
+  function translateApiError(apiError, model) {
+    if (apiError instanceof OpenAI.APIConnectionError) {
+      logger.error(`Could not connect to ${label} at ${getBaseUrl() || 'the OpenAI API'}`);
+      return new Error(`Could not connect to ${label}${getBaseUrl() ? ` at ${getBaseUrl()}` : ''}. Please make sure the server is running and reachable.`);
+    }
+    if (apiError.status === 401 || apiError.status === 403) {
+      logger.error(`${label} rejected the API key`);
+      return new Error(`${label} API key is invalid or has insufficient permissions. Please check your ${apiKeyEnv} value.`);
+    }
+    if (apiError.status === 429) {
+      logger.error(`Rate limit or quota exceeded on ${label}`);
+      return new Error(`Your ${label} quota has been exhausted. Please wait a while before trying again.`);
+    }
+    if (apiError.status === 404) {
+      logger.error(`Model "${model}" not found on ${label}`);
+      return new Error(`The requested model "${model}" was not found on ${label}. Check the model name in Settings.`);
+    }
+
+    // Pass other errors through unchanged
+    logger.error(`Error in ${label} request:`, apiError);
+    return apiError;
+  }
+
+  /**
+   * Send a chat request and wait for the whole response
+   * @param {Object} request - Provider request, see llmProviders
+   * @returns {Promise<Object>} - { text, toolCalls }
+   */
+  async function chat(request) {
+    const client = getClient();
+
+    try {
+      const completion = await client.chat.completions.create(buildBody(request));
+      const reply = (completion.choices && completion.choices[0] && completion.choices[0].message) || {};
+
+      return {
+        text: (reply.content || '').trim(),
+        toolCalls: (reply.tool_calls || []).map(toolAdapter.parseToolCall)
+      };
+    } catch (apiError) {
+      throw translateApiError(apiError, request.model);
+    }
+  }
+
+  /**
+   * Send a chat request and report the response as it is generated
+   * Tool call arguments arrive in fragments, so tool calls are reported once the stream ends.
+   * @param {Object} request - Provider request, see llmProviders
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onEvent - Called with { type: 'token', text } and { type: 'tool-call', toolCall }
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request when signalled
+   * @returns {Promise<Object>} - { text, toolCalls }
+   */
+  async function chatStream(request, { onEvent = () => {}, signal } = {}) {
+    const client = getClient();
+
+    let text = '';
+    const pendingCalls = [];
+
+    try {
+      const stream = await client.chat.completions.create({ ...buildBody(request), stream: true }, { signal });
+
+      for await (const chunk of stream) {
+        if (signal && signal.aborted) {
+          throw new Error('Chat request cancelled');
+        }
+
+        const delta = (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) || {};
+
+        if (delta.content) {
+          text += delta.content;
+          onEvent({ type: 'token', text: delta.content });
+        }
+
+        (delta.tool_calls || []).forEach(callDelta => {
+          // Some local servers send whole calls without an index
+          const index = Number.isInteger(callDelta.index) ? callDelta.index : pendingCalls.length;
+          const call = pendingCalls[index] || (pendingCalls[index] = { id: null, function: { name: '', arguments: '' } });
+
+          if (callDelta.id) {
+            call.id = callDelta.id;
+          }
+          if (callDelta.function && callDelta.function.name) {
+            call.function.name += callDelta.function.name;
+          }
+          if (callDelta.function && callDelta.function.arguments) {
+            call.function.arguments += callDelta.function.arguments;
+          }
+        });
+      }
+    } catch (apiError) {
+      if (signal && signal.aborted) {
+        throw apiError;
+      }
+      throw translateApiError(apiError, request.model);
+    }
+
+    const toolCalls = pendingCalls.filter(Boolean).map(toolAdapter.parseToolCall);
+    toolCalls.forEach(toolCall => onEvent({ type: 'tool-call', toolCall }));
+
+    return { text, toolCalls };
+  }
+
+  return {
+    id,
+    label,
+    defaultModel,
+    toolAdapter,
+    chat,
+    chatStream
+  };
+}
+
+module.exports = {
+  createOpenAiProvider,
+  formatMessages
+};
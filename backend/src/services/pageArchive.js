@@ -0,0 +1,381 @@
+/**
+ * Page Archive Service
+ * Keeps full-page archives of web items: self-contained HTML files with the page's stylesheets,
+ * images and fonts inlined as data URIs, stored under web_storage/archives/<itemId>/ so a page
+ * can still be viewed after it disappears from the web.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const config = require('../config');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('PageArchive');
+
+// Resources fetched per archive, and the largest resource inlined
+const MAX_RESOURCES = 200;
+const MAX_RESOURCE_BYTES = 5 * 1024 * 1024;
+const RESOURCE_TIMEOUT_MS = 15000;
+
+// Nesting of @import rules followed when stylesheets are inlined
+const MAX_IMPORT_DEPTH = 3;
+
+// ID of the banner added to the top of every archive
+const BANNER_ID = 'sieve-archive-banner';
+
+// Elements that would load or run something from the live web
+const REMOVED_SELECTORS = [
+  'script',
+  'iframe',
+  'frame',
+  'object',
+  'embed',
+  'base',
+  'link[rel~="preload"]',
+  'link[rel~="modulepreload"]',
+  'link[rel~="prefetch"]',
+  'link[rel~="preconnect"]',
+  'link[rel~="dns-prefetch"]',
+  'meta[http-equiv="refresh" i]',
+  'meta[http-equiv="content-security-policy" i]',
+  'meta[http-equiv="content-type" i]',
+  'meta[charset]'
+];
+
+/**
+ * Folder holding the archives of an item
+ * @param {string} itemId Item ID
+ * @returns {string} Absolute folder path
+ */
+function archivesDir(itemId) {
+  return path.join(config.storage.webPath, 'archives', path.basename(itemId));
+}
+
+/**
+ * Read the archive list of an item
+ * @param {string} itemId Item ID
+ * @returns {Array<Object>} Archives, newest first
+ */
+function listArchives(itemId) {
+  return readJsonFile(path.join(archivesDir(itemId), 'index.json'), { archives: [] }).archives;
+}
+
+/**
+ * List the archives of every item
+ * @returns {Array<Object>} Archives, newest first
+ */
+function listAllArchives() {
+  const root = path.join(config.storage.webPath, 'archives');
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs.readdirSync(root)
+    .flatMap(itemId => listArchives(itemId))
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
+
+/**
+ * Delete every archive of an item
+ * @param {string} itemId Item ID
+ */
+function removeArchives(itemId) {
+  fs.rmSync(archivesDir(itemId), { recursive: true, force: true });
+}
+
+/**
+ * Fetch a resource of the page, at most once per archive
+ * @param {string} url Absolute resource URL
+ * @param {Object} context Archive context: { cache, requests, inlined, missing }
+ * @returns {Promise<Object|null>} { type, data }, or null if it could not be fetched
+ */
+async function fetchResource(url, context) {
+  if (context.cache.has(url)) {
+    return context.cache.get(url);
+  }
+  if (context.requests >= MAX_RESOURCES) {
+    context.missing += 1;
+    return null;
+  }
+  context.requests += 1;
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), RESOURCE_TIMEOUT_MS);
+  let resource = null;
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > MAX_RESOURCE_BYTES) {
+      throw new Error(`${data.length} bytes`);
+    }
+
+    const type = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim();
+    resource = { type, data };
+    context.inlined += 1;
+  } catch (error) {
+    logger.debug(`Could not fetch ${url}: ${error.message}`);
+    context.missing += 1;
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  context.cache.set(url, resource);
+  return resource;
+}
+
+/**
+ * Resolve a URL found in the page
+ * @param {string} value URL as written
+ * @param {string} baseUrl URL it is relative to
+ * @returns {string|null} Absolute http(s) URL, or null for URLs that are not fetched
+ */
+function resolveUrl(value, baseUrl) {
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fetch a resource as a data URI
+ * @param {string} value URL as written in the page
+ * @param {string} baseUrl URL it is relative to
+ * @param {Object} context Archive context
+ * @returns {Promise<string|null>} Data URI, or null if it could not be fetched
+ */
+async function toDataUri(value, baseUrl, context) {
+  const url = resolveUrl(value, baseUrl);
+  if (!url) {
+    return null;
+  }
+
+  const resource = await fetchResource(url, context);
+  return resource ? `data:${resource.type};base64,${resource.data.toString('base64')}` : null;
+}
+
+/**
+ * Inline the imports, images and fonts of a stylesheet
+ * Resources that cannot be fetched keep their absolute URL.
+ * @param {string} css Stylesheet text
+ * @param {string} baseUrl URL of the stylesheet
+ * @param {Object} context Archive context
+ * @param {number} [depth=0] Nesting of the stylesheet in @import rules
+ * @returns {Promise<string>} Stylesheet without references to other files
+ */
+async function inlineCss(css, baseUrl, context, depth = 0) {
+  let result = css;
+
+  const imports = [...result.matchAll(/@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?([^;]*);/gi)];
+  for (const [rule, , href, media] of imports) {
+    const url = resolveUrl(href, baseUrl);
+    const resource = url && depth < MAX_IMPORT_DEPTH ? await fetchResource(url, context) : null;
+    if (!resource) {
+      result = result.replace(rule, url ? `@import url("${url}")${media};` : '');
+      continue;
+    }
+
+    const imported = await inlineCss(resource.data.toString('utf8'), url, context, depth + 1);
+    result = result.replace(rule, media.trim() ? `@media ${media.trim()} {\n${imported}\n}` : imported);
+  }
+
+  const references = new Map();
+  for (const [, , value] of result.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi)) {
+    if (!references.has(value) && !/^(data:|#)/i.test(value.trim())) {
+      references.set(value, (await toDataUri(value, baseUrl, context)) || resolveUrl(value, baseUrl));
+    }
+  }
+
+  return result.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, value) =>
+    (references.get(value) ? `url("${references.get(value)}")` : match));
+}
+
+/**
+ * Create the banner shown at the top of an archive
+ * @param {Document} document Archive document
+ * @param {Object} page { url, capturedAt }
+ * @returns {HTMLElement} Banner element
+ */
+function createBanner(document, page) {
+  const banner = document.createElement('div');
+  banner.id = BANNER_ID;
+  banner.setAttribute('style', [
+    'all: initial',
+    'display: block',
+    'position: sticky',
+    'top: 0',
+    'z-index: 2147483647',
+    'padding: 8px 16px',
+    'background: #fef3c7',
+    'border-bottom: 1px solid #f59e0b',
+    'color: #78350f',
+    'font: 13px/1.4 system-ui, -apple-system, sans-serif'
+  ].join('; '));
+
+  const captured = new Date(page.capturedAt);
+  const time = document.createElement('time');
+  time.setAttribute('datetime', page.capturedAt);
+  time.textContent = captured.toUTCString();
+
+  const link = document.createElement('a');
+  link.href = page.url;
+  link.textContent = page.url;
+  link.setAttribute('style', 'color: inherit; text-decoration: underline;');
+
+  banner.append('Archived copy captured ', time, ' from ', link);
+  return banner;
+}
+
+/**
+ * Turn the DOM of a page into a self-contained HTML document
+ * Scripts, frames and plugins are dropped, and stylesheets, images and fonts are inlined so the
+ * document loads nothing from the web; links are made absolute so they still lead to the live site.
+ * @param {string} html Serialized DOM of the page
+ * @param {Object} page { url, capturedAt }
+ * @returns {Promise<Object>} { html, resources, missing } with the counts of inlined and missing resources
+ */
+async function createArchiveHtml(html, page) {
+  const dom = new JSDOM(html, { url: page.url });
+  const { document } = dom.window;
+  const context = { cache: new Map(), requests: 0, inlined: 0, missing: 0 };
+
+  document.querySelectorAll(REMOVED_SELECTORS.join(', ')).forEach(element => element.remove());
+  for (const element of document.querySelectorAll('*')) {
+    for (const attribute of [...element.attributes]) {
+      if (/^on/i.test(attribute.name) || attribute.name.toLowerCase() === 'srcdoc' || /^\s*javascript:/i.test(attribute.value)) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  }
+
+  for (const link of document.querySelectorAll('link[rel~="stylesheet"][href]')) {
+    const url = resolveUrl(link.getAttribute('href'), page.url);
+    const resource = url ? await fetchResource(url, context) : null;
+    if (!resource) {
+      continue;
+    }
+
+    const style = document.createElement('style');
+    if (link.getAttribute('media')) {
+      style.setAttribute('media', link.getAttribute('media'));
+    }
+    style.textContent = await inlineCss(resource.data.toString('utf8'), url, context);
+    link.replaceWith(style);
+  }
+
+  for (const style of document.querySelectorAll('style')) {
+    if (/url\(|@import/i.test(style.textContent)) {
+      style.textContent = await inlineCss(style.textContent, page.url, context);
+    }
+  }
+
+  for (const element of document.querySelectorAll('[style*="url("]')) {
+    element.setAttribute('style', await inlineCss(element.getAttribute('style'), page.url, context));
+  }
+
+  // The browser picked the image from srcset when the page was captured, so src is enough
+  document.querySelectorAll('picture source[srcset]').forEach(source => source.remove());
+  const mediaAttributes = [
+    ['img[src]', 'src'],
+    ['input[type="image"][src]', 'src'],
+    ['video[poster]', 'poster'],
+    ['link[rel~="icon"][href]', 'href']
+  ];
+  for (const [selector, attribute] of mediaAttributes) {
+    for (const element of document.querySelectorAll(selector)) {
+      const value = element.getAttribute(attribute);
+      const dataUri = await toDataUri(value, page.url, context);
+      element.setAttribute(attribute, dataUri || resolveUrl(value, page.url) || value);
+      if (dataUri) {
+        element.removeAttribute('srcset');
+        element.removeAttribute('sizes');
+      }
+    }
+  }
+
+  for (const element of document.querySelectorAll('a[href], area[href], form[action]')) {
+    const attribute = element.hasAttribute('href') ? 'href' : 'action';
+    const value = element.getAttribute(attribute);
+    if (!value.startsWith('#')) {
+      element.setAttribute(attribute, resolveUrl(value, page.url) || value);
+    }
+  }
+
+  const charset = document.createElement('meta');
+  charset.setAttribute('charset', 'utf-8');
+  document.head.prepend(charset);
+  document.body.prepend(createBanner(document, page));
+
+  return {
+    html: dom.serialize(),
+    resources: context.inlined,
+    missing: context.missing
+  };
+}
+
+/**
+ * Archive a page next to its item
+ * @param {string} itemId ID of the page's item
+ * @param {Object} page { url, title, html } with the serialized DOM of the page
+ * @returns {Promise<Object>} The stored archive: { id, itemId, url, title, capturedAt, path, size, resources, missing }
+ *   where path is relative to web_storage
+ */
+async function saveArchive(itemId, page) {
+  if (!page.url) {
+    throw new Error('A page URL is required');
+  }
+  if (!page.html) {
+    throw new Error(`No page was captured from ${page.url}`);
+  }
+
+  const capturedAt = new Date().toISOString();
+  const archived = await createArchiveHtml(page.html, { url: page.url, capturedAt });
+
+  const dir = archivesDir(itemId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Named after the capture time; archives taken within the same millisecond get a counter
+  const stamp = capturedAt.replace(/[:.]/g, '-');
+  let id = stamp;
+  for (let copy = 2; fs.existsSync(path.join(dir, `${id}.html`)); copy += 1) {
+    id = `${stamp}-${copy}`;
+  }
+  const file = `${id}.html`;
+  fs.writeFileSync(path.join(dir, file), archived.html, 'utf8');
+
+  const archive = {
+    id,
+    itemId,
+    url: page.url,
+    title: page.title || page.url,
+    capturedAt,
+    path: ['archives', path.basename(itemId), file].join('/'),
+    size: Buffer.byteLength(archived.html),
+    resources: archived.resources,
+    missing: archived.missing
+  };
+  writeJsonFileAtomic(path.join(dir, 'index.json'), { archives: [archive, ...listArchives(itemId)] });
+
+  logger.info(`Archived ${page.url} for item ${itemId}`, {
+    size: archive.size,
+    resources: archive.resources,
+    missing: archive.missing
+  });
+  return archive;
+}
+
+module.exports = {
+  BANNER_ID,
+  listArchives,
+  listAllArchives,
+  removeArchives,
+  createArchiveHtml,
+  saveArchive
+};
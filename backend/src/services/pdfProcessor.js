@@ -9,7 +9,7 @@ const { v4: uuidv4 } = require('uuid');
 const pdfParse = require('pdf-parse');
 const { createContextLogger } = require('../utils/logger');
 const { createPDFProcessor } = require('../utils/processors/processorFactory');
-const { addItem } = require('./database');
+const { addItem, addItemChunks } = require('./database');
 const BatchProcessor = require('../utils/batchers/batchProcessor');
 
 const logger = createContextLogger('PDFProcessor');
@@ -35,20 +35,14 @@ async function processPDF(filePath) {
     // Create PDF processor with default options
     const processor = createPDFProcessor();
     
-    // Process the PDF data
-    const processingResult = await processor.processPDFData([pdfData], async (embeddedChunks) => {
-      // For compatibility with existing implementation
-      // Use the first chunk's embedding as the primary vector for the document
-      pdfData.vector = embeddedChunks[0]?.embedding || [];
-      
-      // Store in database
-      await addItem(pdfData);
-      logger.info(`PDF processed and stored with ID: ${pdfData.id}`);
-      
-      return [pdfData.id];
+    // Collect embedded chunks; the store callback may be invoked once per storage batch
+    const embeddedChunks = [];
+    await processor.processPDFData([pdfData], async (batch) => {
+      embeddedChunks.push(...batch);
+      return batch.map(chunk => chunk.chunkIndex);
     });
     
-    return pdfData;
+    return await storePDF(pdfData, embeddedChunks);
   } catch (error) {
     logger.error('Error processing PDF', { 
       error: error.message, 
@@ -59,6 +53,38 @@ async function processPDF(filePath) {
   }
 }
 
+/**
+ * Store an extracted PDF and its embedded chunks
+ * @param {Object} pdfData Extracted PDF data
+ * @param {Array<Object>} embeddedChunks Embedded chunks belonging to the PDF
+ * @returns {Promise<Object>} The stored PDF, or the existing item if the PDF is already in the library
+ */
+async function storePDF(pdfData, embeddedChunks) {
+  const orderedChunks = [...embeddedChunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const textChunks = orderedChunks.map(chunk => chunk.content);
+  
+  // Keep the first chunk's embedding as the document-level vector
+  pdfData.vector = orderedChunks[0]?.embedding || [];
+  if (textChunks.length > 0) {
+    pdfData.text_chunks = textChunks;
+  }
+  
+  const stored = await addItem(pdfData);
+  if (stored.duplicate) {
+    logger.info(`PDF ${pdfData.filePath} is already in the library as ${stored.id}`);
+    return stored;
+  }
+  
+  await addItemChunks(
+    pdfData.id,
+    textChunks,
+    orderedChunks.map(chunk => chunk.embedding),
+    pdfData.extractedText
+  );
+  logger.info(`PDF processed and stored with ID: ${pdfData.id}`);
+  return pdfData;
+}
+
 /**
  * Extract data from a PDF file
  * @param {string} filePath Path to the PDF file
@@ -144,42 +170,34 @@ async function processPDFBatch(filePaths, options = {}) {
   // Create PDF processor
   const processor = createPDFProcessor(options);
   
-  // Process all extracted PDFs
-  const processingResult = await processor.processPDFData(validPDFs, async (embeddedChunks) => {
-    // Group embeddings by document ID
-    const embeddingsByDoc = embeddedChunks.reduce((acc, chunk) => {
-      if (!acc[chunk.documentId]) {
-        acc[chunk.documentId] = [];
-      }
-      acc[chunk.documentId].push(chunk);
-      return acc;
-    }, {});
-    
-    // Process and store each document
-    const results = [];
-    for (const pdf of validPDFs) {
-      try {
-        const docEmbeddings = embeddingsByDoc[pdf.id] || [];
-        
-        // Use the first chunk's embedding as the primary vector for the document
-        pdf.vector = docEmbeddings[0]?.embedding || [];
-        
-        // Store in database
-        await addItem(pdf);
-        logger.info(`PDF processed and stored with ID: ${pdf.id}`);
-        
-        results.push(pdf);
-      } catch (error) {
-        logger.error(`Error storing PDF ${pdf.id}`, {
-          error: error.message,
-          stack: error.stack
-        });
-      }
-    }
-    
-    return results.map(pdf => pdf.id);
+  // Collect embedded chunks across storage batches
+  const embeddedChunks = [];
+  await processor.processPDFData(validPDFs, async (batch) => {
+    embeddedChunks.push(...batch);
+    return batch.map(chunk => chunk.chunkIndex);
   });
   
+  // Group embeddings by document ID
+  const embeddingsByDoc = embeddedChunks.reduce((acc, chunk) => {
+    if (!acc[chunk.documentId]) {
+      acc[chunk.documentId] = [];
+    }
+    acc[chunk.documentId].push(chunk);
+    return acc;
+  }, {});
+  
+  // Store each document with its chunks
+  for (const pdf of validPDFs) {
+    try {
+      await storePDF(pdf, embeddingsByDoc[pdf.id] || []);
+    } catch (error) {
+      logger.error(`Error storing PDF ${pdf.id}`, {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+  
   logger.info(`Completed batch processing of ${filePaths.length} PDFs`);
   
   // Prepare result objects from the stored PDFs
@@ -0,0 +1,355 @@
+/**
+ * Read Later Service
+ * Keeps the "save for later" queue of the browser. Each queued article is an offline snapshot of
+ * its cleaned reader HTML and images under web_storage/read_later/<id>/, with its read status and
+ * reading progress in the queue file. A queued article can be promoted into the library.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { normalizeUrl } = require('../utils/contentIdentity');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { captureBrowserPage } = require('./browserCapture');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('ReadLater');
+
+// Images downloaded per article, and the largest image kept
+const MAX_IMAGES = 40;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 15000;
+
+// Reading progress at which an article counts as read
+const READ_PROGRESS = 0.95;
+
+// Characters of text kept as the excerpt of a queue entry
+const EXCERPT_LENGTH = 200;
+
+// Stands in for the src of a downloaded image in stored HTML
+const IMAGE_PLACEHOLDER = 'read-later-image:';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif'
+};
+
+/**
+ * Folder holding the queue
+ * @returns {string} Absolute folder path
+ */
+function queueDir() {
+  return path.join(config.storage.webPath, 'read_later');
+}
+
+/**
+ * Folder holding the snapshot of an article
+ * @param {string} id Article ID
+ * @returns {string} Absolute folder path
+ */
+function articleDir(id) {
+  return path.join(queueDir(), path.basename(id));
+}
+
+/**
+ * Read the queue
+ * @returns {Array<Object>} Queue entries, newest first
+ */
+function readQueue() {
+  return readJsonFile(path.join(queueDir(), 'queue.json'), { articles: [] }).articles;
+}
+
+/**
+ * Save the queue
+ * @param {Array<Object>} articles Queue entries
+ */
+function writeQueue(articles) {
+  writeJsonFileAtomic(path.join(queueDir(), 'queue.json'), { articles });
+}
+
+/**
+ * Find a queue entry
+ * @param {Array<Object>} articles Queue entries
+ * @param {string} id Article ID
+ * @returns {Object} The entry
+ */
+function findEntry(articles, id) {
+  const entry = articles.find(article => article.id === id);
+  if (!entry) {
+    throw new Error(`Article ${id} is not in the read-later queue`);
+  }
+  return entry;
+}
+
+/**
+ * List the queued articles
+ * @param {Object} [options] { status: 'unread' | 'read' } to list only one kind
+ * @returns {Array<Object>} Queue entries, newest first
+ */
+function listQueue(options = {}) {
+  const articles = readQueue();
+  return options.status ? articles.filter(article => article.status === options.status) : articles;
+}
+
+/**
+ * Download an image of an article
+ * @param {string} src Image URL
+ * @param {string} dir Folder to store it in
+ * @param {number} index Number of the image in the article
+ * @returns {Promise<Object|null>} { file, url, type }, or null if the image could not be stored
+ */
+async function downloadImage(src, dir, index) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), IMAGE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(src, { signal: controller.signal });
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!response.ok || !IMAGE_EXTENSIONS[type]) {
+      logger.debug(`Skipping image ${src}: ${response.status} ${type}`);
+      return null;
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > MAX_IMAGE_BYTES) {
+      logger.debug(`Skipping image ${src}: ${data.length} bytes`);
+      return null;
+    }
+
+    const file = `${index}.${IMAGE_EXTENSIONS[type]}`;
+    fs.writeFileSync(path.join(dir, file), data);
+    return { file, url: src, type };
+  } catch (error) {
+    logger.debug(`Could not download image ${src}: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Download the images of an article and point its HTML at the local copies
+ * Images that cannot be downloaded keep their original URL.
+ * @param {string} html Article HTML
+ * @param {string} baseUrl URL of the article, for relative image URLs
+ * @param {string} dir Folder of the snapshot
+ * @returns {Promise<Object>} { html, images }
+ */
+async function storeImages(html, baseUrl, dir) {
+  const sources = [];
+  for (const [, src] of html.matchAll(/<img\b[^>]*?\ssrc="([^"]+)"/gi)) {
+    if (!src.startsWith('data:') && !sources.includes(src) && sources.length < MAX_IMAGES) {
+      sources.push(src);
+    }
+  }
+
+  const images = [];
+  const localFiles = new Map();
+  for (const [index, src] of sources.entries()) {
+    let absolute;
+    try {
+      absolute = new URL(src.replace(/&amp;/g, '&'), baseUrl).href;
+    } catch (error) {
+      continue;
+    }
+    if (!/^https?:/i.test(absolute)) {
+      continue;
+    }
+
+    const image = await downloadImage(absolute, dir, index);
+    if (image) {
+      images.push(image);
+      localFiles.set(src, image.file);
+    }
+  }
+
+  const localHtml = html.replace(/(<img\b[^>]*?\ssrc=")([^"]+)(")/gi, (match, before, src, after) =>
+    (localFiles.has(src) ? `${before}${IMAGE_PLACEHOLDER}${localFiles.get(src)}${after}` : match));
+
+  return { html: localHtml, images };
+}
+
+/**
+ * Queue an article for later, storing an offline snapshot of it
+ * @param {Object} article { url, title, html, text, byline, siteName, excerpt } with the cleaned
+ *   reader HTML of the page
+ * @returns {Promise<Object>} The queue entry; `duplicate` is true if the page was already queued
+ */
+async function addToQueue(article = {}) {
+  if (!article.url) {
+    throw new Error('A page URL is required');
+  }
+  if (!article.html && !article.text) {
+    throw new Error(`No content was captured from ${article.url}`);
+  }
+
+  const articles = readQueue();
+  const key = normalizeUrl(article.url) || article.url;
+  const existing = articles.find(entry => (normalizeUrl(entry.url) || entry.url) === key);
+  if (existing) {
+    return { ...existing, duplicate: true };
+  }
+
+  const id = uuidv4();
+  const dir = articleDir(id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const text = article.text || '';
+  const { html, images } = await storeImages(article.html || '', article.url, dir);
+  writeJsonFileAtomic(path.join(dir, 'article.json'), {
+    url: article.url,
+    title: article.title || article.url,
+    byline: article.byline || '',
+    siteName: article.siteName || '',
+    html,
+    text,
+    images
+  });
+
+  const excerpt = (article.excerpt || text).replace(/\s+/g, ' ').trim();
+  const entry = {
+    id,
+    url: article.url,
+    title: article.title || article.url,
+    siteName: article.siteName || '',
+    excerpt: excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : excerpt,
+    savedAt: new Date().toISOString(),
+    status: 'unread',
+    progress: 0,
+    readAt: null,
+    imageCount: images.length,
+    itemId: null
+  };
+
+  writeQueue([entry, ...readQueue()]);
+  logger.info(`Queued ${article.url} for later`, { id, images: images.length });
+  return { ...entry, duplicate: false };
+}
+
+/**
+ * Get a queued article for reading offline
+ * Downloaded images are inlined as data URIs, so the HTML needs nothing from the network.
+ * @param {string} id Article ID
+ * @returns {Object} { entry, url, title, byline, siteName, html, text }
+ */
+function getArticle(id) {
+  const entry = findEntry(readQueue(), id);
+  const dir = articleDir(id);
+  const article = readJsonFile(path.join(dir, 'article.json'));
+  if (!article) {
+    throw new Error(`The snapshot of ${entry.url} is missing`);
+  }
+
+  const images = new Map(article.images.map(image => [image.file, image]));
+  const html = article.html.replace(new RegExp(`${IMAGE_PLACEHOLDER}([\\w.]+)`, 'g'), (match, file) => {
+    const image = images.get(file);
+    const imagePath = path.join(dir, path.basename(file));
+    if (!image || !fs.existsSync(imagePath)) {
+      return image ? image.url : '';
+    }
+    return `data:${image.type};base64,${fs.readFileSync(imagePath).toString('base64')}`;
+  });
+
+  return {
+    entry,
+    url: article.url,
+    title: article.title,
+    byline: article.byline,
+    siteName: article.siteName,
+    html,
+    text: article.text
+  };
+}
+
+/**
+ * Update the read status or reading progress of a queued article
+ * Reaching the end of an article marks it read.
+ * @param {string} id Article ID
+ * @param {Object} changes { status: 'unread' | 'read', progress: 0-1 }
+ * @returns {Object} The updated entry
+ */
+function updateQueueEntry(id, changes = {}) {
+  const articles = readQueue();
+  const entry = findEntry(articles, id);
+
+  if (changes.progress !== undefined) {
+    const progress = Number(changes.progress);
+    if (Number.isFinite(progress)) {
+      entry.progress = Math.min(1, Math.max(0, progress));
+      if (entry.progress >= READ_PROGRESS && entry.status !== 'read') {
+        entry.status = 'read';
+        entry.readAt = new Date().toISOString();
+      }
+    }
+  }
+
+  if (changes.status === 'read' || changes.status === 'unread') {
+    if (changes.status !== entry.status) {
+      entry.readAt = changes.status === 'read' ? new Date().toISOString() : null;
+    }
+    entry.status = changes.status;
+  }
+
+  writeQueue(articles);
+  return entry;
+}
+
+/**
+ * Remove an article from the queue along with its snapshot
+ * @param {string} id Article ID
+ * @returns {boolean} false if the article was not queued
+ */
+function removeFromQueue(id) {
+  const articles = readQueue();
+  if (!articles.some(article => article.id === id)) {
+    return false;
+  }
+
+  writeQueue(articles.filter(article => article.id !== id));
+  fs.rmSync(articleDir(id), { recursive: true, force: true });
+  logger.info(`Removed article ${id} from the read-later queue`);
+  return true;
+}
+
+/**
+ * Add a queued article to the library, chunked and embedded like any captured page
+ * @param {string} id Article ID
+ * @returns {Promise<Object>} { entry, result } with the capture result of browserCapture
+ */
+async function promoteToLibrary(id) {
+  const article = getArticle(id);
+
+  const result = await captureBrowserPage({
+    url: article.url,
+    title: article.title,
+    content: {
+      text: article.text,
+      html: article.html,
+      byline: article.byline,
+      siteName: article.siteName,
+      summary: article.entry.excerpt,
+      extractionMethod: 'read-later'
+    }
+  });
+
+  const articles = readQueue();
+  const entry = findEntry(articles, id);
+  entry.itemId = result.id;
+  writeQueue(articles);
+
+  logger.info(`Promoted article ${id} to item ${result.id}`);
+  return { entry, result };
+}
+
+module.exports = {
+  listQueue,
+  addToQueue,
+  getArticle,
+  updateQueueEntry,
+  removeFromQueue,
+  promoteToLibrary
+};
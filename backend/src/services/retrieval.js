@@ -0,0 +1,218 @@
+/**
+ * Retrieval Service
+ * Finds the passages of the library that answer a question, re-ranks them and packs the best of
+ * them into a context block of bounded size for retrieval-augmented answers
+ */
+
+const { generateEmbedding } = require('./embedding');
+const { hybridSearch } = require('./database');
+const { tokenize } = require('./keywordIndex');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('Retrieval');
+
+// Passages fetched from the search before re-ranking, and passages kept after it
+const DEFAULT_CANDIDATES = 20;
+const DEFAULT_TOP_K = 6;
+
+// Tokens the packed passages may take up in the prompt
+const DEFAULT_MAX_TOKENS = 3000;
+
+// Share of the re-ranking score that comes from question terms found in the passage;
+// the rest is the search score
+const TERM_COVERAGE_WEIGHT = 0.5;
+
+// A passage that does not fit is cut to the remaining budget, unless less than this is left
+const MIN_PASSAGE_TOKENS = 50;
+
+// Same estimate the database uses when capping search results
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Turn a search hit into a passage
+ * Items stored before chunk vectors existed carry no matched chunk, so their opening chunk is used.
+ * @param {Object} item Item row from hybridSearch
+ * @returns {Object|null} { itemId, chunkIndex, title, sourceType, sourceIdentifier, text, startOffset, searchScore }
+ */
+function toPassage(item) {
+  const chunk = item.matched_chunk;
+  let text = chunk ? chunk.text : null;
+
+  if (!text) {
+    let chunks = item.text_chunks || [];
+    if (typeof chunks === 'string') {
+      try {
+        chunks = JSON.parse(chunks);
+      } catch (error) {
+        chunks = [chunks];
+      }
+    }
+    text = chunks[0] || '';
+  }
+
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  return {
+    itemId: item.id,
+    chunkIndex: chunk ? chunk.chunk_index : 0,
+    title: item.title || 'Untitled',
+    sourceType: item.source_type,
+    sourceIdentifier: item.source_identifier,
+    text,
+    startOffset: chunk && typeof chunk.start_offset === 'number' ? chunk.start_offset : null,
+    searchScore: item.score || 0
+  };
+}
+
+/**
+ * Re-rank passages by how well they cover the question
+ * The search score only says how close a passage is to the question as a whole; weighing in the
+ * share of distinct question terms that the passage actually contains pushes passages that
+ * mention every part of the question ahead of ones that are merely on topic.
+ * @param {string} question The question
+ * @param {Array<Object>} passages Passages from toPassage
+ * @returns {Array<Object>} The passages with `score`, best first
+ */
+function rerankPassages(question, passages) {
+  const questionTerms = new Set(tokenize(question));
+  const topSearchScore = Math.max(0, ...passages.map(passage => passage.searchScore));
+
+  return passages
+    .map(passage => {
+      const passageTerms = new Set(tokenize(passage.text));
+      let covered = 0;
+      questionTerms.forEach(term => {
+        if (passageTerms.has(term)) {
+          covered++;
+        }
+      });
+
+      const coverage = questionTerms.size > 0 ? covered / questionTerms.size : 0;
+      const searchScore = topSearchScore > 0 ? passage.searchScore / topSearchScore : 0;
+      return {
+        ...passage,
+        score: TERM_COVERAGE_WEIGHT * coverage + (1 - TERM_COVERAGE_WEIGHT) * searchScore
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build the header naming a passage and where it comes from
+ * @param {Object} passage Numbered passage
+ * @returns {string} Header line
+ */
+function passageHeader(passage) {
+  const origin = passage.sourceIdentifier && passage.sourceIdentifier !== passage.itemId
+    ? `, ${passage.sourceIdentifier}`
+    : '';
+  return `[${passage.index}] "${passage.title}" (${passage.sourceType || 'item'}${origin})`;
+}
+
+/**
+ * Number passages and pack them into a context block that fits a token budget
+ * Passages are added best first; the first one that does not fit is cut to the remaining budget
+ * and the rest are left out.
+ * @param {Array<Object>} passages Re-ranked passages
+ * @param {number} maxTokens Token budget of the context block
+ * @returns {Object} { passages, context, estimatedTokens, truncated }
+ */
+function packPassages(passages, maxTokens = DEFAULT_MAX_TOKENS) {
+  const packed = [];
+  const blocks = [];
+  let usedTokens = 0;
+  let truncated = false;
+
+  for (const passage of passages) {
+    const numbered = { ...passage, index: packed.length + 1 };
+    const header = passageHeader(numbered);
+    const remaining = maxTokens - usedTokens - estimateTokens(header);
+
+    let text = numbered.text;
+    if (estimateTokens(text) > remaining) {
+      truncated = true;
+      if (remaining < MIN_PASSAGE_TOKENS) {
+        break;
+      }
+      text = `${text.substring(0, remaining * CHARS_PER_TOKEN).trim()}...`;
+    }
+
+    const block = `${header}\n${text}`;
+    usedTokens += estimateTokens(block);
+    packed.push({ ...numbered, text });
+    blocks.push(block);
+
+    if (truncated) {
+      break;
+    }
+  }
+
+  return {
+    passages: packed,
+    context: blocks.join('\n\n'),
+    estimatedTokens: usedTokens,
+    truncated
+  };
+}
+
+/**
+ * Retrieve, re-rank and pack the passages that answer a question
+ * @param {string} question The question
+ * @param {Object} [options] Retrieval options
+ * @param {number} [options.topK=6] Passages kept after re-ranking
+ * @param {number} [options.candidates=20] Passages fetched from the search before re-ranking
+ * @param {number} [options.maxTokens=3000] Token budget of the packed context
+ * @param {string} [options.mode='hybrid'] Search mode: 'keyword', 'vector' or 'hybrid'
+ * @returns {Promise<Object>} { question, passages, context, estimatedTokens, truncated }; passages are
+ *   numbered from 1 in the order they appear in the context and carry the fields citations need
+ */
+async function retrieveContext(question, options = {}) {
+  const {
+    topK = DEFAULT_TOP_K,
+    candidates = DEFAULT_CANDIDATES,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    mode = 'hybrid'
+  } = options;
+
+  if (!question || typeof question !== 'string' || !question.trim()) {
+    throw new Error('A question is required');
+  }
+
+  logger.info(`Retrieving context for: "${question}"`, { topK, candidates, maxTokens, mode });
+
+  // Keyword search ranks on the question text alone, so it needs no embedding
+  const queryEmbedding = mode === 'keyword' ? null : await generateEmbedding(question);
+  const hits = await hybridSearch(question, queryEmbedding, {
+    mode,
+    limit: Math.max(candidates, topK)
+  });
+
+  const ranked = rerankPassages(question, hits.map(toPassage).filter(Boolean)).slice(0, topK);
+  const packed = packPassages(ranked, maxTokens);
+
+  logger.info(`Packed ${packed.passages.length} of ${hits.length} passages into ${packed.estimatedTokens} tokens`, {
+    truncated: packed.truncated
+  });
+
+  return { question, ...packed };
+}
+
+module.exports = {
+  DEFAULT_TOP_K,
+  DEFAULT_CANDIDATES,
+  DEFAULT_MAX_TOKENS,
+  estimateTokens,
+  rerankPassages,
+  packPassages,
+  retrieveContext
+};
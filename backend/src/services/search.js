@@ -4,26 +4,124 @@
  */
 
 const { generateEmbedding, calculateSimilarity } = require('./embedding');
-const { vectorSearch } = require('./database');
+const { hybridSearch } = require('./database');
 const { createContextLogger } = require('../utils/logger');
 const logger = createContextLogger('Search');
 
+// Hits fetched per requested result when filters may discard some of them
+const FILTER_OVERFETCH = 5;
+
+/**
+ * Read the metadata of an item row
+ * @param {Object} item Item row from hybridSearch
+ * @returns {Object} Metadata, empty if missing or unreadable
+ */
+function itemMetadata(item) {
+  if (item.metadata && typeof item.metadata === 'object') {
+    return item.metadata;
+  }
+  try {
+    return JSON.parse(item.metadata || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Check whether a search hit passes the search filters
+ * @param {Object} item Item row from hybridSearch
+ * @param {Object} filters Search filters
+ * @param {Array<string>} [filters.sourceTypes] Source types to keep
+ * @param {string} [filters.after] Keep items created on or after this date
+ * @param {string} [filters.before] Keep items created before this date
+ * @param {string} [filters.author] Keep items whose author contains this text
+ * @param {string} [filters.language] Keep items in this language; 'en' also matches 'en-us'
+ * @returns {boolean} Whether the item passes
+ */
+function matchesFilters(item, filters = {}) {
+  const { sourceTypes, after, before, author, language } = filters;
+  
+  if (Array.isArray(sourceTypes) && sourceTypes.length > 0 && !sourceTypes.includes(item.source_type)) {
+    return false;
+  }
+  
+  if (after || before) {
+    const createdAt = Date.parse(item.created_at);
+    if (Number.isNaN(createdAt)) {
+      return false;
+    }
+    if (after && createdAt < Date.parse(after)) {
+      return false;
+    }
+    if (before && createdAt >= Date.parse(before)) {
+      return false;
+    }
+  }
+  
+  if (author || language) {
+    const metadata = itemMetadata(item);
+    if (author && !String(metadata.author || '').toLowerCase().includes(author.toLowerCase())) {
+      return false;
+    }
+    if (language) {
+      const itemLanguage = String(metadata.language || '').toLowerCase();
+      const wanted = language.toLowerCase();
+      if (itemLanguage !== wanted && !itemLanguage.startsWith(`${wanted}-`) && !itemLanguage.startsWith(`${wanted}_`)) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether any search filter is set
+ * @param {Object} [filters] Search filters
+ * @returns {boolean} Whether results need filtering
+ */
+function hasFilters(filters) {
+  return !!filters && (
+    (Array.isArray(filters.sourceTypes) && filters.sourceTypes.length > 0) ||
+    !!filters.after ||
+    !!filters.before ||
+    !!filters.author ||
+    !!filters.language
+  );
+}
+
 /**
  * Perform semantic search based on a natural language query
  * @param {string} query The search query
  * @param {number} limit Maximum number of results to return
+ * @param {Object} options Search options
+ * @param {string} options.mode 'keyword' (BM25), 'vector' or 'hybrid' (both, fused)
+ * @param {Object} [options.filters] Keep only items of these source types, creation dates, authors
+ *   or languages, as { sourceTypes, after, before, author, language }; see matchesFilters
  * @returns {Promise<Array>} Array of search results with relevant text chunks
  */
-async function semanticSearch(query, limit = 5) {
+async function semanticSearch(query, limit = 5, options = {}) {
+  const { mode = 'hybrid', filters } = options;
+  const filtered = hasFilters(filters);
+  
   try {
-    logger.info(`Performing semantic search for query: "${query}"`);
+    logger.info(`Performing ${mode} search for query: "${query}"`);
     
-    // Generate embedding for the query
-    const queryEmbedding = await generateEmbedding(query);
-    logger.debug('Generated query embedding');
+    // Keyword search ranks on the query text alone, so it needs no embedding
+    let queryEmbedding = null;
+    if (mode !== 'keyword') {
+      queryEmbedding = await generateEmbedding(query);
+      logger.debug('Generated query embedding');
+    }
     
-    // Perform vector search
-    const results = await vectorSearch(queryEmbedding, limit);
+    // Filters are applied to the ranked hits, so fetch deeper to still fill the limit
+    let results = await hybridSearch(query, queryEmbedding, {
+      mode,
+      limit: filtered ? limit * FILTER_OVERFETCH : limit
+    });
+    if (filtered) {
+      results = results.filter(result => matchesFilters(result, filters)).slice(0, limit);
+    }
     logger.info(`Found ${results.length} results for query`);
     
     // Format results with relevant information
@@ -45,8 +143,14 @@ async function semanticSearch(query, limit = 5) {
         title: result.title,
         sourceType: result.source_type,
         sourceIdentifier: result.source_identifier,
-        textChunk: result.text_chunks ? result.text_chunks[0] : '',
+        // Prefer the passage that matched over the document's opening chunk
+        textChunk: result.matched_chunk
+          ? result.matched_chunk.text
+          : (result.text_chunks ? result.text_chunks[0] : ''),
+        chunkIndex: result.matched_chunk ? result.matched_chunk.chunk_index : 0,
         similarity: result._distance || 0,
+        score: result.score || 0,
+        createdAt: result.created_at,
         metadata
       };
     });
@@ -59,5 +163,6 @@ async function semanticSearch(query, limit = 5) {
 }
 
 module.exports = {
+  matchesFilters,
   semanticSearch
 }; 
\ No newline at end of file
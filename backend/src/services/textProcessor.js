@@ -0,0 +1,83 @@
+/**
+ * Text Processing Service
+ * Responsible for storing plain text (notes, snippets, pasted content) as searchable items
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { chunkByParagraphs } = require('../utils/textChunker');
+const { generateEmbeddings } = require('./embedding');
+const { addItem, addItemChunks } = require('./database');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('TextProcessor');
+
+/**
+ * Process a piece of plain text
+ * @param {Object} input The text to store
+ * @param {string} input.text The text content
+ * @param {string} [input.title] Title of the item (defaults to the first line of text)
+ * @param {string} [input.sourceType='text'] Source type recorded on the item
+ * @param {string} [input.sourceIdentifier] Where the text came from
+ * @param {Object} [input.metadata] Additional metadata
+ * @returns {Promise<Object>} The processed item with ID
+ */
+async function processText({ text, title, sourceType = 'text', sourceIdentifier, metadata = {} } = {}) {
+  try {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      throw new Error('Text content is required');
+    }
+
+    const id = uuidv4();
+    const itemTitle = title || text.trim().split('\n')[0].substring(0, 100);
+    logger.info(`Processing text item: ${itemTitle}`, { id, length: text.length });
+
+    // Chunk the text
+    const textChunks = chunkByParagraphs(text);
+    logger.info(`Split into ${textChunks.length} chunks`);
+
+    // Generate embeddings for each chunk
+    const chunkEmbeddings = await generateEmbeddings(textChunks);
+    logger.info(`Generated ${chunkEmbeddings.length} embeddings`);
+
+    // Create the database item
+    const item = {
+      id,
+      source_type: sourceType,
+      source_identifier: sourceIdentifier || id,
+      title: itemTitle,
+      // Nothing to copy into file storage; the text lives in the item itself
+      original_content_path: '',
+      file_path: '',
+      file_size: 0,
+      extracted_text: text,
+      text_chunks: textChunks,
+      // Use first chunk's embedding as the primary vector for the document
+      vector: chunkEmbeddings[0] || [],
+      metadata: {
+        ...metadata,
+        extraction_date: new Date().toISOString(),
+        chunk_count: textChunks.length
+      }
+    };
+
+    // Store in database, with a vector per chunk so every passage is searchable
+    const stored = await addItem(item);
+    if (stored.duplicate) {
+      logger.info(`Text "${itemTitle}" is already in the library as ${stored.id}`);
+      return stored;
+    }
+    await addItemChunks(id, textChunks, chunkEmbeddings, text);
+    logger.info(`Text processed and stored with ID: ${id}`);
+
+    return item;
+  } catch (error) {
+    logger.error('Error processing text', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  processText
+};
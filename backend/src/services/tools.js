@@ -6,7 +6,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
 const database = require('./database');
-const llmService = require('./llm');
+const { generateEmbedding } = require('./embedding');
 const toolDefinitionsAdapter = require('../utils/toolDefinitionsAdapter');
 
 class ToolsService {
@@ -125,7 +125,7 @@ class ToolsService {
     // Fallback descriptions if shared definitions couldn't be loaded
     const fallbackDescriptions = {
       'summary': 'Generate a concise summary of document content',
-      'searchKnowledgeBase': 'Search the knowledge base for relevant information using semantic search',
+      'searchKnowledgeBase': 'Search the knowledge base for relevant information using keyword, semantic or hybrid search',
       'getItemContent': 'Get the full content of a specific item in the knowledge base',
       'recommendRelatedContent': 'Recommend related content based on a query or item ID',
       'summarizeContent': 'Generate a concise summary of provided content with key points'
@@ -252,23 +252,23 @@ class ToolsService {
    */
   async searchKnowledgeBase(params) {
     try {
-      const { query, filters = {}, limit = 5, maxTokens = 4000 } = params;
+      const { query, filters = {}, limit = 5, maxTokens = 4000, mode = 'hybrid' } = params;
       
       if (!query) {
         throw new Error('Search query is required');
       }
       
-      this.logger.info(`Searching knowledge base for: ${query}`);
+      this.logger.info(`Searching knowledge base for: ${query}`, { mode });
       
-      // Generate embeddings for the query using LLM service
-      const embeddingResult = await llmService.generateEmbeddings(query);
-      
-      if (!embeddingResult || !embeddingResult.embedding) {
-        throw new Error('Failed to generate embeddings for search query');
+      // Embed the query with the library's embedding provider (keyword search ranks on text alone)
+      let queryEmbedding = null;
+      if (mode !== 'keyword') {
+        queryEmbedding = await generateEmbedding(query);
       }
       
       // Prepare search options
       const searchOptions = {
+        mode,
         limit: Math.min(parseInt(limit) || 5, 10), // Cap at 10 for efficiency
         includeContent: true,
         includeSummary: true,
@@ -286,7 +286,7 @@ class ToolsService {
       }
       
       // Perform semantic search
-      const results = await database.semanticSearch(query, embeddingResult.embedding, searchOptions);
+      const results = await database.semanticSearch(query, queryEmbedding, searchOptions);
       
       // Format results for LLM consumption
       const formattedResults = results.map(item => ({
@@ -296,7 +296,9 @@ class ToolsService {
         score: item.score,
         summary: item.summary || this.generateQuickSummary(item.content),
         // Include truncated content to stay within token limits
-        contentPreview: item.content ? this.truncateContent(item.content, 500) : null
+        contentPreview: item.content ? this.truncateContent(item.content, 500) : null,
+        // The matched chunk, so answers can cite the exact passage
+        passage: item.passage || null
       }));
       
       return {
@@ -305,6 +307,7 @@ class ToolsService {
         results: formattedResults,
         // Include metadata for LLM to understand search context
         searchMetadata: {
+          mode,
           appliedFilters: Object.keys(filters).length > 0 ? filters : null,
           estimatedTokens: results.reduce((sum, item) => sum + (item.estimatedTokens || 0), 0)
         }
@@ -385,13 +388,7 @@ class ToolsService {
       } else {
         // Generate embeddings for the query
         this.logger.info(`Recommending content related to query: ${query}`);
-        const embeddingResult = await llmService.generateEmbeddings(query);
-        
-        if (!embeddingResult || !embeddingResult.embedding) {
-          throw new Error('Failed to generate embeddings for recommendation query');
-        }
-        
-        searchVector = embeddingResult.embedding;
+        searchVector = await generateEmbedding(query);
       }
       
       // Perform semantic search with specific options for recommendations
@@ -528,20 +525,18 @@ class ToolsService {
       
       this.logger.info(`Listing all files, limit: ${limit}, sort: ${sortBy} ${sortDirection}`);
       
-      // Get all items from database
-      const items = await database.listItems();
-      
-      // Sort items based on parameters
-      const sortedItems = this.sortItems(items, sortBy, sortDirection);
-      
-      // Limit results
-      const limitedItems = sortedItems.slice(0, Math.min(parseInt(limit) || 20, 100));
+      // Get the requested page of items from the database
+      const page = await database.listItems({
+        limit: Math.min(parseInt(limit) || 20, 100),
+        sortBy: sortBy === 'title' ? 'title' : 'created_at',
+        sortDirection
+      });
       
       // Format for response
-      const formattedItems = limitedItems.map(item => this.formatItemForListing(item));
+      const formattedItems = page.items.map(item => this.formatItemForListing(item));
       
       return {
-        totalItems: items.length,
+        totalItems: page.total,
         items: formattedItems,
         listType: 'all'
       };
@@ -566,26 +561,19 @@ class ToolsService {
       
       this.logger.info(`Listing files of type: ${fileType}, limit: ${limit}`);
       
-      // Get all items from database
-      const items = await database.listItems();
-      
-      // Filter by file type
-      const filteredItems = items.filter(item => {
-        // Match based on source_type field
-        return item.source_type && item.source_type.toLowerCase() === fileType.toLowerCase();
+      // Get the requested page of items of this type, filtered by the database
+      const page = await database.listItems({
+        limit: Math.min(parseInt(limit) || 20, 100),
+        sortBy: sortBy === 'title' ? 'title' : 'created_at',
+        sortDirection,
+        where: { source_type: fileType.toLowerCase() }
       });
       
-      // Sort items based on parameters
-      const sortedItems = this.sortItems(filteredItems, sortBy, sortDirection);
-      
-      // Limit results
-      const limitedItems = sortedItems.slice(0, Math.min(parseInt(limit) || 20, 100));
-      
       // Format for response
-      const formattedItems = limitedItems.map(item => this.formatItemForListing(item));
+      const formattedItems = page.items.map(item => this.formatItemForListing(item));
       
       return {
-        totalItems: filteredItems.length,
+        totalItems: page.total,
         items: formattedItems,
         listType: 'byType',
         fileType
@@ -612,11 +600,7 @@ class ToolsService {
       this.logger.info(`Listing files with content: "${contentQuery}", fileType: ${fileType || 'any'}`);
       
       // Perform semantic search based on the content query
-      const embeddingResult = await llmService.generateEmbeddings(contentQuery);
-      
-      if (!embeddingResult || !embeddingResult.embedding) {
-        throw new Error('Failed to generate embeddings for content query');
-      }
+      const contentVector = await generateEmbedding(contentQuery);
       
       // Prepare search options
       const searchOptions = {
@@ -632,7 +616,7 @@ class ToolsService {
       }
       
       // Perform semantic search
-      const results = await database.semanticSearch(contentQuery, embeddingResult.embedding, searchOptions);
+      const results = await database.semanticSearch(contentQuery, contentVector, searchOptions);
       
       // Format results
       const formattedItems = results.map(item => this.formatItemForListing(item));
@@ -662,7 +646,7 @@ class ToolsService {
       this.logger.info(`Listing recent files from last ${days} days, fileType: ${fileType || 'any'}`);
       
       // Get all items from database
-      const items = await database.listItems();
+      const { items } = await database.listItems({ limit: null });
       
       // Calculate cutoff date for recent items
       const cutoffDate = new Date();
@@ -782,13 +766,8 @@ class ToolsService {
         throw new Error('Query is required');
       }
       
-      // Convert query to vector using LLM service
-      const embeddingResult = await llmService.generateEmbeddings(params.query);
-      if (!embeddingResult || !embeddingResult.embedding) {
-        throw new Error('Failed to generate query embedding');
-      }
-      
-      const queryVector = embeddingResult.embedding;
+      // Convert query to vector with the library's embedding provider
+      const queryVector = await generateEmbedding(params.query);
       
       // Prepare search options
       const searchOptions = {
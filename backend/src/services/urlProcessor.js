@@ -8,10 +8,90 @@ const { JSDOM } = require('jsdom');
 const { Readability } = require('@mozilla/readability');
 const { chunkByParagraphs } = require('../utils/textChunker');
 const { generateEmbeddings } = require('./embedding');
-const { addItem } = require('./database');
+const { addItem, addItemChunks, updateItem, getItemById } = require('./database');
+const { listVersions, saveVersion, diffText } = require('./urlVersions');
 const { createContextLogger } = require('../utils/logger');
 const logger = createContextLogger('URLProcessor');
 
+/**
+ * Fetch a web page and extract its main text with Readability
+ * @param {string} url URL of the web page
+ * @returns {Promise<Object>} { title, extractedText, excerpt, byline, siteName }
+ */
+async function fetchArticle(url) {
+  // Validate URL
+  try {
+    new URL(url);
+  } catch (error) {
+    logger.error(`Invalid URL format: ${url}`, { error: error.message });
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  
+  // Fetch the webpage
+  const response = await fetch(url);
+  if (!response.ok) {
+    logger.error(`Failed to fetch URL`, { 
+      url, 
+      status: response.status, 
+      statusText: response.statusText 
+    });
+    throw new Error(`Failed to fetch URL: ${response.status} ${response.statusText}`);
+  }
+  
+  // Get the HTML content
+  const html = await response.text();
+  logger.debug(`Fetched HTML content`, { 
+    url, 
+    contentLength: html.length 
+  });
+  
+  // Create a DOM from the HTML
+  const dom = new JSDOM(html, { url });
+  
+  // Extract the main content using Readability
+  const reader = new Readability(dom.window.document);
+  const article = reader.parse();
+  
+  if (!article) {
+    logger.error(`Failed to extract content from URL`, { url });
+    throw new Error(`Failed to extract content from URL: ${url}`);
+  }
+  
+  logger.debug(`Content extracted successfully`, { 
+    title: article.title,
+    contentLength: article.textContent.length,
+    hasExcerpt: !!article.excerpt,
+    hasAuthor: !!article.byline
+  });
+  
+  return {
+    title: article.title || new URL(url).hostname,
+    extractedText: article.textContent,
+    excerpt: article.excerpt || '',
+    byline: article.byline || '',
+    siteName: article.siteName || ''
+  };
+}
+
+/**
+ * Build the metadata stored with a web page item
+ * @param {string} url URL of the web page
+ * @param {Object} article Extracted article, see fetchArticle
+ * @param {number} chunkCount Number of text chunks
+ * @returns {Object} Item metadata
+ */
+function articleMetadata(url, article, chunkCount) {
+  return {
+    url,
+    hostname: new URL(url).hostname,
+    extraction_date: new Date().toISOString(),
+    chunk_count: chunkCount,
+    excerpt: article.excerpt,
+    author: article.byline,
+    site_name: article.siteName
+  };
+}
+
 /**
  * Process a web URL
  * @param {string} url URL of the web page to process
@@ -21,54 +101,8 @@ async function processURL(url) {
   try {
     logger.info(`Processing URL: ${url}`);
     
-    // Validate URL
-    try {
-      new URL(url);
-    } catch (error) {
-      logger.error(`Invalid URL format: ${url}`, { error: error.message });
-      throw new Error(`Invalid URL: ${url}`);
-    }
-    
-    // Fetch the webpage
-    const response = await fetch(url);
-    if (!response.ok) {
-      logger.error(`Failed to fetch URL`, { 
-        url, 
-        status: response.status, 
-        statusText: response.statusText 
-      });
-      throw new Error(`Failed to fetch URL: ${response.status} ${response.statusText}`);
-    }
-    
-    // Get the HTML content
-    const html = await response.text();
-    logger.debug(`Fetched HTML content`, { 
-      url, 
-      contentLength: html.length 
-    });
-    
-    // Create a DOM from the HTML
-    const dom = new JSDOM(html, { url });
-    
-    // Extract the main content using Readability
-    const reader = new Readability(dom.window.document);
-    const article = reader.parse();
-    
-    if (!article) {
-      logger.error(`Failed to extract content from URL`, { url });
-      throw new Error(`Failed to extract content from URL: ${url}`);
-    }
-    
-    logger.debug(`Content extracted successfully`, { 
-      title: article.title,
-      contentLength: article.textContent.length,
-      hasExcerpt: !!article.excerpt,
-      hasAuthor: !!article.byline
-    });
-    
-    // Extract basic info
-    const extractedText = article.textContent;
-    const title = article.title || new URL(url).hostname;
+    const article = await fetchArticle(url);
+    const { title, extractedText } = article;
     
     // Generate a unique ID
     const id = uuidv4();
@@ -93,19 +127,22 @@ async function processURL(url) {
       text_chunks: textChunks,
       // Use first chunk's embedding as the primary vector for the document
       vector: chunkEmbeddings[0] || [],
-      metadata: {
-        url,
-        hostname: new URL(url).hostname,
-        extraction_date: new Date().toISOString(),
-        chunk_count: textChunks.length,
-        excerpt: article.excerpt || '',
-        author: article.byline || '',
-        site_name: article.siteName || ''
-      }
+      metadata: articleMetadata(url, article, textChunks.length)
     };
     
-    // Store in database
-    await addItem(item);
+    // Store in database, with a vector per chunk so every passage is searchable
+    const stored = await addItem(item);
+    if (stored.duplicate) {
+      logger.info(`URL ${url} is already in the library as ${stored.id}`);
+      return stored;
+    }
+    await addItemChunks(id, textChunks, chunkEmbeddings, extractedText);
+    try {
+      saveVersion(id, { capturedAt: item.metadata.extraction_date, title, text: extractedText });
+    } catch (error) {
+      // A refresh seeds the history from the stored text, so the item is still usable
+      logger.warn(`Could not store the first version of ${id}: ${error.message}`);
+    }
     logger.info(`URL processed and stored with ID: ${id}`);
     
     return item;
@@ -119,6 +156,76 @@ async function processURL(url) {
   }
 }
 
+/**
+ * Fetch a stored web page again and keep the new text as a version if it changed
+ * The new text is diffed against the item's stored text. When it differs, the item is re-chunked
+ * and re-embedded in place and the new text is saved as the latest snapshot in web_storage.
+ * @param {string} id ID of a `url` item
+ * @returns {Promise<Object>} { id, changed, version, versions, stats: { addedWords, removedWords } }
+ */
+async function refreshURL(id) {
+  try {
+    const item = await getItemById(id, { includeContent: false, includeText: true });
+    if (item.sourceType !== 'url') {
+      throw new Error(`Item ${id} is not a web page`);
+    }
+    
+    const url = item.sourceId;
+    logger.info(`Refreshing URL: ${url}`);
+    const article = await fetchArticle(url);
+    
+    // Pages captured before versions were kept start their history with the stored text
+    if (listVersions(id).length === 0) {
+      saveVersion(id, {
+        capturedAt: (item.metadata && item.metadata.extraction_date) || item.createdAt,
+        title: item.title,
+        text: item.extractedText
+      });
+    }
+    
+    const { changed, stats } = diffText(item.extractedText, article.extractedText);
+    if (!changed) {
+      const versions = listVersions(id);
+      logger.info(`URL ${url} has not changed since version ${versions[versions.length - 1].version}`);
+      return { id, changed: false, version: versions[versions.length - 1], versions, stats };
+    }
+    
+    const textChunks = chunkByParagraphs(article.extractedText);
+    const chunkEmbeddings = await generateEmbeddings(textChunks);
+    const metadata = {
+      ...item.metadata,
+      ...articleMetadata(url, article, textChunks.length)
+    };
+    
+    await updateItem(id, {
+      title: article.title,
+      extracted_text: article.extractedText,
+      text_chunks: textChunks,
+      vector: chunkEmbeddings[0] || [],
+      metadata
+    });
+    await addItemChunks(id, textChunks, chunkEmbeddings, article.extractedText);
+    
+    const version = saveVersion(id, {
+      capturedAt: metadata.extraction_date,
+      title: article.title,
+      text: article.extractedText
+    });
+    logger.info(`URL ${url} changed (+${stats.addedWords}/-${stats.removedWords} words); stored version ${version.version}`);
+    
+    return { id, changed: true, version, versions: listVersions(id), stats };
+  } catch (error) {
+    logger.error('Error refreshing URL', { 
+      id,
+      error: error.message, 
+      stack: error.stack 
+    });
+    throw error;
+  }
+}
+
 module.exports = {
-  processURL
-}; 
\ No newline at end of file
+  fetchArticle,
+  processURL,
+  refreshURL
+};
@@ -0,0 +1,178 @@
+/**
+ * URL Versions Service
+ * Keeps timestamped snapshots of the text of web page items in web_storage and diffs them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diffWords, diffLines } = require('diff');
+const config = require('../config');
+const { createContextLogger } = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+
+const logger = createContextLogger('URLVersions');
+
+// Word diffs of large rewrites are slow; past this many milliseconds fall back to a line diff
+const WORD_DIFF_TIMEOUT_MS = 500;
+
+/**
+ * Folder holding the snapshots of an item
+ * @param {string} itemId Item ID
+ * @returns {string} Absolute folder path
+ */
+function versionsDir(itemId) {
+  return path.join(config.storage.webPath, 'versions', path.basename(itemId));
+}
+
+/**
+ * Path of a snapshot file
+ * @param {string} itemId Item ID
+ * @param {number} version Version number
+ * @returns {string} Absolute file path
+ */
+function versionPath(itemId, version) {
+  return path.join(versionsDir(itemId), `v${version}.json`);
+}
+
+/**
+ * Describe a snapshot without its text
+ * @param {Object} snapshot Stored snapshot
+ * @returns {Object} { version, capturedAt, title, length }
+ */
+function summarize(snapshot) {
+  return {
+    version: snapshot.version,
+    capturedAt: snapshot.capturedAt,
+    title: snapshot.title,
+    length: snapshot.text.length
+  };
+}
+
+/**
+ * List the snapshots of an item, oldest first
+ * @param {string} itemId Item ID
+ * @returns {Array<Object>} Snapshot summaries, see summarize
+ */
+function listVersions(itemId) {
+  const dir = versionsDir(itemId);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(name => name.match(/^v(\d+)\.json$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b)
+    .map(version => summarize(readVersion(itemId, version)));
+}
+
+/**
+ * Read a snapshot
+ * @param {string} itemId Item ID
+ * @param {number} version Version number
+ * @returns {Object} { version, capturedAt, title, text }
+ */
+function readVersion(itemId, version) {
+  const snapshot = readJsonFile(versionPath(itemId, version));
+  if (!snapshot) {
+    throw new Error(`Version ${version} of item ${itemId} not found`);
+  }
+  return snapshot;
+}
+
+/**
+ * Store a new snapshot after the existing ones
+ * @param {string} itemId Item ID
+ * @param {Object} snapshot { title, text, capturedAt (defaults to now) }
+ * @returns {Object} Summary of the stored snapshot
+ */
+function saveVersion(itemId, snapshot) {
+  const existing = listVersions(itemId);
+  const version = existing.length > 0 ? existing[existing.length - 1].version + 1 : 1;
+
+  const stored = {
+    version,
+    capturedAt: snapshot.capturedAt || new Date().toISOString(),
+    title: snapshot.title || '',
+    text: snapshot.text || ''
+  };
+  writeJsonFileAtomic(versionPath(itemId, version), stored);
+  logger.info(`Stored version ${version} of item ${itemId}`);
+
+  return summarize(stored);
+}
+
+/**
+ * Delete every snapshot of an item
+ * @param {string} itemId Item ID
+ */
+function removeVersions(itemId) {
+  fs.rmSync(versionsDir(itemId), { recursive: true, force: true });
+}
+
+/**
+ * Count the words in a piece of text
+ * @param {string} text Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  const words = text.match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} oldText Earlier text
+ * @param {string} newText Later text
+ * @returns {Object} { changed, changes: [{ type: 'added'|'removed'|'unchanged', text }], stats: { addedWords, removedWords } }
+ */
+function diffText(oldText, newText) {
+  const parts = diffWords(oldText, newText, { timeout: WORD_DIFF_TIMEOUT_MS }) || diffLines(oldText, newText);
+
+  const stats = { addedWords: 0, removedWords: 0 };
+  const changes = parts.map(part => {
+    if (part.added) {
+      stats.addedWords += countWords(part.value);
+      return { type: 'added', text: part.value };
+    }
+    if (part.removed) {
+      stats.removedWords += countWords(part.value);
+      return { type: 'removed', text: part.value };
+    }
+    return { type: 'unchanged', text: part.value };
+  });
+
+  return {
+    changed: changes.some(change => change.type !== 'unchanged'),
+    changes,
+    stats
+  };
+}
+
+/**
+ * Diff two snapshots of an item
+ * @param {string} itemId Item ID
+ * @param {number} fromVersion Earlier version
+ * @param {number} toVersion Later version
+ * @returns {Object} { from, to, ...diffText } where from and to are snapshot summaries
+ */
+function diffVersions(itemId, fromVersion, toVersion) {
+  const from = readVersion(itemId, fromVersion);
+  const to = readVersion(itemId, toVersion);
+
+  return {
+    from: summarize(from),
+    to: summarize(to),
+    ...diffText(from.text, to.text)
+  };
+}
+
+module.exports = {
+  listVersions,
+  readVersion,
+  saveVersion,
+  removeVersions,
+  diffText,
+  diffVersions
+};
@@ -0,0 +1,432 @@
+/**
+ * Watched Folders Service
+ * Keeps the library in sync with folders on disk. Each watched folder has a manifest of the files
+ * ingested from it (path, mtime, size and content hash): changed files are re-ingested, files that
+ * disappeared have their items deleted and unchanged files are skipped. Folders are synced on
+ * startup and whenever a file system watcher reports a change.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { deleteItem } = require('./database');
+const { processDocumentFile, listFolderDocuments } = require('./docsProcessor');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonFile');
+const { hashFile } = require('../utils/contentIdentity');
+const { ensureTempDir, safeDeleteFile } = require('../utils/tempFileManager');
+const { createContextLogger } = require('../utils/logger');
+const logger = createContextLogger('WatchedFolders');
+
+// File in the database directory holding the watched folders and their manifests
+const STATE_FILE = 'watched_folders.json';
+
+// Quiet period after the last file system event before a folder is synced
+const SYNC_DEBOUNCE_MS = 2000;
+
+// Per-file errors kept in a source's last sync status
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Delete the item a manifest entry points at, unless the item belongs to another source
+ * @param {Object} entry Manifest entry
+ * @returns {Promise<void>}
+ */
+async function releaseEntry(entry) {
+  if (entry.owned !== false) {
+    await deleteItem(entry.itemId);
+  }
+}
+
+/**
+ * Tracks watched folders and syncs them into the library one at a time
+ * Emits 'status' with the source summary whenever a sync starts or finishes.
+ */
+class WatchedFolders extends EventEmitter {
+  constructor() {
+    super();
+    this.sources = null;
+    this.watchers = new Map();
+    this.debounceTimers = new Map();
+    this.pending = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Path of the state file
+   * @returns {string} Absolute path
+   */
+  get statePath() {
+    return path.join(config.database.path, STATE_FILE);
+  }
+
+  /**
+   * Load the watched folders from disk on first use
+   * @returns {Array<Object>} The sources, including their file manifests
+   */
+  load() {
+    if (!this.sources) {
+      try {
+        this.sources = readJsonFile(this.statePath, { sources: [] }).sources || [];
+      } catch (error) {
+        logger.error('Watched folders state is unreadable, starting empty', { error: error.message });
+        this.sources = [];
+      }
+    }
+    return this.sources;
+  }
+
+  /**
+   * Persist the watched folders and their manifests
+   */
+  save() {
+    writeJsonFileAtomic(this.statePath, { sources: this.load() });
+  }
+
+  /**
+   * Find a source by ID
+   * @param {string} id Source ID
+   * @returns {Object} The source
+   */
+  getSource(id) {
+    const source = this.load().find(candidate => candidate.id === id);
+    if (!source) {
+      throw new Error(`Watched folder not found: ${id}`);
+    }
+    return source;
+  }
+
+  /**
+   * Describe a source without its file manifest
+   * @param {Object} source The source
+   * @returns {Object} { id, folderPath, include, exclude, recursive, createdAt, lastSync, fileCount, watching }
+   */
+  summarize(source) {
+    const { files, ...summary } = source;
+    return {
+      ...summary,
+      fileCount: Object.keys(files || {}).length,
+      watching: this.watchers.has(source.id)
+    };
+  }
+
+  /**
+   * List the watched folders with their last sync status
+   * @returns {Array<Object>} Source summaries
+   */
+  listSources() {
+    return this.load().map(source => this.summarize(source));
+  }
+
+  /**
+   * Start watching a folder and sync it
+   * @param {Object} options Folder options
+   * @param {string} options.folderPath Folder to watch
+   * @param {string} [options.include] Globs a file must match
+   * @param {string} [options.exclude] Globs of files and folders to skip
+   * @param {boolean} [options.recursive=true] Whether to include subfolders
+   * @returns {Promise<Object>} The new source summary
+   */
+  async addSource({ folderPath, include = '', exclude = '', recursive = true } = {}) {
+    if (!folderPath || !fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+      throw new Error(`Folder not found: ${folderPath}`);
+    }
+
+    const resolvedPath = path.resolve(folderPath);
+    if (this.load().some(source => source.folderPath === resolvedPath)) {
+      throw new Error(`Folder is already watched: ${resolvedPath}`);
+    }
+
+    const source = {
+      id: uuidv4(),
+      folderPath: resolvedPath,
+      include,
+      exclude,
+      recursive: recursive !== false,
+      createdAt: new Date().toISOString(),
+      lastSync: null,
+      files: {}
+    };
+    this.sources.push(source);
+    this.save();
+    logger.info(`Watching folder ${resolvedPath}`, { include, exclude });
+
+    this.watch(source);
+    this.requestSync(source.id).catch(error => logger.error('Watched folder sync failed', { error: error.message }));
+    return this.summarize(source);
+  }
+
+  /**
+   * Stop watching a folder
+   * @param {string} id Source ID
+   * @param {Object} [options] Removal options
+   * @param {boolean} [options.deleteItems=false] Also delete the items ingested from the folder
+   * @returns {Promise<void>}
+   */
+  async removeSource(id, { deleteItems = false } = {}) {
+    const source = this.getSource(id);
+    this.unwatch(id);
+
+    // Let a running sync of this folder finish before its manifest is dropped
+    await this.queue;
+
+    if (deleteItems) {
+      for (const entry of Object.values(source.files)) {
+        await releaseEntry(entry);
+      }
+    }
+
+    this.sources = this.sources.filter(candidate => candidate.id !== id);
+    this.save();
+    logger.info(`Stopped watching folder ${source.folderPath}`, { deleteItems });
+  }
+
+  /**
+   * Queue a sync of one folder
+   * Syncs run one at a time; a sync requested while the same folder is already queued joins it.
+   * @param {string} id Source ID
+   * @returns {Promise<Object>} The source summary after the sync
+   */
+  requestSync(id) {
+    if (this.pending.has(id)) {
+      return this.pending.get(id);
+    }
+
+    const run = this.queue.then(() => {
+      this.pending.delete(id);
+      return this.syncSource(id);
+    });
+    this.pending.set(id, run);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue a sync of every watched folder
+   * @returns {Promise<Array<Object>>} Source summaries after the syncs
+   */
+  syncAll() {
+    return Promise.all(this.load().map(source => this.requestSync(source.id).catch(error => {
+      logger.error(`Sync of ${source.folderPath} failed`, { error: error.message });
+      return this.summarize(source);
+    })));
+  }
+
+  /**
+   * Bring the library in line with a folder's current contents
+   * @param {string} id Source ID
+   * @returns {Promise<Object>} The source summary with its last sync status
+   */
+  async syncSource(id) {
+    const source = this.getSource(id);
+    const status = {
+      state: 'syncing',
+      startedAt: new Date().toISOString(),
+      added: 0,
+      updated: 0,
+      removed: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: []
+    };
+    source.lastSync = status;
+    this.emit('status', this.summarize(source));
+
+    try {
+      const filePaths = listFolderDocuments(source.folderPath, {
+        include: source.include,
+        exclude: source.exclude,
+        recursive: source.recursive
+      });
+
+      for (const filePath of filePaths) {
+        try {
+          const outcome = await this.syncFile(source, filePath);
+          status[outcome] += 1;
+        } catch (error) {
+          // The previous version, if any, stays in the library and in the manifest
+          status.failed += 1;
+          if (status.errors.length < MAX_REPORTED_ERRORS) {
+            status.errors.push({ filePath, error: error.message });
+          }
+        }
+      }
+
+      const present = new Set(filePaths);
+      for (const [filePath, entry] of Object.entries(source.files)) {
+        if (present.has(filePath)) {
+          continue;
+        }
+        await releaseEntry(entry);
+        delete source.files[filePath];
+        this.save();
+        status.removed += 1;
+      }
+
+      status.state = 'ok';
+    } catch (error) {
+      logger.error(`Sync of ${source.folderPath} failed`, { error: error.message });
+      status.state = 'error';
+      status.error = error.message;
+    }
+
+    status.finishedAt = new Date().toISOString();
+    this.save();
+    logger.info(`Synced ${source.folderPath}`, {
+      added: status.added,
+      updated: status.updated,
+      removed: status.removed,
+      unchanged: status.unchanged,
+      failed: status.failed
+    });
+
+    const summary = this.summarize(source);
+    this.emit('status', summary);
+    return summary;
+  }
+
+  /**
+   * Sync one file of a folder against its manifest entry
+   * The file is copied to a temporary snapshot first, so the hash and the ingested text agree even
+   * when the file is being written to.
+   * @param {Object} source The source
+   * @param {string} filePath Absolute path of the file
+   * @returns {Promise<string>} 'added', 'updated' or 'unchanged'
+   */
+  async syncFile(source, filePath) {
+    const entry = source.files[filePath];
+    const stats = fs.statSync(filePath);
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      return 'unchanged';
+    }
+
+    const snapshotDir = ensureTempDir(path.join(config.paths.tempDir, 'watched', uuidv4()));
+    const snapshotPath = path.join(snapshotDir, path.basename(filePath));
+
+    try {
+      fs.copyFileSync(filePath, snapshotPath);
+      const hash = await hashFile(snapshotPath);
+
+      if (entry && entry.hash === hash) {
+        // Touched but not changed
+        source.files[filePath] = { ...entry, mtimeMs: stats.mtimeMs, size: stats.size };
+        this.save();
+        return 'unchanged';
+      }
+
+      const document = await processDocumentFile(snapshotPath, {
+        sourcePath: filePath,
+        metadata: { watched_source_id: source.id }
+      });
+
+      // A file whose content was already in the library points at that item without owning it,
+      // unless the item is this file's own previous version
+      const previous = entry && entry.itemId !== document.id ? entry : null;
+      const owned = !document.duplicate || (!!entry && !previous && entry.owned !== false);
+
+      // The old version is only removed once the new one is stored
+      if (previous) {
+        await releaseEntry(previous);
+      }
+
+      source.files[filePath] = {
+        itemId: document.id,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        hash,
+        ...(owned ? {} : { owned: false })
+      };
+      this.save();
+      return entry ? 'updated' : 'added';
+    } finally {
+      safeDeleteFile(snapshotPath);
+      fs.rmSync(snapshotDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Watch a folder for changes
+   * @param {Object} source The source
+   */
+  watch(source) {
+    if (this.watchers.has(source.id)) {
+      return;
+    }
+
+    // Loaded on demand; only needed once a folder is watched
+    const chokidar = require('chokidar');
+    const watcher = chokidar.watch(source.folderPath, {
+      ignoreInitial: true,
+      ignored: /(^|[/\\])\../,
+      depth: source.recursive ? undefined : 0,
+      awaitWriteFinish: { stabilityThreshold: 1000, pollInterval: 200 }
+    });
+
+    watcher
+      .on('all', () => this.scheduleSync(source.id))
+      .on('error', error => logger.error(`Watcher error for ${source.folderPath}`, { error: error.message }));
+
+    this.watchers.set(source.id, watcher);
+  }
+
+  /**
+   * Stop watching a folder
+   * @param {string} id Source ID
+   */
+  unwatch(id) {
+    clearTimeout(this.debounceTimers.get(id));
+    this.debounceTimers.delete(id);
+
+    const watcher = this.watchers.get(id);
+    if (watcher) {
+      watcher.close().catch(error => logger.warn('Failed to close watcher', { error: error.message }));
+      this.watchers.delete(id);
+    }
+  }
+
+  /**
+   * Sync a folder once its file system events have settled
+   * @param {string} id Source ID
+   */
+  scheduleSync(id) {
+    clearTimeout(this.debounceTimers.get(id));
+    this.debounceTimers.set(id, setTimeout(() => {
+      this.debounceTimers.delete(id);
+      this.requestSync(id).catch(error => logger.error('Watched folder sync failed', { error: error.message }));
+    }, SYNC_DEBOUNCE_MS));
+  }
+
+  /**
+   * Sync every watched folder and start watching them
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const sources = this.load();
+    logger.info(`Starting ${sources.length} watched folders`);
+
+    sources.forEach(source => {
+      if (fs.existsSync(source.folderPath)) {
+        this.watch(source);
+      } else {
+        logger.warn(`Watched folder is missing: ${source.folderPath}`);
+      }
+    });
+
+    await this.syncAll();
+  }
+
+  /**
+   * Stop every watcher
+   */
+  stop() {
+    Array.from(this.watchers.keys()).forEach(id => this.unwatch(id));
+  }
+}
+
+// Singleton shared by the IPC handlers and the app lifecycle
+const watchedFolders = new WatchedFolders();
+
+module.exports = {
+  watchedFolders
+};
@@ -9,8 +9,9 @@ const fs = require('fs');
 const path = require('path');
 const { chunkByParagraphs } = require('../utils/textChunker');
 const { generateEmbeddings } = require('./embedding');
-const { addItem } = require('./database');
+const { addItem, addItemChunks } = require('./database');
 const { createContextLogger } = require('../utils/logger');
+const { extractYouTubeVideoId } = require('../utils/contentIdentity');
 const { 
   TempFileHandler, 
   getTempFilePath,
@@ -23,48 +24,6 @@ const logger = createContextLogger('YouTubeProcessor');
 // Ensure temp directory exists
 ensureTempDir();
 
-/**
- * Extract YouTube video ID from URL
- * @param {string} url YouTube URL
- * @returns {string|null} YouTube video ID or null if not found
- */
-function extractVideoId(url) {
-  try {
-    const urlObj = new URL(url);
-    
-    // Standard YouTube URL format
-    if (urlObj.hostname === 'www.youtube.com' || urlObj.hostname === 'youtube.com') {
-      // Regular video URL: youtube.com/watch?v=VIDEO_ID
-      if (urlObj.pathname === '/watch') {
-        return urlObj.searchParams.get('v');
-      }
-      
-      // Shortened (/v/) URL: youtube.com/v/VIDEO_ID
-      if (urlObj.pathname.startsWith('/v/')) {
-        return urlObj.pathname.split('/')[2];
-      }
-      
-      // Embedded URL: youtube.com/embed/VIDEO_ID
-      if (urlObj.pathname.startsWith('/embed/')) {
-        return urlObj.pathname.split('/')[2];
-      }
-    }
-    
-    // YouTube Shortened URL: youtu.be/VIDEO_ID
-    if (urlObj.hostname === 'youtu.be') {
-      return urlObj.pathname.substring(1); // Remove the leading '/'
-    }
-    
-    return null;
-  } catch (error) {
-    logger.error('Error extracting YouTube video ID', { 
-      url, 
-      error: error.message 
-    });
-    return null;
-  }
-}
-
 /**
  * Process a YouTube video URL
  * @param {string} url URL of the YouTube video to process
@@ -75,7 +34,7 @@ async function processYouTube(url) {
     logger.info(`Processing YouTube URL: ${url}`);
     
     // Extract video ID
-    const videoId = extractVideoId(url);
+    const videoId = extractYouTubeVideoId(url);
     if (!videoId) {
       logger.error(`Invalid YouTube URL: ${url}`);
       throw new Error(`Invalid YouTube URL: ${url}`);
@@ -285,8 +244,13 @@ async function processYouTube(url) {
       }
     };
     
-    // Store in database
-    await addItem(item);
+    // Store in database, with a vector per chunk so every passage is searchable
+    const stored = await addItem(item);
+    if (stored.duplicate) {
+      logger.info(`YouTube video ${url} is already in the library as ${stored.id}`);
+      return stored;
+    }
+    await addItemChunks(id, textChunks, chunkEmbeddings, extractedText);
     logger.info(`YouTube video processed and stored with ID: ${id}`);
     
     return item;
@@ -36,6 +36,7 @@ const logger = createContextLogger('EmbeddingBatch');
  * @param {Object} options - Embedding options
  * @param {boolean} [options.includeContent=true] - Whether to include original content in result
  * @param {boolean} [options.includeMetadata=true] - Whether to include metadata in result 
+ * @param {string} [options.providerId] - Embedding provider to use (defaults to the library's provider)
  * @param {Object} batchOptions - Batch processing options
  * @returns {Promise<Array<EmbeddedChunk>>} - Chunks with embeddings
  */
@@ -47,7 +48,8 @@ async function batchGenerateEmbeddings(chunks, options = {}, batchOptions = {})
 
   const {
     includeContent = true,
-    includeMetadata = true
+    includeMetadata = true,
+    providerId = null
   } = options;
 
   logger.info(`Starting batch embedding of ${chunks.length} chunks`, {
@@ -94,7 +96,7 @@ async function batchGenerateEmbeddings(chunks, options = {}, batchOptions = {})
 
   // Process each batch of chunks
   const embeddedChunks = await processor.process(normalizedChunks, async (chunkBatch) => {
-    return Promise.all(chunkBatch.map(chunk => processChunk(chunk, { includeContent, includeMetadata })));
+    return Promise.all(chunkBatch.map(chunk => processChunk(chunk, { includeContent, includeMetadata, providerId })));
   });
 
   logger.info(`Completed embedding for ${embeddedChunks.length} chunks`);
@@ -108,11 +110,11 @@ async function batchGenerateEmbeddings(chunks, options = {}, batchOptions = {})
  * @returns {Promise<EmbeddedChunk>} - The chunk with its embedding
  */
 async function processChunk(chunk, options = {}) {
-  const { includeContent = true, includeMetadata = true } = options;
+  const { includeContent = true, includeMetadata = true, providerId = null } = options;
   
   try {
     // Use generateEmbedding for single chunks instead of generateEmbeddingsBatch
-    const embedding = await embeddingService.generateEmbedding(chunk.content);
+    const embedding = await embeddingService.generateEmbedding(chunk.content, providerId ? { providerId } : {});
     
     const result = {
       embedding
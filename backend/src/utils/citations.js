@@ -0,0 +1,246 @@
+/**
+ * Citations Utility
+ * Numbers the knowledge base passages returned by tool calls in a conversation and maps the
+ * [n] markers of an answer back to the items and quoted spans they rely on
+ */
+
+// Tool results that carry knowledge base passages
+const CITABLE_TOOLS = ['searchKnowledgeBase', 'getItemContent'];
+
+// Characters of each source shown to the model next to its number
+const SOURCE_EXCERPT_LENGTH = 300;
+
+// Words too common to tell a cited sentence apart from its neighbours
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+/**
+ * Parse the result of a tool call message from the chat history
+ * Tool messages hold the JSON of executeToolCall: { toolCallId, toolName, result }
+ * @param {Object} message Chat history message
+ * @returns {Object|null} { toolName, result } or null when the message is not a citable tool result
+ */
+function parseToolMessage(message) {
+  if (!message || message.role !== 'tool' || typeof message.content !== 'string') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(message.content);
+  } catch (error) {
+    return null;
+  }
+
+  const toolName = message.name || (parsed && parsed.toolName);
+  const result = parsed && parsed.result !== undefined ? parsed.result : parsed;
+  if (!CITABLE_TOOLS.includes(toolName) || !result || typeof result !== 'object') {
+    return null;
+  }
+
+  return { toolName, result };
+}
+
+/**
+ * Collect the passages returned by knowledge base tool calls, numbered from 1 in conversation order
+ * The same passage returned twice keeps its first number.
+ * @param {Array} chatHistory Chat messages as sent by the frontend
+ * @returns {Array<Object>} Sources as { index, itemId, chunkIndex, title, sourceType, text, startOffset }
+ */
+function collectSources(chatHistory) {
+  const sources = [];
+  const seen = new Set();
+
+  const addSource = (source) => {
+    const key = `${source.itemId}:${source.chunkIndex === null ? 'item' : source.chunkIndex}`;
+    if (!source.itemId || !source.text || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    sources.push({ index: sources.length + 1, ...source });
+  };
+
+  (chatHistory || []).forEach(message => {
+    const toolResult = parseToolMessage(message);
+    if (!toolResult) {
+      return;
+    }
+
+    const { toolName, result } = toolResult;
+    if (toolName === 'searchKnowledgeBase') {
+      (result.results || []).forEach(hit => {
+        const passage = hit.passage || null;
+        addSource({
+          itemId: hit.id,
+          chunkIndex: passage ? passage.chunkIndex : null,
+          title: hit.title,
+          sourceType: hit.sourceType,
+          text: passage ? passage.text : hit.contentPreview,
+          startOffset: passage && typeof passage.startOffset === 'number' ? passage.startOffset : null
+        });
+      });
+    } else {
+      addSource({
+        itemId: result.id,
+        chunkIndex: null,
+        title: result.title,
+        sourceType: result.sourceType,
+        text: result.content,
+        startOffset: null
+      });
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Build the instructions listing the numbered sources the model may cite
+ * @param {Array<Object>} sources Sources from collectSources
+ * @returns {string} Instructions, empty when there are no sources
+ */
+function buildSourcesPrompt(sources) {
+  if (!sources || sources.length === 0) {
+    return '';
+  }
+
+  const listing = sources.map(source => {
+    const excerpt = source.text.replace(/\s+/g, ' ').trim();
+    const shortened = excerpt.length > SOURCE_EXCERPT_LENGTH
+      ? `${excerpt.substring(0, SOURCE_EXCERPT_LENGTH)}...`
+      : excerpt;
+    return `[${source.index}] "${source.title || 'Untitled'}": ${shortened}`;
+  });
+
+  return [
+    '[SOURCES]',
+    'The knowledge base tool results above are numbered below. When a sentence of your answer relies on one of them, ' +
+      'cite it with its number in square brackets right after the sentence, for example [1] or [1][3]. ' +
+      'Only cite numbers from this list.',
+    ...listing,
+    '[END SOURCES]'
+  ].join('\n');
+}
+
+/**
+ * Split text into words worth comparing
+ * @param {string} text Text
+ * @returns {Set<string>} Lower-cased content words
+ */
+function contentWords(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * Split text into sentences, keeping the offset of each
+ * @param {string} text Text
+ * @returns {Array<Object>} { text, start } for every non-empty sentence
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const sentence = match[0].trim();
+    if (sentence) {
+      sentences.push({ text: sentence, start: match.index + leading });
+    }
+  }
+  return sentences;
+}
+
+/**
+ * Pick the sentence of a source that best supports a sentence of the answer
+ * @param {string} claim Answer sentence carrying the citation marker
+ * @param {string} text Source text
+ * @returns {Object} { text, start } of the quoted span within the source text
+ */
+function findQuote(claim, text) {
+  const sentences = splitSentences(text);
+  if (sentences.length === 0) {
+    return { text: text.trim(), start: 0 };
+  }
+
+  const claimWords = contentWords(claim);
+  let best = sentences[0];
+  let bestScore = 0;
+  sentences.forEach(sentence => {
+    const words = contentWords(sentence.text);
+    let score = 0;
+    words.forEach(word => {
+      if (claimWords.has(word)) {
+        score++;
+      }
+    });
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Find the sentence of an answer that ends at a citation marker
+ * @param {string} answer Answer text
+ * @param {number} markerIndex Position of the marker
+ * @returns {string} The sentence before the marker
+ */
+function sentenceBefore(answer, markerIndex) {
+  const before = answer.substring(0, markerIndex).replace(/(\s*\[\d+(?:\s*,\s*\d+)*\])+\s*$/, '');
+  const sentences = splitSentences(before);
+  return sentences.length > 0 ? sentences[sentences.length - 1].text : before;
+}
+
+/**
+ * Map the [n] markers of an answer to the sources they cite
+ * @param {string} answer Answer text from the model
+ * @param {Array<Object>} sources Sources from collectSources
+ * @returns {Array<Object>} Citations ordered by number as
+ *   { index, itemId, chunkIndex, title, sourceType, quote, startOffset, endOffset }; offsets are
+ *   positions in the item's extracted text, or null when the source carried none
+ */
+function extractCitations(answer, sources) {
+  if (!answer || !sources || sources.length === 0) {
+    return [];
+  }
+
+  const cited = new Map();
+  const markerPattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+  let match;
+  while ((match = markerPattern.exec(answer)) !== null) {
+    const numbers = match[1].split(',').map(number => parseInt(number.trim(), 10));
+    numbers.forEach(number => {
+      const source = sources[number - 1];
+      if (!source || cited.has(number)) {
+        return;
+      }
+
+      const quote = findQuote(sentenceBefore(answer, match.index), source.text);
+      const startOffset = source.startOffset === null ? null : source.startOffset + quote.start;
+      cited.set(number, {
+        index: number,
+        itemId: source.itemId,
+        chunkIndex: source.chunkIndex,
+        title: source.title,
+        sourceType: source.sourceType,
+        quote: quote.text,
+        startOffset,
+        endOffset: startOffset === null ? null : startOffset + quote.text.length
+      });
+    });
+  }
+
+  return Array.from(cited.values()).sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  collectSources,
+  buildSourcesPrompt,
+  extractCitations
+};
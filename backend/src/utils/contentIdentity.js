@@ -0,0 +1,144 @@
+/**
+ * Content Identity Utility
+ * Canonical source keys and content hashes used to recognize an item that is already in the library
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref_src)$/i;
+
+// Hosts that serve YouTube videos
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com'];
+
+/**
+ * Hash a string or buffer
+ * @param {string|Buffer} data Data to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash a file's contents
+ * @param {string} filePath Path to the file
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Normalize a URL so different spellings of the same page compare equal
+ * The host is lowercased, and the fragment, tracking parameters, default ports and a trailing
+ * slash are dropped; the remaining query parameters are sorted.
+ * @param {string} url The URL
+ * @returns {string|null} The normalized URL, or null if it is not an http(s) URL
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+  return `${parsed.protocol}//${parsed.host}${pathname}${parsed.search}`;
+}
+
+/**
+ * Extract the video ID from a YouTube URL
+ * @param {string} url YouTube URL
+ * @returns {string|null} The video ID, or null if the URL is not a YouTube video
+ */
+function extractYouTubeVideoId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (host === 'youtu.be') {
+    return parsed.pathname.split('/')[1] || null;
+  }
+  if (!YOUTUBE_HOSTS.includes(host)) {
+    return null;
+  }
+
+  // youtube.com/watch?v=ID
+  if (parsed.pathname === '/watch') {
+    return parsed.searchParams.get('v');
+  }
+
+  // youtube.com/v/ID, /embed/ID, /shorts/ID and /live/ID
+  const match = parsed.pathname.match(/^\/(?:v|embed|shorts|live)\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Hash the text of an item, ignoring differences in whitespace and Unicode form
+ * @param {string} text The item's text
+ * @returns {string|null} SHA-256 hex digest, or null if there is no text
+ */
+function contentHash(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const normalized = text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+  return normalized ? sha256(normalized) : null;
+}
+
+/**
+ * Canonical key of the source an item was ingested from
+ * YouTube videos are keyed by video ID, web pages by normalized URL and files by the hash of their
+ * bytes, so the same source is recognized whatever path or link it arrives by.
+ * @param {Object} item Item with source_type, source_identifier and metadata
+ * @param {string} [fileHash] Hash of the item's original file, if it has one
+ * @returns {string|null} The key, or null if the source cannot be identified
+ */
+function sourceKey(item, fileHash) {
+  const metadata = item.metadata && typeof item.metadata === 'object' ? item.metadata : {};
+  const identifier = item.source_identifier || metadata.url || '';
+
+  const videoId = metadata.video_id || extractYouTubeVideoId(identifier);
+  if (videoId) {
+    return `youtube:${videoId}`;
+  }
+
+  const url = normalizeUrl(identifier);
+  if (url) {
+    return `url:${url}`;
+  }
+
+  return fileHash ? `file:${fileHash}` : null;
+}
+
+module.exports = {
+  hashFile,
+  normalizeUrl,
+  extractYouTubeVideoId,
+  contentHash,
+  sourceKey
+};
@@ -0,0 +1,39 @@
+/**
+ * JSON File Utility
+ * Reads and atomically writes small JSON state files (manifests, checkpoints)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read a JSON file
+ * @param {string} filePath Path of the file
+ * @param {*} [fallback=null] Value returned when the file does not exist
+ * @returns {*} The parsed contents, or the fallback
+ */
+function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file atomically
+ * The data is written next to the target and renamed over it, so readers never see a partial file.
+ * @param {string} filePath Path of the file
+ * @param {*} data Value to serialize
+ */
+function writeJsonFileAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const pendingPath = `${filePath}.pending`;
+  fs.writeFileSync(pendingPath, JSON.stringify(data, null, 2));
+  fs.renameSync(pendingPath, filePath);
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFileAtomic
+};
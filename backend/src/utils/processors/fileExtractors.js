@@ -0,0 +1,294 @@
+/**
+ * File Extractors
+ * Extract the text, title and metadata of document files. HTML-based formats (HTML, EPUB, DOCX)
+ * are converted to plain text with Markdown-style headings so section-aware chunking applies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { createContextLogger } = require('../logger');
+
+const logger = createContextLogger('FileExtractors');
+
+// Elements rendered on their own line(s)
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P',
+  'PRE', 'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+// Elements whose content is never text
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'HEAD']);
+
+/**
+ * Title derived from a file name
+ * @param {string} filePath Path to the file
+ * @returns {string} The file name without its extension
+ */
+function titleFromFileName(filePath) {
+  return path.basename(filePath, path.extname(filePath));
+}
+
+/**
+ * Collapse the whitespace left over from markup into paragraphs
+ * @param {string} text Raw text
+ * @returns {string} Text with single spaces and at most one blank line between paragraphs
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Append the text of a DOM node and its children
+ * @param {Node} node The DOM node
+ * @param {Array<string>} parts Text parts collected so far
+ * @param {boolean} preformatted Whether whitespace must be kept as is
+ */
+function collectText(node, parts, preformatted = false) {
+  for (const child of node.childNodes) {
+    if (child.nodeType === 3) {
+      if (preformatted) {
+        parts.push(child.textContent);
+      } else {
+        // Markup whitespace collapses to one space, and to nothing after a line break or space
+        const text = child.textContent.replace(/\s+/g, ' ');
+        const previous = parts.length > 0 ? parts[parts.length - 1] : '\n';
+        const collapsed = /\s$/.test(previous) ? text.replace(/^ /, '') : text;
+        if (collapsed) {
+          parts.push(collapsed);
+        }
+      }
+      continue;
+    }
+    if (child.nodeType !== 1) {
+      continue;
+    }
+
+    const tag = child.tagName.toUpperCase();
+    if (SKIPPED_ELEMENTS.has(tag)) {
+      continue;
+    }
+    if (tag === 'BR') {
+      parts.push('\n');
+      continue;
+    }
+
+    const isBlock = BLOCK_ELEMENTS.has(tag);
+    if (isBlock) {
+      parts.push('\n\n');
+    }
+    if (/^H[1-6]$/.test(tag)) {
+      parts.push(`${'#'.repeat(Number(tag[1]))} `);
+    } else if (tag === 'LI') {
+      parts.push('- ');
+    }
+
+    collectText(child, parts, preformatted || tag === 'PRE');
+
+    if (isBlock) {
+      parts.push('\n\n');
+    } else if (tag === 'TD' || tag === 'TH') {
+      parts.push(' | ');
+    }
+  }
+}
+
+/**
+ * Convert an HTML document to text
+ * @param {string} html The HTML source
+ * @returns {Object} { title, text }
+ */
+function htmlToText(html) {
+  const { document } = new JSDOM(html).window;
+  const parts = [];
+  collectText(document.body || document.documentElement, parts);
+
+  const firstHeading = document.querySelector('h1, h2');
+  return {
+    title: (document.title || (firstHeading && firstHeading.textContent) || '').replace(/\s+/g, ' ').trim(),
+    text: normalizeWhitespace(parts.join(''))
+  };
+}
+
+/**
+ * Split YAML front matter from a Markdown document
+ * @param {string} source The Markdown source
+ * @returns {Object} { body, frontMatter } with the simple `key: value` pairs of the front matter
+ */
+function splitFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { body: source, frontMatter: {} };
+  }
+
+  const frontMatter = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const pair = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+    if (pair && pair[2]) {
+      frontMatter[pair[1]] = pair[2].replace(/^["']|["']$/g, '');
+    }
+  });
+
+  return { body: source.slice(match[0].length), frontMatter };
+}
+
+/**
+ * Extract a Markdown file
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function extractMarkdown(filePath) {
+  const { body, frontMatter } = splitFrontMatter(fs.readFileSync(filePath, 'utf8'));
+  const heading = body.match(/^#\s+(.+)$/m);
+
+  return {
+    title: frontMatter.title || (heading && heading[1].trim()) || titleFromFileName(filePath),
+    text: body,
+    metadata: Object.keys(frontMatter).length > 0 ? { front_matter: frontMatter } : {}
+  };
+}
+
+/**
+ * Extract a plain text file
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function extractPlainText(filePath) {
+  return {
+    title: titleFromFileName(filePath),
+    text: fs.readFileSync(filePath, 'utf8'),
+    metadata: {}
+  };
+}
+
+/**
+ * Extract an HTML file
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function extractHtml(filePath) {
+  const { title, text } = htmlToText(fs.readFileSync(filePath, 'utf8'));
+
+  return {
+    title: title || titleFromFileName(filePath),
+    text,
+    metadata: {}
+  };
+}
+
+/**
+ * Extract a DOCX file
+ * The document is converted to HTML first so its headings survive.
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function extractDocx(filePath) {
+  // Loaded on demand; only needed when DOCX files are ingested
+  const mammoth = require('mammoth');
+  const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+
+  if (messages.length > 0) {
+    logger.debug(`DOCX conversion of ${filePath} reported ${messages.length} messages`, {
+      messages: messages.slice(0, 5).map(message => message.message)
+    });
+  }
+
+  const { text } = htmlToText(html);
+  return {
+    title: titleFromFileName(filePath),
+    text,
+    metadata: {}
+  };
+}
+
+/**
+ * Find the first element with a local name in an XML document, ignoring namespaces
+ * @param {Document} document The XML document
+ * @param {string} localName Element name without prefix
+ * @returns {string} Its trimmed text, or '' if absent
+ */
+function xmlText(document, localName) {
+  const element = document.getElementsByTagNameNS('*', localName)[0];
+  return element ? element.textContent.trim() : '';
+}
+
+/**
+ * Extract an EPUB file
+ * Chapters are read in spine (reading) order.
+ * @param {string} filePath Path to the file
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function extractEpub(filePath) {
+  // Loaded on demand; only needed when EPUB files are ingested
+  const JSZip = require('jszip');
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+
+  const readXml = async (entryPath) => {
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      throw new Error(`Invalid EPUB ${filePath}: missing ${entryPath}`);
+    }
+    return new JSDOM(await entry.async('string'), { contentType: 'application/xml' }).window.document;
+  };
+
+  const container = await readXml('META-INF/container.xml');
+  const rootfile = container.getElementsByTagNameNS('*', 'rootfile')[0];
+  const packagePath = rootfile && rootfile.getAttribute('full-path');
+  if (!packagePath) {
+    throw new Error(`Invalid EPUB ${filePath}: no package document`);
+  }
+
+  const opf = await readXml(packagePath);
+  const baseDir = path.posix.dirname(packagePath);
+
+  const manifest = new Map();
+  Array.from(opf.getElementsByTagNameNS('*', 'item')).forEach(item => {
+    manifest.set(item.getAttribute('id'), item.getAttribute('href'));
+  });
+
+  const chapters = [];
+  for (const itemref of Array.from(opf.getElementsByTagNameNS('*', 'itemref'))) {
+    const href = manifest.get(itemref.getAttribute('idref'));
+    if (!href) {
+      continue;
+    }
+
+    const entryPath = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href)));
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      logger.warn(`EPUB ${filePath} lists a missing chapter: ${entryPath}`);
+      continue;
+    }
+
+    const { text } = htmlToText(await entry.async('string'));
+    if (text) {
+      chapters.push(text);
+    }
+  }
+
+  const author = xmlText(opf, 'creator');
+  const language = xmlText(opf, 'language');
+  return {
+    title: xmlText(opf, 'title') || titleFromFileName(filePath),
+    text: chapters.join('\n\n'),
+    metadata: {
+      ...(author ? { author } : {}),
+      ...(language ? { language } : {}),
+      chapter_count: chapters.length
+    }
+  };
+}
+
+module.exports = {
+  htmlToText,
+  splitFrontMatter,
+  extractMarkdown,
+  extractPlainText,
+  extractHtml,
+  extractDocx,
+  extractEpub
+};
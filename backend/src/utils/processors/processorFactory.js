@@ -7,6 +7,15 @@ const { createContextLogger } = require('../../utils/logger');
 const { batchChunkDocuments, flattenChunkedDocuments } = require('../batchers/chunkerBatch');
 const { batchGenerateEmbeddings, batchEmbedAndStore } = require('../batchers/embeddingBatch');
 const { generateEmbeddingsBatch } = require('../../services/embedding');
+const {
+  extractMarkdown,
+  extractPlainText,
+  extractHtml,
+  extractDocx,
+  extractEpub
+} = require('./fileExtractors');
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
 const config = require('../../config');
 
 const logger = createContextLogger('ProcessorFactory');
@@ -194,6 +203,251 @@ class PDFProcessor extends BaseProcessor {
     const documentProcessor = new DocumentProcessor(this.options);
     return documentProcessor.processDocuments(documents, storeFunction);
   }
+
+  /**
+   * Extract a PDF file
+   * @param {string} filePath Path to the PDF file
+   * @returns {Promise<Object>} Extracted PDF data
+   */
+  async extractDocument(filePath) {
+    // Required lazily: the PDF service itself depends on this factory
+    const { extractPDFData } = require('../../services/pdfProcessor');
+    return extractPDFData(filePath);
+  }
+
+  /**
+   * Process extracted PDF data, see processPDFData
+   * @param {Array<Object>} documents Extracted PDF data
+   * @param {Function} [storeFunction] Optional function to store results
+   * @returns {Promise<Object>} Processing results
+   */
+  async processDocumentData(documents, storeFunction = null) {
+    return this.processPDFData(documents, storeFunction);
+  }
+}
+
+/**
+ * Base class for processors of text-based document files
+ * Subclasses only extract text; chunking and embedding go through DocumentProcessor.
+ */
+class FileProcessor extends BaseProcessor {
+  /**
+   * Format recorded in the item metadata (e.g. 'markdown')
+   * @returns {string} Format name
+   */
+  get format() {
+    throw new Error(`${this.constructor.name} must define a format`);
+  }
+
+  /**
+   * Chunking strategy used unless the options choose one
+   * @returns {string} Chunking strategy
+   */
+  get defaultChunkingStrategy() {
+    return 'paragraphs';
+  }
+
+  /**
+   * Normalize options, applying the format's default chunking strategy
+   * @param {Object} options User provided options
+   * @returns {Object} Normalized options with defaults
+   * @protected
+   */
+  _normalizeOptions(options) {
+    const normalized = super._normalizeOptions(options);
+    if (!options.chunking?.strategy) {
+      normalized.chunking.strategy = this.defaultChunkingStrategy;
+    }
+    return normalized;
+  }
+
+  /**
+   * Extract the text of a file
+   * @param {string} filePath Path to the file
+   * @returns {Promise<Object>} { title, text, metadata }
+   * @protected
+   */
+  async _extract(filePath) {
+    throw new Error(`${this.constructor.name} must implement _extract`);
+  }
+
+  /**
+   * Extract a file into the item shape the database stores
+   * @param {string} filePath Path to the file
+   * @returns {Promise<Object>} Extracted document data
+   */
+  async extractDocument(filePath) {
+    const { title, text, metadata } = await this._extract(filePath);
+    const fileName = path.basename(filePath);
+
+    return {
+      id: uuidv4(),
+      source_type: 'document',
+      source_identifier: filePath,
+      title,
+      original_content_path: filePath,
+      extractedText: text,
+      filePath,
+      metadata: {
+        ...metadata,
+        format: this.format,
+        file_name: fileName,
+        extraction_date: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Chunk and embed extracted documents
+   * @param {Array<Object>} documents Results of extractDocument
+   * @param {Function} [storeFunction] Optional function to store results
+   * @returns {Promise<Object>} Processing results
+   */
+  async processDocumentData(documents, storeFunction = null) {
+    this.logger.info(`Processing ${documents.length} ${this.format} documents`);
+
+    const prepared = documents.map(doc => ({
+      id: doc.id,
+      text: doc.extractedText,
+      format: this.format,
+      metadata: {
+        ...doc.metadata,
+        source_type: doc.source_type,
+        source_identifier: doc.source_identifier
+      }
+    }));
+
+    const documentProcessor = new DocumentProcessor(this.options);
+    return documentProcessor.processDocuments(prepared, storeFunction);
+  }
+}
+
+/**
+ * Markdown processor; chunks by heading sections
+ */
+class MarkdownProcessor extends FileProcessor {
+  get format() {
+    return 'markdown';
+  }
+
+  get defaultChunkingStrategy() {
+    return 'markdown';
+  }
+
+  async _extract(filePath) {
+    return extractMarkdown(filePath);
+  }
+}
+
+/**
+ * Plain text processor; chunks by paragraphs
+ */
+class TextFileProcessor extends FileProcessor {
+  get format() {
+    return 'text';
+  }
+
+  async _extract(filePath) {
+    return extractPlainText(filePath);
+  }
+}
+
+/**
+ * HTML processor; headings are kept so the text chunks by section
+ */
+class HTMLProcessor extends FileProcessor {
+  get format() {
+    return 'html';
+  }
+
+  get defaultChunkingStrategy() {
+    return 'markdown';
+  }
+
+  async _extract(filePath) {
+    return extractHtml(filePath);
+  }
+}
+
+/**
+ * EPUB processor; chapters are read in reading order and chunked by section
+ */
+class EPUBProcessor extends FileProcessor {
+  get format() {
+    return 'epub';
+  }
+
+  get defaultChunkingStrategy() {
+    return 'markdown';
+  }
+
+  async _extract(filePath) {
+    return extractEpub(filePath);
+  }
+}
+
+/**
+ * DOCX processor; headings are kept so the text chunks by section
+ */
+class DOCXProcessor extends FileProcessor {
+  get format() {
+    return 'docx';
+  }
+
+  get defaultChunkingStrategy() {
+    return 'markdown';
+  }
+
+  async _extract(filePath) {
+    return extractDocx(filePath);
+  }
+}
+
+// Processor factories keyed by lower-case file extension (including the dot)
+const fileProcessors = new Map();
+
+/**
+ * Register the processor for one or more file extensions
+ * @param {Array<string>} extensions File extensions, e.g. ['.md', '.markdown']
+ * @param {Function} factory Function (options) => processor with extractDocument and processDocumentData
+ */
+function registerFileProcessor(extensions, factory) {
+  extensions.forEach(extension => {
+    fileProcessors.set(extension.toLowerCase(), factory);
+  });
+}
+
+/**
+ * List the file extensions a processor is registered for
+ * @returns {Array<string>} File extensions including the dot
+ */
+function getSupportedFileExtensions() {
+  return Array.from(fileProcessors.keys());
+}
+
+/**
+ * Check whether a file can be processed
+ * @param {string} filePath Path to the file
+ * @returns {boolean} Whether a processor is registered for its extension
+ */
+function isSupportedFile(filePath) {
+  return fileProcessors.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Create the processor for a file based on its extension
+ * @param {string} filePath Path to the file
+ * @param {Object} [options] Processor options
+ * @returns {Object} The processor
+ */
+function createFileProcessor(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  const factory = fileProcessors.get(extension);
+
+  if (!factory) {
+    throw new Error(`Unsupported file type: ${extension || path.basename(filePath)}`);
+  }
+  return factory(options);
 }
 
 /**
@@ -214,10 +468,27 @@ function createPDFProcessor(options = {}) {
   return new PDFProcessor(options);
 }
 
+registerFileProcessor(['.pdf'], createPDFProcessor);
+registerFileProcessor(['.md', '.markdown'], options => new MarkdownProcessor(options));
+registerFileProcessor(['.txt', '.text'], options => new TextFileProcessor(options));
+registerFileProcessor(['.html', '.htm', '.xhtml'], options => new HTMLProcessor(options));
+registerFileProcessor(['.epub'], options => new EPUBProcessor(options));
+registerFileProcessor(['.docx'], options => new DOCXProcessor(options));
+
 module.exports = {
   createDocumentProcessor,
   createPDFProcessor,
+  createFileProcessor,
+  registerFileProcessor,
+  getSupportedFileExtensions,
+  isSupportedFile,
   DocumentProcessor,
   PDFProcessor,
+  FileProcessor,
+  MarkdownProcessor,
+  TextFileProcessor,
+  HTMLProcessor,
+  EPUBProcessor,
+  DOCXProcessor,
   BaseProcessor
 }; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Rank Fusion Utility
+ * Combines several ranked result lists into a single ranking
+ */
+
+// Damping constant from the original reciprocal rank fusion paper
+const RRF_K = 60;
+
+/**
+ * Fuse ranked lists of IDs with reciprocal rank fusion
+ * Every list contributes 1 / (k + rank) for each ID it contains. Scores are normalized so an ID
+ * ranked first in every list scores 1.
+ * @param {Array<Array<string>>} rankings Ranked lists of IDs, best first
+ * @param {number} [k=60] Damping constant; higher values flatten the influence of top ranks
+ * @returns {Array<Object>} Fused ranking as { id, score, ranks }, best first; `ranks` holds the
+ *   1-based rank of the ID in each input list, or null where it is absent
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  const maxScore = rankings.length / (k + 1);
+
+  rankings.forEach((ranking, listIndex) => {
+    ranking.forEach((id, position) => {
+      if (!fused.has(id)) {
+        fused.set(id, { id, score: 0, ranks: new Array(rankings.length).fill(null) });
+      }
+
+      const entry = fused.get(id);
+      // An ID listed twice in one ranking only counts at its best rank
+      if (entry.ranks[listIndex] === null) {
+        entry.ranks[listIndex] = position + 1;
+        entry.score += 1 / (k + position + 1);
+      }
+    });
+  });
+
+  return Array.from(fused.values())
+    .map(entry => ({ ...entry, score: maxScore > 0 ? entry.score / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  reciprocalRankFusion
+};
@@ -353,9 +353,37 @@ function chunkByMarkdown(text, maxChunkSize = config.processing.chunkSize) {
   return chunks;
 }
 
+/**
+ * Locate each chunk within the source text it was produced from
+ * Chunks may overlap, so the search cursor only advances past each chunk's start.
+ * Chunks that were altered during chunking (e.g. whitespace cleanup) are reported with offsets of -1.
+ * @param {string} text The original source text
+ * @param {Array<string>} chunks The chunks produced from the text
+ * @returns {Array<{start: number, end: number}>} Character offsets for each chunk
+ */
+function locateChunks(text, chunks) {
+  const offsets = [];
+  let cursor = 0;
+  
+  for (const chunk of chunks) {
+    const start = typeof text === 'string' && chunk ? text.indexOf(chunk, cursor) : -1;
+    
+    if (start === -1) {
+      offsets.push({ start: -1, end: -1 });
+      continue;
+    }
+    
+    offsets.push({ start, end: start + chunk.length });
+    cursor = start + 1;
+  }
+  
+  return offsets;
+}
+
 module.exports = {
   cleanText,
   chunkByCharacters,
   chunkByParagraphs,
-  chunkByMarkdown
+  chunkByMarkdown,
+  locateChunks
 };
\ No newline at end of file
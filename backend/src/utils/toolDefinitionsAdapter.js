@@ -14,7 +14,7 @@ const toolDefinitions = {
   searchKnowledgeBase: {
     name: 'searchKnowledgeBase',
     description: 'Search the knowledge base for relevant information',
-    version: '1.0.0',
+    version: '1.1.0',
     location: 'backend',
     parameters: {
       type: 'object',
@@ -40,6 +40,11 @@ const toolDefinitions = {
         limit: {
           type: 'integer',
           description: 'Maximum number of results to return (default: 5)'
+        },
+        mode: {
+          type: 'string',
+          description: 'Ranking strategy: keyword (exact terms such as names, error codes and acronyms), vector (meaning) or hybrid (both, default)',
+          enum: ['keyword', 'vector', 'hybrid']
         }
       },
       required: ['query']
@@ -190,6 +195,73 @@ function getBackendToolNames() {
   return definitions.map(tool => tool.name);
 }
 
+/**
+ * Resolve the tools of a chat request to complete definitions
+ * A tool named after an embedded definition takes its description and parameters when it brings
+ * none, and parameters given as a bare map of properties are wrapped in an object schema.
+ * @param {Array} tools - Tool definitions from the request ({ name, description, parameters })
+ * @returns {Array} - Definitions with a name, description and JSON schema parameters
+ */
+function resolveToolDefinitions(tools = []) {
+  return tools
+    .filter(tool => tool && typeof tool.name === 'string' && tool.name)
+    .map(tool => {
+      const embedded = getToolDefinition(tool.name);
+      let parameters = tool.parameters || (embedded && embedded.parameters) || {};
+      
+      if (parameters.type !== 'object' || !parameters.properties) {
+        parameters = { type: 'object', properties: parameters.properties || parameters };
+      }
+      
+      return {
+        name: tool.name,
+        description: tool.description || (embedded && embedded.description) || `Execute the ${tool.name} function`,
+        parameters
+      };
+    });
+}
+
+/**
+ * Convert a JSON schema to the schema dialect of Gemini function declarations
+ * Gemini spells types in upper case and rejects keywords it does not know.
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema = {}) {
+  const geminiSchema = {
+    type: (schema.type || 'string').toUpperCase()
+  };
+  
+  if (schema.description) {
+    geminiSchema.description = schema.description;
+  }
+  if (Array.isArray(schema.enum)) {
+    geminiSchema.enum = schema.enum.map(String);
+  }
+  if (schema.items) {
+    geminiSchema.items = toGeminiSchema(schema.items);
+  }
+  if (schema.properties) {
+    geminiSchema.properties = Object.entries(schema.properties).reduce((acc, [key, value]) => {
+      acc[key] = toGeminiSchema(value);
+      return acc;
+    }, {});
+  }
+  if (Array.isArray(schema.required) && schema.required.length > 0) {
+    geminiSchema.required = schema.required;
+  }
+  
+  return geminiSchema;
+}
+
+/**
+ * Create an ID for a tool call the model did not number itself
+ * @returns {string} - Tool call ID
+ */
+function createToolCallId() {
+  return `call-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+}
+
 // Initialize on module load
 initialize();
 
@@ -201,5 +273,8 @@ module.exports = {
   getLlmToolDefinitions,
   getToolDefinitionsByLocation,
   getBackendToolDefinitions,
-  getBackendToolNames
+  getBackendToolNames,
+  resolveToolDefinitions,
+  toGeminiSchema,
+  createToolCallId
 }; 
\ No newline at end of file
@@ -15,11 +15,19 @@ jest.mock('vectordb', () => {
   
   const mockSearch = jest.fn().mockReturnValue({ limit: mockLimit });
   
+  const mockFilter = jest.fn().mockReturnValue({
+    limit: mockLimit,
+    select: jest.fn().mockReturnValue({ limit: mockLimit })
+  });
+  
   // Create mock collection with simple implementations
   const mockCollection = {
     add: jest.fn().mockResolvedValue(true),
     delete: jest.fn().mockResolvedValue(true),
-    search: mockSearch
+    countRows: jest.fn().mockResolvedValue(2),
+    schema: Promise.resolve({ fields: [{ name: 'id' }, { name: 'title' }, { name: 'created_at' }] }),
+    search: mockSearch,
+    filter: mockFilter
   };
 
   // Create a mock for connect function
@@ -222,12 +230,14 @@ describe('Database Service', () => {
     });
     
     test('should list items from the collection', async () => {
-      const results = await listItems();
+      const page = await listItems();
       
-      expect(Array.isArray(results)).toBe(true);
-      expect(results.length).toBe(2);
-      expect(results[0].id).toBe('item1');
-      expect(results[1].id).toBe('item2');
+      expect(Array.isArray(page.items)).toBe(true);
+      expect(page.items.length).toBe(2);
+      expect(page.items[0].id).toBe('item1');
+      expect(page.items[1].id).toBe('item2');
+      expect(page.total).toBe(2);
+      expect(page.hasMore).toBe(false);
     });
   });
   
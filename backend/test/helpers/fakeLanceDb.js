@@ -0,0 +1,171 @@
+/**
+ * In-memory stand-in for LanceDB tables, for tests of the database service
+ * Supports the query API the service uses (filter, select, search, limit, countRows) and the
+ * SQL filters it builds: `=`, `IN (...)`, `IS NULL` and `false`, combined with AND.
+ */
+
+// Rows a query returns when no limit is set, as in LanceDB
+const DEFAULT_QUERY_LIMIT = 10;
+
+/**
+ * Parse a SQL literal
+ * @param {string} text The literal
+ * @returns {*} The value
+ */
+function parseLiteral(text) {
+  const literal = text.trim();
+  if (literal.startsWith("'")) {
+    return literal.slice(1, -1).replace(/''/g, "'");
+  }
+  if (literal === 'true' || literal === 'false') {
+    return literal === 'true';
+  }
+  return Number(literal);
+}
+
+/**
+ * Check a row against a SQL filter
+ * @param {Object} row The row
+ * @param {string} [filter] The filter
+ * @returns {boolean} Whether the row matches
+ */
+function matchesFilter(row, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  return filter.split(' AND ').every(condition => {
+    const clause = condition.trim();
+    let match;
+
+    if (clause === 'false') {
+      return false;
+    }
+    if ((match = clause.match(/^(\w+) IS NULL$/))) {
+      return row[match[1]] === null || row[match[1]] === undefined;
+    }
+    if ((match = clause.match(/^(\w+) IN \((.*)\)$/))) {
+      const values = (match[2].match(/'(?:[^']|'')*'|[^,\s]+/g) || []).map(parseLiteral);
+      return values.includes(row[match[1]]);
+    }
+    if ((match = clause.match(/^(\w+) = (.+)$/))) {
+      return row[match[1]] === parseLiteral(match[2]);
+    }
+    throw new Error(`Unsupported filter: ${clause}`);
+  });
+}
+
+/**
+ * Squared euclidean distance between two vectors
+ * @param {Array<number>} a First vector
+ * @param {Array<number>} b Second vector
+ * @returns {number} The distance
+ */
+function distance(a, b) {
+  return a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0);
+}
+
+class FakeQuery {
+  constructor(table, vector = null) {
+    this.table = table;
+    this.vector = vector;
+    this.where = null;
+    this.columns = null;
+    this.count = DEFAULT_QUERY_LIMIT;
+  }
+
+  filter(where) {
+    this.where = where;
+    return this;
+  }
+
+  select(columns) {
+    this.columns = columns;
+    return this;
+  }
+
+  limit(count) {
+    this.count = count;
+    return this;
+  }
+
+  async execute() {
+    let rows = this.table.rows.filter(row => matchesFilter(row, this.where));
+
+    if (this.vector) {
+      rows = rows
+        .map(row => ({ ...row, _distance: distance(row.vector, this.vector) }))
+        .sort((a, b) => a._distance - b._distance);
+    }
+
+    return rows.slice(0, this.count).map(row => {
+      if (!this.columns) {
+        return { ...row };
+      }
+      return Object.fromEntries(this.columns.map(column => [column, row[column]]));
+    });
+  }
+}
+
+class FakeTable {
+  /**
+   * @param {Array<Object>} rows Initial rows
+   * @param {Array<string>} columns Column names of the schema
+   * @param {number} dimensions Size of the vector column
+   */
+  constructor(rows, columns, dimensions) {
+    this.rows = rows.map(row => ({ ...row }));
+    this.schema = Promise.resolve({
+      fields: columns.map(name => ({
+        name,
+        type: name === 'vector' ? { listSize: dimensions } : {}
+      }))
+    });
+  }
+
+  async countRows(where) {
+    return this.rows.filter(row => matchesFilter(row, where)).length;
+  }
+
+  filter(where) {
+    return new FakeQuery(this).filter(where);
+  }
+
+  search(vector) {
+    return new FakeQuery(this, vector);
+  }
+
+  async add(rows) {
+    this.rows.push(...rows.map(row => ({ ...row })));
+  }
+
+  async delete(where) {
+    this.rows = this.rows.filter(row => !matchesFilter(row, where));
+  }
+}
+
+/**
+ * Create a connection that opens the given tables
+ * @param {Object} tables Tables keyed by name
+ * @returns {Object} Object with the openTable and createTable methods of a LanceDB connection
+ */
+function createFakeConnection(tables) {
+  return {
+    openTable: async (name) => {
+      if (!tables[name]) {
+        throw new Error(`Table ${name} does not exist`);
+      }
+      return tables[name];
+    },
+    createTable: async (name, rows) => {
+      tables[name] = new FakeTable(rows, Object.keys(rows[0] || {}), (rows[0] && rows[0].vector || []).length);
+      return tables[name];
+    }
+  };
+}
+
+module.exports = {
+  FakeTable,
+  createFakeConnection,
+  matchesFilter
+};
@@ -32,9 +32,12 @@ describe('IPC Communication', () => {
     };
     
     databaseServiceStub = {
-      listItems: sinon.stub().resolves([
-        { id: 'test-id', title: 'Test Document', source_type: 'pdf' }
-      ]),
+      listItems: sinon.stub().resolves({
+        items: [{ id: 'test-id', title: 'Test Document', source_type: 'pdf' }],
+        total: 1,
+        nextCursor: null,
+        hasMore: false
+      }),
       deleteItem: sinon.stub().resolves(true)
     };
     
@@ -0,0 +1,325 @@
+/**
+ * Tests for the knowledge base REST API
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createKnowledgeRouter } = require('../../src/routes/knowledgeRouter');
+
+describe('Knowledge REST API', () => {
+  const AUTH = { Authorization: 'Bearer test-token' };
+  let services;
+  let app;
+
+  beforeEach(() => {
+    services = {
+      database: {
+        isDatabaseInitialized: jest.fn().mockReturnValue(true),
+        initializeDatabase: jest.fn().mockResolvedValue({}),
+        listItems: jest.fn().mockResolvedValue({
+          items: [{ id: 'item1', title: 'Item 1', source_type: 'pdf' }],
+          total: 3,
+          offset: 0,
+          nextCursor: 'next-page',
+          hasMore: true
+        }),
+        getItemById: jest.fn().mockResolvedValue({ id: 'item1', title: 'Item 1', content: 'Hello' }),
+        deleteItem: jest.fn().mockResolvedValue(true)
+      },
+      search: {
+        semanticSearch: jest.fn().mockResolvedValue([{ id: 'item1', title: 'Item 1', score: 0.9 }])
+      },
+      processors: {
+        text: jest.fn().mockResolvedValue({ id: 'text1', title: 'Note', source_type: 'text', vector: [0.1] }),
+        url: jest.fn().mockResolvedValue({ id: 'url1', title: 'Page', source_type: 'url', vector: [0.1] }),
+        pdf: jest.fn().mockResolvedValue({ id: 'pdf1', title: 'Paper', source_type: 'pdf' }),
+        document: jest.fn().mockResolvedValue({ id: 'doc1', title: 'Notes', source_type: 'document' }),
+        folder: jest.fn().mockResolvedValue({ folderPath: __dirname, total: 1, processed: [{ id: 'doc1' }], failed: [] }),
+        youtube: jest.fn().mockResolvedValue({ id: 'yt1', title: 'Video', source_type: 'youtube' })
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1', createKnowledgeRouter(services, { getToken: () => 'test-token' }));
+  });
+
+  describe('database initialization', () => {
+    test('should open the database once when running headless', async () => {
+      services.database.isDatabaseInitialized.mockReturnValue(false);
+
+      await request(app).get('/api/v1/items').set(AUTH).expect(200);
+      await request(app).get('/api/v1/items').set(AUTH).expect(200);
+
+      expect(services.database.initializeDatabase).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a failed initialization and retry on the next request', async () => {
+      services.database.isDatabaseInitialized.mockReturnValue(false);
+      services.database.initializeDatabase.mockRejectedValueOnce(new Error('disk full'));
+
+      const failed = await request(app).get('/api/v1/items').set(AUTH).expect(500);
+      expect(failed.body).toEqual({ success: false, error: 'disk full' });
+
+      await request(app).get('/api/v1/items').set(AUTH).expect(200);
+      expect(services.database.initializeDatabase).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('access', () => {
+    test('should reject requests without the token', async () => {
+      const response = await request(app).get('/api/v1/items').expect(401);
+
+      expect(response.body).toEqual({ success: false, error: 'A valid API token is required' });
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      await request(app).get('/api/v1/items/item1').expect(401);
+      await request(app).post('/api/v1/search').send({ query: 'notes' }).expect(401);
+      await request(app).delete('/api/v1/items/item1').expect(401);
+      await request(app).post('/api/v1/ingest/folder').set({ Authorization: 'Bearer wrong-token' }).send({ folderPath: __dirname }).expect(401);
+
+      expect(services.database.listItems).not.toHaveBeenCalled();
+      expect(services.search.semanticSearch).not.toHaveBeenCalled();
+      expect(services.database.deleteItem).not.toHaveBeenCalled();
+      expect(services.processors.folder).not.toHaveBeenCalled();
+    });
+
+    test('should only answer requests addressed to the loopback interface', async () => {
+      const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const { port } = server.address();
+
+      try {
+        await request(server).get('/api/v1/items').set(AUTH).expect(200);
+        await request(server).get('/api/v1/items').set(AUTH).set('Host', `localhost:${port}`).expect(200);
+
+        const response = await request(server).get('/api/v1/items').set(AUTH).set('Host', `rebind.example.com:${port}`).expect(403);
+        expect(response.body.error).toBe('Requests must be addressed to 127.0.0.1 or localhost');
+        await request(server).get('/api/v1/items').set(AUTH).set('Host', 'localhost:80').expect(403);
+        expect(services.database.listItems).toHaveBeenCalledTimes(2);
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('GET /api/v1/items', () => {
+    test('should return a page of items', async () => {
+      const response = await request(app).get('/api/v1/items').set(AUTH).expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        items: [{ id: 'item1', title: 'Item 1', source_type: 'pdf' }],
+        total: 3,
+        offset: 0,
+        nextCursor: 'next-page',
+        hasMore: true
+      });
+    });
+
+    test('should pass pagination, sorting and filters to the database', async () => {
+      await request(app)
+        .get('/api/v1/items?limit=10&cursor=abc&sortBy=title&sortDirection=asc&sourceType=url')
+        .set(AUTH)
+        .expect(200);
+
+      expect(services.database.listItems).toHaveBeenCalledWith({
+        limit: 10,
+        offset: 0,
+        cursor: 'abc',
+        sortBy: 'title',
+        sortDirection: 'asc',
+        where: { source_type: 'url' }
+      });
+    });
+
+    test('should cap the page size', async () => {
+      await request(app).get('/api/v1/items?limit=100000').set(AUTH).expect(200);
+
+      expect(services.database.listItems.mock.calls[0][0].limit).toBe(500);
+    });
+
+    test('should reject unsupported sort columns', async () => {
+      services.database.listItems.mockRejectedValue(new Error('Cannot sort by size, expected one of: created_at, title'));
+
+      const response = await request(app).get('/api/v1/items?sortBy=size').set(AUTH).expect(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/items/:id', () => {
+    test('should return the item', async () => {
+      const response = await request(app).get('/api/v1/items/item1').set(AUTH).expect(200);
+
+      expect(response.body.item.content).toBe('Hello');
+      expect(services.database.getItemById).toHaveBeenCalledWith('item1', { includeContent: true });
+    });
+
+    test('should return 404 for unknown items', async () => {
+      services.database.getItemById.mockRejectedValue(new Error('Item with ID missing not found'));
+
+      const response = await request(app).get('/api/v1/items/missing').set(AUTH).expect(404);
+      expect(response.body).toEqual({ success: false, error: 'Item with ID missing not found' });
+    });
+  });
+
+  describe('POST /api/v1/items', () => {
+    test('should store text as a new item', async () => {
+      const response = await request(app)
+        .post('/api/v1/items')
+        .set(AUTH)
+        .send({ title: 'Note', text: 'Remember the milk' })
+        .expect(201);
+
+      expect(response.body.item).toEqual({ id: 'text1', title: 'Note', sourceType: 'text' });
+      expect(services.processors.text).toHaveBeenCalledWith(expect.objectContaining({ title: 'Note', text: 'Remember the milk' }));
+    });
+
+    test('should require text', async () => {
+      await request(app).post('/api/v1/items').set(AUTH).send({ title: 'Empty' }).expect(400);
+      expect(services.processors.text).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/v1/items/:id', () => {
+    test('should delete the item', async () => {
+      const response = await request(app).delete('/api/v1/items/item1').set(AUTH).expect(200);
+
+      expect(response.body).toEqual({ success: true, result: true });
+      expect(services.database.deleteItem).toHaveBeenCalledWith('item1');
+    });
+  });
+
+  describe('POST /api/v1/search', () => {
+    test('should search with the requested mode', async () => {
+      const response = await request(app)
+        .post('/api/v1/search')
+        .set(AUTH)
+        .send({ query: 'ERR_CONNECTION_RESET', limit: 3, mode: 'keyword' })
+        .expect(200);
+
+      expect(response.body.results).toHaveLength(1);
+      expect(services.search.semanticSearch).toHaveBeenCalledWith('ERR_CONNECTION_RESET', 3, { mode: 'keyword' });
+    });
+
+    test('should default to hybrid search', async () => {
+      await request(app).post('/api/v1/search').set(AUTH).send({ query: 'notes' }).expect(200);
+
+      expect(services.search.semanticSearch).toHaveBeenCalledWith('notes', 5, { mode: 'hybrid' });
+    });
+
+    test('should require a query', async () => {
+      await request(app).post('/api/v1/search').set(AUTH).send({}).expect(400);
+    });
+
+    test('should reject unknown modes', async () => {
+      services.search.semanticSearch.mockRejectedValue(new Error('Unknown search mode: fuzzy, expected one of: keyword, vector, hybrid'));
+
+      await request(app).post('/api/v1/search').set(AUTH).send({ query: 'notes', mode: 'fuzzy' }).expect(400);
+    });
+  });
+
+  describe('POST /api/v1/ingest', () => {
+    test('should ingest a URL without returning its text or vectors', async () => {
+      const response = await request(app)
+        .post('/api/v1/ingest/url')
+        .set(AUTH)
+        .send({ url: 'https://example.com/article' })
+        .expect(201);
+
+      expect(response.body.item).toEqual({ id: 'url1', title: 'Page', sourceType: 'url' });
+      expect(services.processors.url).toHaveBeenCalledWith('https://example.com/article');
+    });
+
+    test('should answer 200 with the existing item when it is already in the library', async () => {
+      services.processors.url.mockResolvedValue({ id: 'url0', title: 'Page', source_type: 'url', duplicate: true });
+
+      const response = await request(app)
+        .post('/api/v1/ingest/url')
+        .set(AUTH)
+        .send({ url: 'https://example.com/article?utm_source=feed' })
+        .expect(200);
+
+      expect(response.body.item).toEqual({ id: 'url0', title: 'Page', sourceType: 'url', duplicate: true });
+    });
+
+    test('should reject URLs that are not http(s)', async () => {
+      await request(app).post('/api/v1/ingest/url').set(AUTH).send({ url: 'file:///etc/passwd' }).expect(400);
+      expect(services.processors.url).not.toHaveBeenCalled();
+    });
+
+    test('should ingest a local PDF', async () => {
+      const response = await request(app)
+        .post('/api/v1/ingest/pdf')
+        .set(AUTH)
+        .send({ filePath: __filename })
+        .expect(201);
+
+      expect(response.body.item.id).toBe('pdf1');
+      expect(services.processors.pdf).toHaveBeenCalledWith(__filename);
+    });
+
+    test('should reject PDFs that do not exist', async () => {
+      await request(app).post('/api/v1/ingest/pdf').set(AUTH).send({ filePath: '/no/such/file.pdf' }).expect(400);
+      expect(services.processors.pdf).not.toHaveBeenCalled();
+    });
+
+    test('should ingest a local document', async () => {
+      const response = await request(app)
+        .post('/api/v1/ingest/document')
+        .set(AUTH)
+        .send({ filePath: __filename })
+        .expect(201);
+
+      expect(response.body.item).toEqual({ id: 'doc1', title: 'Notes', sourceType: 'document' });
+    });
+
+    test('should reject unsupported document types', async () => {
+      services.processors.document.mockRejectedValue(new Error('Unsupported file type: .exe'));
+
+      await request(app).post('/api/v1/ingest/document').set(AUTH).send({ filePath: __filename }).expect(400);
+    });
+
+    test('should ingest a folder with include and exclude globs', async () => {
+      const response = await request(app)
+        .post('/api/v1/ingest/folder')
+        .set(AUTH)
+        .send({ folderPath: __dirname, include: ['**/*.md'], exclude: 'drafts/**' })
+        .expect(201);
+
+      expect(response.body.total).toBe(1);
+      expect(services.processors.folder).toHaveBeenCalledWith(__dirname, {
+        include: ['**/*.md'],
+        exclude: 'drafts/**',
+        recursive: undefined
+      });
+    });
+
+    test('should reject folders that do not exist', async () => {
+      await request(app).post('/api/v1/ingest/folder').set(AUTH).send({ folderPath: '/no/such/folder' }).expect(400);
+      expect(services.processors.folder).not.toHaveBeenCalled();
+    });
+
+    test('should ingest a YouTube video', async () => {
+      const response = await request(app)
+        .post('/api/v1/ingest/youtube')
+        .set(AUTH)
+        .send({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' })
+        .expect(201);
+
+      expect(response.body.item).toEqual({ id: 'yt1', title: 'Video', sourceType: 'youtube' });
+    });
+
+    test('should report processor failures as server errors', async () => {
+      services.processors.youtube.mockRejectedValue(new Error('yt-dlp exited with code 1'));
+
+      const response = await request(app)
+        .post('/api/v1/ingest/youtube')
+        .set(AUTH)
+        .send({ url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' })
+        .expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'yt-dlp exited with code 1' });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for the API token of the knowledge base REST API
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const { getApiToken, tokensMatch } = require('../../src/services/apiToken');
+
+describe('API Token', () => {
+  const originalPath = config.database.path;
+
+  beforeEach(() => {
+    config.database.path = fs.mkdtempSync(path.join(os.tmpdir(), 'api-token-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.database.path, { recursive: true, force: true });
+    config.database.path = originalPath;
+  });
+
+  test('should generate a token once and keep it readable by the owner only', () => {
+    const token = getApiToken();
+    const tokenFile = path.join(config.database.path, 'api_token.json');
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(getApiToken()).toBe(token);
+    expect(JSON.parse(fs.readFileSync(tokenFile, 'utf8')).token).toBe(token);
+    expect(fs.statSync(tokenFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('should match only the exact token', () => {
+    expect(tokensMatch('secret', 'secret')).toBe(true);
+    expect(tokensMatch('secreT', 'secret')).toBe(false);
+    expect(tokensMatch('secret-longer', 'secret')).toBe(false);
+    expect(tokensMatch(null, 'secret')).toBe(false);
+    expect(tokensMatch('', '')).toBe(false);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for chat attachments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('tesseract.js', () => ({
+  recognize: jest.fn().mockResolvedValue({ data: { text: 'Text read from the image' } })
+}), { virtual: true });
+
+jest.mock('../../src/services/urlProcessor', () => ({
+  fetchArticle: jest.fn().mockResolvedValue({
+    title: 'An article',
+    extractedText: 'Article text',
+    excerpt: '',
+    byline: '',
+    siteName: ''
+  }),
+  processURL: jest.fn().mockResolvedValue({ id: 'url-item' })
+}));
+
+jest.mock('../../src/services/docsProcessor', () => ({
+  processDocumentFile: jest.fn().mockResolvedValue({ id: 'document-item' })
+}));
+
+jest.mock('../../src/services/textProcessor', () => ({
+  processText: jest.fn().mockResolvedValue({ id: 'text-item' })
+}));
+
+const Tesseract = require('tesseract.js');
+const { fetchArticle, processURL } = require('../../src/services/urlProcessor');
+const { processDocumentFile } = require('../../src/services/docsProcessor');
+const { processText } = require('../../src/services/textProcessor');
+const { extractAttachment, promoteAttachment, MAX_ATTACHMENT_CHARS } = require('../../src/services/attachments');
+
+describe('Chat Attachments', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('extracts a dropped file without storing it', async () => {
+    const filePath = path.join(root, 'notes.md');
+    fs.writeFileSync(filePath, '# Notes\n\nSome notes');
+
+    const attachment = await extractAttachment({ filePath });
+
+    expect(attachment).toMatchObject({
+      kind: 'file',
+      source: { filePath },
+      truncated: false
+    });
+    expect(attachment.text).toContain('Some notes');
+    expect(attachment.id).toBeTruthy();
+    expect(processDocumentFile).not.toHaveBeenCalled();
+  });
+
+  test('extracts pasted file data and removes the temporary copy', async () => {
+    const data = Buffer.from('Pasted text file').toString('base64');
+    const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('cognivore-attachment-'));
+
+    const attachment = await extractAttachment({ name: 'pasted.txt', data });
+
+    expect(attachment).toMatchObject({ kind: 'file', source: { name: 'pasted.txt' }, text: 'Pasted text file' });
+    const after = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('cognivore-attachment-'));
+    expect(after).toEqual(before);
+  });
+
+  test('reads images with OCR', async () => {
+    const filePath = path.join(root, 'scan.png');
+    fs.writeFileSync(filePath, 'not really a png');
+
+    const attachment = await extractAttachment({ filePath });
+
+    expect(Tesseract.recognize).toHaveBeenCalledWith(filePath, 'eng');
+    expect(attachment).toMatchObject({ kind: 'image', title: 'scan.png', text: 'Text read from the image' });
+  });
+
+  test('extracts URLs with the article extractor', async () => {
+    const attachment = await extractAttachment({ url: 'https://example.com/post' });
+
+    expect(fetchArticle).toHaveBeenCalledWith('https://example.com/post');
+    expect(attachment).toMatchObject({ kind: 'url', title: 'An article', text: 'Article text' });
+    expect(processURL).not.toHaveBeenCalled();
+  });
+
+  test('cuts long text to the attachment limit', async () => {
+    const filePath = path.join(root, 'long.txt');
+    fs.writeFileSync(filePath, 'a'.repeat(MAX_ATTACHMENT_CHARS + 10));
+
+    const attachment = await extractAttachment({ filePath });
+
+    expect(attachment.text).toHaveLength(MAX_ATTACHMENT_CHARS);
+    expect(attachment.truncated).toBe(true);
+  });
+
+  test('rejects unsupported files and empty sources', async () => {
+    const filePath = path.join(root, 'archive.zip');
+    fs.writeFileSync(filePath, 'zip');
+
+    await expect(extractAttachment({ filePath })).rejects.toThrow('Unsupported attachment type: .zip');
+    await expect(extractAttachment({})).rejects.toThrow('An attachment needs a file path, a URL or file data');
+  });
+
+  test('promotes files and URLs through their regular processing paths', async () => {
+    await promoteAttachment({ kind: 'file', title: 'notes', source: { filePath: '/docs/notes.md' }, text: 'Some' });
+    await promoteAttachment({ kind: 'url', title: 'An article', source: { url: 'https://example.com/post' }, text: 'Some' });
+
+    expect(processDocumentFile).toHaveBeenCalledWith('/docs/notes.md');
+    expect(processURL).toHaveBeenCalledWith('https://example.com/post');
+    expect(processText).not.toHaveBeenCalled();
+  });
+
+  test('promotes images and pasted data as their extracted text', async () => {
+    await promoteAttachment({ kind: 'image', title: 'scan.png', source: { filePath: '/docs/scan.png' }, text: 'Scanned' });
+    await promoteAttachment({ kind: 'file', title: 'pasted', source: { name: 'pasted.txt' }, text: 'Pasted' });
+
+    expect(processText).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      text: 'Scanned',
+      sourceType: 'image',
+      sourceIdentifier: '/docs/scan.png'
+    }));
+    expect(processText).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      text: 'Pasted',
+      sourceType: 'text',
+      sourceIdentifier: 'pasted.txt'
+    }));
+    expect(processDocumentFile).not.toHaveBeenCalled();
+  });
+
+  test('promotes the full text of cut pasted data', async () => {
+    const text = 'a'.repeat(MAX_ATTACHMENT_CHARS + 10);
+    const attachment = await extractAttachment({ name: 'long.txt', data: Buffer.from(text).toString('base64') });
+
+    expect(attachment).toMatchObject({ truncated: true, text: text.substring(0, MAX_ATTACHMENT_CHARS) });
+
+    await promoteAttachment(attachment);
+
+    expect(processText).toHaveBeenCalledWith(expect.objectContaining({ text, sourceIdentifier: 'long.txt' }));
+  });
+
+  test('refuses to promote cut pasted data whose full text is gone', async () => {
+    const attachment = { id: 'unknown', kind: 'file', title: 'long.txt', source: { name: 'long.txt' }, text: 'aaa', truncated: true };
+
+    await expect(promoteAttachment(attachment)).rejects.toThrow('The full text of long.txt is no longer available');
+    expect(processText).not.toHaveBeenCalled();
+  });
+});
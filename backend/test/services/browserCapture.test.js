@@ -0,0 +1,170 @@
+/**
+ * Tests for the browser capture service
+ */
+
+jest.mock('../../src/services/embedding', () => ({
+  generateEmbeddings: jest.fn(chunks => Promise.resolve(chunks.map((chunk, index) => [index, chunk.length])))
+}));
+
+jest.mock('../../src/services/database', () => ({
+  addItem: jest.fn(item => Promise.resolve({ id: item.id })),
+  addItemChunks: jest.fn().mockResolvedValue(true),
+  findItemIdBySource: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../src/services/pageArchive', () => ({
+  saveArchive: jest.fn((itemId, page) => Promise.resolve({ id: 'archive-1', itemId, url: page.url }))
+}));
+
+const { generateEmbeddings } = require('../../src/services/embedding');
+const { addItem, addItemChunks, findItemIdBySource } = require('../../src/services/database');
+const { saveArchive } = require('../../src/services/pageArchive');
+const { matchesFilters } = require('../../src/services/search');
+const {
+  normalizeCapture,
+  captureMetadata,
+  captureBrowserPage,
+  archiveBrowserPage
+} = require('../../src/services/browserCapture');
+
+describe('Browser Capture', () => {
+  const extraction = {
+    url: 'https://blog.example.com/posts/bees',
+    title: 'All about bees',
+    text: 'Bees live in hives.\n\nThey make honey from nectar.',
+    html: '<p>Bees live in hives.</p>',
+    headings: [{ level: 1, text: 'All about bees' }, { level: 2, text: '' }],
+    links: [{ url: 'https://example.com/honey', text: 'Honey' }, 'https://example.com/hives', { text: 'no url' }],
+    byline: 'Readability Author',
+    siteName: 'Example Blog',
+    extractionMethod: 'readability',
+    metadata: {
+      author: 'Jane Doe',
+      published: '2025-03-04T10:00:00Z',
+      modified: 'not a date',
+      language: 'en-GB',
+      keywords: ['bees', 'honey'],
+      openGraph: { type: 'article', image: 'https://example.com/bee.jpg', site_name: 'Example' }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should accept the extraction directly or inside a save request', () => {
+    const direct = normalizeCapture(extraction);
+    const wrapped = normalizeCapture({ url: extraction.url, title: 'Saved title', content: extraction });
+
+    expect(direct).toMatchObject({ url: extraction.url, title: 'All about bees', text: extraction.text });
+    expect(wrapped).toMatchObject({ url: extraction.url, title: 'Saved title', text: extraction.text });
+    expect(wrapped.metadata.author).toBe('Jane Doe');
+    expect(wrapped.headings).toHaveLength(2);
+  });
+
+  test('should fall back to the text of captured HTML', () => {
+    const page = normalizeCapture({
+      url: 'https://example.com',
+      content: '<h1>Title</h1><p>First &amp; second</p><script>track()</script>'
+    });
+
+    expect(page.text).toBe('Title\n\nFirst & second');
+  });
+
+  test('should store author, dates, language and OpenGraph under fixed names', () => {
+    const metadata = captureMetadata(normalizeCapture(extraction), 2);
+
+    expect(metadata).toMatchObject({
+      url: extraction.url,
+      hostname: 'blog.example.com',
+      browser_saved: true,
+      chunk_count: 2,
+      author: 'Jane Doe',
+      site_name: 'Example Blog',
+      published_date: '2025-03-04T10:00:00.000Z',
+      modified_date: null,
+      language: 'en-gb',
+      keywords: ['bees', 'honey'],
+      image: 'https://example.com/bee.jpg',
+      content_type: 'article',
+      opengraph: extraction.metadata.openGraph,
+      headings: [{ level: 1, text: 'All about bees' }],
+      link_count: 3,
+      links: [
+        { url: 'https://example.com/honey', text: 'Honey' },
+        { url: 'https://example.com/hives' }
+      ]
+    });
+  });
+
+  test('should chunk, embed and store the page', async () => {
+    const result = await captureBrowserPage({ url: extraction.url, content: extraction });
+
+    expect(generateEmbeddings).toHaveBeenCalledWith(expect.any(Array));
+    const chunks = generateEmbeddings.mock.calls[0][0];
+    expect(addItem).toHaveBeenCalledWith(expect.objectContaining({
+      source_type: 'browser',
+      source_identifier: extraction.url,
+      title: 'All about bees',
+      extracted_text: extraction.text,
+      text_chunks: chunks,
+      vector: [0, chunks[0].length]
+    }));
+    expect(addItemChunks).toHaveBeenCalledWith(result.id, chunks, expect.any(Array), extraction.text);
+    expect(result).toEqual({ id: expect.any(String), title: 'All about bees', duplicate: false, chunkCount: chunks.length });
+  });
+
+  test('should store author and language where the author: and lang: search filters find them', async () => {
+    await captureBrowserPage(extraction);
+    const item = addItem.mock.calls[0][0];
+
+    expect(matchesFilters(item, { author: 'jane', language: 'en' })).toBe(true);
+    expect(matchesFilters({ ...item, metadata: JSON.stringify(item.metadata) }, { language: 'en-GB' })).toBe(true);
+    expect(matchesFilters(item, { author: 'smith' })).toBe(false);
+    expect(matchesFilters(item, { language: 'de' })).toBe(false);
+    expect(matchesFilters(item, { language: 'e' })).toBe(false);
+  });
+
+  test('should return the existing item for pages already in the library', async () => {
+    addItem.mockResolvedValueOnce({ duplicate: true, id: 'existing-item' });
+
+    const result = await captureBrowserPage(extraction);
+
+    expect(result).toMatchObject({ id: 'existing-item', duplicate: true });
+    expect(addItemChunks).not.toHaveBeenCalled();
+  });
+
+  test('should reject captures without a URL or text', async () => {
+    await expect(captureBrowserPage({ text: 'Some text' })).rejects.toThrow('A captured page needs a URL');
+    await expect(captureBrowserPage({ url: 'https://example.com', text: '  ' })).rejects.toThrow('No text was captured');
+    expect(addItem).not.toHaveBeenCalled();
+  });
+
+  test('should archive a page next to the item it is stored as', async () => {
+    findItemIdBySource.mockResolvedValueOnce('existing-item');
+    const capture = { url: extraction.url, title: 'All about bees', html: '<html><body><p>Bees</p></body></html>', text: 'Bees' };
+
+    const result = await archiveBrowserPage(capture);
+
+    expect(findItemIdBySource).toHaveBeenCalledWith(extraction.url);
+    expect(addItem).not.toHaveBeenCalled();
+    expect(saveArchive).toHaveBeenCalledWith('existing-item', capture);
+    expect(result).toEqual({ itemId: 'existing-item', saved: false, archive: expect.objectContaining({ id: 'archive-1' }) });
+  });
+
+  test('should store a page that is not in the library before archiving it', async () => {
+    const result = await archiveBrowserPage({
+      url: extraction.url,
+      title: 'All about bees',
+      html: '<html><body><p>Bees live in hives.</p></body></html>',
+      text: 'Bees live in hives.'
+    });
+
+    expect(addItem).toHaveBeenCalledWith(expect.objectContaining({
+      source_identifier: extraction.url,
+      extracted_text: 'Bees live in hives.'
+    }));
+    expect(result.saved).toBe(true);
+    expect(saveArchive).toHaveBeenCalledWith(result.itemId, expect.objectContaining({ url: extraction.url }));
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for stored chat conversations
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const {
+  listConversations,
+  getConversation,
+  saveConversation,
+  updateConversation,
+  deleteConversation
+} = require('../../src/services/conversations');
+
+describe('Conversations', () => {
+  const originalStorage = config.storage;
+
+  beforeEach(() => {
+    config.storage = { conversationPath: fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-')) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.conversationPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+  });
+
+  const messages = [
+    { role: 'user', content: 'What do my notes say about   honey bees?' },
+    { role: 'assistant', content: '', toolCalls: [{ toolCallId: 'call-1', toolName: 'searchKnowledgeBase', parameters: { query: 'bees' } }] },
+    { role: 'tool', toolCallId: 'call-1', name: 'searchKnowledgeBase', content: '{"results":[]}', status: 'completed' },
+    { role: 'assistant', content: 'Your notes describe how a colony overwinters in a tight cluster.' }
+  ];
+
+  test('should create a conversation titled after its first message and keep it on later saves', () => {
+    const created = saveConversation({ messages: messages.slice(0, 1), provider: 'local', model: 'llama3.1', profileId: 'research-assistant' });
+
+    expect(created).toMatchObject({
+      id: expect.any(String),
+      title: 'What do my notes say about honey bees?',
+      pinned: false,
+      provider: 'local',
+      model: 'llama3.1',
+      profileId: 'research-assistant',
+      messageCount: 1
+    });
+
+    const updated = saveConversation({ id: created.id, messages });
+
+    expect(updated).toMatchObject({ id: created.id, title: created.title, createdAt: created.createdAt, messageCount: 4 });
+    expect(getConversation(created.id)).toMatchObject({ provider: 'local', model: 'llama3.1', profileId: 'research-assistant', messages });
+  });
+
+  test('should shorten long titles', () => {
+    const { title } = saveConversation({ messages: [{ role: 'user', content: 'word '.repeat(40) }] });
+
+    expect(title.length).toBeLessThanOrEqual(60);
+    expect(title.endsWith('…')).toBe(true);
+  });
+
+  test('should list pinned conversations first, then the most recent', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00.000Z') });
+    try {
+      const first = saveConversation({ messages: [{ role: 'user', content: 'First' }] });
+      jest.advanceTimersByTime(1000);
+      const second = saveConversation({ messages: [{ role: 'user', content: 'Second' }] });
+
+      expect(listConversations().map(conversation => conversation.title)).toEqual(['Second', 'First']);
+
+      updateConversation(first.id, { pinned: true });
+      expect(listConversations().map(conversation => conversation.title)).toEqual(['First', 'Second']);
+
+      updateConversation(first.id, { pinned: false });
+      jest.advanceTimersByTime(1000);
+      saveConversation({ id: first.id, messages: [{ role: 'user', content: 'First' }, { role: 'assistant', content: 'Hi' }] });
+      expect(listConversations().map(conversation => conversation.title)).toEqual(['First', 'Second']);
+      expect(second.updatedAt).toBe('2024-01-01T00:00:01.000Z');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should rename conversations and refuse empty titles', () => {
+    const { id } = saveConversation({ messages });
+
+    expect(updateConversation(id, { title: '  Bee   notes ' }).title).toBe('Bee notes');
+    expect(() => updateConversation(id, { title: ' ' })).toThrow('Conversation title cannot be empty');
+    expect(() => updateConversation('missing', { pinned: true })).toThrow('Conversation missing not found');
+  });
+
+  test('should search the text of every message', () => {
+    saveConversation({ messages });
+    saveConversation({ messages: [{ role: 'user', content: 'Plan a trip to Lisbon' }] });
+
+    const results = listConversations({ query: 'COLONY cluster' });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('What do my notes say about honey bees?');
+    expect(results[0].match).toEqual({
+      role: 'assistant',
+      snippet: 'Your notes describe how a colony overwinters in a tight cluster.'
+    });
+    expect(listConversations({ query: 'lisbon bees' })).toEqual([]);
+  });
+
+  test('should delete conversations', () => {
+    const { id } = saveConversation({ messages });
+
+    deleteConversation(id);
+
+    expect(listConversations()).toEqual([]);
+    expect(() => getConversation(id)).toThrow(`Conversation ${id} not found`);
+  });
+});
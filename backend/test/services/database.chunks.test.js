@@ -0,0 +1,171 @@
+/**
+ * Tests for the chunk table: storing item chunks and passage-level vector search
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('vectordb', () => ({ connect: jest.fn() }));
+
+// Pass queries straight through, without the query cache
+jest.mock('../../src/memory', () => ({
+  memoryManager: { monitorMemory: () => ({ heapUsedMB: 100, heapUsedRatio: 0.5 }) },
+  batchOptimizer: {},
+  dbMemoryManager: {},
+  registerConnection: (name, connection) => connection,
+  optimizeQuery: (fn) => fn,
+  getStatistics: jest.fn(),
+  analyzeQueryPerformance: jest.fn()
+}));
+
+const vectordb = require('vectordb');
+const config = require('../../src/config');
+const database = require('../../src/services/database');
+const { FakeTable, createFakeConnection } = require('../helpers/fakeLanceDb');
+
+const ITEM_COLUMNS = ['id', 'title', 'source_type', 'source_identifier', 'extracted_text', 'text_chunks', 'vector', 'created_at', 'metadata'];
+const CHUNK_COLUMNS = ['id', 'item_id', 'chunk_index', 'start_offset', 'end_offset', 'text', 'vector', 'created_at'];
+
+/**
+ * Build an item row
+ */
+function item(id, vector) {
+  return {
+    id,
+    title: `Title of ${id}`,
+    source_type: 'url',
+    source_identifier: `https://example.com/${id}`,
+    extracted_text: '',
+    text_chunks: [],
+    vector,
+    created_at: '2026-10-01T00:00:00.000Z',
+    metadata: '{}'
+  };
+}
+
+/**
+ * Build a chunk row
+ */
+function chunk(itemId, index, vector) {
+  return {
+    id: `${itemId}:${index}`,
+    item_id: itemId,
+    chunk_index: index,
+    start_offset: index * 10,
+    end_offset: index * 10 + 9,
+    text: `Passage ${index} of ${itemId}`,
+    vector,
+    created_at: '2026-10-01T00:00:00.000Z'
+  };
+}
+
+describe('Database chunk table', () => {
+  const originalPath = config.database.path;
+  const originalStorage = config.storage;
+  const query = [1, 0, 0];
+  let items;
+  let chunks;
+
+  /**
+   * Open the database on the given rows
+   */
+  async function openDatabase(itemRows, chunkRows) {
+    items = new FakeTable(itemRows, ITEM_COLUMNS, 3);
+    chunks = new FakeTable(chunkRows, CHUNK_COLUMNS, 3);
+    vectordb.connect.mockResolvedValue(createFakeConnection({ items, chunks }));
+    await database.initializeDatabase();
+  }
+
+  /**
+   * Run a vector-only search
+   */
+  function vectorSearch(limit) {
+    return database.hybridSearch(null, query, { mode: 'vector', limit });
+  }
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'database-chunks-'));
+    config.database.path = root;
+    config.storage = {
+      pdfPath: path.join(root, 'pdf'),
+      webPath: path.join(root, 'web'),
+      videoPath: path.join(root, 'video'),
+      transcriptPath: path.join(root, 'transcripts'),
+      docsPath: path.join(root, 'docs')
+    };
+    fs.writeFileSync(path.join(root, 'embedding_manifest.json'), JSON.stringify({
+      providerId: null,
+      modelId: 'test-model',
+      dimensions: 3,
+      collection: 'items',
+      chunkCollection: 'chunks'
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.database.path, { recursive: true, force: true });
+    config.database.path = originalPath;
+    config.storage = originalStorage;
+  });
+
+  test('stores chunks with their offsets, replacing the previous ones', async () => {
+    await openDatabase([item('item-a', [1, 0, 0])], [chunk('item-a', 0, [1, 0, 0]), chunk('item-a', 1, [0, 1, 0])]);
+
+    const text = 'Bees make honey. Wasps do not.';
+    const written = await database.addItemChunks('item-a', ['Bees make honey.', 'Wasps do not.', 'Lost'], [[1, 0, 0], [0, 1, 0], []], text);
+
+    expect(written).toBe(2);
+    expect(chunks.rows.map(row => [row.id, row.text, row.start_offset, row.end_offset])).toEqual([
+      ['item-a:0', 'Bees make honey.', 0, 16],
+      ['item-a:1', 'Wasps do not.', 17, 30]
+    ]);
+    await expect(database.addItemChunks('item-a', ['Too wide'], [[1, 0, 0, 0]], 'Too wide'))
+      .rejects.toThrow('Vector of chunk 0 of item item-a has 4 dimensions');
+  });
+
+  test('groups chunk hits by item and keeps the best passage', async () => {
+    await openDatabase(
+      [item('item-a', [0, 0, 1]), item('item-b', [0, 0, 1])],
+      [chunk('item-a', 0, [0, 1, 0]), chunk('item-a', 1, [1, 0, 0]), chunk('item-b', 0, [0.9, 0.1, 0])]
+    );
+
+    const results = await vectorSearch(5);
+
+    expect(results.map(result => result.id)).toEqual(['item-a', 'item-b']);
+    expect(results[0].matched_chunk).toEqual({ chunk_index: 1, text: 'Passage 1 of item-a', start_offset: 10, end_offset: 19 });
+    expect(results[0].score).toBe(1);
+    expect(results[1].matched_chunk.chunk_index).toBe(0);
+  });
+
+  test('skips chunks whose item is missing and falls back to item vectors for items without chunks', async () => {
+    await openDatabase(
+      [item('item-a', [0, 0, 1]), item('legacy', [0.8, 0, 0]), item('other', [0, 0, 1])],
+      [chunk('item-a', 0, [1, 0, 0]), chunk('deleted', 0, [1, 0.05, 0])]
+    );
+
+    const results = await vectorSearch(3);
+
+    expect(results.map(result => result.id)).toEqual(['item-a', 'legacy', 'other']);
+    expect(results[1].matched_chunk).toBeUndefined();
+    expect(results[1].score).toBeCloseTo(1 / 1.04);
+  });
+
+  test('checks the fallback candidates for chunks in one query', async () => {
+    // item-a fills every overfetched chunk hit, so item-e's passage is never reached
+    await openDatabase(
+      [item('item-a', [0, 0, 1]), item('item-e', [1, 0, 0]), item('legacy', [0.9, 0, 0])],
+      [
+        ...Array.from({ length: 8 }, (_, index) => chunk('item-a', index, [1, 0, 0])),
+        chunk('item-e', 0, [0, 1, 0])
+      ]
+    );
+    const countRows = jest.spyOn(chunks, 'countRows');
+
+    const results = await vectorSearch(2);
+
+    expect(results.map(result => result.id)).toEqual(['item-a', 'legacy']);
+    expect(countRows).toHaveBeenCalledTimes(1);
+    expect(countRows).toHaveBeenCalledWith("item_id IN ('item-e', 'legacy')");
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for paging through items with listItems
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('vectordb', () => ({ connect: jest.fn() }));
+
+// Pass queries straight through, without the query cache
+jest.mock('../../src/memory', () => ({
+  memoryManager: { monitorMemory: () => ({ heapUsedMB: 100, heapUsedRatio: 0.5 }) },
+  batchOptimizer: {},
+  dbMemoryManager: {},
+  registerConnection: (name, connection) => connection,
+  optimizeQuery: (fn) => fn,
+  getStatistics: jest.fn(),
+  analyzeQueryPerformance: jest.fn()
+}));
+
+const vectordb = require('vectordb');
+const config = require('../../src/config');
+const database = require('../../src/services/database');
+const { FakeTable, createFakeConnection } = require('../helpers/fakeLanceDb');
+
+const ITEM_COLUMNS = ['id', 'title', 'source_type', 'source_identifier', 'extracted_text', 'text_chunks', 'vector', 'created_at', 'metadata'];
+
+/**
+ * Build an item row
+ */
+function item(id, title, createdAt, sourceType = 'url') {
+  return {
+    id,
+    title,
+    source_type: sourceType,
+    source_identifier: `https://example.com/${id}`,
+    extracted_text: `Text of ${id}`,
+    text_chunks: [],
+    vector: [0, 0, 1],
+    created_at: createdAt,
+    metadata: '{}'
+  };
+}
+
+const ROWS = [
+  item('item-a', 'Bees', '2026-10-01T00:00:00.000Z'),
+  item('item-b', 'ants', '2026-10-01T00:00:00.000Z'),
+  item('item-c', 'Cicadas', '2026-10-01T00:00:00.000Z'),
+  item('item-d', 'bees', '2026-10-02T00:00:00.000Z', 'pdf'),
+  item('item-e', 'Dragonflies', '2026-09-30T00:00:00.000Z', 'pdf')
+];
+
+describe('Database listItems', () => {
+  const originalPath = config.database.path;
+  const originalStorage = config.storage;
+  let items;
+
+  /**
+   * Collect the item IDs of every page, following nextCursor
+   */
+  async function listAllPages(options) {
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await database.listItems({ ...options, cursor });
+      pages.push(page.items.map(entry => entry.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  }
+
+  beforeEach(async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'database-list-'));
+    config.database.path = root;
+    config.storage = {
+      pdfPath: path.join(root, 'pdf'),
+      webPath: path.join(root, 'web'),
+      videoPath: path.join(root, 'video'),
+      transcriptPath: path.join(root, 'transcripts'),
+      docsPath: path.join(root, 'docs')
+    };
+    fs.writeFileSync(path.join(root, 'embedding_manifest.json'), JSON.stringify({
+      providerId: null,
+      modelId: 'test-model',
+      dimensions: 3,
+      collection: 'items',
+      chunkCollection: 'chunks'
+    }));
+
+    items = new FakeTable(ROWS, ITEM_COLUMNS, 3);
+    vectordb.connect.mockResolvedValue(createFakeConnection({ items }));
+    await database.initializeDatabase();
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.database.path, { recursive: true, force: true });
+    config.database.path = originalPath;
+    config.storage = originalStorage;
+  });
+
+  test('continues from the cursor across rows with equal sort keys', async () => {
+    const first = await database.listItems({ limit: 2 });
+
+    expect(first.items.map(entry => entry.id)).toEqual(['item-d', 'item-a']);
+    expect(first.total).toBe(5);
+    expect(first.hasMore).toBe(true);
+
+    // item-a, item-b and item-c share created_at, the page boundary falls between them
+    const pages = await listAllPages({ limit: 2 });
+
+    expect(pages).toEqual([['item-d', 'item-a'], ['item-b', 'item-c'], ['item-e']]);
+  });
+
+  test('sorts by title without regard to case', async () => {
+    const pages = await listAllPages({ limit: 2, sortBy: 'title', sortDirection: 'asc' });
+
+    expect(pages).toEqual([['item-b', 'item-a'], ['item-d', 'item-c'], ['item-e']]);
+
+    const descending = await database.listItems({ sortBy: 'title', sortDirection: 'desc' });
+
+    expect(descending.items.map(entry => entry.title)).toEqual(['Dragonflies', 'Cicadas', 'Bees', 'bees', 'ants']);
+    expect(descending.nextCursor).toBeNull();
+  });
+
+  test('translates a where object into a SQL filter', async () => {
+    const countRows = jest.spyOn(items, 'countRows');
+
+    const page = await database.listItems({ where: { source_type: 'pdf', title: ['bees', "Bee's"], thumbnail_url: null } });
+
+    expect(countRows).toHaveBeenLastCalledWith("source_type = 'pdf' AND title IN ('bees', 'Bee''s') AND thumbnail_url IS NULL");
+    expect(page.items.map(entry => entry.id)).toEqual(['item-d']);
+
+    await database.listItems({ where: { chunk_count: 3, archived: false } });
+    expect(countRows).toHaveBeenLastCalledWith('chunk_count = 3 AND archived = false');
+
+    const none = await database.listItems({ where: { id: [] } });
+    expect(countRows).toHaveBeenLastCalledWith('false');
+    expect(none).toMatchObject({ items: [], total: 0, nextCursor: null, hasMore: false });
+
+    await database.listItems({ where: "source_type = 'url'" });
+    expect(countRows).toHaveBeenLastCalledWith("source_type = 'url'");
+
+    await expect(database.listItems({ where: { 'title; DROP TABLE items': 'x' } }))
+      .rejects.toThrow('Invalid filter column: title; DROP TABLE items');
+  });
+
+  test('rejects unsupported sort columns and invalid cursors', async () => {
+    await expect(database.listItems({ sortBy: 'file_size' })).rejects.toThrow('Cannot sort by file_size');
+    await expect(database.listItems({ cursor: 'not a cursor' })).rejects.toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for local document and folder ingestion
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/database', () => ({
+  addItem: jest.fn(async item => item),
+  addItemChunks: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../src/utils/batchers/embeddingBatch', () => ({
+  batchGenerateEmbeddings: jest.fn(),
+  batchEmbedAndStore: jest.fn(async (chunks, storeFunction) => {
+    const embedded = chunks.map(chunk => ({ ...chunk, embedding: [0.1, 0.2] }));
+    await storeFunction(embedded);
+    return embedded.map(chunk => chunk.chunkIndex);
+  })
+}));
+
+const { addItem, addItemChunks } = require('../../src/services/database');
+const { processDocumentFile, processFolder, listFolderDocuments } = require('../../src/services/docsProcessor');
+
+describe('Docs Processor', () => {
+  let root;
+
+  const writeFile = (relativePath, content = 'Some text') => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-test-'));
+    jest.clearAllMocks();
+
+    writeFile('readme.md', '# Readme\n\nHello');
+    writeFile('notes/today.txt');
+    writeFile('notes/drafts/idea.md');
+    writeFile('export/page.html', '<h1>Page</h1><p>Text</p>');
+    writeFile('image.png');
+    writeFile('.obsidian/config.md');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const relative = files => files.map(file => path.relative(root, file).split(path.sep).join('/'));
+
+  describe('listFolderDocuments', () => {
+    test('should list supported files recursively, skipping hidden folders', () => {
+      expect(relative(listFolderDocuments(root))).toEqual([
+        'export/page.html',
+        'notes/drafts/idea.md',
+        'notes/today.txt',
+        'readme.md'
+      ]);
+    });
+
+    test('should apply include and exclude globs', () => {
+      expect(relative(listFolderDocuments(root, { include: '*.md' }))).toEqual(['notes/drafts/idea.md', 'readme.md']);
+      expect(relative(listFolderDocuments(root, { include: ['*.md'], exclude: ['**/drafts/**'] }))).toEqual(['readme.md']);
+      expect(relative(listFolderDocuments(root, { exclude: 'notes, export/*.html' }))).toEqual(['readme.md']);
+    });
+
+    test('should stay in the top folder when not recursive', () => {
+      expect(relative(listFolderDocuments(root, { recursive: false }))).toEqual(['readme.md']);
+    });
+
+    test('should reject missing folders', () => {
+      expect(() => listFolderDocuments(path.join(root, 'missing'))).toThrow('Folder not found');
+    });
+  });
+
+  describe('processDocumentFile', () => {
+    test('should store the document with its chunks and vectors', async () => {
+      const filePath = path.join(root, 'readme.md');
+      const document = await processDocumentFile(filePath);
+
+      expect(addItem).toHaveBeenCalledWith(expect.objectContaining({
+        id: document.id,
+        title: 'Readme',
+        source_type: 'document',
+        vector: [0.1, 0.2]
+      }));
+      expect(addItemChunks).toHaveBeenCalledWith(document.id, ['# Readme\n\nHello'], [[0.1, 0.2]], '# Readme\n\nHello');
+    });
+
+    test('should record the source path and extra metadata of a snapshot copy', async () => {
+      const snapshotPath = writeFile('snapshot/readme.md', '# Readme');
+      const document = await processDocumentFile(snapshotPath, {
+        sourcePath: '/notes/readme.md',
+        metadata: { watched_source_id: 'source-1' }
+      });
+
+      expect(document).toMatchObject({
+        source_identifier: '/notes/readme.md',
+        original_content_path: snapshotPath,
+        metadata: { watched_source_id: 'source-1', file_name: 'readme.md' }
+      });
+    });
+
+    test('should refuse files without text', async () => {
+      const filePath = writeFile('empty.txt', '   ');
+      await expect(processDocumentFile(filePath)).rejects.toThrow('No text could be extracted');
+      expect(addItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processFolder', () => {
+    test('should report failures without stopping the other files', async () => {
+      addItem.mockRejectedValueOnce(new Error('disk full'));
+
+      const result = await processFolder(root, { include: '*.md' });
+
+      expect(result.total).toBe(2);
+      expect(result.processed).toHaveLength(1);
+      expect(result.failed).toEqual([{ filePath: path.join(root, 'notes/drafts/idea.md'), error: 'disk full' }]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the embedding provider registry
+ */
+
+const config = require('../../src/config');
+const {
+  registerEmbeddingProvider,
+  hasEmbeddingProvider,
+  getEmbeddingProvider,
+  listEmbeddingProviders,
+  resolveConfiguredProviderId,
+  setActiveEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  isSameEmbeddingSpace
+} = require('../../src/services/embeddingProviders');
+
+const provider = (id, overrides = {}) => ({
+  id,
+  modelId: `${id}-model`,
+  dimensions: 4,
+  embed: async () => [0, 0, 0, 0],
+  ...overrides
+});
+
+describe('Embedding Provider Registry', () => {
+  const originalKey = process.env.OPENAI_API_KEY;
+
+  beforeAll(() => {
+    registerEmbeddingProvider(provider('openai', { dimensions: 384 }));
+    registerEmbeddingProvider(provider('local', { dimensions: 384 }));
+    registerEmbeddingProvider(provider('wide', { dimensions: 8 }));
+  });
+
+  afterEach(() => {
+    delete config.embeddings.provider;
+    if (originalKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalKey;
+    }
+  });
+
+  describe('registerEmbeddingProvider', () => {
+    test('should reject providers without a model ID, dimension or embed function', () => {
+      expect(() => registerEmbeddingProvider(provider('bad', { modelId: '' }))).toThrow('modelId is required');
+      expect(() => registerEmbeddingProvider(provider('bad', { dimensions: 0 }))).toThrow('dimensions must be a positive integer');
+      expect(() => registerEmbeddingProvider(provider('bad', { embed: null }))).toThrow('embed must be a function');
+      expect(hasEmbeddingProvider('bad')).toBe(false);
+    });
+
+    test('should list providers without their embed functions', () => {
+      const wide = listEmbeddingProviders().find(entry => entry.id === 'wide');
+      expect(wide).toEqual({ id: 'wide', label: 'wide', modelId: 'wide-model', dimensions: 8 });
+    });
+
+    test('should throw for unknown providers', () => {
+      expect(() => getEmbeddingProvider('missing')).toThrow('Unknown embedding provider: missing');
+    });
+  });
+
+  describe('resolveConfiguredProviderId', () => {
+    test('should pick OpenAI in auto mode when an API key is set', () => {
+      process.env.OPENAI_API_KEY = 'test-key';
+      expect(resolveConfiguredProviderId()).toBe('openai');
+    });
+
+    test('should pick the local model in auto mode without an API key', () => {
+      delete process.env.OPENAI_API_KEY;
+      expect(resolveConfiguredProviderId()).toBe('local');
+    });
+
+    test('should use the configured provider ID', () => {
+      config.embeddings.provider = 'wide';
+      expect(resolveConfiguredProviderId()).toBe('wide');
+    });
+  });
+
+  describe('active provider', () => {
+    test('should default to the configured provider before the library opens', () => {
+      config.embeddings.provider = 'wide';
+      expect(getActiveEmbeddingProvider().id).toBe('wide');
+    });
+
+    test('should keep the library provider when the configuration changes', () => {
+      setActiveEmbeddingProvider('local');
+      config.embeddings.provider = 'wide';
+      expect(getActiveEmbeddingProvider().id).toBe('local');
+    });
+
+    test('should refuse to embed when no provider matches the library', () => {
+      setActiveEmbeddingProvider(null);
+      expect(() => getActiveEmbeddingProvider()).toThrow('re-embed the library');
+    });
+
+    test('should not activate unknown providers', () => {
+      expect(() => setActiveEmbeddingProvider('missing')).toThrow('Unknown embedding provider');
+    });
+  });
+
+  describe('isSameEmbeddingSpace', () => {
+    test('should require the same model and dimension', () => {
+      const openai = getEmbeddingProvider('openai');
+      expect(isSameEmbeddingSpace(openai, { modelId: 'openai-model', dimensions: 384 })).toBe(true);
+      // Same size, different model: the vectors are still not comparable
+      expect(isSameEmbeddingSpace(openai, getEmbeddingProvider('local'))).toBe(false);
+      expect(isSameEmbeddingSpace(openai, { modelId: 'openai-model', dimensions: 8 })).toBe(false);
+      expect(isSameEmbeddingSpace(openai, null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for reader highlights
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/embedding', () => ({
+  generateEmbeddings: jest.fn(chunks => Promise.resolve(chunks.map(() => [0.1, 0.2])))
+}));
+
+jest.mock('../../src/services/database', () => ({
+  addItem: jest.fn(item => Promise.resolve({ id: item.id })),
+  addItemChunks: jest.fn().mockResolvedValue(true),
+  deleteItem: jest.fn().mockResolvedValue(true),
+  findItemIdBySource: jest.fn().mockResolvedValue('page-item')
+}));
+
+const config = require('../../src/config');
+const { addItem, addItemChunks, deleteItem, findItemIdBySource } = require('../../src/services/database');
+const { listHighlights, addHighlight, deleteHighlight } = require('../../src/services/highlights');
+
+describe('Highlights', () => {
+  const originalStorage = config.storage;
+  const page = { url: 'https://example.com/article?utm_source=feed', title: 'An article' };
+  const selector = { exact: 'bees make honey', prefix: 'In summer ', suffix: ' from nectar.' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.storage = { webPath: fs.mkdtempSync(path.join(os.tmpdir(), 'web-storage-')) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.webPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+  });
+
+  test('should store a highlight with its selector and list it by page URL', async () => {
+    const highlight = await addHighlight({ ...page, selector, color: 'green', note: ' Check this ' });
+
+    expect(highlight).toMatchObject({
+      url: page.url,
+      title: 'An article',
+      selector: { type: 'TextQuoteSelector', ...selector },
+      color: 'green',
+      note: 'Check this',
+      parentItemId: 'page-item',
+      itemId: expect.any(String)
+    });
+    expect(findItemIdBySource).toHaveBeenCalledWith(page.url);
+    expect(listHighlights('https://example.com/article')).toEqual([highlight]);
+  });
+
+  test('should store each highlight as an item linked to its page', async () => {
+    const highlight = await addHighlight({ ...page, selector, note: 'Check this' });
+
+    const item = addItem.mock.calls[0][0];
+    expect(item).toMatchObject({
+      id: highlight.itemId,
+      source_type: 'highlight',
+      source_identifier: `highlight:${highlight.id}`,
+      title: '“bees make honey”',
+      metadata: {
+        url: page.url,
+        parent_item_id: 'page-item',
+        highlight_id: highlight.id,
+        color: 'yellow',
+        note: 'Check this'
+      }
+    });
+    expect(item.extracted_text).toContain('bees make honey');
+    expect(item.extracted_text).toContain('Note: Check this');
+    expect(addItemChunks).toHaveBeenCalledWith(highlight.itemId, item.text_chunks, expect.any(Array), item.extracted_text);
+  });
+
+  test('should reject highlights without a URL or quote', async () => {
+    await expect(addHighlight({ selector })).rejects.toThrow('A page URL is required');
+    await expect(addHighlight({ ...page, selector: { exact: '  ' } })).rejects.toThrow('A highlight needs the text it quotes');
+    expect(addItem).not.toHaveBeenCalled();
+  });
+
+  test('should delete a highlight and its item', async () => {
+    const first = await addHighlight({ ...page, selector });
+    const second = await addHighlight({ ...page, selector: { exact: 'nectar' } });
+
+    expect(await deleteHighlight(page.url, first.id)).toBe(true);
+    expect(deleteItem).toHaveBeenCalledWith(first.itemId);
+    expect(listHighlights(page.url).map(highlight => highlight.id)).toEqual([second.id]);
+    expect(await deleteHighlight(page.url, 'missing')).toBe(false);
+  });
+
+  test('should keep an item shared by identical highlights until the last one is deleted', async () => {
+    const first = await addHighlight({ ...page, selector });
+    addItem.mockResolvedValueOnce({ duplicate: true, id: first.itemId });
+    const second = await addHighlight({ ...page, selector });
+
+    expect(second.itemId).toBe(first.itemId);
+    expect(addItemChunks).toHaveBeenCalledTimes(1);
+
+    await deleteHighlight(page.url, first.id);
+    expect(deleteItem).not.toHaveBeenCalled();
+    await deleteHighlight(page.url, second.id);
+    expect(deleteItem).toHaveBeenCalledWith(first.itemId);
+  });
+});
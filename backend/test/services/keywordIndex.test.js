@@ -0,0 +1,76 @@
+/**
+ * Tests for the BM25 keyword index
+ */
+
+const { KeywordIndex, tokenize } = require('../../src/services/keywordIndex');
+
+describe('Keyword Index', () => {
+  describe('tokenize', () => {
+    test('should lowercase and split on punctuation and whitespace', () => {
+      expect(tokenize('Hello, World! How are you?')).toEqual(['hello', 'world', 'how', 'are', 'you']);
+    });
+
+    test('should keep compound tokens whole and index their parts', () => {
+      expect(tokenize('ERR_CONNECTION_RESET')).toEqual(['err_connection_reset', 'err', 'connection', 'reset']);
+      expect(tokenize('code E-1042')).toEqual(['code', 'e-1042', 'e', '1042']);
+    });
+
+    test('should return an empty array for empty input', () => {
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('search', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new KeywordIndex();
+      index.addItem('net', [
+        { text: 'The browser failed with ERR_CONNECTION_RESET when loading the page.' },
+        { text: 'Retrying the request usually helps.' }
+      ]);
+      index.addItem('nlp', [
+        { text: 'BM25 is a ranking function used by search engines.' },
+        { text: 'It scores documents by term frequency and inverse document frequency.' }
+      ]);
+      index.addItem('cooking', [
+        { text: 'Whisk the eggs and fold in the flour.' }
+      ]);
+    });
+
+    test('should find exact error codes', () => {
+      const hits = index.search('ERR_CONNECTION_RESET');
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].itemId).toBe('net');
+      expect(hits[0].chunkIndex).toBe(0);
+    });
+
+    test('should rank each item by its best matching chunk', () => {
+      const hits = index.search('document frequency ranking');
+
+      expect(hits[0].itemId).toBe('nlp');
+      expect(hits[0].chunkIndex).toBe(1);
+      expect(hits.every(hit => hit.score > 0)).toBe(true);
+    });
+
+    test('should respect the limit', () => {
+      expect(index.search('the', 2)).toHaveLength(2);
+    });
+
+    test('should forget removed items', () => {
+      index.removeItem('net');
+
+      expect(index.search('ERR_CONNECTION_RESET')).toEqual([]);
+      expect(index.size).toBe(3);
+    });
+
+    test('should replace the chunks of an item that is indexed again', () => {
+      index.addItem('cooking', [{ text: 'Knead the dough for ten minutes.' }]);
+
+      expect(index.search('eggs')).toEqual([]);
+      expect(index.search('dough')[0].itemId).toBe('cooking');
+    });
+  });
+});
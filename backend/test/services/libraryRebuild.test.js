@@ -0,0 +1,132 @@
+/**
+ * Tests for the background library rebuild job
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+
+jest.mock('../../src/services/database', () => ({
+  beginLibraryRebuild: jest.fn().mockResolvedValue(),
+  listItemIds: jest.fn(),
+  listRebuiltItemIds: jest.fn(),
+  removeRebuiltItems: jest.fn().mockResolvedValue(),
+  fetchItemsByIds: jest.fn(),
+  writeRebuiltItem: jest.fn().mockResolvedValue(),
+  commitLibraryRebuild: jest.fn().mockResolvedValue(),
+  endLibraryRebuild: jest.fn().mockResolvedValue(),
+  discardLibraryRebuild: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../../src/utils/batchers/embeddingBatch', () => ({
+  batchGenerateEmbeddings: jest.fn(async (chunks) =>
+    chunks.map((chunk, chunkIndex) => ({ chunkIndex, embedding: [0.1, 0.2, 0.3, 0.4] }))
+  )
+}));
+
+const database = require('../../src/services/database');
+const { batchGenerateEmbeddings } = require('../../src/utils/batchers/embeddingBatch');
+const { registerEmbeddingProvider, setActiveEmbeddingProvider } = require('../../src/services/embeddingProviders');
+const { libraryRebuildJob } = require('../../src/services/libraryRebuild');
+
+const items = {
+  a: { id: 'a', title: 'First', extracted_text: 'Alpha paragraph.\n\nBeta paragraph.' },
+  b: { id: 'b', title: 'Second', extracted_text: '' }
+};
+
+/**
+ * Wait for the background run started by start() or resume() to finish
+ */
+const finished = () => libraryRebuildJob.running;
+
+describe('Library Rebuild Job', () => {
+  const originalPath = config.database.path;
+
+  beforeAll(() => {
+    registerEmbeddingProvider({ id: 'test', modelId: 'test-model', dimensions: 4, embed: async () => [0, 0, 0, 0] });
+    setActiveEmbeddingProvider('test');
+  });
+
+  beforeEach(() => {
+    config.database.path = fs.mkdtempSync(path.join(os.tmpdir(), 'rebuild-test-'));
+    libraryRebuildJob.job = null;
+    jest.clearAllMocks();
+
+    database.listItemIds.mockResolvedValue(['a', 'b']);
+    database.listRebuiltItemIds.mockResolvedValue([]);
+    database.fetchItemsByIds.mockImplementation(async (ids) => new Map(ids.map(id => [id, items[id]])));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.database.path, { recursive: true, force: true });
+    config.database.path = originalPath;
+  });
+
+  test('should report idle when no rebuild has run', () => {
+    expect(libraryRebuildJob.getStatus()).toEqual({ state: 'idle' });
+  });
+
+  test('should reject invalid chunking options', async () => {
+    await expect(libraryRebuildJob.start({ strategy: 'sentences' })).rejects.toThrow('Invalid chunking strategy');
+    await expect(libraryRebuildJob.start({ chunkSize: 100, chunkOverlap: 100 })).rejects.toThrow('Invalid chunk overlap');
+    expect(database.beginLibraryRebuild).not.toHaveBeenCalled();
+  });
+
+  test('should rebuild every item, commit and remove the checkpoint', async () => {
+    const progress = [];
+    const listener = job => progress.push(job.processed);
+    libraryRebuildJob.on('progress', listener);
+
+    await libraryRebuildJob.start({ strategy: 'paragraphs' });
+    await finished();
+    libraryRebuildJob.removeListener('progress', listener);
+
+    expect(database.writeRebuiltItem).toHaveBeenCalledTimes(2);
+    // Items without text are embedded from their title
+    expect(batchGenerateEmbeddings.mock.calls[1][0]).toEqual(['Second']);
+    expect(database.commitLibraryRebuild).toHaveBeenCalled();
+    expect(libraryRebuildJob.getStatus()).toMatchObject({ state: 'completed', processed: 2, total: 2 });
+    expect(progress).toContain(2);
+    expect(fs.existsSync(libraryRebuildJob.checkpointPath)).toBe(false);
+  });
+
+  test('should keep a checkpoint on failure and resume the remaining items', async () => {
+    database.writeRebuiltItem.mockResolvedValueOnce().mockRejectedValueOnce(new Error('disk full'));
+
+    await libraryRebuildJob.start();
+    await finished();
+
+    expect(libraryRebuildJob.getStatus()).toMatchObject({ state: 'failed', error: 'disk full', processed: 1 });
+    expect(database.endLibraryRebuild).toHaveBeenCalledWith({ dropTables: false });
+    await expect(libraryRebuildJob.start()).rejects.toThrow('resume or cancel it first');
+
+    // After a restart the checkpoint is all that is left
+    libraryRebuildJob.job = null;
+    database.listRebuiltItemIds.mockResolvedValue(['a']);
+    await libraryRebuildJob.resume();
+    await finished();
+
+    expect(database.beginLibraryRebuild).toHaveBeenLastCalledWith(expect.any(Object), { resume: true });
+    expect(database.fetchItemsByIds).toHaveBeenLastCalledWith(['b']);
+    expect(libraryRebuildJob.getStatus()).toMatchObject({ state: 'completed', processed: 2 });
+  });
+
+  test('should report a checkpoint left by a running job as interrupted and discard it on cancel', async () => {
+    fs.writeFileSync(libraryRebuildJob.checkpointPath, JSON.stringify({
+      id: 'rebuild-1',
+      state: 'running',
+      target: { collection: 'staging', chunkCollection: 'staging_chunks' },
+      total: 2,
+      processed: 1
+    }));
+
+    expect(libraryRebuildJob.getStatus()).toMatchObject({ state: 'interrupted', processed: 1 });
+
+    const status = await libraryRebuildJob.cancel();
+
+    expect(database.discardLibraryRebuild).toHaveBeenCalledWith({ collection: 'staging', chunkCollection: 'staging_chunks' });
+    expect(status.state).toBe('cancelled');
+    expect(fs.existsSync(libraryRebuildJob.checkpointPath)).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for streaming chat responses
+ */
+
+// The memory module starts cleanup timers that would keep Jest running
+jest.mock('../../src/memory', () => ({
+  memoryManager: { monitorMemory: jest.fn(() => ({})) }
+}));
+
+const { chatStream } = require('../../src/services/llm');
+
+// Gemini streams server-sent events, one JSON response per event
+const sseBody = (responses) => responses
+  .map(response => `data: ${JSON.stringify(response)}\r\n\r\n`)
+  .join('');
+
+const textChunk = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, index: 0 }] });
+
+describe('LLM Service chatStream', () => {
+  const originalFetch = global.fetch;
+  const originalKey = process.env.GOOGLE_API_KEY;
+
+  beforeEach(() => {
+    process.env.GOOGLE_API_KEY = 'AIza-test-key-that-is-long-enough-000';
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    process.env.GOOGLE_API_KEY = originalKey;
+  });
+
+  const serve = (responses) => {
+    global.fetch = jest.fn().mockResolvedValue(new Response(sseBody(responses), {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' }
+    }));
+  };
+
+  test('should report text as it arrives and return the full answer', async () => {
+    serve([textChunk('Hello'), textChunk(', world')]);
+    const events = [];
+
+    const response = await chatStream({ message: 'Hi' }, { onEvent: event => events.push(event) });
+
+    expect(events).toEqual([
+      { type: 'token', text: 'Hello' },
+      { type: 'token', text: ', world' }
+    ]);
+    expect(response).toMatchObject({ role: 'assistant', text: 'Hello, world', content: 'Hello, world', toolCalls: [] });
+    expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse');
+  });
+
+  test('should report function calls as tool calls', async () => {
+    serve([{
+      candidates: [{
+        content: { role: 'model', parts: [{ functionCall: { name: 'searchKnowledgeBase', args: { query: 'bees' } } }] },
+        index: 0
+      }]
+    }]);
+    const events = [];
+
+    const response = await chatStream({ message: 'Find bees' }, { onEvent: event => events.push(event) });
+
+    expect(events).toEqual([{
+      type: 'tool-call',
+      toolCall: { toolCallId: expect.any(String), toolName: 'searchKnowledgeBase', parameters: { query: 'bees' } }
+    }]);
+    expect(response.toolCalls).toEqual([events[0].toolCall]);
+  });
+
+  test('should pass the abort signal to the upstream request', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn((url, request) => new Promise((resolve, reject) => {
+      request.signal.addEventListener('abort', () => reject(request.signal.reason));
+      controller.abort();
+    }));
+
+    await expect(chatStream({ message: 'Hi' }, { signal: controller.signal })).rejects.toThrow('aborted');
+    expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('should cite passages retrieved for the message without listing them again', async () => {
+    serve([textChunk('Bees cluster to keep warm [1].')]);
+    const sources = [{
+      index: 1,
+      itemId: 'item-1',
+      chunkIndex: 2,
+      title: 'Beekeeping',
+      sourceType: 'pdf',
+      text: 'In winter, bees cluster to keep warm.',
+      startOffset: 100
+    }];
+
+    const response = await chatStream({ message: '[CONTEXT]\n[1] "Beekeeping" (pdf)\n...', sources });
+
+    expect(global.fetch.mock.calls[0][1].body).not.toContain('[SOURCES]');
+    expect(response.citations).toEqual([expect.objectContaining({
+      index: 1,
+      itemId: 'item-1',
+      chunkIndex: 2,
+      quote: 'In winter, bees cluster to keep warm.',
+      startOffset: 100
+    })]);
+  });
+
+  test('should refuse requests without an API key', async () => {
+    delete process.env.GOOGLE_API_KEY;
+
+    await expect(chatStream({ message: 'Hi' })).rejects.toThrow('Google API key is not configured');
+  });
+});
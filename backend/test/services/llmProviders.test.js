@@ -0,0 +1,179 @@
+/**
+ * Tests for the LLM provider registry and the OpenAI-compatible provider
+ */
+
+const http = require('http');
+const {
+  getLlmProvider,
+  listLlmProviders,
+  resolveChatTarget
+} = require('../../src/services/llmProviders');
+const { formatMessages } = require('../../src/services/llmProviders/openai');
+const { resolveToolDefinitions, toGeminiSchema } = require('../../src/utils/toolDefinitionsAdapter');
+
+// Chat completions stream: one JSON chunk per server-sent event, ended by [DONE]
+const sseBody = (chunks) => chunks
+  .map(chunk => `data: ${JSON.stringify(chunk)}\n\n`)
+  .concat('data: [DONE]\n\n')
+  .join('');
+
+const delta = (value) => ({ id: 'chatcmpl-1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: value }] });
+
+describe('LLM Providers', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    ['LLM_PROVIDER', 'LLM_MODEL', 'LOCAL_LLM_BASE_URL'].forEach(name => {
+      if (originalEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = originalEnv[name];
+      }
+    });
+  });
+
+  describe('resolveChatTarget', () => {
+    test('should list the built-in providers', () => {
+      expect(listLlmProviders().map(provider => provider.id)).toEqual(['gemini', 'openai', 'local']);
+    });
+
+    test('should use the configured provider and model by default', () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_MODEL = 'qwen2.5';
+
+      const target = resolveChatTarget();
+
+      expect(target.provider.id).toBe('local');
+      expect(target.model).toBe('qwen2.5');
+    });
+
+    test('should use the default model of a provider the request names', () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_MODEL = 'qwen2.5';
+
+      expect(resolveChatTarget({ provider: 'openai' }).model).toBe('gpt-4o-mini');
+      expect(resolveChatTarget({ provider: 'openai', model: 'gpt-4o' }).model).toBe('gpt-4o');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => resolveChatTarget({ provider: 'nope' })).toThrow('Unknown LLM provider: nope');
+    });
+  });
+
+  describe('tool definitions', () => {
+    test('should complete tools from the embedded definitions', () => {
+      const [tool] = resolveToolDefinitions([{ name: 'getItemContent' }]);
+
+      expect(tool.description).toBe('Get the full content of a specific item in the knowledge base');
+      expect(tool.parameters.required).toEqual(['itemId']);
+    });
+
+    test('should convert JSON schemas for Gemini', () => {
+      const [tool] = resolveToolDefinitions([{ name: 'searchKnowledgeBase' }]);
+      const schema = toGeminiSchema(tool.parameters);
+
+      expect(schema.type).toBe('OBJECT');
+      expect(schema.properties.mode).toEqual(expect.objectContaining({ type: 'STRING', enum: ['keyword', 'vector', 'hybrid'] }));
+      expect(schema.properties.filters.properties.sourceType.type).toBe('STRING');
+      expect(schema.required).toEqual(['query']);
+    });
+  });
+
+  describe('formatMessages', () => {
+    test('should pair tool calls with the results that answer them', () => {
+      const messages = formatMessages([
+        { role: 'user', content: 'Find bees' },
+        {
+          role: 'assistant',
+          content: '',
+          toolCalls: [
+            { toolCallId: 'call-1', toolName: 'searchKnowledgeBase', parameters: { query: 'bees' } },
+            { toolCallId: 'call-2', toolName: 'listAllFiles', parameters: {} }
+          ]
+        },
+        { role: 'tool', content: JSON.stringify({ toolCallId: 'call-1', toolName: 'searchKnowledgeBase', result: { results: [] } }) },
+        { role: 'tool', content: 'Executing tool: listAllFiles' }
+      ], 'Thanks');
+
+      expect(messages).toEqual([
+        { role: 'user', content: 'Find bees' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'searchKnowledgeBase', arguments: '{"query":"bees"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call-1', content: '{"results":[]}' },
+        { role: 'user', content: 'Tool result:\nExecuting tool: listAllFiles' },
+        { role: 'user', content: 'Thanks' }
+      ]);
+    });
+  });
+
+  describe('local provider', () => {
+    let server;
+    let requests;
+    let responseBody;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', data => { body += data; });
+        req.on('end', () => {
+          requests.push({ url: req.url, body: JSON.parse(body) });
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.end(responseBody);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    test('should stream text and assemble tool calls from a compatible server', async () => {
+      responseBody = sseBody([
+        delta({ role: 'assistant', content: 'Let me ' }),
+        delta({ content: 'look.' }),
+        delta({ tool_calls: [{ index: 0, id: 'call-a', type: 'function', function: { name: 'searchKnowledgeBase', arguments: '{"query":' } }] }),
+        delta({ tool_calls: [{ index: 0, function: { arguments: '"bees"}' } }] })
+      ]);
+      const events = [];
+
+      const reply = await getLlmProvider('local').chatStream({
+        model: 'llama3.1',
+        history: [],
+        message: 'Find bees',
+        tools: resolveToolDefinitions([{ name: 'searchKnowledgeBase' }]),
+        temperature: 0.2,
+        maxTokens: 256
+      }, { onEvent: event => events.push(event) });
+
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].body).toMatchObject({
+        model: 'llama3.1',
+        stream: true,
+        messages: [{ role: 'user', content: 'Find bees' }],
+        tools: [{ type: 'function', function: expect.objectContaining({ name: 'searchKnowledgeBase' }) }]
+      });
+      expect(events).toEqual([
+        { type: 'token', text: 'Let me ' },
+        { type: 'token', text: 'look.' },
+        { type: 'tool-call', toolCall: { toolCallId: 'call-a', toolName: 'searchKnowledgeBase', parameters: { query: 'bees' } } }
+      ]);
+      expect(reply.text).toBe('Let me look.');
+    });
+
+    test('should explain when the server cannot be reached', async () => {
+      process.env.LOCAL_LLM_BASE_URL = 'http://127.0.0.1:1/v1';
+
+      await expect(getLlmProvider('local').chat({ model: 'llama3.1', history: [], message: 'Hi', tools: [] }))
+        .rejects.toThrow('Could not connect to Local (OpenAI-compatible) at http://127.0.0.1:1/v1');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for full-page archives
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../../src/config');
+const {
+  BANNER_ID,
+  listArchives,
+  listAllArchives,
+  removeArchives,
+  createArchiveHtml,
+  saveArchive
+} = require('../../src/services/pageArchive');
+
+describe('Page Archive', () => {
+  const originalStorage = config.storage;
+  const originalFetch = global.fetch;
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const resources = {
+    'https://example.com/css/site.css': { type: 'text/css', body: '@import "print.css" print; body { background: url(../img/bg.png); }' },
+    'https://example.com/css/print.css': { type: 'text/css', body: 'nav { display: none; }' },
+    'https://example.com/img/bg.png': { type: 'image/png', body: png },
+    'https://example.com/img/bee.png': { type: 'image/png', body: png }
+  };
+  const page = {
+    url: 'https://example.com/posts/bees',
+    title: 'Bees',
+    html: `<!DOCTYPE html>
+      <html><head>
+        <meta charset="iso-8859-1">
+        <link rel="stylesheet" href="/css/site.css" media="screen">
+        <link rel="preload" href="/app.js" as="script">
+        <script src="/app.js"></script>
+        <style>h1 { background: url('/img/bee.png'); }</style>
+      </head><body>
+        <h1 onclick="track()">Bees</h1>
+        <img src="/img/bee.png" srcset="/img/bee-2x.png 2x" alt="Bee">
+        <img src="https://cdn.example.com/gone.png" alt="Gone">
+        <a href="/posts/honey">Honey</a> <a href="#top">Top</a> <a href="javascript:track()">Track</a>
+      </body></html>`
+  };
+
+  /**
+   * Build the data URI a resource is inlined as
+   */
+  function dataUri(type, body) {
+    return `data:${type};base64,${Buffer.from(body).toString('base64')}`;
+  }
+
+  beforeEach(() => {
+    config.storage = { webPath: fs.mkdtempSync(path.join(os.tmpdir(), 'web-storage-')) };
+    global.fetch = jest.fn(url => {
+      const resource = resources[url];
+      return Promise.resolve(resource
+        ? {
+          ok: true,
+          status: 200,
+          headers: { get: () => `${resource.type}; charset=utf-8` },
+          arrayBuffer: () => Promise.resolve(Buffer.from(resource.body))
+        }
+        : { ok: false, status: 404, headers: { get: () => 'text/html' } });
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.webPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+    global.fetch = originalFetch;
+  });
+
+  test('should inline stylesheets, imports, images and fonts as data URIs', async () => {
+    const archived = await createArchiveHtml(page.html, { url: page.url, capturedAt: '2026-10-19T08:30:00.000Z' });
+
+    expect(archived.html).toContain('<style media="screen">@media print {\nnav { display: none; }\n} body { background: url("data:image/png;base64,');
+    expect(archived.html).toContain(`h1 { background: url("${dataUri('image/png', png)}"); }`);
+    expect(archived.html).toContain(`<img src="${dataUri('image/png', png)}" alt="Bee">`);
+    expect(archived.html).toContain('<img src="https://cdn.example.com/gone.png" alt="Gone">');
+    expect(archived.resources).toBe(4);
+    expect(archived.missing).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  test('should drop scripts and make links absolute', async () => {
+    const archived = await createArchiveHtml(page.html, { url: page.url, capturedAt: '2026-10-19T08:30:00.000Z' });
+
+    expect(archived.html).not.toMatch(/<script|onclick|javascript:|rel="preload"/);
+    expect(archived.html).toContain('<a href="https://example.com/posts/honey">Honey</a>');
+    expect(archived.html).toContain('<a href="#top">Top</a>');
+    expect(archived.html).toContain('<head><meta charset="utf-8">');
+    expect(archived.html).not.toContain('iso-8859-1');
+  });
+
+  test('should drop frames, plugins and srcdoc documents', async () => {
+    const html = `<html><body>
+      <iframe src="https://ads.example.com/frame"></iframe>
+      <iframe srcdoc="<script>parent.steal()</script>"></iframe>
+      <object data="/movie.swf"></object><embed src="/movie.swf">
+      <frameset><frame src="/nav.html"></frameset>
+      <div srcdoc="<script>x()</script>">Kept</div>
+    </body></html>`;
+
+    const archived = await createArchiveHtml(html, { url: page.url, capturedAt: '2026-10-19T08:30:00.000Z' });
+
+    expect(archived.html).not.toMatch(/<iframe|<frame\b|<object|<embed|srcdoc/);
+    expect(archived.html).toContain('<div>Kept</div>');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should add a banner with the capture time', async () => {
+    const archived = await createArchiveHtml(page.html, { url: page.url, capturedAt: '2026-10-19T08:30:00.000Z' });
+
+    expect(archived.html).toContain(`<body><div id="${BANNER_ID}"`);
+    expect(archived.html).toContain('Archived copy captured <time datetime="2026-10-19T08:30:00.000Z">Mon, 19 Oct 2026 08:30:00 GMT</time>');
+    expect(archived.html).toContain(`from <a href="${page.url}"`);
+  });
+
+  test('should store archives next to their item, newest first', async () => {
+    const first = await saveArchive('item-1', page);
+    const second = await saveArchive('item-1', { ...page, title: '' });
+    const other = await saveArchive('item-2', { ...page, url: 'https://example.com/posts/wasps' });
+
+    expect(first).toMatchObject({
+      itemId: 'item-1',
+      url: page.url,
+      title: 'Bees',
+      path: `archives/item-1/${first.id}.html`,
+      resources: 4,
+      missing: 1
+    });
+    expect(second.title).toBe(page.url);
+    const stored = fs.readFileSync(path.join(config.storage.webPath, first.path), 'utf8');
+    expect(stored).toContain(BANNER_ID);
+    expect(stored.length).toBe(first.size);
+
+    expect(listArchives('item-1').map(archive => archive.path)).toEqual([second.path, first.path]);
+    expect(listAllArchives().map(archive => archive.itemId).sort()).toEqual(['item-1', 'item-1', 'item-2']);
+    expect(other.url).toBe('https://example.com/posts/wasps');
+
+    removeArchives('item-1');
+    expect(listArchives('item-1')).toEqual([]);
+    expect(listAllArchives()).toHaveLength(1);
+  });
+
+  test('should reject pages without a URL or DOM', async () => {
+    await expect(saveArchive('item-1', { html: '<p>Hi</p>' })).rejects.toThrow('A page URL is required');
+    await expect(saveArchive('item-1', { url: page.url })).rejects.toThrow('No page was captured');
+  });
+});
@@ -18,7 +18,8 @@ jest.setTimeout(30000);
 jest.mock('../../src/services/database', () => ({
   addItem: jest.fn().mockImplementation(async (item) => {
     return { id: item.id, success: true };
-  })
+  }),
+  addItemChunks: jest.fn().mockResolvedValue(1)
 }));
 
 // Mock the pdf-parse module before importing our code
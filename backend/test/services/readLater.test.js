@@ -0,0 +1,129 @@
+/**
+ * Tests for the read-later queue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/browserCapture', () => ({
+  captureBrowserPage: jest.fn().mockResolvedValue({ id: 'item-1', title: 'Bees', duplicate: false })
+}));
+
+const config = require('../../src/config');
+const { captureBrowserPage } = require('../../src/services/browserCapture');
+const {
+  listQueue,
+  addToQueue,
+  getArticle,
+  updateQueueEntry,
+  removeFromQueue,
+  promoteToLibrary
+} = require('../../src/services/readLater');
+
+describe('Read Later', () => {
+  const originalStorage = config.storage;
+  const originalFetch = global.fetch;
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const article = {
+    url: 'https://example.com/bees?utm_source=feed',
+    title: 'Bees',
+    siteName: 'Example',
+    html: '<p>Bees make honey.</p><img alt="Hive" src="/images/hive.png"><img src="https://cdn.example.com/missing.png">',
+    text: 'Bees make honey.'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.storage = { webPath: fs.mkdtempSync(path.join(os.tmpdir(), 'web-storage-')) };
+    global.fetch = jest.fn(url => Promise.resolve(url === 'https://example.com/images/hive.png'
+      ? { ok: true, status: 200, headers: { get: () => 'image/png' }, arrayBuffer: () => Promise.resolve(png) }
+      : { ok: false, status: 404, headers: { get: () => 'text/html' } }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.webPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+    global.fetch = originalFetch;
+  });
+
+  test('should queue an article as unread with its downloaded images', async () => {
+    const entry = await addToQueue(article);
+
+    expect(entry).toMatchObject({
+      url: article.url,
+      title: 'Bees',
+      siteName: 'Example',
+      excerpt: 'Bees make honey.',
+      status: 'unread',
+      progress: 0,
+      imageCount: 1,
+      itemId: null,
+      duplicate: false
+    });
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/images/hive.png', expect.any(Object));
+    expect(fs.existsSync(path.join(config.storage.webPath, 'read_later', entry.id, '0.png'))).toBe(true);
+    expect(listQueue().map(queued => queued.id)).toEqual([entry.id]);
+  });
+
+  test('should return the queued entry when a page is saved twice', async () => {
+    const first = await addToQueue(article);
+    const second = await addToQueue({ ...article, url: 'https://example.com/bees' });
+
+    expect(second).toMatchObject({ id: first.id, duplicate: true });
+    expect(listQueue()).toHaveLength(1);
+  });
+
+  test('should reject articles without a URL or content', async () => {
+    await expect(addToQueue({ html: '<p>Hi</p>' })).rejects.toThrow('A page URL is required');
+    await expect(addToQueue({ url: article.url })).rejects.toThrow('No content was captured');
+  });
+
+  test('should serve the snapshot with its images inlined', async () => {
+    const entry = await addToQueue(article);
+    const stored = getArticle(entry.id);
+
+    expect(stored.entry.id).toBe(entry.id);
+    expect(stored.html).toContain(`src="data:image/png;base64,${png.toString('base64')}"`);
+    expect(stored.html).toContain('src="https://cdn.example.com/missing.png"');
+    expect(stored.text).toBe('Bees make honey.');
+    expect(() => getArticle('missing')).toThrow('is not in the read-later queue');
+  });
+
+  test('should track reading progress and mark an article read at the end', async () => {
+    const entry = await addToQueue(article);
+
+    expect(updateQueueEntry(entry.id, { progress: 0.4 })).toMatchObject({ progress: 0.4, status: 'unread', readAt: null });
+    expect(updateQueueEntry(entry.id, { progress: 1.5 })).toMatchObject({ progress: 1, status: 'read', readAt: expect.any(String) });
+    expect(updateQueueEntry(entry.id, { status: 'unread' })).toMatchObject({ status: 'unread', readAt: null });
+    expect(listQueue({ status: 'unread' })).toHaveLength(1);
+    expect(listQueue({ status: 'read' })).toHaveLength(0);
+  });
+
+  test('should remove an article and its snapshot', async () => {
+    const entry = await addToQueue(article);
+
+    expect(removeFromQueue(entry.id)).toBe(true);
+    expect(listQueue()).toEqual([]);
+    expect(fs.existsSync(path.join(config.storage.webPath, 'read_later', entry.id))).toBe(false);
+    expect(removeFromQueue(entry.id)).toBe(false);
+  });
+
+  test('should promote an article into the library', async () => {
+    const entry = await addToQueue(article);
+    const { entry: promoted, result } = await promoteToLibrary(entry.id);
+
+    expect(captureBrowserPage).toHaveBeenCalledWith({
+      url: article.url,
+      title: 'Bees',
+      content: expect.objectContaining({
+        text: 'Bees make honey.',
+        siteName: 'Example',
+        extractionMethod: 'read-later'
+      })
+    });
+    expect(result.id).toBe('item-1');
+    expect(promoted.itemId).toBe('item-1');
+    expect(listQueue()[0].itemId).toBe('item-1');
+  });
+});
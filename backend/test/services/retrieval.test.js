@@ -0,0 +1,130 @@
+/**
+ * Tests for retrieval-augmented context packing
+ */
+
+jest.mock('../../src/services/embedding', () => ({
+  generateEmbedding: jest.fn().mockResolvedValue([0.1, 0.2, 0.3])
+}));
+
+jest.mock('../../src/services/database', () => ({
+  hybridSearch: jest.fn()
+}));
+
+const { generateEmbedding } = require('../../src/services/embedding');
+const { hybridSearch } = require('../../src/services/database');
+const {
+  estimateTokens,
+  rerankPassages,
+  packPassages,
+  retrieveContext
+} = require('../../src/services/retrieval');
+
+const hit = (id, text, score, chunkIndex = 0) => ({
+  id,
+  title: `Item ${id}`,
+  source_type: 'pdf',
+  source_identifier: `/docs/${id}.pdf`,
+  score,
+  matched_chunk: { chunk_index: chunkIndex, text, start_offset: 10, end_offset: 10 + text.length }
+});
+
+const passage = (itemId, text, searchScore) => ({
+  itemId,
+  chunkIndex: 0,
+  title: `Item ${itemId}`,
+  sourceType: 'pdf',
+  sourceIdentifier: `/docs/${itemId}.pdf`,
+  text,
+  startOffset: 0,
+  searchScore
+});
+
+describe('Retrieval', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('re-ranks passages that cover more of the question ahead of closer search hits', () => {
+    const ranked = rerankPassages('how do bees survive winter', [
+      passage('a', 'Hives are usually painted white.', 1),
+      passage('b', 'Bees survive the winter by clustering together.', 0.8)
+    ]);
+
+    expect(ranked.map(item => item.itemId)).toEqual(['b', 'a']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  test('numbers passages under source headers', () => {
+    const packed = packPassages([
+      passage('a', 'First passage.', 1),
+      passage('b', 'Second passage.', 0.5)
+    ], 1000);
+
+    expect(packed.passages.map(item => item.index)).toEqual([1, 2]);
+    expect(packed.context).toBe(
+      '[1] "Item a" (pdf, /docs/a.pdf)\nFirst passage.\n\n[2] "Item b" (pdf, /docs/b.pdf)\nSecond passage.'
+    );
+    expect(packed.truncated).toBe(false);
+    expect(packed.estimatedTokens).toBe(packed.context.split('\n\n').reduce((sum, block) => sum + estimateTokens(block), 0));
+  });
+
+  test('cuts the passage that overflows the token budget and leaves out the rest', () => {
+    const packed = packPassages([
+      passage('a', 'a'.repeat(400), 1),
+      passage('b', 'b'.repeat(800), 0.9),
+      passage('c', 'c'.repeat(400), 0.8)
+    ], 250);
+
+    expect(packed.passages.map(item => item.itemId)).toEqual(['a', 'b']);
+    expect(packed.passages[1].text.endsWith('...')).toBe(true);
+    expect(packed.passages[1].text.length).toBeLessThan(800);
+    expect(packed.estimatedTokens).toBeLessThanOrEqual(251);
+    expect(packed.truncated).toBe(true);
+  });
+
+  test('leaves out a passage when too little budget remains for it', () => {
+    const packed = packPassages([
+      passage('a', 'a'.repeat(700), 1),
+      passage('b', 'b'.repeat(400), 0.9)
+    ], 220);
+
+    expect(packed.passages.map(item => item.itemId)).toEqual(['a']);
+    expect(packed.truncated).toBe(true);
+  });
+
+  test('retrieves candidates, keeps the top passages and packs them', async () => {
+    hybridSearch.mockResolvedValue([
+      hit('a', 'Hives are usually painted white.', 1),
+      hit('b', 'Bees survive the winter by clustering together.', 0.8, 3),
+      hit('c', 'Queens live for several years.', 0.6)
+    ]);
+
+    const result = await retrieveContext('how do bees survive winter', { topK: 2, candidates: 10 });
+
+    expect(generateEmbedding).toHaveBeenCalledWith('how do bees survive winter');
+    expect(hybridSearch).toHaveBeenCalledWith('how do bees survive winter', [0.1, 0.2, 0.3], { mode: 'hybrid', limit: 10 });
+    expect(result.passages).toHaveLength(2);
+    expect(result.passages[0]).toMatchObject({ index: 1, itemId: 'b', chunkIndex: 3, startOffset: 10 });
+    expect(result.context.startsWith('[1] "Item b"')).toBe(true);
+  });
+
+  test('falls back to the opening chunk of items without a matched passage', async () => {
+    hybridSearch.mockResolvedValue([{
+      id: 'old',
+      title: 'Old item',
+      source_type: 'url',
+      source_identifier: 'https://example.com',
+      score: 0.5,
+      text_chunks: JSON.stringify(['Opening chunk about bees.', 'Later chunk.'])
+    }]);
+
+    const result = await retrieveContext('bees', { mode: 'keyword' });
+
+    expect(generateEmbedding).not.toHaveBeenCalled();
+    expect(result.passages[0]).toMatchObject({ itemId: 'old', chunkIndex: 0, text: 'Opening chunk about bees.', startOffset: null });
+  });
+
+  test('requires a question', async () => {
+    await expect(retrieveContext('  ')).rejects.toThrow('A question is required');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for fetching web pages again
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+
+jest.mock('../../src/services/database', () => ({
+  addItem: jest.fn(async item => item),
+  addItemChunks: jest.fn().mockResolvedValue(),
+  updateItem: jest.fn().mockResolvedValue(),
+  getItemById: jest.fn()
+}));
+
+jest.mock('../../src/services/embedding', () => ({
+  generateEmbeddings: jest.fn(async chunks => chunks.map(() => [0.1, 0.2]))
+}));
+
+const { addItemChunks, updateItem, getItemById } = require('../../src/services/database');
+const { refreshURL } = require('../../src/services/urlProcessor');
+const { listVersions, readVersion } = require('../../src/services/urlVersions');
+
+const page = (body) => `<html><head><title>Article</title></head><body><article><h1>Article</h1>${body}</article></body></html>`;
+
+describe('URL Processor refresh', () => {
+  const originalStorage = config.storage;
+  const originalFetch = global.fetch;
+  const firstText = 'The first paragraph of a long enough article body for Readability to keep it around.';
+
+  beforeEach(() => {
+    config.storage = { webPath: fs.mkdtempSync(path.join(os.tmpdir(), 'web-storage-')) };
+    jest.clearAllMocks();
+
+    getItemById.mockResolvedValue({
+      id: 'page-1',
+      title: 'Article',
+      sourceType: 'url',
+      sourceId: 'https://example.com/article',
+      metadata: { url: 'https://example.com/article', extraction_date: '2024-01-01T00:00:00.000Z', source_key: 'url:https://example.com/article' },
+      createdAt: '2024-01-01T00:00:00.000Z',
+      extractedText: firstText
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.webPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+    global.fetch = originalFetch;
+  });
+
+  const serve = (html) => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, text: async () => html });
+  };
+
+  test('should store a new version and re-embed the item when the page changed', async () => {
+    serve(page(`<p>${firstText}</p><p>A second paragraph was added after the first capture of this article.</p>`));
+
+    const result = await refreshURL('page-1');
+
+    expect(result).toMatchObject({ id: 'page-1', changed: true, version: { version: 2 } });
+    expect(result.stats.addedWords).toBeGreaterThan(0);
+    expect(result.versions.map(version => version.version)).toEqual([1, 2]);
+
+    // The stored text becomes the first version, dated by its original capture
+    expect(readVersion('page-1', 1)).toMatchObject({ capturedAt: '2024-01-01T00:00:00.000Z', text: firstText });
+    expect(readVersion('page-1', 2).text).toContain('A second paragraph');
+
+    expect(updateItem).toHaveBeenCalledWith('page-1', expect.objectContaining({
+      extracted_text: expect.stringContaining('A second paragraph'),
+      metadata: expect.objectContaining({ source_key: 'url:https://example.com/article', chunk_count: expect.any(Number) })
+    }));
+    expect(addItemChunks).toHaveBeenCalledWith('page-1', expect.any(Array), expect.any(Array), expect.stringContaining('A second paragraph'));
+  });
+
+  test('should leave the item alone when the page is unchanged', async () => {
+    serve(page(`<p>${firstText}</p>`));
+
+    const result = await refreshURL('page-1');
+
+    expect(result).toMatchObject({ changed: false, version: { version: 1 } });
+    expect(listVersions('page-1')).toHaveLength(1);
+    expect(updateItem).not.toHaveBeenCalled();
+    expect(addItemChunks).not.toHaveBeenCalled();
+  });
+
+  test('should refuse items that are not web pages', async () => {
+    getItemById.mockResolvedValueOnce({ id: 'doc-1', sourceType: 'pdf' });
+
+    await expect(refreshURL('doc-1')).rejects.toThrow('not a web page');
+  });
+});
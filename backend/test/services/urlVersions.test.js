@@ -0,0 +1,81 @@
+/**
+ * Tests for web page version snapshots
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const {
+  listVersions,
+  readVersion,
+  saveVersion,
+  removeVersions,
+  diffText,
+  diffVersions
+} = require('../../src/services/urlVersions');
+
+describe('URL Versions', () => {
+  const originalStorage = config.storage;
+
+  beforeEach(() => {
+    config.storage = { webPath: fs.mkdtempSync(path.join(os.tmpdir(), 'web-storage-')) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.storage.webPath, { recursive: true, force: true });
+    config.storage = originalStorage;
+  });
+
+  test('should number snapshots and list them oldest first', () => {
+    expect(listVersions('item-1')).toEqual([]);
+
+    saveVersion('item-1', { title: 'Page', text: 'First text', capturedAt: '2024-01-01T00:00:00.000Z' });
+    const second = saveVersion('item-1', { title: 'Page v2', text: 'Second text' });
+
+    expect(second).toMatchObject({ version: 2, title: 'Page v2', length: 11, capturedAt: expect.any(String) });
+    expect(listVersions('item-1').map(version => version.version)).toEqual([1, 2]);
+    expect(readVersion('item-1', 1)).toEqual({
+      version: 1,
+      capturedAt: '2024-01-01T00:00:00.000Z',
+      title: 'Page',
+      text: 'First text'
+    });
+  });
+
+  test('should keep the snapshots of each item apart and remove them', () => {
+    saveVersion('item-1', { text: 'One' });
+    saveVersion('item-2', { text: 'Two' });
+
+    removeVersions('item-1');
+
+    expect(listVersions('item-1')).toEqual([]);
+    expect(listVersions('item-2')).toHaveLength(1);
+    expect(() => readVersion('item-1', 1)).toThrow('Version 1 of item item-1 not found');
+  });
+
+  test('should diff texts word by word', () => {
+    const diff = diffText('The quick brown fox', 'The slow brown fox jumps');
+
+    expect(diff.changed).toBe(true);
+    expect(diff.stats).toEqual({ addedWords: 2, removedWords: 1 });
+    expect(diff.changes.filter(change => change.type !== 'unchanged')).toEqual([
+      { type: 'removed', text: 'quick' },
+      { type: 'added', text: 'slow' },
+      { type: 'added', text: 'jumps' }
+    ]);
+    expect(diffText('Same text', 'Same text').changed).toBe(false);
+  });
+
+  test('should diff any two snapshots', () => {
+    saveVersion('item-1', { text: 'Alpha beta' });
+    saveVersion('item-1', { text: 'Alpha gamma' });
+    saveVersion('item-1', { text: 'Alpha gamma delta' });
+
+    const diff = diffVersions('item-1', 1, 3);
+
+    expect(diff.from.version).toBe(1);
+    expect(diff.to.version).toBe(3);
+    expect(diff.stats).toEqual({ addedWords: 2, removedWords: 1 });
+  });
+});
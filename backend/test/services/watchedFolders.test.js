@@ -0,0 +1,168 @@
+/**
+ * Tests for watched folder syncing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+
+jest.mock('../../src/services/database', () => ({
+  deleteItem: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../src/services/docsProcessor', () => ({
+  ...jest.requireActual('../../src/services/docsProcessor'),
+  processDocumentFile: jest.fn()
+}));
+
+const { deleteItem } = require('../../src/services/database');
+const { processDocumentFile } = require('../../src/services/docsProcessor');
+const { watchedFolders } = require('../../src/services/watchedFolders');
+
+describe('Watched Folders', () => {
+  const originalDatabasePath = config.database.path;
+  const originalTempDir = config.paths.tempDir;
+  let folder;
+  let itemCount;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(folder, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    config.database.path = fs.mkdtempSync(path.join(os.tmpdir(), 'watched-db-'));
+    config.paths.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watched-temp-'));
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'watched-folder-'));
+    watchedFolders.sources = null;
+    itemCount = 0;
+    jest.clearAllMocks();
+
+    processDocumentFile.mockImplementation(async (snapshotPath, options) => {
+      itemCount += 1;
+      return { id: `item-${itemCount}`, source_identifier: options.sourcePath, text: fs.readFileSync(snapshotPath, 'utf8') };
+    });
+
+    // Sources are synced directly, without file system watchers
+    jest.spyOn(watchedFolders, 'watch').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await watchedFolders.queue;
+    watchedFolders.watch.mockRestore();
+    [config.database.path, config.paths.tempDir, folder].forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    config.database.path = originalDatabasePath;
+    config.paths.tempDir = originalTempDir;
+  });
+
+  const addFolder = async (options = {}) => {
+    const summary = await watchedFolders.addSource({ folderPath: folder, ...options });
+    await watchedFolders.queue;
+    return watchedFolders.getSource(summary.id);
+  };
+
+  test('should ingest matching files and record them in the manifest', async () => {
+    const notes = writeFile('notes.md', '# Notes');
+    writeFile('todo.txt', 'Buy milk');
+
+    const source = await addFolder({ include: '*.md' });
+
+    expect(processDocumentFile).toHaveBeenCalledTimes(1);
+    expect(processDocumentFile).toHaveBeenCalledWith(expect.stringContaining(config.paths.tempDir), {
+      sourcePath: notes,
+      metadata: { watched_source_id: source.id }
+    });
+    expect(source.files[notes]).toMatchObject({ itemId: 'item-1', hash: expect.any(String) });
+    expect(source.lastSync).toMatchObject({ state: 'ok', added: 1, unchanged: 0 });
+    // Snapshots are cleaned up
+    expect(fs.readdirSync(path.join(config.paths.tempDir, 'watched'))).toEqual([]);
+  });
+
+  test('should skip unchanged files and re-ingest changed ones', async () => {
+    const notes = writeFile('notes.md', 'First version');
+    const todo = writeFile('todo.txt', 'Buy milk');
+    const source = await addFolder();
+
+    // Touched without changes, and rewritten with new content
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(todo, later, later);
+    writeFile('notes.md', 'Second, longer version');
+
+    const summary = await watchedFolders.requestSync(source.id);
+
+    expect(summary.lastSync).toMatchObject({ state: 'ok', added: 0, updated: 1, unchanged: 1 });
+    expect(processDocumentFile).toHaveBeenCalledTimes(3);
+    expect(deleteItem).toHaveBeenCalledTimes(1);
+    expect(deleteItem).toHaveBeenCalledWith('item-1');
+    expect(source.files[notes].itemId).toBe('item-3');
+    expect(source.files[todo].mtimeMs).toBe(fs.statSync(todo).mtimeMs);
+  });
+
+  test('should delete the items of removed files', async () => {
+    const notes = writeFile('notes.md', 'Notes');
+    const source = await addFolder();
+
+    fs.unlinkSync(notes);
+    const summary = await watchedFolders.requestSync(source.id);
+
+    expect(deleteItem).toHaveBeenCalledWith('item-1');
+    expect(summary).toMatchObject({ fileCount: 0, lastSync: { removed: 1 } });
+  });
+
+  test('should keep the previous version when re-ingesting fails', async () => {
+    const notes = writeFile('notes.md', 'Notes');
+    const source = await addFolder();
+
+    writeFile('notes.md', 'Broken notes');
+    processDocumentFile.mockRejectedValueOnce(new Error('No text could be extracted'));
+    const summary = await watchedFolders.requestSync(source.id);
+
+    expect(deleteItem).not.toHaveBeenCalled();
+    expect(source.files[notes].itemId).toBe('item-1');
+    expect(summary.lastSync).toMatchObject({
+      state: 'ok',
+      failed: 1,
+      errors: [{ filePath: notes, error: 'No text could be extracted' }]
+    });
+  });
+
+  test('should not delete an existing item that a file duplicates', async () => {
+    const copy = writeFile('copy.md', 'Notes');
+    processDocumentFile.mockResolvedValueOnce({ id: 'existing', duplicate: true });
+    const source = await addFolder();
+
+    expect(source.files[copy]).toMatchObject({ itemId: 'existing', owned: false });
+
+    fs.unlinkSync(copy);
+    await watchedFolders.requestSync(source.id);
+
+    expect(deleteItem).not.toHaveBeenCalled();
+  });
+
+  test('should not touch the library when the folder is missing', async () => {
+    writeFile('notes.md', 'Notes');
+    const source = await addFolder();
+
+    fs.rmSync(folder, { recursive: true, force: true });
+    const summary = await watchedFolders.requestSync(source.id);
+
+    expect(deleteItem).not.toHaveBeenCalled();
+    expect(summary.lastSync).toMatchObject({ state: 'error', error: expect.stringContaining('Folder not found') });
+  });
+
+  test('should persist sources, reject duplicates and delete items on removal when asked', async () => {
+    writeFile('notes.md', 'Notes');
+    const source = await addFolder();
+
+    watchedFolders.sources = null;
+    expect(watchedFolders.listSources()).toEqual([expect.objectContaining({ id: source.id, fileCount: 1, watching: false })]);
+    await expect(watchedFolders.addSource({ folderPath: folder })).rejects.toThrow('already watched');
+
+    await watchedFolders.removeSource(source.id, { deleteItems: true });
+
+    expect(deleteItem).toHaveBeenCalledWith('item-1');
+    expect(watchedFolders.listSources()).toEqual([]);
+  });
+});
@@ -33,6 +33,7 @@ jest.mock('../src/config', () => {
       path: '/tmp/test-db',
       name: 'test_knowledge_store',
       collection: 'test_knowledge_items',
+      chunkCollection: 'test_knowledge_chunks',
     },
     processing: {
       chunkSize: 100,
@@ -2,7 +2,7 @@
  * Tests for text chunking functionality
  */
 
-const { cleanText, chunkByCharacters, chunkByParagraphs, chunkByMarkdown } = require('../src/utils/textChunker');
+const { cleanText, chunkByCharacters, chunkByParagraphs, chunkByMarkdown, locateChunks } = require('../src/utils/textChunker');
 
 // Override the config dependency in the textChunker module
 jest.mock('../src/config', () => ({
@@ -223,4 +223,32 @@ describe('Text Chunker Utils', () => {
       expect(markdownChunks).toContain('Paragraph 3.');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('locateChunks', () => {
+    test('should return offsets for each paragraph chunk', () => {
+      const input = 'First paragraph.\n\nSecond paragraph.';
+      const chunks = chunkByParagraphs(input);
+      const offsets = locateChunks(input, chunks);
+
+      expect(offsets).toHaveLength(2);
+      offsets.forEach((offset, index) => {
+        expect(input.substring(offset.start, offset.end)).toBe(chunks[index]);
+      });
+    });
+
+    test('should handle overlapping chunks', () => {
+      const input = 'This is a test sentence. '.repeat(20);
+      const chunks = chunkByCharacters(input, 100, 20);
+      const offsets = locateChunks(input, chunks);
+
+      for (let i = 1; i < offsets.length; i++) {
+        expect(offsets[i].start).toBeGreaterThan(offsets[i - 1].start);
+      }
+    });
+
+    test('should mark chunks not present in the text with -1', () => {
+      const offsets = locateChunks('Hello World', ['Goodbye']);
+      expect(offsets).toEqual([{ start: -1, end: -1 }]);
+    });
+  });
+});
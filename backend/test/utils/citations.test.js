@@ -0,0 +1,104 @@
+/**
+ * Tests for citations of knowledge base passages
+ */
+
+const { collectSources, buildSourcesPrompt, extractCitations } = require('../../src/utils/citations');
+
+const toolMessage = (toolName, result) => ({
+  role: 'tool',
+  content: JSON.stringify({ toolCallId: `call-${toolName}`, toolName, result })
+});
+
+const searchResult = toolMessage('searchKnowledgeBase', {
+  query: 'honey bees',
+  results: [
+    {
+      id: 'bees',
+      title: 'Bees',
+      sourceType: 'pdf',
+      contentPreview: 'Honey bees live in colonies.',
+      passage: {
+        chunkIndex: 2,
+        text: 'Honey bees live in colonies. A colony can hold fifty thousand workers in summer.',
+        startOffset: 1000,
+        endOffset: 1081
+      }
+    },
+    {
+      id: 'wasps',
+      title: 'Wasps',
+      sourceType: 'url',
+      contentPreview: 'Wasps build paper nests from chewed wood.',
+      passage: null
+    }
+  ]
+});
+
+describe('Citations', () => {
+  describe('collectSources', () => {
+    test('should number the passages of knowledge base tool results in order', () => {
+      const sources = collectSources([
+        { role: 'user', content: 'How big is a bee colony?' },
+        searchResult,
+        toolMessage('getItemContent', { id: 'hives', title: 'Hives', sourceType: 'document', content: 'Hives are boxes.' }),
+        toolMessage('listAllFiles', { files: [] }),
+        { role: 'tool', content: 'Error: tool failed' }
+      ]);
+
+      expect(sources).toEqual([
+        expect.objectContaining({ index: 1, itemId: 'bees', chunkIndex: 2, startOffset: 1000 }),
+        expect.objectContaining({ index: 2, itemId: 'wasps', chunkIndex: null, text: 'Wasps build paper nests from chewed wood.' }),
+        expect.objectContaining({ index: 3, itemId: 'hives', chunkIndex: null, text: 'Hives are boxes.' })
+      ]);
+    });
+
+    test('should keep the first number of a passage returned twice', () => {
+      expect(collectSources([searchResult, searchResult])).toHaveLength(2);
+    });
+  });
+
+  describe('buildSourcesPrompt', () => {
+    test('should list the numbered sources', () => {
+      const prompt = buildSourcesPrompt(collectSources([searchResult]));
+
+      expect(prompt).toContain('[1] "Bees": Honey bees live in colonies.');
+      expect(prompt).toContain('[2] "Wasps"');
+      expect(buildSourcesPrompt([])).toBe('');
+    });
+  });
+
+  describe('extractCitations', () => {
+    const sources = collectSources([searchResult]);
+
+    test('should quote the source sentence that supports the cited claim', () => {
+      const citations = extractCitations(
+        'A colony holds up to fifty thousand workers in summer [1]. Wasps nest in paper [2].',
+        sources
+      );
+
+      expect(citations).toEqual([
+        {
+          index: 1,
+          itemId: 'bees',
+          chunkIndex: 2,
+          title: 'Bees',
+          sourceType: 'pdf',
+          quote: 'A colony can hold fifty thousand workers in summer.',
+          startOffset: 1029,
+          endOffset: 1080
+        },
+        expect.objectContaining({ index: 2, itemId: 'wasps', quote: 'Wasps build paper nests from chewed wood.', startOffset: null })
+      ]);
+    });
+
+    test('should read grouped markers and ignore unknown numbers', () => {
+      const citations = extractCitations('Bees and wasps both live in colonies [2, 1][7].', sources);
+
+      expect(citations.map(citation => citation.index)).toEqual([1, 2]);
+    });
+
+    test('should return no citations without sources', () => {
+      expect(extractCitations('An answer [1].', [])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for source keys and content hashes
+ */
+
+const {
+  normalizeUrl,
+  extractYouTubeVideoId,
+  contentHash,
+  sourceKey
+} = require('../../src/utils/contentIdentity');
+
+describe('Content Identity', () => {
+  describe('normalizeUrl', () => {
+    test('should ignore case, www, fragments, tracking parameters and trailing slashes', () => {
+      expect(normalizeUrl('https://WWW.Example.com/Docs/?utm_source=x&b=2&a=1#intro'))
+        .toBe('https://example.com/Docs?a=1&b=2');
+      expect(normalizeUrl('http://example.com:80/')).toBe('http://example.com');
+    });
+
+    test('should reject anything but http(s) URLs', () => {
+      expect(normalizeUrl('file:///etc/hosts')).toBeNull();
+      expect(normalizeUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('extractYouTubeVideoId', () => {
+    test('should read the video ID from every URL form', () => {
+      [
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+        'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://youtu.be/dQw4w9WgXcQ?si=abc',
+        'https://www.youtube.com/embed/dQw4w9WgXcQ',
+        'https://youtube.com/shorts/dQw4w9WgXcQ'
+      ].forEach(url => expect(extractYouTubeVideoId(url)).toBe('dQw4w9WgXcQ'));
+
+      expect(extractYouTubeVideoId('https://example.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+    });
+  });
+
+  describe('contentHash', () => {
+    test('should ignore whitespace differences', () => {
+      expect(contentHash('Hello\n\n  world ')).toBe(contentHash('Hello world'));
+      expect(contentHash('Hello world')).not.toBe(contentHash('Hello there'));
+      expect(contentHash('   ')).toBeNull();
+    });
+  });
+
+  describe('sourceKey', () => {
+    test('should key videos by ID, pages by URL and files by hash', () => {
+      expect(sourceKey({ source_identifier: 'https://youtu.be/dQw4w9WgXcQ' })).toBe('youtube:dQw4w9WgXcQ');
+      expect(sourceKey({ source_identifier: 'https://example.com/a/' })).toBe('url:https://example.com/a');
+      expect(sourceKey({ source_identifier: '/docs/paper.pdf' }, 'abc123')).toBe('file:abc123');
+      expect(sourceKey({ source_identifier: 'note-1' })).toBeNull();
+    });
+  });
+});
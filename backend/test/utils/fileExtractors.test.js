@@ -0,0 +1,150 @@
+/**
+ * Tests for document file extraction and the file processor registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  htmlToText,
+  splitFrontMatter,
+  extractMarkdown,
+  extractPlainText,
+  extractHtml,
+  extractEpub,
+  extractDocx
+} = require('../../src/utils/processors/fileExtractors');
+const {
+  createFileProcessor,
+  isSupportedFile,
+  MarkdownProcessor,
+  HTMLProcessor,
+  PDFProcessor
+} = require('../../src/utils/processors/processorFactory');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+describe('File Extractors', () => {
+  let tempDir;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractors-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('htmlToText', () => {
+    test('should keep headings, paragraphs and list items apart', () => {
+      const { title, text } = htmlToText(`
+        <html><head><title>Guide</title><style>p { color: red; }</style></head>
+        <body>
+          <h1>Setup</h1>
+          <p>Install   the
+             app.</p>
+          <ul><li>One</li><li>Two</li></ul>
+          <script>alert('x')</script>
+        </body></html>
+      `);
+
+      expect(title).toBe('Guide');
+      expect(text).toBe('# Setup\n\nInstall the app.\n\n- One\n\n- Two');
+    });
+
+    test('should keep preformatted whitespace', () => {
+      const { text } = htmlToText('<pre>line 1\n  line 2</pre>');
+      expect(text).toBe('line 1\n  line 2');
+    });
+  });
+
+  describe('splitFrontMatter', () => {
+    test('should read simple key/value front matter', () => {
+      const { body, frontMatter } = splitFrontMatter('---\ntitle: "Notes"\ntags: a, b\n---\n# Heading\n');
+      expect(frontMatter).toEqual({ title: 'Notes', tags: 'a, b' });
+      expect(body).toBe('# Heading\n');
+    });
+
+    test('should leave documents without front matter alone', () => {
+      expect(splitFrontMatter('# Heading')).toEqual({ body: '# Heading', frontMatter: {} });
+    });
+  });
+
+  describe('extract', () => {
+    test('should title Markdown by its first heading', async () => {
+      const filePath = writeFile('notes.md', 'Intro\n\n# Weekly Notes\n\nText');
+      const result = await extractMarkdown(filePath);
+      expect(result.title).toBe('Weekly Notes');
+      expect(result.text).toContain('# Weekly Notes');
+    });
+
+    test('should title plain text and untitled HTML by file name', async () => {
+      expect((await extractPlainText(writeFile('todo.txt', 'Buy milk'))).title).toBe('todo');
+      expect((await extractHtml(writeFile('export.html', '<p>Hello</p>'))).title).toBe('export');
+    });
+
+    test('should read EPUB chapters in spine order, skipping missing ones', async () => {
+      const result = await extractEpub(path.join(FIXTURES_DIR, 'sample.epub'));
+
+      expect(result).toEqual({
+        title: 'Bees of the Meadow',
+        text: '# Foraging\n\nBees visit flowers for nectar.\n\n# The Hive\n\nNectar becomes honey in the hive.',
+        metadata: { author: 'Ada Apiarist', language: 'en', chapter_count: 2 }
+      });
+    });
+
+    test('should reject EPUB files without a container', async () => {
+      const filePath = writeFile('broken.epub', fs.readFileSync(path.join(FIXTURES_DIR, 'sample.docx')));
+      await expect(extractEpub(filePath)).rejects.toThrow('missing META-INF/container.xml');
+    });
+
+    test('should convert DOCX paragraphs and headings to text', async () => {
+      const result = await extractDocx(path.join(FIXTURES_DIR, 'sample.docx'));
+
+      expect(result).toEqual({
+        title: 'sample',
+        text: '# Hive Notes\n\nBees make honey.\n\nWasps do not.',
+        metadata: {}
+      });
+    });
+  });
+
+  describe('processor registry', () => {
+    test('should pick processors by extension, case-insensitively', () => {
+      expect(createFileProcessor('a/README.MD')).toBeInstanceOf(MarkdownProcessor);
+      expect(createFileProcessor('page.htm')).toBeInstanceOf(HTMLProcessor);
+      expect(createFileProcessor('paper.pdf')).toBeInstanceOf(PDFProcessor);
+      expect(isSupportedFile('book.epub')).toBe(true);
+      expect(isSupportedFile('report.docx')).toBe(true);
+      expect(isSupportedFile('image.png')).toBe(false);
+      expect(() => createFileProcessor('image.png')).toThrow('Unsupported file type: .png');
+    });
+
+    test('should chunk Markdown by section unless told otherwise', () => {
+      expect(createFileProcessor('a.md').options.chunking.strategy).toBe('markdown');
+      expect(createFileProcessor('a.txt').options.chunking.strategy).toBe('paragraphs');
+      expect(createFileProcessor('a.md', { chunking: { strategy: 'characters' } }).options.chunking.strategy).toBe('characters');
+    });
+
+    test('should extract files into the stored item shape', async () => {
+      const filePath = writeFile('guide.md', '---\ntitle: Guide\n---\nBody');
+      const document = await createFileProcessor(filePath).extractDocument(filePath);
+
+      expect(document).toMatchObject({
+        source_type: 'document',
+        source_identifier: filePath,
+        original_content_path: filePath,
+        title: 'Guide',
+        extractedText: 'Body',
+        metadata: { format: 'markdown', file_name: 'guide.md', front_matter: { title: 'Guide' } }
+      });
+      expect(document.id).toEqual(expect.any(String));
+    });
+  });
+});
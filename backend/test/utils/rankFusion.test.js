@@ -0,0 +1,33 @@
+/**
+ * Tests for reciprocal rank fusion
+ */
+
+const { reciprocalRankFusion } = require('../../src/utils/rankFusion');
+
+describe('reciprocalRankFusion', () => {
+  test('should score an ID ranked first in every list as 1', () => {
+    const fused = reciprocalRankFusion([['a', 'b'], ['a', 'c']]);
+
+    expect(fused[0].id).toBe('a');
+    expect(fused[0].score).toBeCloseTo(1);
+    expect(fused[0].ranks).toEqual([1, 1]);
+  });
+
+  test('should promote IDs found by several rankers over single-list hits', () => {
+    const fused = reciprocalRankFusion([['x', 'shared'], ['y', 'shared']]);
+
+    expect(fused[0].id).toBe('shared');
+    expect(fused.map(entry => entry.id)).toEqual(expect.arrayContaining(['x', 'y']));
+  });
+
+  test('should record null ranks for lists an ID is missing from', () => {
+    const fused = reciprocalRankFusion([['a'], ['b']]);
+    const b = fused.find(entry => entry.id === 'b');
+
+    expect(b.ranks).toEqual([null, 1]);
+  });
+
+  test('should return an empty ranking for empty input', () => {
+    expect(reciprocalRankFusion([[], []])).toEqual([]);
+  });
+});
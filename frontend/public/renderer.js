@@ -55,7 +55,7 @@ function showStatus(message, isError = false) {
 // Display list of items from the database
 async function displayItems() {
   try {
-    const response = await window.api.listItems();
+    const response = await window.api.listItems({ limit: null });
     const items = response.success ? response.items : [];
     itemList.innerHTML = '';
     
@@ -80,6 +80,16 @@ class App extends Component {
     
     // Connect ChatUI to ChatHeader
     this.chatUI.setHeaderComponent(this.chatHeader);
+
+    // List the stored conversations in the sidebar and keep the list in step with the chat
+    this.sidebar.setConversationHandlers({
+      list: (query) => this.chatUI.listConversations(query),
+      open: (id) => this.chatUI.openConversation(id),
+      rename: (id, title) => this.chatUI.renameConversation(id, title),
+      setPinned: (id, pinned) => this.chatUI.setConversationPinned(id, pinned),
+      remove: (id) => this.chatUI.deleteConversation(id)
+    });
+    this.chatUI.onConversationsChanged = () => this.sidebar.refreshConversations(this.chatUI.conversationId);
     
     // Initialize the tool rendering system
     this.initializeToolSystem();
@@ -282,7 +292,14 @@ class App extends Component {
     
     // Listen for content update
     document.addEventListener('content:updated', this.handleContentUpdated);
-    
+
+    // Listen for chat attachments the user keeps from a sent message
+    document.addEventListener('attachment:promote', (e) => {
+      if (this.chatUI) {
+        this.chatUI.promoteAttachment(e.detail.attachment);
+      }
+    });
+
     // Listen for navigation change from Header
     document.addEventListener('navigation:change', (e) => {
       this.handleNavigation(e.detail.section);
@@ -324,6 +341,8 @@ class App extends Component {
     switch (eventType) {
       case 'document:deleted':
       case 'pdf:processed':
+      case 'document:processed':
+      case 'folder:processed':
       case 'url:processed':
       case 'youtube:processed':
         // Refresh content list on any document changes
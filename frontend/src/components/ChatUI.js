@@ -1,10 +1,13 @@
 // ChatUI Component - Modern chat interface for knowledge assistant
 import LlmService from '../services/LlmService.js';
+import ApiService from '../services/ApiService.js';
 import ChatMessages from './chat/ChatMessages.js';
 import ChatInput from './chat/ChatInput.js';
 import messageFormatter from '../utils/messageFormatter.js';
 import logger from '../utils/logger.js';
 import ChatHeader from './chat/ChatHeader.js';
+import { getProfiles, findProfile } from '../services/promptProfiles.js';
+import '../services/SettingsService.js';
 
 // Create context-specific logger
 const chatLogger = logger.scope('ChatUI');
@@ -18,6 +21,7 @@ class ChatUI {
     // Services
     this.notificationService = notificationService;
     this.llmService = new LlmService();
+    this.apiService = window.api ? new ApiService() : null;
     
     // Child Components
     this.chatMessages = null;
@@ -34,12 +38,31 @@ class ChatUI {
     this.modelInfo = null;
     this.backendUnavailable = false;
     
+    // Provider and model of the current conversation, taken from the settings when it starts
+    this.conversationModel = null;
+    
+    // ID of the stored conversation, set once its first exchange is saved
+    this.conversationId = null;
+    
+    // Prompt profile of the current conversation, taken from the settings when it starts
+    this.conversationProfileId = null;
+    
+    // "Ask the Sieve" mode: answers come only from passages retrieved from the knowledge base
+    this.ragMode = false;
+    
+    // Called with the conversation summary whenever the stored conversations change
+    this.onConversationsChanged = null;
+    
     // App reference
     this.app = null;
     
     // Bind methods to this instance
     this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleCancel = this.handleCancel.bind(this);
     this.handleNewChat = this.handleNewChat.bind(this);
+    this.handleProfileChange = this.handleProfileChange.bind(this);
+    this.handleRagToggle = this.handleRagToggle.bind(this);
+    this.promoteAttachment = this.promoteAttachment.bind(this);
     this.updateUI = this.updateUI.bind(this);
     this.handleErrorResponse = this.handleErrorResponse.bind(this);
   }
@@ -52,6 +75,10 @@ class ChatUI {
     if (header) {
       this.chatHeader = header;
       this.chatHeader.setNewChatCallback(this.handleNewChat);
+      this.chatHeader.setProfileChangeCallback(this.handleProfileChange);
+      this.chatHeader.setRagToggleCallback(this.handleRagToggle);
+      this.chatHeader.setRagMode(this.ragMode);
+      this.refreshProfileSelector();
     }
   }
 
@@ -123,7 +150,7 @@ class ChatUI {
       // Initialize ChatInput component
       if (!this.chatInput) {
         chatLogger.debug('Creating new ChatInput component');
-        this.chatInput = new ChatInput(this.handleSubmit);
+        this.chatInput = new ChatInput(this.handleSubmit, this.handleCancel, this.getAttachmentHandlers());
       }
       
       // Only update UI if container is connected
@@ -181,6 +208,12 @@ class ChatUI {
   handleNewChat() {
     chatLogger.info('Starting new chat, clearing messages');
     this.messages = [];
+    this.conversationModel = null;
+    this.conversationId = null;
+    this.conversationProfileId = null;
+    this.chatHeader?.setConversationTitle(null);
+    this.refreshProfileSelector();
+    this.onConversationsChanged?.(null);
     this.updateUI();
     this.notificationService?.info('Started new chat');
   }
@@ -188,8 +221,9 @@ class ChatUI {
   /**
    * Handle message submission from chat input
    * @param {string} message - Message to send to LLM
+   * @param {Array<Object>} attachments - Files and URLs attached to the message, with their extracted text
    */
-  async handleSubmit(message) {
+  async handleSubmit(message, attachments = []) {
     // Check for valid message and not already in loading state
     if (!message || this.isLoading) {
       chatLogger.warn('Ignoring submit: empty message or already loading');
@@ -201,12 +235,14 @@ class ChatUI {
     // Create timestamp for consistency
     const timestamp = new Date().toISOString();
     
-    // Add user message to messages
-    this.messages.push({
+    // Add user message to messages; attachments stay with it as context for the rest of the conversation
+    const userMessage = {
       role: 'user',
       content: message,
-      timestamp
-    });
+      timestamp,
+      ...(attachments.length > 0 && { attachments })
+    };
+    this.messages.push(userMessage);
     
     // Set loading state
     this.isLoading = true;
@@ -227,9 +263,14 @@ class ChatUI {
     }, 50);
     
     try {
-      // Get assistant response
+      // Get assistant response, showing it as it streams in
       chatLogger.debug('Sending message to LLM service');
-      const response = await this.llmService.sendMessage(message, this.messages);
+      // In "Ask the Sieve" mode retrieved passages replace tools, so the agent loop ends after one answer;
+      // passages are retrieved for the question alone, not the text of its attachments
+      const response = await this.streamReply(
+        this.llmService.formatMessageContent(userMessage),
+        this.ragMode ? { rag: { query: message } } : {}
+      );
       
       // Check if response contains an error
       if (response.error === true) {
@@ -237,6 +278,10 @@ class ChatUI {
         return this.handleErrorResponse(response);
       }
       
+      if (response.cancelled) {
+        return this.handleCancelledResponse(response);
+      }
+      
       // Additional validation for response format
       if (!response) {
         chatLogger.error('Empty response received from LLM service');
@@ -289,84 +334,21 @@ class ChatUI {
         rawFormatting: processedResponse.rawFormatting || false // Flag to preserve raw formatting
       };
       
-      // Add toolCalls only if they exist
-      if (processedResponse.toolCalls && processedResponse.toolCalls.length > 0) {
-        assistantMessage.toolCalls = processedResponse.toolCalls;
+      // Keep the knowledge base passages the answer cites
+      if (processedResponse.citations && processedResponse.citations.length > 0) {
+        assistantMessage.citations = processedResponse.citations;
       }
       
       chatLogger.debug('Adding assistant message to chat:', assistantMessage);
       this.messages.push(assistantMessage);
       
-      // Update UI to show assistant message before processing tool calls
       this.updateUI();
       
-      // Process any tool calls
-      if (assistantMessage.toolCalls && assistantMessage.toolCalls.length > 0) {
-        for (const toolCall of assistantMessage.toolCalls) {
-          // Normalize the tool call format to ensure consistent properties
-          const normalizedToolCall = messageFormatter.normalizeToolCall(toolCall);
-          if (!normalizedToolCall) {
-            chatLogger.warn('Skipping invalid tool call:', toolCall);
-            continue;
-          }
-          
-          const { id: toolCallId, name: toolName, args } = normalizedToolCall;
-          
-          chatLogger.info(`Processing tool call: ${toolName} (${toolCallId})`);
-          
-          // Add tool call to messages
-          this.messages.push({
-            role: 'tool',
-            toolCallId: toolCallId,
-            name: toolName,
-            content: `Executing tool: ${toolName}`,
-            status: 'running',
-            args: args,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Update UI to show tool execution in progress
-          this.updateUI();
-          
-          try {
-            // Execute tool
-            const toolResult = await this.llmService.executeToolCall(
-              toolCallId,
-              toolName,
-              args
-            );
-            
-            // Update tool message with result
-            const toolIndex = this.messages.findIndex(msg => 
-              msg.role === 'tool' && msg.toolCallId === toolCallId
-            );
-            
-            if (toolIndex !== -1) {
-              this.messages[toolIndex].content = typeof toolResult === 'string' 
-                ? toolResult 
-                : JSON.stringify(toolResult, null, 2);
-              this.messages[toolIndex].status = 'completed';
-            }
-            
-            // Update UI to show tool result
-            this.updateUI();
-          } catch (toolError) {
-            chatLogger.error(`Error executing tool ${toolName}:`, toolError);
-            
-            // Update tool message with error
-            const toolIndex = this.messages.findIndex(msg => 
-              msg.role === 'tool' && msg.toolCallId === toolCallId
-            );
-            
-            if (toolIndex !== -1) {
-              this.messages[toolIndex].content = `Error: ${toolError.message}`;
-              this.messages[toolIndex].status = 'error';
-            }
-            
-            // Update UI to show tool error
-            this.updateUI();
-          }
-        }
+      // Tell the user when the answer was forced because the tool budget ran out
+      if (response.budgetReached && response.steps > 0) {
+        this.notificationService?.info(response.budgetReached === 'time'
+          ? `Answered after the agent time limit (${response.steps} tool steps)`
+          : `Answered after the agent step limit (${response.steps} tool steps)`);
       }
     } catch (error) {
       chatLogger.error('Error in handleSubmit:', error);
@@ -419,6 +401,8 @@ class ChatUI {
       
       // Force scroll to bottom to ensure new messages are visible
       this.scrollToBottom(true);
+      
+      await this.saveConversation();
     }
   }
   
@@ -441,6 +425,408 @@ class ChatUI {
     }
   }
   
+  /**
+   * Send a message to the LLM and show the reply in the chat while it streams in
+   * The tools the model asks for are run by the agent loop of the LLM service; every round of tool
+   * calls and each tool result is added to the chat as it happens. The draft reply is taken out of
+   * the chat once the final answer arrives, so callers add the final message themselves.
+   * @param {string} message - Message to send
+   * @param {Object} options - Options for the LLM service
+   * @returns {Promise<Object>} - Final response from the LLM service
+   */
+  async streamReply(message, options = {}) {
+    const draft = {
+      role: 'assistant',
+      content: '',
+      toolCalls: [],
+      streaming: true,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Add the draft on the first event, then re-render it in place
+    const showDraft = () => {
+      if (!this.messages.includes(draft)) {
+        this.messages.push(draft);
+        this.updateUI();
+      } else if (this.chatMessages) {
+        this.chatMessages.updateStreamingMessage(draft);
+      }
+    };
+    
+    // Assistant message of the current round of tool calls, re-rendered as its steps run
+    let round = null;
+    
+    const removeDraft = () => {
+      const draftIndex = this.messages.indexOf(draft);
+      if (draftIndex !== -1) {
+        this.messages.splice(draftIndex, 1);
+        this.chatMessages?.removeStreamingMessage();
+      }
+      draft.content = '';
+      draft.toolCalls = [];
+    };
+    
+    if (this.chatInput) {
+      this.chatInput.setStreaming(true);
+    }
+    
+    try {
+      const { provider, model } = await this.getConversationModel();
+      const profile = await this.getPromptProfile();
+      const budget = await this.getAgentBudget();
+      
+      return await this.llmService.runAgentLoop(message, [...this.messages], {
+        provider,
+        model,
+        profile,
+        ...budget,
+        ...options,
+        onToken: (text) => {
+          draft.content = text;
+          showDraft();
+        },
+        onToolCall: (toolCall) => {
+          draft.toolCalls.push(toolCall);
+          showDraft();
+        },
+        onToolRound: (assistantMessage) => {
+          removeDraft();
+          round = assistantMessage;
+          this.messages.push(assistantMessage);
+          this.updateUI();
+        },
+        onStepStart: ({ step, toolMessage }) => {
+          chatLogger.info(`Agent step ${step.number}: ${toolMessage.name} (${toolMessage.toolCallId})`);
+          this.messages.push(toolMessage);
+          this.updateUI();
+          this.chatMessages?.refreshMessage(round);
+        },
+        onStepEnd: ({ toolMessage }) => {
+          this.chatMessages?.refreshMessage(round);
+          if (toolMessage) {
+            this.chatMessages?.refreshMessage(toolMessage);
+          }
+        }
+      });
+    } finally {
+      if (this.chatInput) {
+        this.chatInput.setStreaming(false);
+      }
+      
+      removeDraft();
+    }
+  }
+  
+  /**
+   * Get how many tool calls, and how many seconds, the agent loop may spend on one message
+   * @returns {Promise<Object>} - { maxSteps, maxSeconds }, empty to use the LLM service defaults
+   */
+  async getAgentBudget() {
+    const advanced = (await this.readSettings())?.advanced || {};
+    const budget = {};
+    
+    if (Number.isFinite(advanced.agentMaxSteps) && advanced.agentMaxSteps >= 0) {
+      budget.maxSteps = advanced.agentMaxSteps;
+    }
+    if (Number.isFinite(advanced.agentMaxSeconds) && advanced.agentMaxSeconds > 0) {
+      budget.maxSeconds = advanced.agentMaxSeconds;
+    }
+    
+    return budget;
+  }
+  
+  /**
+   * Get the LLM provider and model the current conversation talks to
+   * A conversation keeps the chat provider that was selected in the settings when it started,
+   * so changing the settings only affects new conversations.
+   * @returns {Promise<Object>} - { provider, model }, empty when the settings are unavailable
+   */
+  async getConversationModel() {
+    if (this.conversationModel) {
+      return this.conversationModel;
+    }
+    
+    try {
+      const settingsService = window.backend?.settingsService || window.settingsService;
+      const settings = await settingsService?.getSettings();
+      const models = settings?.models || {};
+      
+      this.conversationModel = models.chatProvider
+        ? { provider: models.chatProvider, model: models.defaultChatModel || undefined }
+        : {};
+      chatLogger.info('Conversation uses LLM provider:', this.conversationModel);
+    } catch (error) {
+      chatLogger.warn('Could not read the chat provider from the settings, using the backend default:', error);
+      this.conversationModel = {};
+    }
+    
+    return this.conversationModel;
+  }
+
+  /**
+   * Read the settings, or null when they are unavailable
+   * @returns {Promise<Object|null>} - Application settings
+   */
+  async readSettings() {
+    try {
+      const settingsService = window.backend?.settingsService || window.settingsService;
+      return await settingsService?.getSettings() || null;
+    } catch (error) {
+      chatLogger.warn('Could not read the settings:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the prompt profile the current conversation uses
+   * A conversation keeps the profile that was active in the settings when it started
+   * unless it is switched from the chat header.
+   * @returns {Promise<Object>} - The prompt profile
+   */
+  async getPromptProfile() {
+    const settings = await this.readSettings();
+    
+    if (!this.conversationProfileId) {
+      this.conversationProfileId = settings?.prompts?.activeProfileId || null;
+    }
+    
+    const profile = findProfile(getProfiles(settings), this.conversationProfileId);
+    this.conversationProfileId = profile.id;
+    return profile;
+  }
+
+  /**
+   * Show the prompt profiles in the chat header, with the conversation's one selected
+   */
+  async refreshProfileSelector() {
+    if (!this.chatHeader) {
+      return;
+    }
+    
+    const profile = await this.getPromptProfile();
+    const profiles = getProfiles(await this.readSettings());
+    this.chatHeader.setProfiles(profiles, profile.id);
+  }
+
+  /**
+   * Switch the current conversation to another prompt profile
+   * @param {string} profileId - Profile ID
+   */
+  async handleProfileChange(profileId) {
+    chatLogger.info(`Conversation uses prompt profile: ${profileId}`);
+    this.conversationProfileId = profileId;
+    
+    if (this.conversationId) {
+      await this.saveConversation();
+    }
+  }
+
+  /**
+   * Get the callbacks ChatInput reads and keeps attachments with
+   * @returns {Object|null} - { extract, promote }, or null without the Electron API
+   */
+  getAttachmentHandlers() {
+    if (!this.apiService) {
+      return null;
+    }
+    
+    return {
+      extract: (source) => {
+        const documentManager = this.app?.documentManager;
+        if (!documentManager) {
+          return Promise.reject(new Error('Document processing is not available'));
+        }
+        return documentManager.extractAttachment(source);
+      },
+      promote: this.promoteAttachment
+    };
+  }
+
+  /**
+   * Keep a chat attachment as a permanent Sieve item
+   * @param {Object} attachment - Attachment of a draft or sent message
+   * @returns {Promise<Object|null>} - The stored item, or null if nothing was stored
+   */
+  async promoteAttachment(attachment) {
+    const documentManager = this.app?.documentManager;
+    if (!attachment || attachment.promoted || !documentManager) {
+      return null;
+    }
+    
+    // Message the attachment was sent with, if it has been sent
+    const message = this.messages.find(other => other.attachments?.includes(attachment));
+    
+    try {
+      const result = await documentManager.promoteAttachment(attachment);
+      attachment.promoted = true;
+      
+      if (message && this.conversationId) {
+        await this.saveConversation();
+      }
+      
+      return result;
+    } catch (error) {
+      chatLogger.error('Error promoting attachment:', error);
+      this.notificationService?.error(`Failed to save ${attachment.title}`);
+      return null;
+    } finally {
+      if (message) {
+        this.chatMessages?.refreshMessage(message);
+      }
+    }
+  }
+
+  /**
+   * Switch "Ask the Sieve" mode on or off for the next messages
+   * @param {boolean} enabled - Whether answers come only from retrieved passages
+   */
+  handleRagToggle(enabled) {
+    chatLogger.info(`Ask the Sieve mode ${enabled ? 'on' : 'off'}`);
+    this.ragMode = !!enabled;
+    this.notificationService?.info(this.ragMode
+      ? 'Answers now come only from your Sieve'
+      : 'Answers may use tools and general knowledge again');
+  }
+
+  /**
+   * Store the current conversation so it survives restarts and shows up in the conversation list
+   * Nothing is stored before the first user message.
+   */
+  async saveConversation() {
+    if (!this.apiService || !this.messages.some(message => message.role === 'user')) {
+      return;
+    }
+
+    try {
+      const { provider, model } = this.conversationModel || {};
+      const summary = await this.apiService.saveConversation({
+        id: this.conversationId,
+        messages: this.messages.filter(message => !message.streaming),
+        provider,
+        model,
+        profileId: this.conversationProfileId
+      });
+
+      this.conversationId = summary.id;
+      this.chatHeader?.setConversationTitle(summary.title);
+      this.onConversationsChanged?.(summary);
+    } catch (error) {
+      chatLogger.error('Error saving conversation:', error);
+    }
+  }
+
+  /**
+   * List the stored conversations, pinned first
+   * @param {string} query - Full-text search over the conversations, empty for all of them
+   * @returns {Promise<Array>} - Conversation summaries ({ id, title, pinned, updatedAt, match })
+   */
+  async listConversations(query = '') {
+    if (!this.apiService) {
+      return [];
+    }
+    return this.apiService.listConversations(query);
+  }
+
+  /**
+   * Resume a stored conversation
+   * Its messages become the chat history again, and it keeps the provider, model and prompt profile it was started with.
+   * @param {string} id - Conversation ID
+   */
+  async openConversation(id) {
+    if (this.isLoading) {
+      this.notificationService?.info('Wait for the current response before switching chats');
+      return;
+    }
+
+    try {
+      const conversation = await this.apiService.getConversation(id);
+      chatLogger.info(`Resuming conversation ${id} with ${conversation.messages.length} messages`);
+
+      this.messages = conversation.messages;
+      this.conversationId = conversation.id;
+      this.conversationModel = conversation.provider
+        ? { provider: conversation.provider, model: conversation.model || undefined }
+        : null;
+      this.conversationProfileId = conversation.profileId || null;
+
+      this.chatHeader?.setConversationTitle(conversation.title);
+      this.refreshProfileSelector();
+      this.onConversationsChanged?.(conversation);
+      this.forceFullRerender();
+      this.scrollToBottom();
+    } catch (error) {
+      chatLogger.error('Error opening conversation:', error);
+      this.notificationService?.error('Failed to open conversation');
+    }
+  }
+
+  /**
+   * Rename a stored conversation
+   * @param {string} id - Conversation ID
+   * @param {string} title - New title
+   */
+  async renameConversation(id, title) {
+    const summary = await this.apiService.updateConversation(id, { title });
+    if (id === this.conversationId) {
+      this.chatHeader?.setConversationTitle(summary.title);
+    }
+    this.onConversationsChanged?.(summary);
+  }
+
+  /**
+   * Pin a stored conversation to the top of the list, or unpin it
+   * @param {string} id - Conversation ID
+   * @param {boolean} pinned - Whether the conversation is pinned
+   */
+  async setConversationPinned(id, pinned) {
+    const summary = await this.apiService.updateConversation(id, { pinned });
+    this.onConversationsChanged?.(summary);
+  }
+
+  /**
+   * Delete a stored conversation, starting a new chat if it is the current one
+   * @param {string} id - Conversation ID
+   */
+  async deleteConversation(id) {
+    await this.apiService.deleteConversation(id);
+
+    if (id === this.conversationId) {
+      this.handleNewChat();
+    } else {
+      this.onConversationsChanged?.(null);
+    }
+  }
+
+  /**
+   * Stop the reply that is being streamed, along with any tool steps still to run
+   */
+  async handleCancel() {
+    chatLogger.info('Stopping streamed response');
+    
+    try {
+      await this.llmService.stopAgentLoop();
+    } catch (error) {
+      chatLogger.error('Error stopping streamed response:', error);
+    }
+  }
+  
+  /**
+   * Keep the part of a reply received before it was stopped
+   * @param {Object} response - Cancelled response from LLM service
+   */
+  handleCancelledResponse(response) {
+    if (response.content) {
+      this.messages.push({
+        role: 'assistant',
+        content: response.content,
+        timestamp: response.timestamp || new Date().toISOString()
+      });
+      this.updateUI();
+    } else {
+      this.notificationService?.info('Response stopped');
+    }
+  }
+  
   /**
    * Handle error response from LLM service
    * @param {Object} errorResponse - Error response from LLM service
@@ -753,7 +1139,7 @@ For detailed instructions, see the \`backend/API_SETUP.md\` file.
       
       // Create and append ChatInput if it doesn't exist yet
       if (!this.chatInput) {
-        this.chatInput = new ChatInput(this.handleSubmit);
+        this.chatInput = new ChatInput(this.handleSubmit, this.handleCancel, this.getAttachmentHandlers());
       }
       
       // Get the input element to append
@@ -786,7 +1172,7 @@ For detailed instructions, see the \`backend/API_SETUP.md\` file.
    */
   getInputElement() {
     if (!this.chatInput) {
-      this.chatInput = new ChatInput(this.handleSubmit);
+      this.chatInput = new ChatInput(this.handleSubmit, this.handleCancel, this.getAttachmentHandlers());
     }
     return this.chatInput.render();
   }
@@ -913,6 +1299,7 @@ For detailed instructions, see the \`backend/API_SETUP.md\` file.
       
       // Update UI to show tool result
       this.updateUI();
+      await this.saveConversation();
       
       // Return the result
       return toolResult;
@@ -931,6 +1318,7 @@ For detailed instructions, see the \`backend/API_SETUP.md\` file.
       
       // Update UI to show tool error
       this.updateUI();
+      await this.saveConversation();
       
       // Re-throw the error for handling by the caller
       throw toolError;
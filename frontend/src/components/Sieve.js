@@ -40,6 +40,12 @@ const createMemoizer = () => {
 // Create a memoizer instance
 const memoizer = createMemoizer();
 
+// Number of items fetched per page
+const PAGE_SIZE = 50;
+
+// Distance from the bottom of the list, in pixels, at which the next page is loaded
+const LOAD_MORE_THRESHOLD = 300;
+
 class Sieve {
   constructor(notificationService, documentManager = null) {
     this.notificationService = notificationService;
@@ -51,18 +57,28 @@ class Sieve {
     this.filterInput = null;
     this.filterType = 'all';
     this.items = [];
+    this.nextCursor = null; // Cursor of the next page of items
+    this.isLoadingMore = false; // Track loading of the next page
+    this.loadMoreButton = null;
     this.flippedCardId = null;
     this.eventListeners = new Map(); // Track event listeners for cleanup
     this.itemsBeingDeleted = new Set(); // Track items being deleted
+    this.itemsBeingRefreshed = new Set(); // Track web pages being re-fetched
+    this.versionsPanel = null; // Version history overlay of a web page
     this.refreshTimeout = null; // Track refresh timeout
     this.isLoading = false; // Track loading state
     
     // Bind methods
     this.refreshItems = this.refreshItems.bind(this);
+    this.loadMoreItems = this.loadMoreItems.bind(this);
+    this.handleListScroll = this.handleListScroll.bind(this);
     this.filterItems = this.filterItems.bind(this);
     this.handleTypeFilter = this.handleTypeFilter.bind(this);
     this.handleCardFlip = this.handleCardFlip.bind(this);
     this.handleDeleteItem = this.handleDeleteItem.bind(this);
+    this.handleRefreshItem = this.handleRefreshItem.bind(this);
+    this.showVersionHistory = this.showVersionHistory.bind(this);
+    this.hideVersionHistory = this.hideVersionHistory.bind(this);
     
     // Memoize expensive functions
     this.createItemCard = memoizer(this.createItemCard.bind(this), 'createItemCard');
@@ -159,11 +175,19 @@ class Sieve {
     // Content list
     this.itemList = document.createElement('div');
     this.itemList.className = 'sieve-item-list';
+    this.addEventListenerWithCleanup(this.itemList, 'scroll', this.handleListScroll);
+    
+    this.loadMoreButton = document.createElement('button');
+    this.loadMoreButton.className = 'sieve-load-more-btn';
+    this.loadMoreButton.textContent = 'Load more';
+    this.loadMoreButton.style.display = 'none';
+    this.addEventListenerWithCleanup(this.loadMoreButton, 'click', this.loadMoreItems);
     
     // Append all sections to container
     this.container.appendChild(header);
     this.container.appendChild(filterSection);
     this.container.appendChild(this.itemList);
+    this.container.appendChild(this.loadMoreButton);
     
     // Add CSS for YouTube thumbnails
     const style = document.createElement('style');
@@ -265,11 +289,9 @@ class Sieve {
       // Skip showing loading state
       this.isLoading = false;
       
-      // Fetch items with timeout handling
+      // Fetch the first page with timeout handling
       sieveLogger.debug('Fetching items from backend...');
-      const fetchPromise = this.documentManager 
-        ? this.documentManager.getDocumentList()
-        : this.apiService.listItems();
+      const fetchPromise = this.fetchItemsPage(null);
         
       // Add a timeout to prevent infinite loading state
       const timeoutPromise = new Promise((_, reject) => {
@@ -277,16 +299,19 @@ class Sieve {
       });
       
       // Race the fetch against the timeout
-      this.items = await Promise.race([fetchPromise, timeoutPromise]);
+      const page = await Promise.race([fetchPromise, timeoutPromise]);
       
-      if (!this.items || !Array.isArray(this.items)) {
+      if (!page || !Array.isArray(page.items)) {
         throw new Error('Failed to load items: Invalid response format');
       }
       
-      sieveLogger.debug(`Received ${this.items.length} items from backend`);
+      this.items = page.items;
+      this.nextCursor = page.nextCursor;
+      sieveLogger.debug(`Received ${this.items.length} of ${page.total} items from backend`);
       
       // Display items immediately
-      this.displayItems([...this.items]);
+      this.filterItems();
+      this.updateLoadMoreButton();
       this.isLoading = false;
     } catch (error) {
       sieveLogger.error('Failed to load items', error);
@@ -300,9 +325,68 @@ class Sieve {
       
       // Reset items array to empty on error to prevent stale data
       this.items = [];
+      this.nextCursor = null;
+      this.updateLoadMoreButton();
+    }
+  }
+  
+  /**
+   * Fetch a page of items of the selected type
+   * @param {string|null} cursor - Cursor returned with the previous page, null for the first page
+   * @returns {Promise<Object>} - { items, total, nextCursor, hasMore }
+   */
+  fetchItemsPage(cursor) {
+    const options = { limit: PAGE_SIZE, cursor };
+    if (this.filterType !== 'all') {
+      options.where = { source_type: this.filterType };
+    }
+    
+    return this.documentManager
+      ? this.documentManager.getDocumentPage(options)
+      : this.apiService.listItems(options);
+  }
+  
+  async loadMoreItems() {
+    if (!this.nextCursor || this.isLoadingMore) return;
+    
+    this.isLoadingMore = true;
+    this.updateLoadMoreButton();
+    
+    try {
+      const page = await this.fetchItemsPage(this.nextCursor);
+      const loadedIds = new Set(this.items.map(item => item.id));
+      
+      this.items = [...this.items, ...page.items.filter(item => !loadedIds.has(item.id))];
+      this.nextCursor = page.nextCursor;
+      sieveLogger.debug(`Loaded ${page.items.length} more items (${this.items.length} of ${page.total})`);
+      
+      this.filterItems();
+    } catch (error) {
+      sieveLogger.error('Failed to load more items', error);
+      if (this.notificationService) {
+        this.notificationService.error(`Failed to load more items: ${error.message}`);
+      }
+    } finally {
+      this.isLoadingMore = false;
+      this.updateLoadMoreButton();
     }
   }
   
+  handleListScroll() {
+    const { scrollTop, scrollHeight, clientHeight } = this.itemList;
+    if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD) {
+      this.loadMoreItems();
+    }
+  }
+  
+  updateLoadMoreButton() {
+    if (!this.loadMoreButton) return;
+    
+    this.loadMoreButton.style.display = this.nextCursor ? '' : 'none';
+    this.loadMoreButton.disabled = this.isLoadingMore;
+    this.loadMoreButton.textContent = this.isLoadingMore ? 'Loading...' : 'Load more';
+  }
+  
   showLoadingState() {
     // Do nothing - skip loading state completely
     this.isLoading = false;
@@ -314,17 +398,10 @@ class Sieve {
   }
   
   filterItems() {
-    const searchText = this.filterInput.value.toLowerCase();
+    const searchText = (this.filterInput?.value || '').toLowerCase();
     let filteredItems = [...this.items];
     
-    // Filter by type if not 'all'
-    if (this.filterType !== 'all') {
-      filteredItems = filteredItems.filter(item => 
-        item.source_type && item.source_type.toLowerCase() === this.filterType
-      );
-    }
-    
-    // Filter by search text
+    // Filter the loaded items by search text
     if (searchText) {
       filteredItems = filteredItems.filter(item => 
         (item.title && item.title.toLowerCase().includes(searchText)) ||
@@ -344,7 +421,8 @@ class Sieve {
       btn.classList.toggle('active', btn.dataset.type === type);
     });
     
-    this.filterItems();
+    // The type filter is applied by the backend, so start again from the first page
+    this.refreshItems();
   }
   
   displayItems(items) {
@@ -714,6 +792,40 @@ class Sieve {
     actionButtons.appendChild(copyBtn);
     actionButtons.appendChild(exportBtn);
     
+    // Web pages can be fetched again, keeping every captured version
+    if (item.source_type === 'url') {
+      const refreshBtn = document.createElement('button');
+      refreshBtn.className = 'sieve-card-action-btn refresh-item-btn';
+      refreshBtn.title = 'Fetch Page Again';
+      refreshBtn.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M23 4v6h-6"></path>
+          <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+        </svg>
+      `;
+      this.addEventListenerWithCleanup(refreshBtn, 'click', (e) => {
+        e.stopPropagation();
+        this.handleRefreshItem(item);
+      });
+      
+      const historyBtn = document.createElement('button');
+      historyBtn.className = 'sieve-card-action-btn';
+      historyBtn.title = 'Version History';
+      historyBtn.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <circle cx="12" cy="12" r="10"></circle>
+          <polyline points="12 6 12 12 16 14"></polyline>
+        </svg>
+      `;
+      this.addEventListenerWithCleanup(historyBtn, 'click', (e) => {
+        e.stopPropagation();
+        this.showVersionHistory(item);
+      });
+      
+      actionButtons.appendChild(refreshBtn);
+      actionButtons.appendChild(historyBtn);
+    }
+    
     backFooter.appendChild(actionButtons);
     
     // Assemble back of card
@@ -885,6 +997,205 @@ class Sieve {
     }
   }
   
+  async handleRefreshItem(item) {
+    // Skip if this page is already being fetched
+    if (this.itemsBeingRefreshed.has(item.id)) {
+      return;
+    }
+    
+    this.itemsBeingRefreshed.add(item.id);
+    const card = this.container.querySelector(`.sieve-card-flip-container[data-item-id="${item.id}"]`);
+    const refreshBtn = card ? card.querySelector('.refresh-item-btn') : null;
+    if (refreshBtn) {
+      refreshBtn.disabled = true;
+      refreshBtn.classList.add('refreshing');
+    }
+    
+    try {
+      const result = await this.apiService.refreshURL(item.id);
+      
+      if (this.notificationService) {
+        if (result.changed) {
+          const { addedWords, removedWords } = result.stats;
+          this.notificationService.success(`Page changed (+${addedWords} / -${removedWords} words); saved as version ${result.version.version}`);
+        } else {
+          this.notificationService.info(`Page unchanged since ${this.formatDate(result.version.capturedAt)}`);
+        }
+      }
+      
+      if (this.versionsPanel && this.versionsPanel.dataset.itemId === item.id) {
+        this.showVersionHistory(item);
+      }
+      
+      // The stored text, title and preview were replaced
+      if (result.changed) {
+        this.refreshItems();
+      }
+    } catch (error) {
+      sieveLogger.error('Error refreshing item', error);
+      if (this.notificationService) {
+        this.notificationService.error(`Error fetching page: ${error.message}`);
+      }
+    } finally {
+      this.itemsBeingRefreshed.delete(item.id);
+      if (refreshBtn) {
+        refreshBtn.disabled = false;
+        refreshBtn.classList.remove('refreshing');
+      }
+    }
+  }
+  
+  async showVersionHistory(item) {
+    let versions;
+    try {
+      versions = await this.apiService.getURLVersions(item.id);
+    } catch (error) {
+      sieveLogger.error('Error loading versions', error);
+      if (this.notificationService) {
+        this.notificationService.error(`Error loading versions: ${error.message}`);
+      }
+      return;
+    }
+    
+    this.hideVersionHistory();
+    
+    const panel = document.createElement('div');
+    panel.className = 'sieve-versions-panel';
+    panel.dataset.itemId = item.id;
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'sieve-versions-dialog';
+    
+    // Header with title and close button
+    const header = document.createElement('div');
+    header.className = 'sieve-card-back-header';
+    
+    const title = document.createElement('div');
+    title.className = 'sieve-card-back-title';
+    title.textContent = `Versions of ${item.title || 'Untitled'}`;
+    
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'sieve-card-close';
+    closeBtn.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <line x1="18" y1="6" x2="6" y2="18"></line>
+        <line x1="6" y1="6" x2="18" y2="18"></line>
+      </svg>
+    `;
+    closeBtn.addEventListener('click', this.hideVersionHistory);
+    
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    dialog.appendChild(header);
+    
+    const body = document.createElement('div');
+    body.className = 'sieve-versions-body';
+    
+    if (versions.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'sieve-versions-empty';
+      empty.textContent = 'No versions yet. Fetch the page again to start its history.';
+      body.appendChild(empty);
+    } else {
+      // Version list, newest first
+      const list = document.createElement('ul');
+      list.className = 'sieve-version-list';
+      [...versions].reverse().forEach(version => {
+        const entry = document.createElement('li');
+        entry.className = 'sieve-version-entry';
+        entry.textContent = `v${version.version} · ${this.formatDate(version.capturedAt)} · ${version.length.toLocaleString()} characters`;
+        entry.title = version.title;
+        list.appendChild(entry);
+      });
+      body.appendChild(list);
+      
+      const diffView = document.createElement('div');
+      diffView.className = 'sieve-version-diff';
+      
+      if (versions.length > 1) {
+        // Pick any two snapshots to compare; defaults to the two latest
+        const createSelect = (selected) => {
+          const select = document.createElement('select');
+          select.className = 'sieve-version-select';
+          versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version.version;
+            option.textContent = `v${version.version} (${this.formatDate(version.capturedAt)})`;
+            option.selected = version.version === selected;
+            select.appendChild(option);
+          });
+          return select;
+        };
+        
+        const fromSelect = createSelect(versions[versions.length - 2].version);
+        const toSelect = createSelect(versions[versions.length - 1].version);
+        const compare = () => this.renderVersionDiff(item.id, Number(fromSelect.value), Number(toSelect.value), diffView);
+        fromSelect.addEventListener('change', compare);
+        toSelect.addEventListener('change', compare);
+        
+        const controls = document.createElement('div');
+        controls.className = 'sieve-version-controls';
+        controls.append('Compare ', fromSelect, ' with ', toSelect);
+        body.appendChild(controls);
+        
+        compare();
+      } else {
+        diffView.textContent = 'Only one version so far. Fetch the page again to compare.';
+      }
+      
+      body.appendChild(diffView);
+    }
+    
+    dialog.appendChild(body);
+    panel.appendChild(dialog);
+    
+    // Clicking outside the dialog closes it
+    panel.addEventListener('click', (e) => {
+      if (e.target === panel) {
+        this.hideVersionHistory();
+      }
+    });
+    
+    this.container.appendChild(panel);
+    this.versionsPanel = panel;
+  }
+  
+  async renderVersionDiff(itemId, fromVersion, toVersion, diffView) {
+    diffView.textContent = 'Comparing...';
+    
+    try {
+      const diff = await this.apiService.diffURLVersions(itemId, fromVersion, toVersion);
+      diffView.innerHTML = '';
+      
+      const stats = document.createElement('div');
+      stats.className = 'sieve-version-stats';
+      stats.textContent = diff.changed
+        ? `+${diff.stats.addedWords} words, -${diff.stats.removedWords} words`
+        : 'No differences';
+      diffView.appendChild(stats);
+      
+      const text = document.createElement('div');
+      text.className = 'sieve-version-diff-text';
+      diff.changes.forEach(change => {
+        const tag = change.type === 'added' ? 'ins' : change.type === 'removed' ? 'del' : 'span';
+        const part = document.createElement(tag);
+        part.textContent = change.text;
+        text.appendChild(part);
+      });
+      diffView.appendChild(text);
+    } catch (error) {
+      sieveLogger.error('Error diffing versions', error);
+      diffView.textContent = `Could not compare versions: ${error.message}`;
+    }
+  }
+  
+  hideVersionHistory() {
+    if (this.versionsPanel) {
+      this.versionsPanel.remove();
+      this.versionsPanel = null;
+    }
+  }
+  
   handleCardFlip(itemId, itemData) {
     // Validate itemId
     if (!itemId) {
@@ -1096,14 +1407,19 @@ class Sieve {
     // Clear memoization cache
     memoizer.clearAll();
     
+    this.hideVersionHistory();
+    
     // Clear references
     this.container = null;
     this.itemList = null;
     this.refreshButton = null;
     this.filterInput = null;
+    this.loadMoreButton = null;
     this.items = [];
+    this.nextCursor = null;
     this.flippedCardId = null;
     this.itemsBeingDeleted.clear();
+    this.itemsBeingRefreshed.clear();
   }
 }
 
@@ -59,6 +59,9 @@ import cssLoader from '../../utils/cssLoader';
 import { handleWebviewLoad as handleWebviewLoadCentral } from './handlers/EventHandlers.js';
 import { handleSuccessfulPageLoad } from './handlers/EventHandlers.js';
 import { clearNavigationTimeout } from './handlers/NavigationService.js';
+import { isKnowledgeQuery, handleKnowledgeSearch } from './handlers/KnowledgeSearchHandler.js';
+import { isReadLaterAddress, handleReadLaterAddress } from './handlers/ReadLaterHandler.js';
+import { isArchiveAddress, handleArchiveAddress } from './handlers/ArchiveHandler.js';
 
 import logger from '../../utils/logger';
 
@@ -848,6 +851,24 @@ class Voyager extends Component {
     // Get URL from address input
     const url = this.addressInput ? this.addressInput.value.trim() : '';
     
+    // sieve: and kb: addresses search the knowledge base instead of navigating
+    if (isKnowledgeQuery(url)) {
+      handleKnowledgeSearch(this, url);
+      return;
+    }
+    
+    // later: addresses show the read-later queue
+    if (isReadLaterAddress(url)) {
+      handleReadLaterAddress(this, url);
+      return;
+    }
+    
+    // archive: addresses list archived pages
+    if (isArchiveAddress(url)) {
+      handleArchiveAddress(this, url);
+      return;
+    }
+    
     // Only navigate if URL is not empty
     if (url) {
       console.log('Navigating to URL from address bar:', url);
@@ -1250,18 +1271,29 @@ class Voyager extends Component {
               if (window.server && window.server.savePageToKnowledgeBase) {
                 window.server.savePageToKnowledgeBase(pageData)
                   .then(result => {
+                    if (!result || !result.success) {
+                      throw new Error(result?.error || 'Page could not be saved');
+                    }
+
                     if (saveBtn) saveBtn.classList.remove('loading');
-                    
+
                     // Show success notification
                     try {
                       const { showToastNotification } = require('./renderers/BrowserRenderer');
                       if (typeof showToastNotification === 'function') {
-                        showToastNotification('Page saved to knowledge base!');
+                        showToastNotification(result.duplicate
+                          ? 'Page is already in the knowledge base'
+                          : 'Page saved to knowledge base!');
                       }
                     } catch (err) {
                       console.warn('Could not show save notification:', err);
                     }
-                    
+
+                    // Let the library pick up the new item
+                    document.dispatchEvent(new CustomEvent('content:updated', {
+                      detail: { itemId: result.id, source: 'browser' }
+                    }));
+
                     resolve(result);
                   })
                   .catch(err => {
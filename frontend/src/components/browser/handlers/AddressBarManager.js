@@ -7,6 +7,10 @@
 
 import { formatUrl } from '../utils/BrowserEnv.js';
 import { navigate } from './NavigationService.js';
+import { isKnowledgeQuery, handleKnowledgeSearch } from './KnowledgeSearchHandler.js';
+import { isReadLaterAddress, handleReadLaterAddress } from './ReadLaterHandler.js';
+import { isArchiveAddress, handleArchiveAddress } from './ArchiveHandler.js';
+import { updateSuggestions, closeSuggestions, handleSuggestionKey } from './OmniboxSuggestions.js';
 
 /**
  * Handle address bar submission (user pressing Enter)
@@ -39,6 +43,9 @@ export function handleAddressSubmit(event) {
   // Skip if empty
   if (!address) return;
   
+  // The typed address is being used, so suggestions for it are no longer needed
+  closeSuggestions(browser);
+  
   // Handle special URL schemes
   if (address.startsWith('bookmark:')) {
     // Handle bookmark: scheme
@@ -56,6 +63,18 @@ export function handleAddressSubmit(event) {
     // Handle debug: scheme
     handleDebugScheme(browser, address);
     return;
+  } else if (isKnowledgeQuery(address)) {
+    // Handle sieve: and kb: schemes - search the knowledge base
+    handleKnowledgeSearch(browser, address);
+    return;
+  } else if (isReadLaterAddress(address)) {
+    // Handle later: scheme - show or add to the read-later queue
+    handleReadLaterAddress(browser, address);
+    return;
+  } else if (isArchiveAddress(address)) {
+    // Handle archive: scheme - list archived pages
+    handleArchiveAddress(browser, address);
+    return;
   }
   
   // Navigate to the address
@@ -93,6 +112,22 @@ export function handleAddressChange(event) {
       isAddressSearch: isLikelySearchQuery(address)
     });
   }
+  
+  // Suggest matching history, bookmarks, open tabs and Sieve items
+  updateSuggestions(browser, address);
+}
+
+/**
+ * Handle keys pressed in the address bar
+ * Arrow keys move through the suggestions, Enter opens the highlighted one and Escape closes them.
+ * 
+ * @param {KeyboardEvent} event - Keydown event from the input
+ */
+export function handleAddressKeyDown(event) {
+  // Get browser instance from this context
+  const browser = this;
+  
+  handleSuggestionKey(browser, event);
 }
 
 /**
@@ -343,6 +378,7 @@ export function initAddressBar(browser) {
   // Bind methods to the browser instance
   browser.handleAddressSubmit = handleAddressSubmit.bind(browser);
   browser.handleAddressChange = handleAddressChange.bind(browser);
+  browser.handleAddressKeyDown = handleAddressKeyDown.bind(browser);
   browser.focusAddressBar = focusAddressBar.bind(browser);
   browser.updateAddressBar = updateAddressBar.bind(browser);
   
@@ -358,6 +394,14 @@ export function initAddressBar(browser) {
     }
   }
   
+  // Wire up suggestion keyboard navigation once per input element
+  const inputElement = browser.addressInput?.current || browser.addressInput;
+  if (inputElement && typeof inputElement.addEventListener === 'function' && !inputElement._omniboxBound) {
+    inputElement.addEventListener('keydown', (event) => browser.handleAddressKeyDown(event));
+    inputElement.addEventListener('blur', () => closeSuggestions(browser));
+    inputElement._omniboxBound = true;
+  }
+  
   console.log('Address bar manager initialized for browser instance');
 }
 
@@ -365,6 +409,7 @@ export default {
   initAddressBar,
   handleAddressSubmit,
   handleAddressChange,
+  handleAddressKeyDown,
   focusAddressBar,
   updateAddressBar
 }; 
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * ArchiveHandler.js - Lists archived pages from the address bar
+ *
+ * Handles `archive:` addresses: `archive:` lists every full-page archive, newest first, and
+ * `archive: text` only those whose title or URL contains the text. Each archive opens through
+ * the webview-file protocol with a banner showing when it was captured.
+ */
+
+import { navigate, renderHtml } from './NavigationService.js';
+import { archiveUrl, listArchives } from '../utils/PageArchiver.js';
+import { escapeHTML } from '../utils/ContentUtils.js';
+
+// Address prefix of the archive list
+export const ARCHIVE_SCHEME = 'archive:';
+
+// Hash that links on the archive list use to open an archive
+const ARCHIVE_LINK_PREFIX = '#sieve-archive=';
+
+/**
+ * Check whether an address is an archive address
+ *
+ * @param {string} address - Address bar input
+ * @returns {boolean} True for `archive:` addresses
+ */
+export function isArchiveAddress(address) {
+  return typeof address === 'string' && address.trim().toLowerCase().startsWith(ARCHIVE_SCHEME);
+}
+
+/**
+ * Format a byte count for display
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in KB or MB
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Render a single archive
+ *
+ * @param {Object} archive - Archive returned by the backend
+ * @returns {string} HTML of the archive
+ */
+function createArchiveHTML(archive) {
+  const link = `${ARCHIVE_LINK_PREFIX}${encodeURIComponent(archive.path)}`;
+  const captured = new Date(archive.capturedAt);
+
+  const meta = [
+    Number.isNaN(captured.getTime()) ? '' : `captured ${escapeHTML(captured.toLocaleString())}`,
+    formatSize(archive.size || 0),
+    archive.missing ? `${archive.missing} resource${archive.missing === 1 ? '' : 's'} missing` : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <li class="archive">
+      <a class="archive-title" href="${link}">${escapeHTML(archive.title || archive.url)}</a>
+      <div class="archive-meta">${meta}</div>
+      <div class="archive-links">
+        <a href="${link}">Open archived copy</a>
+        <a href="${escapeHTML(archive.url)}">Open live page</a>
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Create the archive list page
+ *
+ * @param {string} filter - Text the archives were filtered by
+ * @param {Array<Object>} archives - Archives to list
+ * @param {string} [error] - Error message if the archives could not be loaded
+ * @returns {string} Complete HTML document
+ */
+export function createArchiveListHTML(filter, archives = [], error = null) {
+  let body;
+  if (error) {
+    body = `<p class="notice error">${escapeHTML(error)}</p>`;
+  } else if (archives.length === 0) {
+    body = `<p class="notice">${filter ? 'No archived pages match this filter.' : 'No pages archived yet. Use the Archive button to keep a full copy of a page.'}</p>`;
+  } else {
+    body = `<ol class="archives">${archives.map(createArchiveHTML).join('')}</ol>`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Archived pages</title>
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 32px; color: #1f2933; background: #fafbfc; }
+        main { max-width: 760px; margin: 0 auto; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .summary { color: #616e7c; font-size: 13px; margin-bottom: 20px; }
+        .archives { list-style: none; padding: 0; margin: 0; }
+        .archive { padding: 14px 0; border-bottom: 1px solid #e4e7eb; }
+        .archive-title { font-size: 16px; font-weight: 600; color: #2563eb; text-decoration: none; }
+        .archive-title:hover { text-decoration: underline; }
+        .archive-meta { font-size: 12px; color: #7b8794; margin-top: 2px; }
+        .archive-links { margin-top: 6px; }
+        .archive-links a { font-size: 13px; color: #2563eb; margin-right: 14px; }
+        .notice { color: #616e7c; }
+        .notice.error { color: #b91c1c; }
+      </style>
+    </head>
+    <body>
+      <main>
+        <h1>${filter ? `Archived pages matching “${escapeHTML(filter)}”` : 'Archived pages'}</h1>
+        <div class="summary">
+          ${error ? '' : `${archives.length} archive${archives.length === 1 ? '' : 's'}`}
+        </div>
+        ${body}
+      </main>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Open the archive a list link points to
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} url - URL the list page navigated to
+ */
+function openLinkedArchive(browser, url) {
+  const hashIndex = (url || '').indexOf(ARCHIVE_LINK_PREFIX);
+  if (hashIndex === -1 || !browser._archiveListShown) return;
+
+  const path = decodeURIComponent(url.substring(hashIndex + ARCHIVE_LINK_PREFIX.length));
+  navigate(browser, archiveUrl({ path }));
+}
+
+/**
+ * Listen for archive links clicked on the list page
+ * Archive links only change the page hash; the browser then navigates to the archive itself. Once
+ * the browser is on another page the links stop working, since any site can set the same hash.
+ *
+ * @param {Object} browser - Browser instance
+ */
+function watchArchiveLinks(browser) {
+  browser._archiveListShown = true;
+
+  if (browser.webview && typeof browser.webview.addEventListener === 'function') {
+    if (browser._archiveLinkWebview !== browser.webview) {
+      browser.webview.addEventListener('did-navigate-in-page', event => openLinkedArchive(browser, event.url));
+      // List pages that could not be written into the webview are loaded as a data: URL instead
+      browser.webview.addEventListener('did-navigate', event => {
+        browser._archiveListShown = (event.url || '').startsWith('data:text/html');
+      });
+      browser._archiveLinkWebview = browser.webview;
+    }
+  } else if (browser.contentFrame?.contentWindow) {
+    const frameWindow = browser.contentFrame.contentWindow;
+    if (browser._archiveLinkWindow !== frameWindow) {
+      frameWindow.addEventListener('hashchange', () => openLinkedArchive(browser, frameWindow.location.href));
+      browser._archiveLinkWindow = frameWindow;
+    }
+  }
+}
+
+/**
+ * Show the archive list for an `archive:` address
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} address - Address bar input
+ * @returns {Promise<Array<Object>>} The archives shown
+ */
+export async function handleArchiveAddress(browser, address) {
+  const filter = address.trim().substring(ARCHIVE_SCHEME.length).trim();
+  let archives = [];
+  let error = null;
+
+  try {
+    const needle = filter.toLowerCase();
+    archives = (await listArchives()).filter(archive => !needle ||
+      (archive.title || '').toLowerCase().includes(needle) ||
+      (archive.url || '').toLowerCase().includes(needle));
+  } catch (err) {
+    console.error('Loading archives failed:', err);
+    error = `Archives could not be loaded: ${err.message}`;
+  }
+
+  renderHtml(browser, createArchiveListHTML(filter, archives, error));
+  watchArchiveLinks(browser);
+
+  return archives;
+}
+
+export default {
+  ARCHIVE_SCHEME,
+  isArchiveAddress,
+  createArchiveListHTML,
+  handleArchiveAddress
+};
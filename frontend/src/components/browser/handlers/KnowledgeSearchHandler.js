@@ -0,0 +1,362 @@
+/**
+ * KnowledgeSearchHandler.js - Searches the knowledge base from the address bar
+ *
+ * Handles `sieve:` and `kb:` addresses such as `kb: transformer attention type:pdf after:2025-01`
+ * and renders the matching items as an internal results page inside Voyager.
+ */
+
+import { renderHtml } from './NavigationService.js';
+import { escapeHTML } from '../utils/ContentUtils.js';
+
+// Address prefixes that search the knowledge base instead of navigating
+export const KNOWLEDGE_SCHEMES = ['sieve:', 'kb:'];
+
+// Number of results shown on the results page
+const RESULT_LIMIT = 20;
+
+// Characters of the matched passage shown under each result
+const SNIPPET_LENGTH = 280;
+
+// Hash that links on the results page use to open a stored item
+const ITEM_LINK_PREFIX = '#sieve-item=';
+
+// Friendly type names mapped to the source types items are stored with
+const TYPE_ALIASES = {
+  web: ['url', 'browser'],
+  page: ['url', 'browser'],
+  video: ['youtube'],
+  doc: ['document'],
+  docs: ['document'],
+  highlights: ['highlight']
+};
+
+/**
+ * Check whether an address is a knowledge base query
+ *
+ * @param {string} address - Address bar input
+ * @returns {boolean} True if the address starts with a knowledge base scheme
+ */
+export function isKnowledgeQuery(address) {
+  const lower = (address || '').trim().toLowerCase();
+  return KNOWLEDGE_SCHEMES.some(scheme => lower.startsWith(scheme));
+}
+
+/**
+ * Turn a `YYYY`, `YYYY-MM` or `YYYY-MM-DD` filter value into the first day of that period
+ *
+ * @param {string} value - Date filter value
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if the value is not a date
+ */
+function parseFilterDate(value) {
+  const match = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value);
+  if (!match) return null;
+
+  const year = match[1];
+  const month = (match[2] || '1').padStart(2, '0');
+  const day = (match[3] || '1').padStart(2, '0');
+  const iso = `${year}-${month}-${day}`;
+
+  // Reject dates like 2025-13 or 2025-02-30 that Date would roll over
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== iso) {
+    return null;
+  }
+
+  return iso;
+}
+
+/**
+ * Parse a knowledge base query into search text and filters
+ *
+ * Supported filters:
+ * - `type:pdf` (repeatable or comma separated) keeps items of those source types
+ * - `after:2025-01` keeps items added on or after the start of that year, month or day
+ * - `before:2025-03` keeps items added before the start of that year, month or day
+ * - `author:name` keeps items whose author contains the name
+ * - `lang:en` keeps items in that language
+ *
+ * @param {string} address - Address bar input, with or without the scheme
+ * @returns {Object} { text, filters: { sourceTypes, after, before, author, language }, ignored }
+ */
+export function parseKnowledgeQuery(address) {
+  let query = (address || '').trim();
+  const scheme = KNOWLEDGE_SCHEMES.find(prefix => query.toLowerCase().startsWith(prefix));
+  if (scheme) {
+    query = query.substring(scheme.length);
+  }
+
+  const words = [];
+  const sourceTypes = [];
+  const filters = {};
+  const ignored = [];
+
+  query.split(/\s+/).filter(Boolean).forEach(token => {
+    const match = /^(type|after|before|author|lang):(.*)$/i.exec(token);
+    if (!match) {
+      words.push(token);
+      return;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].trim().toLowerCase();
+
+    if (key === 'type') {
+      const types = value.split(',').filter(Boolean);
+      if (types.length === 0) {
+        ignored.push(token);
+      }
+      types.forEach(type => {
+        (TYPE_ALIASES[type] || [type]).forEach(sourceType => {
+          if (!sourceTypes.includes(sourceType)) {
+            sourceTypes.push(sourceType);
+          }
+        });
+      });
+      return;
+    }
+
+    if (key === 'author' || key === 'lang') {
+      if (value) {
+        filters[key === 'lang' ? 'language' : 'author'] = value;
+      } else {
+        ignored.push(token);
+      }
+      return;
+    }
+
+    const date = parseFilterDate(value);
+    if (date) {
+      filters[key] = date;
+    } else {
+      ignored.push(token);
+    }
+  });
+
+  if (sourceTypes.length > 0) {
+    filters.sourceTypes = sourceTypes;
+  }
+
+  return {
+    text: words.join(' '),
+    filters,
+    ignored
+  };
+}
+
+/**
+ * Get the original web address of an item, if it has one
+ *
+ * @param {Object} result - Search result
+ * @returns {string|null} http(s) URL the item was saved from
+ */
+function getOriginalUrl(result) {
+  const candidates = [result.sourceIdentifier, result.metadata?.url, result.metadata?.sourceUrl];
+  return candidates.find(value => typeof value === 'string' && /^https?:\/\//i.test(value)) || null;
+}
+
+/**
+ * Describe the active filters for the results page
+ *
+ * @param {Object} filters - Parsed filters
+ * @returns {string} Human readable summary, empty if no filters are set
+ */
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.sourceTypes) parts.push(`type ${filters.sourceTypes.join(', ')}`);
+  if (filters.after) parts.push(`added on or after ${filters.after}`);
+  if (filters.before) parts.push(`added before ${filters.before}`);
+  if (filters.author) parts.push(`by ${filters.author}`);
+  if (filters.language) parts.push(`in ${filters.language}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Render a single search result
+ *
+ * @param {Object} result - Search result
+ * @returns {string} HTML of the result
+ */
+function createResultHTML(result) {
+  const title = escapeHTML(result.title || 'Untitled');
+  const itemLink = `${ITEM_LINK_PREFIX}${encodeURIComponent(result.id)}`;
+  const originalUrl = getOriginalUrl(result);
+
+  let snippet = (result.textChunk || '').replace(/\s+/g, ' ').trim();
+  if (snippet.length > SNIPPET_LENGTH) {
+    snippet = `${snippet.substring(0, SNIPPET_LENGTH)}...`;
+  }
+
+  const added = result.createdAt ? new Date(result.createdAt) : null;
+  const meta = [
+    escapeHTML(result.sourceType || 'item'),
+    added && !Number.isNaN(added.getTime()) ? `added ${escapeHTML(added.toLocaleDateString())}` : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <li class="result">
+      <a class="result-title" href="${itemLink}">${title}</a>
+      <div class="result-meta">${meta}</div>
+      ${snippet ? `<p class="result-snippet">${escapeHTML(snippet)}</p>` : ''}
+      <div class="result-links">
+        <a href="${itemLink}">Open in Sieve</a>
+        ${originalUrl ? `<a href="${escapeHTML(originalUrl)}">Open original</a>` : ''}
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Create the results page for a knowledge base query
+ *
+ * @param {Object} query - Parsed query from parseKnowledgeQuery
+ * @param {Array<Object>} results - Search results
+ * @param {string} [error] - Error message if the search failed
+ * @returns {string} Complete HTML document
+ */
+export function createKnowledgeResultsHTML(query, results = [], error = null) {
+  const filterSummary = describeFilters(query.filters);
+
+  let body;
+  if (error) {
+    body = `<p class="notice error">${escapeHTML(error)}</p>`;
+  } else if (results.length === 0) {
+    body = '<p class="notice">No items in the Sieve match this query.</p>';
+  } else {
+    body = `<ol class="results">${results.map(createResultHTML).join('')}</ol>`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Sieve: ${escapeHTML(query.text || 'all items')}</title>
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 32px; color: #1f2933; background: #fafbfc; }
+        main { max-width: 760px; margin: 0 auto; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .summary { color: #616e7c; font-size: 13px; margin-bottom: 20px; }
+        .results { list-style: none; padding: 0; margin: 0; }
+        .result { padding: 14px 0; border-bottom: 1px solid #e4e7eb; }
+        .result-title { font-size: 16px; font-weight: 600; color: #2563eb; text-decoration: none; }
+        .result-title:hover { text-decoration: underline; }
+        .result-meta { font-size: 12px; color: #7b8794; margin-top: 2px; }
+        .result-snippet { font-size: 14px; line-height: 1.5; margin: 6px 0; }
+        .result-links a { font-size: 13px; color: #2563eb; margin-right: 14px; }
+        .notice { color: #616e7c; }
+        .notice.error { color: #b91c1c; }
+      </style>
+    </head>
+    <body>
+      <main>
+        <h1>Sieve results for “${escapeHTML(query.text || 'all items')}”</h1>
+        <div class="summary">
+          ${error ? '' : `${results.length} result${results.length === 1 ? '' : 's'}`}
+          ${filterSummary ? ` · ${escapeHTML(filterSummary)}` : ''}
+          ${query.ignored.length > 0 ? ` · ignored ${escapeHTML(query.ignored.join(' '))}` : ''}
+        </div>
+        ${body}
+      </main>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Open the stored item a results page link points to
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} url - URL the results page navigated to
+ */
+function openLinkedItem(browser, url) {
+  const hashIndex = (url || '').indexOf(ITEM_LINK_PREFIX);
+  if (hashIndex === -1 || !browser._knowledgeResultsShown) return;
+
+  const itemId = decodeURIComponent(url.substring(hashIndex + ITEM_LINK_PREFIX.length));
+  const result = browser._knowledgeResults?.get(itemId);
+
+  // Same event the search panel dispatches; App opens the item in the content viewer
+  document.dispatchEvent(new CustomEvent('content:selected', {
+    detail: {
+      itemId,
+      itemData: result || { id: itemId }
+    }
+  }));
+}
+
+/**
+ * Listen for item links clicked on a results page
+ * Item links only change the page hash, so the browser stays on the results page. Once the browser
+ * navigates to another page the links stop working, since any site can set the same hash.
+ *
+ * @param {Object} browser - Browser instance
+ */
+function watchItemLinks(browser) {
+  browser._knowledgeResultsShown = true;
+
+  if (browser.webview && typeof browser.webview.addEventListener === 'function') {
+    if (browser._knowledgeLinkWebview !== browser.webview) {
+      browser.webview.addEventListener('did-navigate-in-page', event => openLinkedItem(browser, event.url));
+      // Results pages that could not be written into the webview are loaded as a data: URL instead
+      browser.webview.addEventListener('did-navigate', event => {
+        browser._knowledgeResultsShown = (event.url || '').startsWith('data:text/html');
+      });
+      browser._knowledgeLinkWebview = browser.webview;
+    }
+  } else if (browser.contentFrame?.contentWindow) {
+    const frameWindow = browser.contentFrame.contentWindow;
+    if (browser._knowledgeLinkWindow !== frameWindow) {
+      frameWindow.addEventListener('hashchange', () => openLinkedItem(browser, frameWindow.location.href));
+      browser._knowledgeLinkWindow = frameWindow;
+    }
+  }
+}
+
+/**
+ * Search the knowledge base for a `sieve:` or `kb:` address and show the results page
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} address - Address bar input
+ * @returns {Promise<Array<Object>>} The results shown
+ */
+export async function handleKnowledgeSearch(browser, address) {
+  const query = parseKnowledgeQuery(address);
+  let results = [];
+  let error = null;
+
+  try {
+    if (!query.text) {
+      throw new Error('Enter search terms, for example "kb: attention type:pdf"');
+    }
+    if (!window.api || typeof window.api.search !== 'function') {
+      throw new Error('Knowledge base search is not available');
+    }
+
+    const response = await window.api.search(query.text, RESULT_LIMIT, {
+      mode: 'hybrid',
+      filters: query.filters
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    results = response.results || [];
+  } catch (err) {
+    console.error('Knowledge base search failed:', err);
+    error = query.text ? `Search failed: ${err.message}` : err.message;
+  }
+
+  browser._knowledgeResults = new Map(results.map(result => [result.id, result]));
+  renderHtml(browser, createKnowledgeResultsHTML(query, results, error));
+  watchItemLinks(browser);
+
+  return results;
+}
+
+export default {
+  KNOWLEDGE_SCHEMES,
+  isKnowledgeQuery,
+  parseKnowledgeQuery,
+  createKnowledgeResultsHTML,
+  handleKnowledgeSearch
+};
@@ -0,0 +1,426 @@
+/**
+ * OmniboxSuggestions.js - Ranked address bar suggestions
+ *
+ * Combines browser history, bookmarks, open tabs and matching Sieve items into one
+ * suggestion list ranked by frecency, and handles picking a suggestion.
+ */
+
+import { searchHistory } from '../utils/HistoryManager.js';
+import { loadBookmarks, searchBookmarks } from '../utils/BookmarkManager.js';
+import { navigate } from './NavigationService.js';
+import { renderSuggestions, hideSuggestions } from '../renderers/OmniboxRenderer.js';
+
+// Suggestions shown in the dropdown
+export const MAX_SUGGESTIONS = 8;
+
+// History visits searched per keystroke; visits to the same page are merged afterwards
+const HISTORY_CANDIDATES = 200;
+
+// Sieve items mixed into the suggestions, and the query length before the Sieve is searched
+const MAX_SIEVE_SUGGESTIONS = 3;
+const SIEVE_MIN_QUERY_LENGTH = 3;
+
+// Delay before searching the Sieve, so fast typing does not search on every keystroke
+const SIEVE_SEARCH_DELAY = 250;
+
+// Weight of a visit by its age in days; recent visits count for more
+const VISIT_AGE_WEIGHTS = [
+  { days: 4, weight: 100 },
+  { days: 14, weight: 70 },
+  { days: 31, weight: 50 },
+  { days: 90, weight: 30 }
+];
+const OLD_VISIT_WEIGHT = 10;
+
+// Extra frecency of a bookmarked page, worth one recent visit
+const BOOKMARK_BONUS = 100;
+
+// Frecency of the best Sieve match; later matches get a share of it by rank
+const SIEVE_WEIGHT = 150;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Address bar commands handled by AddressBarManager rather than suggested pages
+const COMMAND_PATTERN = /^(bookmark|history|settings|debug|sieve|kb|later|archive):/i;
+
+/**
+ * Weight of a single visit by how long ago it was
+ *
+ * @param {string|number} visitedAt - Visit time
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Visit weight
+ */
+export function visitWeight(visitedAt, now = Date.now()) {
+  const time = new Date(visitedAt).getTime();
+  if (Number.isNaN(time)) return OLD_VISIT_WEIGHT;
+
+  const ageDays = (now - time) / DAY_MS;
+  const bucket = VISIT_AGE_WEIGHTS.find(({ days }) => ageDays <= days);
+  return bucket ? bucket.weight : OLD_VISIT_WEIGHT;
+}
+
+/**
+ * Frecency of a page: its visits weighted by recency
+ *
+ * @param {Array<string|number>} visits - Visit times
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Frecency score
+ */
+export function frecency(visits, now = Date.now()) {
+  return visits.reduce((total, visitedAt) => total + visitWeight(visitedAt, now), 0);
+}
+
+/**
+ * Reduce a URL to the form used to merge suggestions for the same page
+ *
+ * @param {string} url - URL
+ * @returns {string} Comparable URL
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^www\./, '');
+    return `${host}${parsed.pathname.replace(/\/$/, '')}${parsed.search}`;
+  } catch (e) {
+    return (url || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * How well a page matches the typed text
+ * Prefix matches of the host or title rank above matches at a word start,
+ * which rank above matches anywhere else.
+ *
+ * @param {string} query - Typed text
+ * @param {string} title - Page title
+ * @param {string} url - Page URL
+ * @returns {number} 0 for no match, otherwise a multiplier of the page's frecency
+ */
+function matchQuality(query, title, url) {
+  const lowerQuery = query.toLowerCase();
+  const lowerTitle = (title || '').toLowerCase();
+  const comparableUrl = normalizeUrl(url);
+
+  if (comparableUrl.startsWith(lowerQuery) || lowerTitle.startsWith(lowerQuery)) return 2;
+
+  const wordStart = new RegExp(`(^|[^a-z0-9])${lowerQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  if (wordStart.test(lowerTitle) || wordStart.test(comparableUrl)) return 1.5;
+
+  if (lowerTitle.includes(lowerQuery) || (url || '').toLowerCase().includes(lowerQuery)) return 1;
+
+  return 0;
+}
+
+/**
+ * Rank suggestions from all sources
+ * Pages found in several sources are merged: an open tab turns the suggestion into a
+ * "switch to tab" action, a bookmark adds to its frecency.
+ *
+ * @param {string} query - Typed text
+ * @param {Object} sources - Candidate pages
+ * @param {Array<Object>} [sources.history] - History entries ({ url, title, visitedAt | timestamp })
+ * @param {Array<Object>} [sources.bookmarks] - Bookmarks ({ url, title })
+ * @param {Array<Object>} [sources.tabs] - Open tabs ({ id, url, title, lastAccessed })
+ * @param {string} [sources.activeTabId] - Tab being shown, never suggested
+ * @param {Array<Object>} [sources.sieveItems] - Sieve search results, best first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Suggestions as { type, action, title, url, score, tabId?, item? }, best first
+ */
+export function rankSuggestions(query, sources = {}, now = Date.now()) {
+  const { history = [], bookmarks = [], tabs = [], activeTabId = null, sieveItems = [] } = sources;
+  const trimmed = (query || '').trim();
+  if (!trimmed) return [];
+
+  const pages = new Map();
+  const pageFor = (url, title) => {
+    const key = normalizeUrl(url);
+    if (!pages.has(key)) {
+      pages.set(key, { url, title, visits: [], bookmarked: false, tab: null });
+    }
+    const page = pages.get(key);
+    if (!page.title && title) page.title = title;
+    return page;
+  };
+
+  history.forEach(entry => {
+    if (entry.url) pageFor(entry.url, entry.title).visits.push(entry.visitedAt || entry.timestamp);
+  });
+  bookmarks.forEach(bookmark => {
+    if (bookmark.url) pageFor(bookmark.url, bookmark.title).bookmarked = true;
+  });
+  tabs.forEach(tab => {
+    if (tab.url && tab.id !== activeTabId) {
+      const page = pageFor(tab.url, tab.title);
+      page.tab = tab;
+      // The tab's title is the current one
+      if (tab.title) page.title = tab.title;
+    }
+  });
+
+  const suggestions = [];
+  const suggestedPages = new Set();
+  pages.forEach((page, key) => {
+    const quality = matchQuality(trimmed, page.title, page.url);
+    if (quality === 0) return;
+
+    let base = frecency(page.visits, now) + (page.bookmarked ? BOOKMARK_BONUS : 0);
+    if (base === 0 && page.tab) {
+      base = visitWeight(page.tab.lastAccessed, now);
+    }
+
+    suggestedPages.add(key);
+    suggestions.push({
+      type: page.tab ? 'tab' : (page.bookmarked ? 'bookmark' : 'history'),
+      action: page.tab ? 'switch-tab' : 'navigate',
+      title: page.title || page.url,
+      url: page.url,
+      tabId: page.tab ? page.tab.id : undefined,
+      score: base * quality
+    });
+  });
+
+  sieveItems.slice(0, MAX_SIEVE_SUGGESTIONS).forEach((item, index) => {
+    const originalUrl = /^https?:\/\//i.test(item.sourceIdentifier || '') ? item.sourceIdentifier : null;
+
+    // Pages already suggested from history, bookmarks or tabs are not repeated
+    if (originalUrl && suggestedPages.has(normalizeUrl(originalUrl))) return;
+
+    suggestions.push({
+      type: 'sieve',
+      action: 'open-item',
+      title: item.title || 'Untitled',
+      url: originalUrl,
+      item,
+      score: SIEVE_WEIGHT / (index + 1)
+    });
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Gather the local suggestion sources for the typed text
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} query - Typed text
+ * @returns {Promise<Object>} { history, bookmarks, tabs, activeTabId }
+ */
+async function getLocalSources(browser, query) {
+  let history = [];
+  try {
+    history = await searchHistory(query, HISTORY_CANDIDATES);
+  } catch (err) {
+    console.warn('Could not search history for suggestions:', err);
+  }
+
+  const bookmarks = searchBookmarks(browser.state?.bookmarks || loadBookmarks(), query);
+  const tabManager = browser.tabManager;
+  const tabs = tabManager && typeof tabManager.getTabs === 'function' ? tabManager.getTabs() : [];
+  const activeTabId = tabManager && typeof tabManager.getActiveTabId === 'function'
+    ? tabManager.getActiveTabId()
+    : null;
+
+  return { history, bookmarks, tabs, activeTabId };
+}
+
+/**
+ * Search the Sieve for items matching the typed text
+ *
+ * @param {string} query - Typed text
+ * @returns {Promise<Array<Object>>} Matching items, best first; empty if search is unavailable
+ */
+async function searchSieveItems(query) {
+  if (!window.api || typeof window.api.search !== 'function') return [];
+
+  try {
+    const response = await window.api.search(query, MAX_SIEVE_SUGGESTIONS, { mode: 'hybrid' });
+    return response?.success ? response.results || [] : [];
+  } catch (err) {
+    console.warn('Could not search the Sieve for suggestions:', err);
+    return [];
+  }
+}
+
+/**
+ * Get the suggestion state of a browser, creating it on first use
+ *
+ * @param {Object} browser - Browser instance
+ * @returns {Object} { query, sources, sieveItems, suggestions, selectedIndex, sieveTimer }
+ */
+function getOmniboxState(browser) {
+  if (!browser._omnibox) {
+    browser._omnibox = {
+      query: '',
+      sources: {},
+      sieveItems: [],
+      suggestions: [],
+      selectedIndex: -1,
+      sieveTimer: null
+    };
+  }
+  return browser._omnibox;
+}
+
+/**
+ * Re-rank the current sources and redraw the dropdown
+ *
+ * @param {Object} browser - Browser instance
+ */
+function showRankedSuggestions(browser) {
+  const state = getOmniboxState(browser);
+  state.suggestions = rankSuggestions(state.query, { ...state.sources, sieveItems: state.sieveItems });
+  state.selectedIndex = -1;
+
+  if (state.suggestions.length === 0) {
+    hideSuggestions(browser);
+    return;
+  }
+
+  renderSuggestions(browser, state.suggestions, state.selectedIndex, index => {
+    activateSuggestion(browser, state.suggestions[index]);
+  });
+}
+
+/**
+ * Update the suggestions for the text typed into the address bar
+ * Local sources are shown right away; Sieve items are searched after a short pause in typing.
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} query - Typed text
+ * @returns {Promise<void>}
+ */
+export async function updateSuggestions(browser, query) {
+  const state = getOmniboxState(browser);
+  const trimmed = (query || '').trim();
+
+  clearTimeout(state.sieveTimer);
+  state.query = trimmed;
+
+  // Schemes such as kb: or bookmark: are commands, not pages
+  if (!trimmed || COMMAND_PATTERN.test(trimmed)) {
+    closeSuggestions(browser);
+    return;
+  }
+
+  const sources = await getLocalSources(browser, trimmed);
+  if (state.query !== trimmed) return;
+
+  state.sources = sources;
+  state.sieveItems = [];
+  showRankedSuggestions(browser);
+
+  if (trimmed.length >= SIEVE_MIN_QUERY_LENGTH) {
+    state.sieveTimer = setTimeout(async () => {
+      const sieveItems = await searchSieveItems(trimmed);
+      // Drop results for text the user has since changed
+      if (state.query !== trimmed || sieveItems.length === 0) return;
+
+      state.sieveItems = sieveItems;
+      showRankedSuggestions(browser);
+    }, SIEVE_SEARCH_DELAY);
+  }
+}
+
+/**
+ * Close the dropdown and forget pending suggestions
+ *
+ * @param {Object} browser - Browser instance
+ */
+export function closeSuggestions(browser) {
+  const state = getOmniboxState(browser);
+  clearTimeout(state.sieveTimer);
+  state.query = '';
+  state.suggestions = [];
+  state.selectedIndex = -1;
+  hideSuggestions(browser);
+}
+
+/**
+ * Carry out a suggestion: switch to its tab, open its page or open its Sieve item
+ *
+ * @param {Object} browser - Browser instance
+ * @param {Object} suggestion - Suggestion from rankSuggestions
+ */
+export function activateSuggestion(browser, suggestion) {
+  if (!suggestion) return;
+  closeSuggestions(browser);
+
+  const input = browser.addressInput?.current || browser.addressInput;
+  const currentUrl = browser.state?.url || '';
+
+  if (suggestion.action === 'switch-tab' && typeof browser.tabManager?.switchToTab === 'function') {
+    if (input) input.value = suggestion.url;
+    browser.tabManager.switchToTab(suggestion.tabId);
+  } else if (suggestion.action === 'open-item') {
+    if (input) input.value = currentUrl;
+    // Same event the search panel dispatches; App opens the item in the content viewer
+    document.dispatchEvent(new CustomEvent('content:selected', {
+      detail: {
+        itemId: suggestion.item.id,
+        itemData: suggestion.item
+      }
+    }));
+  } else {
+    if (input) input.value = suggestion.url;
+    navigate(browser, suggestion.url);
+  }
+
+  if (input && typeof input.blur === 'function') {
+    input.blur();
+  }
+}
+
+/**
+ * Handle keyboard navigation of the dropdown
+ *
+ * @param {Object} browser - Browser instance
+ * @param {KeyboardEvent} event - Keydown event from the address bar
+ * @returns {boolean} True if the key was handled and should not reach the form
+ */
+export function handleSuggestionKey(browser, event) {
+  const state = getOmniboxState(browser);
+  const count = state.suggestions.length;
+  if (count === 0) return false;
+
+  switch (event.key) {
+    case 'ArrowDown':
+    case 'ArrowUp': {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the typed text itself, so moving past either end returns to it
+      state.selectedIndex = ((state.selectedIndex + 1 + step + count + 1) % (count + 1)) - 1;
+      renderSuggestions(browser, state.suggestions, state.selectedIndex, index => {
+        activateSuggestion(browser, state.suggestions[index]);
+      });
+      event.preventDefault();
+      return true;
+    }
+    case 'Enter':
+      if (state.selectedIndex >= 0) {
+        event.preventDefault();
+        activateSuggestion(browser, state.suggestions[state.selectedIndex]);
+        return true;
+      }
+      closeSuggestions(browser);
+      return false;
+    case 'Escape':
+      closeSuggestions(browser);
+      event.preventDefault();
+      return true;
+    default:
+      return false;
+  }
+}
+
+export default {
+  MAX_SUGGESTIONS,
+  visitWeight,
+  frecency,
+  normalizeUrl,
+  rankSuggestions,
+  updateSuggestions,
+  closeSuggestions,
+  activateSuggestion,
+  handleSuggestionKey
+};
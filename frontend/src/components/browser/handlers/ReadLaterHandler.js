@@ -0,0 +1,273 @@
+/**
+ * ReadLaterHandler.js - Shows the read-later queue from the address bar
+ *
+ * Handles `later:` addresses: `later:` lists every queued article, `later:unread` and `later:read`
+ * list only those, and `later:add` saves the current page. The queue is rendered as an internal
+ * page inside Voyager whose links open, mark, promote or remove an article.
+ */
+
+import { renderHtml } from './NavigationService.js';
+import { openOfflineArticle } from './ReaderModeManager.js';
+import { showToastNotification } from '../utils/BrowserEnv.js';
+import { escapeHTML } from '../utils/ContentUtils.js';
+import { saveForLater, listQueue, markRead, removeFromQueue, promoteToSieve } from '../utils/ReadLaterQueue.js';
+
+// Address prefix of the queue page
+export const READ_LATER_SCHEME = 'later:';
+
+// Hash that links on the queue page use for their action: #read-later/<render>/<action>/<id>
+const ACTION_LINK_PREFIX = '#read-later/';
+
+/**
+ * Check whether an address is a read-later address
+ *
+ * @param {string} address - Address bar input
+ * @returns {boolean} True for `later:` addresses
+ */
+export function isReadLaterAddress(address) {
+  return typeof address === 'string' && address.trim().toLowerCase().startsWith(READ_LATER_SCHEME);
+}
+
+/**
+ * Render a single queued article
+ *
+ * @param {Object} article - Queue entry
+ * @param {number} render - Number of the render, so repeated clicks on a link still change the hash
+ * @returns {string} HTML of the article
+ */
+function createArticleHTML(article, render) {
+  const link = action => `${ACTION_LINK_PREFIX}${render}/${action}/${encodeURIComponent(article.id)}`;
+  const saved = new Date(article.savedAt);
+  const progress = Math.round((article.progress || 0) * 100);
+
+  const meta = [
+    escapeHTML(article.siteName || hostnameOf(article.url)),
+    Number.isNaN(saved.getTime()) ? '' : `saved ${escapeHTML(saved.toLocaleDateString())}`,
+    article.status === 'read' ? 'read' : progress > 0 ? `${progress}% read` : 'unread',
+    article.itemId ? 'in the Sieve' : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <li class="article ${article.status === 'read' ? 'read' : 'unread'}">
+      <a class="article-title" href="${link('open')}">${escapeHTML(article.title || article.url)}</a>
+      <div class="article-meta">${meta}</div>
+      <div class="progress"><div style="width: ${article.status === 'read' ? 100 : progress}%"></div></div>
+      ${article.excerpt ? `<p class="article-excerpt">${escapeHTML(article.excerpt)}</p>` : ''}
+      <div class="article-links">
+        <a href="${link('open')}">Read offline</a>
+        <a href="${link(article.status === 'read' ? 'unread' : 'read')}">Mark ${article.status === 'read' ? 'unread' : 'read'}</a>
+        ${article.itemId ? '' : `<a href="${link('promote')}">Add to Sieve</a>`}
+        <a href="${link('remove')}">Remove</a>
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Get the host name of a URL for display
+ *
+ * @param {string} url - Article URL
+ * @returns {string} Host name, or the URL if it cannot be parsed
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+/**
+ * Create the queue page
+ *
+ * @param {Array<Object>} articles - Queue entries
+ * @param {Object} [options] - { status, error, render }
+ * @returns {string} Complete HTML document
+ */
+export function createQueueHTML(articles = [], { status = null, error = null, render = 0 } = {}) {
+  const heading = status ? `${status === 'read' ? 'Read' : 'Unread'} articles` : 'Read later';
+
+  let body;
+  if (error) {
+    body = `<p class="notice error">${escapeHTML(error)}</p>`;
+  } else if (articles.length === 0) {
+    body = '<p class="notice">Nothing here yet. Use the Later button to save a page for reading offline.</p>';
+  } else {
+    body = `<ol class="articles">${articles.map(article => createArticleHTML(article, render)).join('')}</ol>`;
+  }
+
+  const unread = articles.filter(article => article.status !== 'read').length;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHTML(heading)}</title>
+      <style>
+        body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 32px; color: #1f2933; background: #fafbfc; }
+        main { max-width: 760px; margin: 0 auto; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .summary { color: #616e7c; font-size: 13px; margin-bottom: 20px; }
+        .articles { list-style: none; padding: 0; margin: 0; }
+        .article { padding: 14px 0; border-bottom: 1px solid #e4e7eb; }
+        .article.read .article-title { color: #616e7c; }
+        .article-title { font-size: 16px; font-weight: 600; color: #2563eb; text-decoration: none; }
+        .article-title:hover { text-decoration: underline; }
+        .article-meta { font-size: 12px; color: #7b8794; margin-top: 2px; }
+        .progress { height: 3px; background: #e4e7eb; border-radius: 2px; margin: 6px 0; max-width: 200px; }
+        .progress div { height: 100%; background: #2563eb; border-radius: 2px; }
+        .article-excerpt { font-size: 14px; line-height: 1.5; margin: 6px 0; }
+        .article-links a { font-size: 13px; color: #2563eb; margin-right: 14px; }
+        .notice { color: #616e7c; }
+        .notice.error { color: #b91c1c; }
+      </style>
+    </head>
+    <body>
+      <main>
+        <h1>${escapeHTML(heading)}</h1>
+        <div class="summary">
+          ${error ? '' : `${articles.length} article${articles.length === 1 ? '' : 's'}${status ? '' : ` · ${unread} unread`}`}
+        </div>
+        ${body}
+      </main>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * List the queue and render it as the current page
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string|null} status - 'unread' or 'read' to list only those
+ * @returns {Promise<Array<Object>>} The articles shown
+ */
+async function showQueue(browser, status) {
+  browser._readLaterStatus = status;
+  browser._readLaterRender = (browser._readLaterRender || 0) + 1;
+  const render = browser._readLaterRender;
+
+  let articles = [];
+  let error = null;
+  try {
+    articles = await listQueue(status);
+  } catch (err) {
+    console.error('Error loading read-later queue:', err);
+    error = `The queue could not be loaded: ${err.message}`;
+  }
+
+  watchActionLinks(browser);
+  renderHtml(browser, createQueueHTML(articles, { status, error, render }));
+  return articles;
+}
+
+/**
+ * Carry out the action a queue page link points to
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} url - URL the queue page navigated to
+ * @returns {Promise<void>}
+ */
+async function runLinkedAction(browser, url) {
+  const hashIndex = (url || '').indexOf(ACTION_LINK_PREFIX);
+  if (hashIndex === -1) return;
+
+  const [render, action, encodedId] = url.substring(hashIndex + ACTION_LINK_PREFIX.length).split('/');
+  // Ignore links of a queue page that has since been re-rendered or left
+  if (Number(render) !== browser._readLaterRender || !browser._readLaterShown || !encodedId) return;
+  const id = decodeURIComponent(encodedId);
+
+  try {
+    if (action === 'open') {
+      await openOfflineArticle(browser, id);
+      return;
+    }
+
+    if (action === 'read' || action === 'unread') {
+      await markRead(id, action === 'read');
+    } else if (action === 'promote') {
+      const result = await promoteToSieve(id);
+      showToastNotification(result.duplicate ? 'Article is already in the Sieve' : 'Article added to the Sieve', 'success');
+    } else if (action === 'remove') {
+      await removeFromQueue(id);
+    } else {
+      return;
+    }
+    await showQueue(browser, browser._readLaterStatus);
+  } catch (error) {
+    console.error(`Error running read-later action ${action}:`, error);
+    showToastNotification(error.message, 'error');
+  }
+}
+
+/**
+ * Listen for action links clicked on the queue page
+ * Action links only change the page hash, so the browser stays on the queue page. Once the browser
+ * navigates to another page the links stop working, since any site can set the same hash.
+ *
+ * @param {Object} browser - Browser instance
+ */
+function watchActionLinks(browser) {
+  browser._readLaterShown = true;
+
+  if (browser.webview && typeof browser.webview.addEventListener === 'function') {
+    if (browser._readLaterLinkWebview !== browser.webview) {
+      browser.webview.addEventListener('did-navigate-in-page', event => runLinkedAction(browser, event.url));
+      // Queue pages that could not be written into the webview are loaded as a data: URL instead
+      browser.webview.addEventListener('did-navigate', event => {
+        browser._readLaterShown = (event.url || '').startsWith('data:text/html');
+      });
+      browser._readLaterLinkWebview = browser.webview;
+    }
+  } else if (browser.contentFrame?.contentWindow) {
+    const frameWindow = browser.contentFrame.contentWindow;
+    if (browser._readLaterLinkWindow !== frameWindow) {
+      frameWindow.addEventListener('hashchange', () => runLinkedAction(browser, frameWindow.location.href));
+      browser._readLaterLinkWindow = frameWindow;
+    }
+  }
+}
+
+/**
+ * Save the current page for later and report the outcome
+ *
+ * @param {Object} browser - Browser instance
+ * @returns {Promise<Object|null>} The queue entry, or null if the page could not be saved
+ */
+export async function savePageForLater(browser) {
+  try {
+    const article = await saveForLater(browser);
+    showToastNotification(article.duplicate ? 'Page is already in your read-later queue' : 'Saved for later', 'success');
+    return article;
+  } catch (error) {
+    console.error('Error saving page for later:', error);
+    showToastNotification(`Could not save for later: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Handle a `later:` address
+ *
+ * @param {Object} browser - Browser instance
+ * @param {string} address - Address bar input
+ * @returns {Promise<*>} The articles shown, or the saved entry for `later:add`
+ */
+export async function handleReadLaterAddress(browser, address) {
+  const command = address.trim().substring(READ_LATER_SCHEME.length).trim().toLowerCase();
+
+  if (command === 'add') {
+    return savePageForLater(browser);
+  }
+  return showQueue(browser, command === 'unread' || command === 'read' ? command : null);
+}
+
+export default {
+  READ_LATER_SCHEME,
+  isReadLaterAddress,
+  createQueueHTML,
+  savePageForLater,
+  handleReadLaterAddress
+};
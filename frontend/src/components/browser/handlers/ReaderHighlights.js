@@ -0,0 +1,410 @@
+/**
+ * ReaderHighlights.js - Highlights and margin notes in reader and split view
+ *
+ * Selected text is saved as a highlight anchored to the page URL with a text-quote selector: the
+ * quoted text plus some text on either side of it. When the page is shown again the quote is
+ * searched for in the newly extracted text, using the context to pick between repeated quotes,
+ * so highlights survive small changes to the extraction.
+ */
+
+import logger from '../../../utils/logger';
+import { showHighlightEditor, showHighlightDetails, hideHighlightPopover } from '../renderers/HighlightRenderer';
+
+const highlightLogger = logger.scope('ReaderHighlights');
+
+// Colors offered for new highlights; the first is the default
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+
+// Characters of context stored on each side of a quote
+const SELECTOR_CONTEXT = 32;
+
+/**
+ * Get the text nodes under an element in document order
+ * @param {Node} root - Element to walk
+ * @returns {Array<Text>} Text nodes
+ */
+function textNodesOf(root) {
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+/**
+ * Convert a DOM position into an offset in the text of an element
+ * @param {Node} root - Element whose text is counted
+ * @param {Node} container - Node of the position
+ * @param {number} offset - Offset of the position in the node
+ * @returns {number} Offset in root.textContent
+ */
+function textOffset(root, container, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(container, offset);
+  return range.toString().length;
+}
+
+/**
+ * Describe a selected range with a text-quote selector
+ * @param {Node} root - Element the selection must lie in
+ * @param {Range} range - Selected range
+ * @returns {Object|null} { type: 'TextQuoteSelector', exact, prefix, suffix }, or null if nothing
+ *   inside the element is selected
+ */
+export function createTextQuoteSelector(root, range) {
+  if (!range || range.collapsed || !root.contains(range.commonAncestorContainer)) {
+    return null;
+  }
+
+  const text = root.textContent;
+  const start = textOffset(root, range.startContainer, range.startOffset);
+  const end = textOffset(root, range.endContainer, range.endOffset);
+  const exact = text.slice(start, end);
+  if (!exact.trim()) {
+    return null;
+  }
+
+  return {
+    type: 'TextQuoteSelector',
+    exact,
+    prefix: text.slice(Math.max(0, start - SELECTOR_CONTEXT), start),
+    suffix: text.slice(end, end + SELECTOR_CONTEXT)
+  };
+}
+
+/**
+ * Collapse runs of whitespace, remembering where each character came from
+ * @param {string} text - Text to collapse
+ * @returns {Object} { text, offsets } where offsets[i] is the original offset of text[i]
+ */
+function collapseWhitespace(text) {
+  let collapsed = '';
+  const offsets = [];
+  let inSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const isSpace = /\s/.test(text[i]);
+    if (!isSpace || !inSpace) {
+      collapsed += isSpace ? ' ' : text[i];
+      offsets.push(i);
+    }
+    inSpace = isSpace;
+  }
+  offsets.push(text.length);
+
+  return { text: collapsed, offsets };
+}
+
+/**
+ * Length of the common ending of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of matching characters
+ */
+function commonSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Length of the common beginning of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of matching characters
+ */
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Find the quote of a selector in a text
+ * Whitespace differences are ignored. When the quote occurs more than once, the occurrence whose
+ * surrounding text best matches the selector's prefix and suffix wins.
+ * @param {string} text - Text to search
+ * @param {Object} selector - Text-quote selector
+ * @returns {Object|null} { start, end } offsets in the text, or null if the quote is not there
+ */
+export function anchorSelector(text, selector) {
+  const page = collapseWhitespace(text);
+  const exact = collapseWhitespace(selector.exact).text;
+  const prefix = collapseWhitespace(selector.prefix || '').text;
+  const suffix = collapseWhitespace(selector.suffix || '').text;
+  if (!exact.trim()) {
+    return null;
+  }
+
+  let best = null;
+  for (let index = page.text.indexOf(exact); index !== -1; index = page.text.indexOf(exact, index + 1)) {
+    const end = index + exact.length;
+    const score = commonSuffixLength(page.text.slice(0, index), prefix) +
+      commonPrefixLength(page.text.slice(end), suffix);
+    if (!best || score > best.score) {
+      best = { index, end, score };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  return {
+    start: page.offsets[best.index],
+    end: page.offsets[best.end - 1] + 1
+  };
+}
+
+/**
+ * Wrap a span of an element's text in highlight marks
+ * @param {Node} root - Element holding the text
+ * @param {number} start - Start offset in root.textContent
+ * @param {number} end - End offset in root.textContent
+ * @param {Object} highlight - Highlight to paint
+ * @returns {Array<HTMLElement>} The marks, one per text node the span crosses
+ */
+export function paintHighlight(root, start, end, highlight) {
+  const segments = [];
+  let offset = 0;
+
+  textNodesOf(root).forEach(node => {
+    const from = Math.max(start, offset);
+    const to = Math.min(end, offset + node.data.length);
+    if (from < to) {
+      segments.push({ node, from: from - offset, to: to - offset });
+    }
+    offset += node.data.length;
+  });
+
+  return segments.map(({ node, from, to }) => {
+    let target = node;
+    if (from > 0) {
+      target = target.splitText(from);
+    }
+    if (to - from < target.data.length) {
+      target.splitText(to - from);
+    }
+
+    const mark = document.createElement('mark');
+    mark.className = `reader-highlight reader-highlight-${highlight.color || HIGHLIGHT_COLORS[0]}`;
+    mark.dataset.highlightId = highlight.id;
+    if (highlight.note) {
+      mark.title = highlight.note;
+      mark.classList.add('has-note');
+    }
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+    return mark;
+  });
+}
+
+/**
+ * Remove the marks of a highlight
+ * @param {Node} root - Element holding the marks
+ * @param {string} id - Highlight ID
+ */
+export function unpaintHighlight(root, id) {
+  const marks = Array.from(root.querySelectorAll('mark.reader-highlight'))
+    .filter(mark => mark.dataset.highlightId === id);
+
+  marks.forEach(mark => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) {
+      parent.insertBefore(mark.firstChild, mark);
+    }
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+}
+
+/**
+ * Paint stored highlights over the reader content
+ * @param {Node} root - Reader content element
+ * @param {Array<Object>} highlights - Stored highlights
+ * @returns {Array<Object>} Highlights whose quote could not be found
+ */
+export function paintHighlights(root, highlights) {
+  const unanchored = [];
+
+  highlights.forEach(highlight => {
+    // Marks do not change the text, so offsets stay valid as highlights are painted
+    const position = anchorSelector(root.textContent, highlight.selector);
+    if (position) {
+      paintHighlight(root, position.start, position.end, highlight);
+    } else {
+      unanchored.push(highlight);
+    }
+  });
+
+  return unanchored;
+}
+
+/**
+ * Load and paint the highlights of the page shown in reader view
+ * Nothing is painted if the browser has rendered other reader content in the meantime.
+ * @param {Object} browser - Browser instance
+ * @param {Node} root - Reader content element
+ * @param {string} url - Page URL
+ * @returns {Promise<Array<Object>>} The page's highlights
+ */
+export async function loadHighlights(browser, root, url) {
+  if (!window.api?.getHighlights) {
+    return [];
+  }
+
+  try {
+    const response = await window.api.getHighlights(url);
+    if (!response?.success) {
+      throw new Error(response?.error || 'Highlights could not be loaded');
+    }
+
+    // The reader may have been re-rendered while the highlights were loading
+    if (browser._highlightRoot !== root) {
+      return response.highlights;
+    }
+
+    const unanchored = paintHighlights(root, response.highlights);
+    if (unanchored.length > 0) {
+      highlightLogger.info(`${unanchored.length} highlight(s) no longer found on ${url}`);
+    }
+    return response.highlights;
+  } catch (error) {
+    highlightLogger.error('Error loading highlights:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a highlight and paint it
+ * @param {Object} page - { url, title } of the page
+ * @param {Node} root - Reader content element
+ * @param {Object} selector - Text-quote selector of the quote
+ * @param {Object} options - { color, note }
+ * @returns {Promise<Object>} The stored highlight
+ */
+export async function saveHighlight(page, root, selector, { color, note } = {}) {
+  const response = await window.api.addHighlight({
+    url: page.url,
+    title: page.title,
+    selector,
+    color,
+    note
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Highlight could not be saved');
+  }
+
+  paintHighlights(root, [response.highlight]);
+  return response.highlight;
+}
+
+/**
+ * Delete a highlight and remove its marks
+ * @param {Object} page - { url } of the page
+ * @param {Node} root - Reader content element
+ * @param {string} id - Highlight ID
+ * @returns {Promise<void>}
+ */
+export async function removeHighlight(page, root, id) {
+  const response = await window.api.deleteHighlight(page.url, id);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Highlight could not be removed');
+  }
+  unpaintHighlight(root, id);
+}
+
+/**
+ * Offer to highlight the current selection, if it lies in the reader content
+ * @param {Object} page - { url, title } of the page
+ * @param {Node} root - Reader content element
+ */
+function handleSelection(page, root) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  const selector = createTextQuoteSelector(root, range);
+  if (!selector) {
+    return;
+  }
+
+  showHighlightEditor(range.getBoundingClientRect(), {
+    colors: HIGHLIGHT_COLORS,
+    onSave: ({ color, note }) => {
+      selection.removeAllRanges();
+      saveHighlight(page, root, selector, { color, note })
+        .catch(error => highlightLogger.error('Error saving highlight:', error));
+    }
+  });
+}
+
+/**
+ * Show the note of a clicked highlight with the option to remove it
+ * @param {Object} page - { url } of the page
+ * @param {Node} root - Reader content element
+ * @param {HTMLElement} mark - Clicked mark
+ */
+function handleMarkClick(page, root, mark) {
+  const id = mark.dataset.highlightId;
+
+  showHighlightDetails(mark.getBoundingClientRect(), {
+    note: mark.title,
+    onRemove: () => {
+      removeHighlight(page, root, id)
+        .catch(error => highlightLogger.error('Error removing highlight:', error));
+    }
+  });
+}
+
+/**
+ * Enable highlighting on rendered reader content and paint the page's saved highlights
+ * @param {Object} browser - Browser instance
+ * @param {Node} root - Reader content element
+ * @param {Object} content - Reader content ({ url, title })
+ */
+export function attachReaderHighlights(browser, root, content) {
+  const page = {
+    url: content?.url || browser.state?.url,
+    title: content?.title || browser.state?.title || ''
+  };
+  if (!root || !page.url || !(content?.text || content?.processedContent)) {
+    return;
+  }
+
+  browser._highlightRoot = root;
+  hideHighlightPopover();
+
+  root.addEventListener('mouseup', () => {
+    // Let the selection settle before reading it
+    setTimeout(() => handleSelection(page, root), 0);
+  });
+
+  root.addEventListener('click', (event) => {
+    const mark = event.target.closest?.('mark.reader-highlight');
+    if (mark && window.getSelection()?.isCollapsed !== false) {
+      handleMarkClick(page, root, mark);
+    }
+  });
+
+  loadHighlights(browser, root, page.url);
+}
+
+export default {
+  createTextQuoteSelector,
+  anchorSelector,
+  paintHighlight,
+  paintHighlights,
+  unpaintHighlight,
+  loadHighlights,
+  saveHighlight,
+  removeHighlight,
+  attachReaderHighlights
+};
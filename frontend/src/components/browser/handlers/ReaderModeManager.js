@@ -7,6 +7,10 @@
 
 import logger from '../../../utils/logger';
 import ExtractorManager from '../extraction/ExtractorManager';
+import { attachReaderHighlights } from './ReaderHighlights';
+import { hideHighlightPopover } from '../renderers/HighlightRenderer';
+import { getArticle, saveProgress } from '../utils/ReadLaterQueue';
+import { escapeHTML } from '../utils/ContentUtils';
 
 // Create a logger instance for this module
 const readerLogger = logger.scope('ReaderModeManager');
@@ -29,6 +33,9 @@ const COMPLEX_SITES = [
   'britannica.com' // Added Britannica
 ];
 
+// Quiet period after scrolling before the reading progress of a queued article is saved
+const PROGRESS_SAVE_DELAY = 1000;
+
 // Debounce function to prevent rapid toggling
 function debounce(func, wait) {
   let timeout;
@@ -1229,6 +1236,9 @@ function renderReaderMode(browser, mode) {
     
     readerContainer.appendChild(contentElement);
     
+    // Let the reader select text to highlight and show the page's saved highlights
+    attachReaderHighlights(browser, contentElement, content);
+    
     // Find the webview element to hide
     const webview = browser.containerRef.current.querySelector('webview');
     if (webview) {
@@ -1240,6 +1250,7 @@ function renderReaderMode(browser, mode) {
     
     // Add reader container to browser content
     browser.containerRef.current.appendChild(readerContainer);
+    trackReadingProgress(readerContainer, content);
     
     // Apply font settings
     applyFontSettings(browser);
@@ -1301,6 +1312,9 @@ function renderReaderMode(browser, mode) {
     
     readerColumn.appendChild(readerContent);
     
+    // Let the reader select text to highlight and show the page's saved highlights
+    attachReaderHighlights(browser, readerContent, content);
+    
     // Create original content column
     const originalColumn = document.createElement('div');
     originalColumn.className = 'split-view-column split-view-original';
@@ -1335,10 +1349,15 @@ function renderReaderMode(browser, mode) {
     
     // Add split container to browser content
     browser.containerRef.current.appendChild(splitContainer);
+    trackReadingProgress(readerColumn, content);
     
     // Apply font settings
     applyFontSettings(browser);
   } else {
+    // Highlights are only shown in reader content
+    browser._highlightRoot = null;
+    hideHighlightPopover();
+    
     // Normal browser mode - restore webview to original position
     const webview = browser.containerRef.current.querySelector('webview');
     if (webview) {
@@ -1354,6 +1373,67 @@ function renderReaderMode(browser, mode) {
   }
 }
 
+/**
+ * Keep the reading progress of an article from the read-later queue
+ * Scrolls to where the article was left and saves the position as the reader scrolls.
+ * 
+ * @param {HTMLElement} scrollElement - Element the article scrolls in
+ * @param {Object} content - Reader content
+ */
+function trackReadingProgress(scrollElement, content) {
+  if (!content?.readLaterId) return;
+  
+  const scrollable = () => scrollElement.scrollHeight - scrollElement.clientHeight;
+  
+  // Resume where the reader left off once the content has been laid out
+  if (content.readingProgress > 0) {
+    setTimeout(() => {
+      scrollElement.scrollTop = Math.round(content.readingProgress * scrollable());
+    }, 0);
+  }
+  
+  scrollElement.addEventListener('scroll', debounce(() => {
+    const progress = scrollable() > 0 ? scrollElement.scrollTop / scrollable() : 1;
+    content.readingProgress = progress;
+    saveProgress(content.readLaterId, progress).catch(err => {
+      readerLogger.warn('Error saving reading progress:', err);
+    });
+  }, PROGRESS_SAVE_DELAY));
+}
+
+/**
+ * Open an article from the read-later queue in reader view
+ * The article is read from its offline snapshot, so this works without a connection.
+ * 
+ * @param {Object} browser - Browser instance
+ * @param {string} id - Article ID
+ * @param {string} [mode='reader'] - 'reader' or 'split'
+ * @returns {Promise<Object>} The reader content shown
+ */
+export async function openOfflineArticle(browser, id, mode = 'reader') {
+  const article = await getArticle(id);
+  
+  const content = {
+    title: article.title,
+    url: article.url,
+    text: article.text,
+    processedContent: article.html,
+    byline: article.byline,
+    siteName: article.siteName,
+    readLaterId: id,
+    readingProgress: article.entry.progress || 0,
+    extractionMethod: 'read-later'
+  };
+  
+  // Render once the content is in state, since renderReaderMode reads it from there
+  return new Promise(resolve => {
+    browser.setState({ readerContent: content }, () => {
+      setReaderMode(browser, mode);
+      resolve(content);
+    });
+  });
+}
+
 /**
  * Apply font settings from localStorage
  * 
@@ -1523,21 +1603,6 @@ function formatLinks(text, baseUrl) {
   return formattedText;
 }
 
-/**
- * Escape HTML special characters to prevent XSS
- * 
- * @param {string} unsafe - Unsafe HTML string
- * @returns {string} Safe HTML string
- */
-function escapeHTML(unsafe) {
-  return unsafe
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
-
 /**
  * Show an error message in the reader view
  * @param {Object} browser - Browser instance
@@ -1620,5 +1685,6 @@ export default {
   toggleReaderMode,
   setReaderMode,
   getReaderMode,
-  isReaderModeActive
+  isReaderModeActive,
+  openOfflineArticle
 }; 
\ No newline at end of file
@@ -4,11 +4,16 @@
  */
 
 import AddressBarManager from './AddressBarManager';
+import ArchiveHandler from './ArchiveHandler';
 import ExtractorManager from '../extraction/ExtractorManager';
 import ErrorHandler, { ErrorCategories, recordError, getErrorStats, getErrorHistory, exportErrorHistory, clearErrorHistory } from './ErrorHandler';
 import EventHandlers, { updateNavigationButtons } from './EventHandlers';
 import HistoryService from './HistoryService';
+import KnowledgeSearchHandler from './KnowledgeSearchHandler';
 import NavigationService from './NavigationService';
+import OmniboxSuggestions from './OmniboxSuggestions';
+import ReadLaterHandler from './ReadLaterHandler';
+import ReaderHighlights from './ReaderHighlights';
 import ReaderModeManager from './ReaderModeManager';
 import ResearchManager from './ResearchManager';
 import ResearcherEventHandlers from './ResearcherEventHandlers';
@@ -19,11 +24,16 @@ import WebviewInitializer from './WebviewInitializer';
 // Export all handlers
 export {
   AddressBarManager,
+  ArchiveHandler,
   ExtractorManager,
   ErrorHandler,
   EventHandlers,
   HistoryService,
+  KnowledgeSearchHandler,
   NavigationService,
+  OmniboxSuggestions,
+  ReadLaterHandler,
+  ReaderHighlights,
   ReaderModeManager,
   ResearchManager,
   ResearcherEventHandlers,
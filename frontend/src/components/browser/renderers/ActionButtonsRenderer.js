@@ -2,8 +2,11 @@
  * ActionButtonsRenderer - Handles rendering and management of browser action buttons
  */
 
+import { saveForLater } from '../utils/ReadLaterQueue.js';
+import { archiveCurrentPage } from '../utils/PageArchiver.js';
+
 /**
- * Create action buttons container with bookmark, save, reader mode, and research buttons
+ * Create action buttons container with bookmark, save, read later, archive, reader mode, and research buttons
  * @param {Object} browser - Browser instance
  * @returns {HTMLElement} Action buttons container
  */
@@ -14,17 +17,23 @@ export function createActionButtons(browser) {
   // Create and add action buttons
   const bookmarkButton = createBookmarkButton(browser);
   const saveButton = createSaveButton(browser);
+  const readLaterButton = createReadLaterButton(browser);
+  const archiveButton = createArchiveButton(browser);
   const readerModeButton = createReaderModeButton(browser);
   const researchButton = createResearchButton(browser);
   
   actionButtons.appendChild(bookmarkButton);
   actionButtons.appendChild(saveButton);
+  actionButtons.appendChild(readLaterButton);
+  actionButtons.appendChild(archiveButton);
   actionButtons.appendChild(readerModeButton);
   actionButtons.appendChild(researchButton);
   
   // Store references on browser object
   browser.bookmarkButton = bookmarkButton;
   browser.saveButton = saveButton;
+  browser.readLaterButton = readLaterButton;
+  browser.archiveButton = archiveButton;
   browser.readerModeButton = readerModeButton;
   browser.researchButton = researchButton;
   
@@ -121,6 +130,71 @@ function createSaveButton(browser) {
   return saveButton;
 }
 
+/**
+ * Create read later button
+ * @param {Object} browser - Browser instance
+ * @returns {HTMLElement} Read later button element
+ */
+function createReadLaterButton(browser) {
+  const readLaterButton = document.createElement('button');
+  readLaterButton.className = 'toolbar-btn browser-later-btn';
+  readLaterButton.title = 'Save page to read later, offline';
+  readLaterButton.innerHTML = `
+    <img src="./@images/action-later.svg" width="16" height="16" alt="Later">
+    <span>Later</span>
+  `;
+  
+  // Snapshot the reader view of the page into the read-later queue
+  readLaterButton.addEventListener('click', () => {
+    readLaterButton.classList.add('loading');
+    readLaterButton.disabled = true;
+    
+    saveForLater(browser).then((article) => {
+      showToastNotification(article.duplicate ? 'Page is already in your read-later queue' : 'Saved for later');
+    }).catch((error) => {
+      showToastNotification('Failed to save for later: ' + (error.message || 'Unknown error'), 'error');
+    }).finally(() => {
+      readLaterButton.classList.remove('loading');
+      readLaterButton.disabled = false;
+    });
+  });
+  
+  return readLaterButton;
+}
+
+/**
+ * Create archive button
+ * @param {Object} browser - Browser instance
+ * @returns {HTMLElement} Archive button element
+ */
+function createArchiveButton(browser) {
+  const archiveButton = document.createElement('button');
+  archiveButton.className = 'toolbar-btn browser-archive-btn';
+  archiveButton.title = 'Archive a full copy of this page';
+  archiveButton.innerHTML = `
+    <img src="./@images/action-archive.svg" width="16" height="16" alt="Archive">
+    <span>Archive</span>
+  `;
+  
+  // Store the page with its styles and images next to its item in the knowledge base
+  archiveButton.addEventListener('click', () => {
+    archiveButton.classList.add('loading');
+    archiveButton.disabled = true;
+    
+    archiveCurrentPage(browser).then(({ saved, archive }) => {
+      const missing = archive.missing ? ` (${archive.missing} resources could not be fetched)` : '';
+      showToastNotification((saved ? 'Page saved and archived' : 'Page archived') + missing);
+    }).catch((error) => {
+      showToastNotification('Failed to archive page: ' + (error.message || 'Unknown error'), 'error');
+    }).finally(() => {
+      archiveButton.classList.remove('loading');
+      archiveButton.disabled = false;
+    });
+  });
+  
+  return archiveButton;
+}
+
 /**
  * Create reader mode button
  * @param {Object} browser - Browser instance
@@ -78,8 +78,8 @@ function createAddressInput(browser) {
     if (form) form.classList.remove('focused');
   });
   
-  // Handle input changes
-  addressInput.addEventListener('change', (event) => {
+  // Handle input changes as they are typed so suggestions follow the text
+  addressInput.addEventListener('input', (event) => {
     if (typeof browser.handleAddressChange === 'function') {
       browser.handleAddressChange(event);
     } else {
@@ -0,0 +1,148 @@
+/**
+ * HighlightRenderer - Renders the popovers used to add and inspect reader highlights
+ */
+
+// Only one highlight popover is open at a time
+let openPopover = null;
+
+/**
+ * Close the open popover when the user clicks elsewhere or presses Escape
+ * @param {Event} event - Mouse or keyboard event
+ */
+function handleOutsideEvent(event) {
+  if (!openPopover) return;
+  if (event.type === 'keydown' ? event.key === 'Escape' : !openPopover.contains(event.target)) {
+    hideHighlightPopover();
+  }
+}
+
+/**
+ * Create a popover below a position on screen
+ * @param {DOMRect} rect - Rectangle the popover points at
+ * @param {string} className - Extra class for the popover
+ * @returns {HTMLElement} Popover element, already in the document
+ */
+function createPopover(rect, className) {
+  hideHighlightPopover();
+
+  const popover = document.createElement('div');
+  popover.className = `reader-highlight-popover ${className}`;
+  popover.style.top = `${Math.round(rect.bottom + 8)}px`;
+  popover.style.left = `${Math.round(Math.max(8, rect.left))}px`;
+  document.body.appendChild(popover);
+
+  openPopover = popover;
+  document.addEventListener('mousedown', handleOutsideEvent, true);
+  document.addEventListener('keydown', handleOutsideEvent, true);
+  return popover;
+}
+
+/**
+ * Show the popover for highlighting a selection
+ * @param {DOMRect} rect - Rectangle of the selection
+ * @param {Object} options - { colors, onSave({ color, note }) }
+ * @returns {HTMLElement} Popover element
+ */
+export function showHighlightEditor(rect, { colors, onSave }) {
+  const popover = createPopover(rect, 'reader-highlight-editor');
+  let selectedColor = colors[0];
+
+  const swatches = document.createElement('div');
+  swatches.className = 'reader-highlight-colors';
+  colors.forEach(color => {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.className = `reader-highlight-swatch reader-highlight-${color}`;
+    swatch.title = `Highlight in ${color}`;
+    swatch.setAttribute('aria-pressed', color === selectedColor ? 'true' : 'false');
+    swatch.dataset.color = color;
+    swatch.addEventListener('click', () => {
+      selectedColor = color;
+      swatches.querySelectorAll('.reader-highlight-swatch').forEach(button => {
+        button.setAttribute('aria-pressed', button.dataset.color === color ? 'true' : 'false');
+      });
+    });
+    swatches.appendChild(swatch);
+  });
+
+  const note = document.createElement('textarea');
+  note.className = 'reader-highlight-note';
+  note.placeholder = 'Add a note (optional)';
+  note.rows = 2;
+
+  const actions = document.createElement('div');
+  actions.className = 'reader-highlight-actions';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', hideHighlightPopover);
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'reader-highlight-save';
+  saveBtn.textContent = 'Highlight';
+  saveBtn.addEventListener('click', () => {
+    onSave({ color: selectedColor, note: note.value.trim() });
+    hideHighlightPopover();
+  });
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+
+  popover.appendChild(swatches);
+  popover.appendChild(note);
+  popover.appendChild(actions);
+  return popover;
+}
+
+/**
+ * Show the note of a highlight with a button to remove it
+ * @param {DOMRect} rect - Rectangle of the highlight
+ * @param {Object} options - { note, onRemove() }
+ * @returns {HTMLElement} Popover element
+ */
+export function showHighlightDetails(rect, { note, onRemove }) {
+  const popover = createPopover(rect, 'reader-highlight-details');
+
+  if (note) {
+    const noteText = document.createElement('p');
+    noteText.className = 'reader-highlight-note-text';
+    noteText.textContent = note;
+    popover.appendChild(noteText);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'reader-highlight-actions';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'reader-highlight-remove';
+  removeBtn.textContent = 'Remove highlight';
+  removeBtn.addEventListener('click', () => {
+    onRemove();
+    hideHighlightPopover();
+  });
+
+  actions.appendChild(removeBtn);
+  popover.appendChild(actions);
+  return popover;
+}
+
+/**
+ * Close the open highlight popover, if any
+ */
+export function hideHighlightPopover() {
+  if (openPopover) {
+    openPopover.remove();
+    openPopover = null;
+  }
+  document.removeEventListener('mousedown', handleOutsideEvent, true);
+  document.removeEventListener('keydown', handleOutsideEvent, true);
+}
+
+export default {
+  showHighlightEditor,
+  showHighlightDetails,
+  hideHighlightPopover
+};
@@ -0,0 +1,146 @@
+/**
+ * OmniboxRenderer - Renders the suggestion dropdown under the address bar
+ */
+
+// Label shown for each kind of suggestion
+const SUGGESTION_LABELS = {
+  tab: 'Switch to tab',
+  bookmark: 'Bookmark',
+  history: 'History',
+  sieve: 'Sieve'
+};
+
+// Icon shown for each kind of suggestion
+const SUGGESTION_ICONS = {
+  tab: '⇥',
+  bookmark: '★',
+  history: '🕘',
+  sieve: '📚'
+};
+
+/**
+ * Get the dropdown of a browser, creating it under the address bar on first use
+ * @param {Object} browser - Browser instance
+ * @returns {HTMLElement|null} Dropdown element, or null if there is no address bar to attach to
+ */
+function getSuggestionList(browser) {
+  const input = browser.addressInput?.current || browser.addressInput;
+  const parent = browser.searchForm || input?.parentNode;
+  if (!parent) return null;
+
+  // Reuse the dropdown unless the address bar was rebuilt
+  if (browser.omniboxList && browser.omniboxList.parentNode === parent) {
+    return browser.omniboxList;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'voyager-omnibox';
+  list.id = `voyager-omnibox-${browser.browserId || 'default'}`;
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  parent.appendChild(list);
+
+  if (input && typeof input.setAttribute === 'function') {
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', list.id);
+    input.setAttribute('aria-expanded', 'false');
+  }
+
+  browser.omniboxList = list;
+  return list;
+}
+
+/**
+ * Render the suggestion dropdown
+ * @param {Object} browser - Browser instance
+ * @param {Array<Object>} suggestions - Ranked suggestions
+ * @param {number} selectedIndex - Highlighted suggestion, -1 for none
+ * @param {Function} onSelect - Called with the index of a clicked suggestion
+ */
+export function renderSuggestions(browser, suggestions, selectedIndex, onSelect) {
+  const list = getSuggestionList(browser);
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  suggestions.forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.className = `voyager-omnibox-item voyager-omnibox-${suggestion.type}`;
+    item.id = `${list.id}-${index}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', index === selectedIndex ? 'true' : 'false');
+    if (index === selectedIndex) {
+      item.classList.add('selected');
+    }
+
+    const icon = document.createElement('span');
+    icon.className = 'voyager-omnibox-icon';
+    icon.textContent = SUGGESTION_ICONS[suggestion.type] || '';
+
+    const text = document.createElement('span');
+    text.className = 'voyager-omnibox-text';
+
+    const title = document.createElement('span');
+    title.className = 'voyager-omnibox-title';
+    title.textContent = suggestion.title;
+    text.appendChild(title);
+
+    if (suggestion.url) {
+      const url = document.createElement('span');
+      url.className = 'voyager-omnibox-url';
+      url.textContent = suggestion.url;
+      text.appendChild(url);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'voyager-omnibox-label';
+    label.textContent = SUGGESTION_LABELS[suggestion.type] || '';
+
+    item.appendChild(icon);
+    item.appendChild(text);
+    item.appendChild(label);
+
+    // mousedown rather than click so the address bar keeps focus until the suggestion is used
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      onSelect(index);
+    });
+
+    list.appendChild(item);
+  });
+
+  list.hidden = false;
+
+  const input = browser.addressInput?.current || browser.addressInput;
+  if (input && typeof input.setAttribute === 'function') {
+    input.setAttribute('aria-expanded', 'true');
+    if (selectedIndex >= 0) {
+      input.setAttribute('aria-activedescendant', `${list.id}-${selectedIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+}
+
+/**
+ * Hide the suggestion dropdown
+ * @param {Object} browser - Browser instance
+ */
+export function hideSuggestions(browser) {
+  if (browser.omniboxList) {
+    browser.omniboxList.hidden = true;
+    browser.omniboxList.innerHTML = '';
+  }
+
+  const input = browser.addressInput?.current || browser.addressInput;
+  if (input && typeof input.setAttribute === 'function') {
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+export default {
+  renderSuggestions,
+  hideSuggestions
+};
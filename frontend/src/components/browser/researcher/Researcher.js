@@ -1244,24 +1244,28 @@ ${toolResult.keyPoints ? toolResult.keyPoints.map(point => `- ${point}`).join('\
     
     // Use IPC to save to knowledge base
     if (window.server && window.server.savePageToKnowledgeBase) {
+      // Send the full extraction so the page is stored with its metadata, headings and links
       const pageData = {
         url: entry.url,
         title: entry.title,
-        content: entry.content.mainContent,
-        text: entry.content.text,
+        content: entry.content,
         analysis: entry.analysis?.text,
-        headings: entry.content.headings || [],
         savedAt: new Date().toISOString()
       };
-      
+
       return window.server.savePageToKnowledgeBase(pageData)
         .then(result => {
+          if (!result || !result.success) {
+            throw new Error(result?.error || 'Page could not be saved');
+          }
+
           // Mark entry as saved
           const updatedEntries = this.state.researchEntries.map(e => {
             if (e.id === entryId) {
               return {
                 ...e,
                 savedToKB: true,
+                itemId: result.id,
                 saveTimestamp: new Date().toISOString()
               };
             }
@@ -1276,6 +1280,11 @@ ${toolResult.keyPoints ? toolResult.keyPoints.map(point => `- ${point}`).join('\
           // Update the research panel UI
           this.updateResearchPanel(updatedEntries.find(e => e.id === entryId));
           
+          // Let the library pick up the new item
+          document.dispatchEvent(new CustomEvent('content:updated', {
+            detail: { itemId: result.id, source: 'browser' }
+          }));
+
           // Notify parent if callback provided
           if (this.props.onEntrySaved) {
             this.props.onEntrySaved(updatedEntries.find(e => e.id === entryId));
@@ -627,6 +627,48 @@ class TabManager {
     return newGroup;
   }
 
+  /**
+   * Replace all tabs and groups, e.g. with those of a saved tab session
+   * Tabs whose group does not exist are moved to the default group.
+   * @param {Object} state - { tabs, groups, activeTabId }
+   * @returns {Object} - The new state
+   */
+  replaceState({ tabs = [], groups = [], activeTabId = null }) {
+    const savedDefault = groups.find(group => group.id === 'default');
+    if (savedDefault) {
+      this.defaultGroup.name = savedDefault.name || this.defaultGroup.name;
+      this.defaultGroup.color = savedDefault.color || this.defaultGroup.color;
+    }
+    this.defaultGroup.tabIds = [];
+
+    this.groups = [
+      this.defaultGroup,
+      ...groups
+        .filter(group => group.id !== 'default')
+        .map(group => ({ ...group, color: group.color || this.getRandomColor(), tabIds: [] }))
+    ];
+
+    this.tabs = tabs.map(tab => {
+      const group = this.getGroupById(tab.groupId) || this.defaultGroup;
+      const restoredTab = {
+        extractedContent: null,
+        relatedTabs: [],
+        embedding: null,
+        createdAt: Date.now(),
+        ...tab,
+        id: tab.id || nanoid(),
+        groupId: group.id
+      };
+      group.tabIds.push(restoredTab.id);
+      return restoredTab;
+    });
+
+    this.activeTabId = this.getTabById(activeTabId) ? activeTabId : (this.tabs[0]?.id || null);
+
+    this.notifyListeners();
+    return this.getState();
+  }
+
   /**
    * Rename a tab group
    * @param {string} groupId - Group ID
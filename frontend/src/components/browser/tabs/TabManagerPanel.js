@@ -5,8 +5,9 @@
  * and interacting with the tab visualization as a vertical side panel.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import TabGraph from './TabGraph';
+import { listSessions, deleteSession, exportSessions, importSessions } from './TabSessions';
 
 // Simple modal dialog component for text input
 const InputModal = ({ isOpen, title, placeholder, defaultValue, onConfirm, onCancel }) => {
@@ -55,6 +56,9 @@ const TabManagerPanel = ({ tabManager, onTabClick, onClose }) => {
   const [clusteringMethod, setClusteringMethod] = useState('semantic');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [sortBy, setSortBy] = useState('lastAccessed'); // 'title', 'lastAccessed', 'url'
+  const [sessions, setSessions] = useState(() => listSessions());
+  const [sessionMessage, setSessionMessage] = useState('');
+  const sessionImportRef = useRef(null);
   
   // Modal state
   const [modalState, setModalState] = useState({
@@ -192,6 +196,80 @@ const TabManagerPanel = ({ tabManager, onTabClick, onClose }) => {
     }
   };
 
+  // Save the open tabs as a named session
+  const handleSaveSession = () => {
+    const activeSession = sessions.find(session => session.id === tabManager?.activeSessionId);
+    
+    setModalState({
+      isOpen: true,
+      title: 'Save Tab Session',
+      placeholder: 'Session name, e.g. Project X research',
+      defaultValue: activeSession ? activeSession.name : '',
+      onConfirm: async (name) => {
+        setModalState({ ...modalState, isOpen: false });
+        try {
+          const session = await tabManager.saveSession(name);
+          setSessions(listSessions());
+          setSessionMessage(`Saved "${session.name}" with ${session.tabs.length} tab${session.tabs.length === 1 ? '' : 's'}`);
+        } catch (error) {
+          console.error('Error saving tab session:', error);
+          setSessionMessage(error.message);
+        }
+      }
+    });
+  };
+  
+  // Replace the open tabs with a saved session
+  const handleRestoreSession = async (session) => {
+    if (!window.confirm(`Replace the open tabs with the session "${session.name}"?`)) return;
+    
+    try {
+      await tabManager.restoreSession(session.id);
+      setSessions(listSessions());
+      setSessionMessage(`Restored "${session.name}"`);
+    } catch (error) {
+      console.error('Error restoring tab session:', error);
+      setSessionMessage(error.message);
+    }
+  };
+  
+  // Download a session as a JSON file
+  const handleExportSession = (session) => {
+    const blob = new Blob([exportSessions([session])], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tab-session'}.json`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+  };
+  
+  // Add the sessions of an exported JSON file
+  const handleImportSessions = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const imported = importSessions(await file.text());
+      setSessions(listSessions());
+      setSessionMessage(`Imported ${imported.length} session${imported.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Error importing tab sessions:', error);
+      setSessionMessage(error.message);
+    }
+  };
+  
+  // Delete a saved session
+  const handleDeleteSession = (session) => {
+    if (window.confirm(`Delete the session "${session.name}"?`)) {
+      deleteSession(session.id);
+      setSessions(listSessions());
+    }
+  };
+
   // Sort tabs based on criteria
   const sortTabs = (tabs, sortBy) => {
     if (!tabs) return [];
@@ -293,6 +371,67 @@ const TabManagerPanel = ({ tabManager, onTabClick, onClose }) => {
     );
   };
   
+  // Summarize the tabs, groups and save time of a session
+  const describeSession = (session) => {
+    const groupCount = session.groups.filter(group => group.id !== 'default').length;
+    return [
+      `${session.tabs.length} tab${session.tabs.length === 1 ? '' : 's'}`,
+      groupCount > 0 ? `${groupCount} group${groupCount === 1 ? '' : 's'}` : '',
+      new Date(session.updatedAt).toLocaleString()
+    ].filter(Boolean).join(' · ');
+  };
+  
+  // Render saved sessions
+  const renderSessions = () => {
+    if (!tabManager || typeof tabManager.saveSession !== 'function') return null;
+    
+    return (
+      <div className="tab-sessions">
+        <div className="tab-sessions-header">
+          <h3>Sessions</h3>
+          <div className="tab-group-actions">
+            <button onClick={handleSaveSession}>Save Session</button>
+            <button onClick={() => sessionImportRef.current?.click()}>Import</button>
+          </div>
+          <input
+            ref={sessionImportRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportSessions}
+            style={{ display: 'none' }}
+          />
+        </div>
+        {sessionMessage && (
+          <div className="tab-sessions-message">{sessionMessage}</div>
+        )}
+        {sessions.length === 0 ? (
+          <div className="tab-sessions-empty">
+            Save the open tabs and groups to come back to them later.
+          </div>
+        ) : (
+          <ul className="tab-session-list">
+            {sessions.map(session => (
+              <li
+                key={session.id}
+                className={`tab-session ${session.id === tabManager.activeSessionId ? 'active' : ''}`}
+              >
+                <div className="tab-session-info">
+                  <span className="tab-session-name" title={session.name}>{session.name}</span>
+                  <span className="tab-session-meta">{describeSession(session)}</span>
+                </div>
+                <div className="tab-group-actions">
+                  <button onClick={() => handleRestoreSession(session)}>Restore</button>
+                  <button onClick={() => handleExportSession(session)}>Export</button>
+                  <button onClick={() => handleDeleteSession(session)}>Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+  
   return (
     <>
       <div className="tab-manager-overlay" onClick={onClose}></div>
@@ -370,6 +509,8 @@ const TabManagerPanel = ({ tabManager, onTabClick, onClose }) => {
             </button>
           </div>
           
+          {renderSessions()}
+          
           {viewMode === 'graph' ? (
             <TabGraph 
               tabs={tabs}
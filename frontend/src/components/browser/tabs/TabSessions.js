@@ -0,0 +1,270 @@
+/**
+ * TabSessions.js - Named tab sessions
+ *
+ * A session is a saved workspace: the open tabs, their groups and the scroll position of each
+ * tab, stored under a name such as "Project X research". Sessions are kept in localStorage next
+ * to the crash-recovery tab state and can be exported and imported as JSON files.
+ */
+
+import { nanoid } from 'nanoid';
+import logger from '../../../utils/logger';
+
+const sessionLogger = logger.scope('TabSessions');
+
+// localStorage key of the saved sessions
+export const SESSIONS_STORAGE_KEY = 'voyager-tab-sessions';
+
+// Version written into exported session files
+const EXPORT_VERSION = 1;
+
+// Group holding the tabs that are not in any other group
+const DEFAULT_GROUP_ID = 'default';
+
+// Protocols a restored tab may load: web pages and archived pages served by the webview-file protocol
+const RESTORABLE_PROTOCOLS = ['http:', 'https:', 'webview-file:'];
+
+/**
+ * Check that a tab URL is safe to load when a session is restored
+ * Session files can come from anywhere, so javascript:, file:, data: and other URLs are refused.
+ * @param {string} url - Tab URL
+ * @returns {boolean} - Whether the URL may be restored
+ */
+export function isRestorableUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return false;
+
+  try {
+    return RESTORABLE_PROTOCOLS.includes(new URL(url.trim()).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a scroll position
+ * @param {Object} [position] - { x, y }
+ * @returns {Object} - { x, y } in pixels
+ */
+function normalizeScrollPosition(position) {
+  return {
+    x: Math.max(0, Number(position?.x) || 0),
+    y: Math.max(0, Number(position?.y) || 0)
+  };
+}
+
+/**
+ * Bring a session into its stored shape
+ * Tabs without a restorable URL are dropped and tabs of unknown groups move to the default group.
+ * @param {Object} session - Session
+ * @returns {Object} - Normalized session
+ */
+export function normalizeSession(session) {
+  const groups = (Array.isArray(session.groups) ? session.groups : [])
+    .filter(group => group && group.id)
+    .map(group => ({
+      id: String(group.id),
+      name: String(group.name || 'Group'),
+      color: group.color || null
+    }));
+  const groupIds = new Set([DEFAULT_GROUP_ID, ...groups.map(group => group.id)]);
+
+  const tabs = (Array.isArray(session.tabs) ? session.tabs : [])
+    .filter(tab => tab && isRestorableUrl(tab.url))
+    .map(tab => ({
+      id: String(tab.id || nanoid()),
+      url: tab.url.trim(),
+      title: String(tab.title || tab.url),
+      favicon: tab.favicon || null,
+      groupId: groupIds.has(String(tab.groupId)) ? String(tab.groupId) : DEFAULT_GROUP_ID,
+      scrollPosition: normalizeScrollPosition(tab.scrollPosition)
+    }));
+
+  const createdAt = session.createdAt || new Date().toISOString();
+  return {
+    id: String(session.id || nanoid()),
+    name: String(session.name || '').trim(),
+    createdAt,
+    updatedAt: session.updatedAt || createdAt,
+    activeTabId: tabs.some(tab => tab.id === session.activeTabId) ? session.activeTabId : (tabs[0]?.id || null),
+    tabs,
+    groups
+  };
+}
+
+/**
+ * Build a session from the state of the tab manager
+ * @param {string} name - Session name
+ * @param {Object} tabState - { tabs, groups, activeTabId } as returned by TabManager.getState()
+ * @param {Object} [states] - Webview states by tab ID, as captured by WebviewStateManager
+ * @returns {Object} - Session
+ */
+export function createSession(name, { tabs = [], groups = [], activeTabId = null }, states = {}) {
+  if (!String(name || '').trim()) {
+    throw new Error('A session needs a name');
+  }
+
+  const now = new Date().toISOString();
+  return normalizeSession({
+    id: nanoid(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    activeTabId,
+    groups,
+    tabs: tabs.map(tab => {
+      const state = states[tab.id];
+      // Groups filled by clustering list their tabs without always updating the tab
+      const group = groups.find(g => g.id !== DEFAULT_GROUP_ID && (g.tabIds || []).includes(tab.id)) ||
+        groups.find(g => g.id === tab.groupId);
+      return {
+        ...tab,
+        url: state?.url || tab.url,
+        groupId: group ? group.id : DEFAULT_GROUP_ID,
+        scrollPosition: state?.scrollPosition
+      };
+    })
+  });
+}
+
+/**
+ * Load the saved sessions
+ * @returns {Array<Object>} - Sessions, most recently saved first
+ */
+export function listSessions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSIONS_STORAGE_KEY) || '[]');
+    return (Array.isArray(stored) ? stored : [])
+      .map(normalizeSession)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  } catch (error) {
+    sessionLogger.error('Error loading tab sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Store sessions
+ * @param {Array<Object>} sessions - Sessions
+ */
+function storeSessions(sessions) {
+  localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+}
+
+/**
+ * Get a saved session
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} - Session or null if not found
+ */
+export function getSession(sessionId) {
+  return listSessions().find(session => session.id === sessionId) || null;
+}
+
+/**
+ * Save a session
+ * A session with the same name is overwritten, keeping its ID and creation time.
+ * @param {Object} session - Session
+ * @returns {Object} - Saved session
+ */
+export function saveSession(session) {
+  const sessions = listSessions();
+  const saved = normalizeSession({ ...session, updatedAt: new Date().toISOString() });
+  if (!saved.name) {
+    throw new Error('A session needs a name');
+  }
+
+  const index = sessions.findIndex(existing => existing.id === saved.id ||
+    existing.name.toLowerCase() === saved.name.toLowerCase());
+  if (index === -1) {
+    sessions.unshift(saved);
+  } else {
+    saved.id = sessions[index].id;
+    saved.createdAt = sessions[index].createdAt;
+    sessions[index] = saved;
+  }
+
+  storeSessions(sessions);
+  sessionLogger.info(`Saved tab session "${saved.name}" with ${saved.tabs.length} tabs`);
+  return saved;
+}
+
+/**
+ * Delete a saved session
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - Whether the session was deleted
+ */
+export function deleteSession(sessionId) {
+  const sessions = listSessions();
+  const remaining = sessions.filter(session => session.id !== sessionId);
+  if (remaining.length === sessions.length) return false;
+
+  storeSessions(remaining);
+  return true;
+}
+
+/**
+ * Serialize sessions for export
+ * @param {Array<Object>} sessions - Sessions
+ * @returns {string} - JSON text
+ */
+export function exportSessions(sessions) {
+  return JSON.stringify({ version: EXPORT_VERSION, sessions: sessions.map(normalizeSession) }, null, 2);
+}
+
+/**
+ * Read sessions from exported JSON
+ * Accepts an export file, a bare array of sessions or a single session.
+ * @param {string} json - JSON text
+ * @returns {Array<Object>} - Sessions
+ * @throws {Error} When the text is not JSON or holds no valid session
+ */
+export function parseSessions(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Session file is not valid JSON: ${error.message}`);
+  }
+
+  const entries = (Array.isArray(data) ? data : (Array.isArray(data?.sessions) ? data.sessions : [data]))
+    .filter(entry => entry && typeof entry === 'object');
+  const sessions = entries.map(normalizeSession);
+
+  if (sessions.length === 0) {
+    throw new Error('Session file contains no sessions');
+  }
+  sessions.forEach((session, index) => {
+    if (!session.name || session.tabs.length === 0) {
+      throw new Error(`Session ${index + 1} needs a name and at least one tab with an http(s) URL`);
+    }
+
+    const dropped = (Array.isArray(entries[index].tabs) ? entries[index].tabs.length : 0) - session.tabs.length;
+    if (dropped > 0) {
+      sessionLogger.warn(`Dropped ${dropped} tabs without a restorable URL from session "${session.name}"`);
+    }
+  });
+
+  return sessions;
+}
+
+/**
+ * Import sessions from exported JSON
+ * An imported session replaces the saved one with the same ID or name.
+ * @param {string} json - JSON text
+ * @returns {Array<Object>} - Imported sessions
+ */
+export function importSessions(json) {
+  return parseSessions(json).map(saveSession);
+}
+
+export default {
+  SESSIONS_STORAGE_KEY,
+  isRestorableUrl,
+  normalizeSession,
+  createSession,
+  listSessions,
+  getSession,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  parseSessions,
+  importSessions
+};
@@ -7,6 +7,7 @@
 
 import TabManager from './TabManager.js';
 import webviewStateManager from './WebviewStateManager.js';
+import { createSession, getSession, saveSession } from './TabSessions.js';
 import StyleManager from '../handlers/StyleManager.js';
 import MetadataProcessor from '../extraction/processors/MetadataProcessor.js';
 
@@ -36,6 +37,9 @@ class VoyagerTabManager {
     this.maxConcurrentProcessing = 2;
     this.processingCount = 0;
     
+    // Tab session last saved or restored
+    this.activeSessionId = null;
+    
     // Initialize the tab manager
     this.init();
   }
@@ -1235,6 +1239,97 @@ class VoyagerTabManager {
     }
   }
   
+  /**
+   * Save the open tabs, their groups and scroll positions as a named session
+   * @param {string} name - Session name, e.g. "Project X research"
+   * @returns {Promise<Object>} - Saved session
+   */
+  async saveSession(name) {
+    if (this.isCleaningUp) return null;
+    
+    // The active tab's scroll position is only known to its page
+    const activeTab = this.tabManager.getActiveTab();
+    if (activeTab && this.voyager && this.voyager.webview) {
+      try {
+        await webviewStateManager.captureState(activeTab.id, this.voyager.webview);
+      } catch (error) {
+        console.warn('Failed to capture active tab state for session:', error);
+      }
+    }
+    
+    const states = {};
+    this.tabManager.getTabs().forEach(tab => {
+      const state = webviewStateManager.getState(tab.id);
+      if (state) {
+        states[tab.id] = state;
+      }
+    });
+    
+    const session = saveSession(createSession(name, this.tabManager.getState(), states));
+    this.activeSessionId = session.id;
+    return session;
+  }
+  
+  /**
+   * Replace the open tabs with those of a saved session
+   * Only the session's active tab is loaded; every other tab loads, at its saved scroll
+   * position, when it is first switched to.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Restored session
+   */
+  async restoreSession(sessionId) {
+    if (this.isCleaningUp) return null;
+    
+    const session = getSession(sessionId);
+    if (!session) {
+      throw new Error('Tab session not found');
+    }
+    if (session.tabs.length === 0) {
+      throw new Error(`Tab session "${session.name}" has no tabs`);
+    }
+    
+    // Navigation events of the replaced tabs must not update the restored ones
+    this.isSwitchingTabs = true;
+    this._lastTabSwitchTime = Date.now();
+    this._tabSwitchQueue = [];
+    
+    try {
+      this.tabManager.getTabs().forEach(tab => webviewStateManager.clearState(tab.id));
+      
+      this.tabManager.replaceState({
+        tabs: session.tabs.map(({ scrollPosition, ...tab }) => tab),
+        groups: session.groups,
+        activeTabId: session.activeTabId
+      });
+      session.tabs.forEach(tab => {
+        webviewStateManager.setState(tab.id, {
+          url: tab.url,
+          title: tab.title,
+          scrollPosition: tab.scrollPosition
+        });
+      });
+      this.activeSessionId = session.id;
+      
+      const activeTab = this.tabManager.getActiveTab();
+      if (activeTab && this.voyager) {
+        const restored = this.voyager.webview
+          ? await webviewStateManager.restoreState(activeTab.id, this.voyager.webview, activeTab.url)
+          : false;
+        if (!restored) {
+          await this.safeNavigate(activeTab.url);
+        }
+      }
+      
+      console.log(`📂 Restored tab session "${session.name}" with ${session.tabs.length} tabs`);
+      return session;
+    } finally {
+      setTimeout(() => {
+        this.isSwitchingTabs = false;
+        this._processTabSwitchQueue();
+      }, 700);
+    }
+  }
+  
   /**
    * Extract paragraphs from HTML content
    * @param {string} html - HTML content
@@ -460,6 +460,23 @@ class WebviewStateManager {
     return this.stateMap.get(tabId) || null;
   }
 
+  /**
+   * Set the saved state of a tab, e.g. one restored from a tab session
+   * The state is applied when the tab is next shown.
+   * @param {string} tabId - Tab ID
+   * @param {Object} state - State with url, title and scrollPosition
+   */
+  setState(tabId, state) {
+    if (!tabId || !state) return;
+
+    this.stateMap.set(tabId, {
+      timestamp: Date.now(),
+      formData: {},
+      ...state,
+      scrollPosition: state.scrollPosition || { x: 0, y: 0 }
+    });
+  }
+
   /**
    * Clear saved state for a tab
    * @param {string} tabId - Tab ID
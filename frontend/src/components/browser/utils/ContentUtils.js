@@ -22,6 +22,20 @@ export function sanitizeHTML(html) {
   return sanitized;
 }
 
+/**
+ * Escape text for use in HTML, inside elements or quoted attribute values
+ * @param {*} value - Value to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 /**
  * Apply rendering fixes to a document
  * @param {Document} doc - Document to apply fixes to
@@ -756,6 +770,7 @@ export function applyUrlSpecificTweaks(webview, url) {
 
 export default {
   sanitizeHTML,
+  escapeHTML,
   applyRenderingFixes,
   handleContentCSS,
   handleContentJavaScript,
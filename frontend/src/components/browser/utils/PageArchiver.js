@@ -0,0 +1,153 @@
+/**
+ * PageArchiver - Utility for full-page archives
+ *
+ * Captures the live DOM of the page open in the browser and has the backend turn it into a
+ * self-contained HTML file stored next to the page's item. Archives are opened through the
+ * webview-file protocol, which serves them from the library's web storage.
+ */
+
+import logger from '../../../utils/logger';
+
+const archiveLogger = logger.scope('PageArchiver');
+
+// Address prefix under which the webview-file protocol serves web storage
+export const ARCHIVE_URL_PREFIX = 'webview-file://web_storage/';
+
+// Runs in the page: serializes the DOM as rendered, keeping what a plain outerHTML would lose
+const CAPTURE_SCRIPT = `
+  (() => {
+    const clone = document.documentElement.cloneNode(true);
+
+    // Stylesheets filled through the CSSOM (CSS-in-JS) have rules but no text
+    const styles = document.querySelectorAll('style');
+    const clonedStyles = clone.querySelectorAll('style');
+    styles.forEach((style, index) => {
+      try {
+        if (!style.textContent.trim() && style.sheet && style.sheet.cssRules.length > 0 && clonedStyles[index]) {
+          clonedStyles[index].textContent = Array.from(style.sheet.cssRules).map(rule => rule.cssText).join('\\n');
+        }
+      } catch (error) {
+        // Rules of cross-origin sheets cannot be read
+      }
+    });
+
+    // Keep the image the browser picked from srcset
+    const images = document.querySelectorAll('img');
+    const clonedImages = clone.querySelectorAll('img');
+    images.forEach((image, index) => {
+      if (image.currentSrc && clonedImages[index]) {
+        clonedImages[index].setAttribute('src', image.currentSrc);
+      }
+    });
+
+    // Keep what was typed into form fields
+    const fields = document.querySelectorAll('input, textarea');
+    const clonedFields = clone.querySelectorAll('input, textarea');
+    fields.forEach((field, index) => {
+      const cloned = clonedFields[index];
+      if (!cloned || field.type === 'password') return;
+      if (field.tagName === 'TEXTAREA') {
+        cloned.textContent = field.value;
+      } else if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked ? cloned.setAttribute('checked', '') : cloned.removeAttribute('checked');
+      } else {
+        cloned.setAttribute('value', field.value);
+      }
+    });
+
+    const doctype = document.doctype ? '<!DOCTYPE ' + document.doctype.name + '>\\n' : '';
+    return {
+      url: location.href,
+      title: document.title,
+      html: doctype + clone.outerHTML,
+      text: document.body ? document.body.innerText : ''
+    };
+  })()
+`;
+
+/**
+ * Build the address of an archive
+ * @param {Object} archive - Archive returned by the backend
+ * @returns {string} webview-file URL of the archive
+ */
+export function archiveUrl(archive) {
+  return ARCHIVE_URL_PREFIX + archive.path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Check whether an address is an archived copy
+ * @param {string} url - Address
+ * @returns {boolean} True for archives
+ */
+export function isArchiveUrl(url) {
+  return typeof url === 'string' && url.startsWith(ARCHIVE_URL_PREFIX);
+}
+
+/**
+ * Serialize the DOM of the page open in the browser
+ * @param {Object} browser - Browser instance
+ * @returns {Promise<Object>} { url, title, html, text }
+ */
+export async function capturePageDom(browser) {
+  if (browser.webview && typeof browser.webview.executeJavaScript === 'function') {
+    return browser.webview.executeJavaScript(CAPTURE_SCRIPT);
+  }
+  if (browser.contentFrame && browser.contentFrame.contentWindow) {
+    return browser.contentFrame.contentWindow.eval(CAPTURE_SCRIPT);
+  }
+  throw new Error('There is no page to archive');
+}
+
+/**
+ * Archive the page open in the browser
+ * The page is added to the library first if it is not there yet.
+ * @param {Object} browser - Browser instance
+ * @returns {Promise<Object>} { itemId, saved, archive }
+ */
+export async function archiveCurrentPage(browser) {
+  const url = browser.state?.url || browser.currentUrl || '';
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error('Only web pages can be archived');
+  }
+
+  const page = await capturePageDom(browser);
+  if (!page || !page.html) {
+    throw new Error('The page could not be captured');
+  }
+
+  const response = await window.api.archivePage({ ...page, url: page.url || url });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'The page could not be archived');
+  }
+  archiveLogger.info(`Archived ${url} for item ${response.itemId}`);
+
+  // A page archived before it was saved is now a library item too
+  if (response.saved) {
+    document.dispatchEvent(new CustomEvent('content:updated', {
+      detail: { itemId: response.itemId, source: 'archive' }
+    }));
+  }
+  return response;
+}
+
+/**
+ * List archives
+ * @param {string} [itemId] - Item whose archives to list; every archive when omitted
+ * @returns {Promise<Array<Object>>} Archives, newest first
+ */
+export async function listArchives(itemId) {
+  const response = await window.api.getPageArchives(itemId);
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Archives could not be loaded');
+  }
+  return response.archives;
+}
+
+export default {
+  ARCHIVE_URL_PREFIX,
+  archiveUrl,
+  isArchiveUrl,
+  capturePageDom,
+  archiveCurrentPage,
+  listArchives
+};
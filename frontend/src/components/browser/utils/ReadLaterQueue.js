@@ -0,0 +1,185 @@
+/**
+ * ReadLaterQueue - Utility for the "save for later" queue
+ *
+ * Queued articles are offline snapshots of the reader view: the cleaned reader HTML of the page
+ * and its images, kept by the backend together with each article's read status and progress.
+ */
+
+import DOMPurify from 'dompurify';
+import logger from '../../../utils/logger';
+import ExtractorManager from '../extraction/ExtractorManager';
+import WorkerManager from './WorkerManager';
+
+const readLaterLogger = logger.scope('ReadLaterQueue');
+
+/**
+ * Check the response of a read-later call
+ * @param {Object} response - IPC response
+ * @param {string} fallbackError - Message used when the response has none
+ * @returns {Object} The response
+ */
+function checkResponse(response, fallbackError) {
+  if (!response || !response.success) {
+    throw new Error(response?.error || fallbackError);
+  }
+  return response;
+}
+
+/**
+ * Turn plain text into paragraphs of HTML
+ * @param {string} text - Extracted text
+ * @returns {string} HTML
+ */
+function textToHtml(text) {
+  const container = document.createElement('div');
+  text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    const element = document.createElement('p');
+    element.textContent = paragraph;
+    container.appendChild(element);
+  });
+  return container.innerHTML;
+}
+
+/**
+ * Clean reader HTML with the browser worker's sanitizer
+ * Falls back to DOMPurify when the worker is not available.
+ * @param {string} html - Reader HTML
+ * @returns {Promise<string>} Sanitized HTML
+ */
+export async function sanitizeArticleHtml(html) {
+  try {
+    return await WorkerManager.executeTask('sanitize-html', { html });
+  } catch (error) {
+    readLaterLogger.warn(`Worker sanitizer unavailable, using DOMPurify: ${error.message}`);
+    return DOMPurify.sanitize(html);
+  }
+}
+
+/**
+ * Capture the current page as a read-later article
+ * Uses the reader content already extracted for the page, or extracts it.
+ * @param {Object} browser - Browser instance
+ * @returns {Promise<Object>} { url, title, html, text, byline, siteName, excerpt }
+ */
+export async function captureArticle(browser) {
+  const url = browser.state?.url || browser.currentUrl || '';
+  if (!url) {
+    throw new Error('There is no page to save');
+  }
+
+  let content = browser.state?.readerContent;
+  if (!content || content.url !== url || content.readLaterId) {
+    content = await ExtractorManager.extract(browser, url);
+  }
+  if (!content || content.extractionSuccess === false || !(content.text || content.processedContent || content.html)) {
+    throw new Error(content?.error || 'No readable content found on this page');
+  }
+
+  const html = content.processedContent || content.html || textToHtml(content.text || '');
+
+  return {
+    url,
+    title: content.title || browser.state?.title || url,
+    html: await sanitizeArticleHtml(html),
+    text: content.text || '',
+    byline: content.byline || content.metadata?.author || '',
+    siteName: content.siteName || '',
+    excerpt: content.excerpt || content.summary || ''
+  };
+}
+
+/**
+ * Save the current page for later reading
+ * @param {Object} browser - Browser instance
+ * @returns {Promise<Object>} The queue entry; `duplicate` is true if the page was already queued
+ */
+export async function saveForLater(browser) {
+  const article = await captureArticle(browser);
+  const response = checkResponse(await window.api.addReadLater(article), 'Article could not be saved for later');
+  readLaterLogger.info(`Saved ${article.url} for later`);
+  return response.article;
+}
+
+/**
+ * List the queued articles
+ * @param {string} [status] - 'unread' or 'read' to list only those
+ * @returns {Promise<Array<Object>>} Queue entries, newest first
+ */
+export async function listQueue(status) {
+  const response = checkResponse(
+    await window.api.listReadLater(status ? { status } : {}),
+    'Read-later queue could not be loaded'
+  );
+  return response.articles;
+}
+
+/**
+ * Get a queued article with its offline HTML
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} { entry, url, title, byline, siteName, html, text }
+ */
+export async function getArticle(id) {
+  const response = checkResponse(await window.api.getReadLater(id), 'Article could not be loaded');
+  return response.article;
+}
+
+/**
+ * Record how far an article has been read
+ * @param {string} id - Article ID
+ * @param {number} progress - Share of the article read, 0-1
+ * @returns {Promise<Object>} The updated entry
+ */
+export async function saveProgress(id, progress) {
+  const response = checkResponse(await window.api.updateReadLater(id, { progress }), 'Reading progress could not be saved');
+  return response.article;
+}
+
+/**
+ * Mark an article read or unread
+ * @param {string} id - Article ID
+ * @param {boolean} read - Whether the article has been read
+ * @returns {Promise<Object>} The updated entry
+ */
+export async function markRead(id, read = true) {
+  const response = checkResponse(
+    await window.api.updateReadLater(id, { status: read ? 'read' : 'unread' }),
+    'Article could not be updated'
+  );
+  return response.article;
+}
+
+/**
+ * Remove an article from the queue
+ * @param {string} id - Article ID
+ * @returns {Promise<void>}
+ */
+export async function removeFromQueue(id) {
+  checkResponse(await window.api.removeReadLater(id), 'Article could not be removed');
+}
+
+/**
+ * Add a queued article to the Sieve
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} { article, id, title, duplicate } with the ID of the new item
+ */
+export async function promoteToSieve(id) {
+  const response = checkResponse(await window.api.promoteReadLater(id), 'Article could not be added to the Sieve');
+
+  // Let the library pick up the new item
+  document.dispatchEvent(new CustomEvent('content:updated', {
+    detail: { itemId: response.id, source: 'read-later' }
+  }));
+  return response;
+}
+
+export default {
+  sanitizeArticleHtml,
+  captureArticle,
+  saveForLater,
+  listQueue,
+  getArticle,
+  saveProgress,
+  markRead,
+  removeFromQueue,
+  promoteToSieve
+};
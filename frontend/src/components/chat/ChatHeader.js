@@ -11,6 +11,107 @@ class ChatHeader {
     this.container = null;
     this.onMenuToggle = null;
     this.onNewChat = null;
+    this.conversationTitle = null;
+    this.profiles = [];
+    this.activeProfileId = null;
+    this.onProfileChange = null;
+    this.ragEnabled = false;
+    this.onRagToggle = null;
+  }
+
+  /**
+   * Show whether "Ask the Sieve" mode is on
+   * @param {boolean} enabled - Whether answers come only from passages retrieved from the Sieve
+   */
+  setRagMode(enabled) {
+    this.ragEnabled = !!enabled;
+    
+    // Update the rendered toggle if already rendered
+    if (this.container) {
+      const toggle = this.container.querySelector('.rag-toggle');
+      if (toggle) {
+        this.updateRagToggle(toggle);
+      }
+    }
+  }
+
+  /**
+   * Set the "Ask the Sieve" toggle callback
+   * @param {Function} callback - Function called with whether the mode was switched on
+   */
+  setRagToggleCallback(callback) {
+    this.onRagToggle = callback;
+  }
+
+  /**
+   * Reflect the "Ask the Sieve" mode on its toggle button
+   * @param {HTMLButtonElement} toggle - The toggle button
+   */
+  updateRagToggle(toggle) {
+    toggle.classList.toggle('active', this.ragEnabled);
+    toggle.setAttribute('aria-pressed', String(this.ragEnabled));
+    toggle.title = this.ragEnabled
+      ? 'Answering only from passages in your Sieve'
+      : 'Answer only from passages in your Sieve';
+  }
+
+  /**
+   * Show the prompt profiles the current conversation can switch between
+   * @param {Array<Object>} profiles - Prompt profiles ({ id, name })
+   * @param {string} activeId - ID of the profile the conversation uses
+   */
+  setProfiles(profiles, activeId) {
+    this.profiles = profiles || [];
+    this.activeProfileId = activeId;
+    
+    // Update the rendered selector if already rendered
+    if (this.container) {
+      const select = this.container.querySelector('.profile-select');
+      if (select) {
+        this.fillProfileSelect(select);
+      }
+    }
+  }
+
+  /**
+   * Set the profile change callback
+   * @param {Function} callback - Function called with the profile ID chosen for the conversation
+   */
+  setProfileChangeCallback(callback) {
+    this.onProfileChange = callback;
+  }
+
+  /**
+   * Fill the profile selector with the known profiles
+   * @param {HTMLSelectElement} select - The selector
+   */
+  fillProfileSelect(select) {
+    select.innerHTML = '';
+    this.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = this.activeProfileId || '';
+    select.style.display = this.profiles.length > 1 ? '' : 'none';
+  }
+
+  /**
+   * Show the title of the current conversation next to the app title
+   * @param {string|null} title - Conversation title, or null for a new chat
+   */
+  setConversationTitle(title) {
+    this.conversationTitle = title;
+    
+    // Update the rendered title if already rendered
+    if (this.container) {
+      const titleElement = this.container.querySelector('.conversation-title');
+      if (titleElement) {
+        titleElement.textContent = title || '';
+        titleElement.title = title || '';
+      }
+    }
   }
 
   /**
@@ -88,14 +189,53 @@ class ChatHeader {
       </svg>
     `;
     
+    // Title of the current conversation
+    const conversationTitle = document.createElement('span');
+    conversationTitle.className = 'conversation-title';
+    conversationTitle.textContent = this.conversationTitle || '';
+    conversationTitle.title = this.conversationTitle || '';
+    
     titleContainer.appendChild(menuToggle);
     titleContainer.appendChild(appIcon);
     titleContainer.appendChild(titleText);
+    titleContainer.appendChild(conversationTitle);
     
     // Right side - Action buttons
     const actions = document.createElement('div');
     actions.className = 'header-actions';
     
+    // Prompt profile of the current conversation
+    const profileSelect = document.createElement('select');
+    profileSelect.className = 'profile-select';
+    profileSelect.title = 'Assistant profile for this chat';
+    profileSelect.setAttribute('aria-label', 'Assistant profile for this chat');
+    this.fillProfileSelect(profileSelect);
+    profileSelect.addEventListener('change', () => {
+      this.activeProfileId = profileSelect.value;
+      this.onProfileChange?.(profileSelect.value);
+    });
+    
+    actions.appendChild(profileSelect);
+    
+    // "Ask the Sieve" mode: answers grounded in passages retrieved from the knowledge base
+    const ragToggle = document.createElement('button');
+    ragToggle.type = 'button';
+    ragToggle.className = 'header-button rag-toggle';
+    ragToggle.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="11" cy="11" r="8"></circle>
+        <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+      </svg>
+      <span>Ask the Sieve</span>
+    `;
+    this.updateRagToggle(ragToggle);
+    ragToggle.addEventListener('click', () => {
+      this.setRagMode(!this.ragEnabled);
+      this.onRagToggle?.(this.ragEnabled);
+    });
+    
+    actions.appendChild(ragToggle);
+    
     // New Chat button
     const newChatButton = document.createElement('button');
     newChatButton.className = 'header-button new-chat-button';
@@ -1,19 +1,34 @@
 /**
  * ChatInput Component - Input field for chat messages
+ * Files and URLs dropped or pasted into it are attached to the next message.
  */
+
+// A pasted or dropped text that is only a web address
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
 class ChatInput {
   /**
    * Constructor for ChatInput component
-   * @param {Function} onSubmit - Callback function for message submission
+   * @param {Function} onSubmit - Callback function for message submission, called with (message, attachments)
+   * @param {Function} onCancel - Callback function to stop the response being streamed
+   * @param {Object} attachmentHandlers - { extract(source), promote(attachment) }; without it nothing can be attached
    */
-  constructor(onSubmit) {
+  constructor(onSubmit, onCancel = null, attachmentHandlers = null) {
     this.container = null;
     this.inputField = null;
     this.submitButton = null;
+    this.stopButton = null;
+    this.attachmentList = null;
     this.onSubmit = onSubmit;
+    this.onCancel = onCancel;
+    this.attachmentHandlers = attachmentHandlers;
     this.isDisabled = false;
+    this.isStreaming = false;
     this.placeholderText = 'Ask a question...';
     
+    // Attachments waiting for the next message: { key, label, status ('reading' | 'ready'), saving, attachment }
+    this.attachments = [];
+    
     // Flag to track if this instance was created by ChatUI (not by App)
     this.isOwnInstance = true;
     
@@ -21,7 +36,9 @@ class ChatInput {
     this.handleSubmit = this.handleSubmit.bind(this);
     this.submitMessage = this.submitMessage.bind(this);
     this.setDisabled = this.setDisabled.bind(this);
+    this.setStreaming = this.setStreaming.bind(this);
     this.focus = this.focus.bind(this);
+    this.addAttachment = this.addAttachment.bind(this);
     this.render = this.render.bind(this);
     this.cleanup = this.cleanup.bind(this);
   }
@@ -58,6 +75,27 @@ class ChatInput {
     }
   }
 
+  /**
+   * Show the stop button in place of the send button while a response is streamed
+   * @param {boolean} isStreaming - Whether a response is being streamed
+   */
+  setStreaming(isStreaming) {
+    this.isStreaming = isStreaming;
+    
+    if (this.container) {
+      const sendButton = this.container.querySelector('.send-button');
+      const stopButton = this.container.querySelector('.stop-button');
+      
+      if (sendButton) {
+        sendButton.style.display = this.isStreaming ? 'none' : '';
+      }
+      
+      if (stopButton) {
+        stopButton.style.display = this.isStreaming ? '' : 'none';
+      }
+    }
+  }
+
   /**
    * Focus the input field
    */
@@ -70,6 +108,181 @@ class ChatInput {
     }
   }
 
+  /**
+   * Read a file or URL and attach it to the next message
+   * @param {Object} source - { filePath }, { url } or { name, data } with base64 data
+   * @returns {Promise<void>}
+   */
+  async addAttachment(source) {
+    if (!this.attachmentHandlers) {
+      return;
+    }
+    
+    const entry = {
+      key: `attachment-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+      label: source.url || source.name || source.filePath.split(/[\\/]/).pop(),
+      status: 'reading',
+      saving: false,
+      attachment: null
+    };
+    this.attachments.push(entry);
+    this.renderAttachments();
+    
+    try {
+      entry.attachment = await this.attachmentHandlers.extract(source);
+      entry.status = 'ready';
+    } catch (error) {
+      // The handler reports the failure; just drop the attachment
+      console.error('Error reading attachment:', error);
+      this.attachments = this.attachments.filter(other => other !== entry);
+    }
+    
+    this.renderAttachments();
+  }
+
+  /**
+   * Remove an attachment before the message is sent
+   * @param {string} key - Key of the attachment
+   */
+  removeAttachment(key) {
+    this.attachments = this.attachments.filter(entry => entry.key !== key);
+    this.renderAttachments();
+  }
+
+  /**
+   * Keep an attachment as a permanent item
+   * @param {Object} entry - Attachment entry
+   * @returns {Promise<void>}
+   */
+  async promoteAttachment(entry) {
+    if (!this.attachmentHandlers || entry.saving || entry.attachment.promoted) {
+      return;
+    }
+    
+    entry.saving = true;
+    this.renderAttachments();
+    
+    try {
+      await this.attachmentHandlers.promote(entry.attachment);
+    } catch (error) {
+      console.error('Error saving attachment:', error);
+    }
+    
+    entry.saving = false;
+    this.renderAttachments();
+  }
+
+  /**
+   * Check whether an attachment is still being read
+   * @returns {boolean} - Whether any attachment is not ready yet
+   */
+  hasPendingAttachments() {
+    return this.attachments.some(entry => entry.status !== 'ready');
+  }
+
+  /**
+   * Take the attachments for the message being sent, clearing them from the input
+   * @returns {Array<Object>} - The attachments
+   */
+  takeAttachments() {
+    const attachments = this.attachments.map(entry => entry.attachment);
+    this.attachments = [];
+    this.renderAttachments();
+    return attachments;
+  }
+
+  /**
+   * Check whether dropped or pasted data holds files or a URL
+   * @param {DataTransfer} dataTransfer - Drop or clipboard data
+   * @returns {boolean} - Whether it can be attached
+   */
+  hasAttachableData(dataTransfer) {
+    if (dataTransfer?.files?.length > 0) {
+      return true;
+    }
+    const text = (dataTransfer?.getData('text/uri-list') || dataTransfer?.getData('text/plain') || '').trim();
+    return URL_PATTERN.test(text);
+  }
+
+  /**
+   * Turn dropped or pasted data into attachment sources
+   * @param {DataTransfer} dataTransfer - Drop or clipboard data
+   * @returns {Promise<Array<Object>>} - Sources for addAttachment; empty if it holds neither files nor a URL
+   */
+  async getAttachmentSources(dataTransfer) {
+    const files = Array.from(dataTransfer?.files || []);
+    if (files.length > 0) {
+      // Electron gives dropped files a path; pasted images only exist in memory
+      return Promise.all(files.map(async file => file.path
+        ? { filePath: file.path }
+        : { name: file.name || 'pasted-image.png', data: await this.readFileData(file) }));
+    }
+    
+    const text = (dataTransfer?.getData('text/uri-list') || dataTransfer?.getData('text/plain') || '').trim();
+    return URL_PATTERN.test(text) ? [{ url: text }] : [];
+  }
+
+  /**
+   * Read a file as base64
+   * @param {File} file - File to read
+   * @returns {Promise<string>} - Base64 encoded contents
+   */
+  readFileData(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Render the row of attachments above the input
+   */
+  renderAttachments() {
+    if (!this.attachmentList) {
+      return;
+    }
+    
+    this.attachmentList.innerHTML = '';
+    this.attachmentList.style.display = this.attachments.length > 0 ? '' : 'none';
+    
+    this.attachments.forEach(entry => {
+      const chip = document.createElement('div');
+      chip.className = 'chat-attachment';
+      chip.dataset.status = entry.status;
+      chip.dataset.kind = entry.attachment?.kind || '';
+      chip.title = entry.attachment?.truncated
+        ? `${entry.label} (only the start of the text is attached)`
+        : entry.label;
+      
+      const label = document.createElement('span');
+      label.className = 'chat-attachment-label';
+      label.textContent = entry.status === 'reading' ? `Reading ${entry.label}...` : entry.attachment.title;
+      chip.appendChild(label);
+      
+      if (entry.status === 'ready') {
+        const saveButton = document.createElement('button');
+        saveButton.type = 'button';
+        saveButton.className = 'chat-attachment-save';
+        saveButton.disabled = entry.saving || !!entry.attachment.promoted;
+        saveButton.textContent = entry.attachment.promoted ? 'Saved' : entry.saving ? 'Saving...' : 'Save to Sieve';
+        saveButton.addEventListener('click', () => this.promoteAttachment(entry));
+        chip.appendChild(saveButton);
+      }
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'chat-attachment-remove';
+      removeButton.title = 'Remove attachment';
+      removeButton.textContent = '×';
+      removeButton.addEventListener('click', () => this.removeAttachment(entry.key));
+      chip.appendChild(removeButton);
+      
+      this.attachmentList.appendChild(chip);
+    });
+  }
+
   /**
    * Actually submit the message to the onSubmit callback
    * Separate from handleSubmit to allow direct calling
@@ -98,6 +311,11 @@ class ChatInput {
       return;
     }
     
+    if (this.hasPendingAttachments()) {
+      console.log('Attachments are still being read, not submitting');
+      return;
+    }
+    
     console.log('ChatInput submitting message:', message);
     
     // Disable the input immediately to prevent double submissions
@@ -105,6 +323,7 @@ class ChatInput {
     
     // Clear input field before calling onSubmit to prevent double submissions
     inputField.value = '';
+    const attachments = this.takeAttachments();
     
     // Safely call the onSubmit callback
     try {
@@ -112,7 +331,7 @@ class ChatInput {
         console.log('Calling onSubmit callback with message:', message);
         // Add a try-catch around the actual callback invocation
         try {
-          this.onSubmit(message);
+          this.onSubmit(message, attachments);
           console.log('onSubmit completed successfully');
         } catch (callbackError) {
           console.error('Error occurred while executing onSubmit callback:', callbackError);
@@ -181,6 +400,27 @@ class ChatInput {
       </svg>
     `;
     
+    const stopButton = document.createElement('button');
+    stopButton.type = 'button';
+    stopButton.className = 'stop-button';
+    stopButton.title = 'Stop response';
+    stopButton.style.display = this.isStreaming ? '' : 'none';
+    sendButton.style.display = this.isStreaming ? 'none' : '';
+    stopButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="stop-icon">
+        <rect x="6" y="6" width="12" height="12" rx="2"></rect>
+      </svg>
+    `;
+    
+    stopButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      console.log('Stop button clicked');
+      
+      if (typeof this.onCancel === 'function') {
+        this.onCancel();
+      }
+    });
+    
     // Log the onSubmit callback to verify it's valid
     console.log('onSubmit callback type:', typeof this.onSubmit);
     
@@ -215,6 +455,34 @@ class ChatInput {
     
     input.addEventListener('keydown', keydownHandler);
     
+    if (this.attachmentHandlers) {
+      // Pasted files, images and URLs become attachments; other text is pasted as usual
+      input.addEventListener('paste', async (e) => {
+        if (!this.hasAttachableData(e.clipboardData)) {
+          return;
+        }
+        e.preventDefault();
+        const sources = await this.getAttachmentSources(e.clipboardData);
+        sources.forEach(this.addAttachment);
+      });
+      
+      inputContainer.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        inputContainer.classList.add('drag-over');
+      });
+      
+      inputContainer.addEventListener('dragleave', () => {
+        inputContainer.classList.remove('drag-over');
+      });
+      
+      inputContainer.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        inputContainer.classList.remove('drag-over');
+        const sources = await this.getAttachmentSources(e.dataTransfer);
+        sources.forEach(this.addAttachment);
+      });
+    }
+    
     // Direct click handler on the button for better mobile support
     sendButton.addEventListener('click', (e) => {
       console.log('Send button clicked');
@@ -234,13 +502,21 @@ class ChatInput {
       boundHandleSubmit();
     });
     
+    const attachmentList = document.createElement('div');
+    attachmentList.className = 'chat-attachments';
+    
     inputForm.appendChild(input);
     inputForm.appendChild(sendButton);
+    inputForm.appendChild(stopButton);
+    inputContainer.appendChild(attachmentList);
     inputContainer.appendChild(inputForm);
     
     this.container = inputContainer;
+    this.attachmentList = attachmentList;
+    this.renderAttachments();
     this.inputField = input;
     this.submitButton = sendButton;
+    this.stopButton = stopButton;
     
     return inputContainer;
   }
@@ -260,6 +536,8 @@ class ChatInput {
     }
     this.inputField = null;
     this.submitButton = null;
+    this.stopButton = null;
+    this.attachmentList = null;
   }
 }
 
@@ -26,6 +26,7 @@ class ChatMessages {
     this.isLoading = isLoading;
     this.observer = null;
     this.thinkingVisualization = null;
+    this.streamingFrame = null; // Pending animation frame for the streaming message
     this.setupIntersectionObserver();
     
     // Track if a rebuild is needed
@@ -158,7 +159,7 @@ class ChatMessages {
         }
         
         // Add thinking visualization if needed
-        if (this.isLoading) {
+        if (this.isLoading && !this.isStreaming()) {
           this.container.appendChild(this.renderThinkingVisualization());
         }
         
@@ -232,7 +233,7 @@ class ChatMessages {
       }
       
       // Add thinking visualization if needed
-      if (this.isLoading) {
+      if (this.isLoading && !this.isStreaming()) {
         newContainer.appendChild(this.renderThinkingVisualization());
       }
       
@@ -313,6 +314,10 @@ class ChatMessages {
     const messageElement = document.createElement('div');
     messageElement.className = `message ${isUser ? 'user-message' : 'assistant-message'} ${isError ? 'error-message' : ''} ${isTool ? 'tool-message' : ''}`;
     messageElement.setAttribute('data-message-role', role);
+    if (message.streaming) {
+      messageElement.setAttribute('data-streaming', 'true');
+      messageElement.classList.add('streaming-message');
+    }
     
     // Add fade-in animation
     messageElement.style.opacity = '0';
@@ -398,6 +403,17 @@ class ChatMessages {
       try {
         const formattedContent = messageFormatter.formatMessageContent(content);
         messageContent.innerHTML = formattedContent;
+        
+        // Turn [n] markers into links to the cited passages and list the sources below
+        if (Array.isArray(message.citations) && message.citations.length > 0) {
+          this.linkCitationMarkers(messageContent, message.citations);
+          messageContent.appendChild(this.createCitationsElement(message.citations));
+        }
+        
+        // List the files and links the message was sent with
+        if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+          messageContent.appendChild(this.createAttachmentsElement(message.attachments));
+        }
       } catch (error) {
         messagesLogger.error('Error formatting message content:', error);
         messageContent.textContent = content || "Error displaying message content";
@@ -444,7 +460,7 @@ class ChatMessages {
               messagesLogger.debug(`Rendering tool call ${index + 1}/${message.toolCalls.length}:`, 
                 { name: processedToolCall.name || processedToolCall.toolName });
               
-              const toolCallElement = this.createToolCallElement(processedToolCall);
+              const toolCallElement = this.createToolCallElement({ ...processedToolCall, step: toolCall.step });
               if (toolCallElement) {
                 toolCallsContainer.appendChild(toolCallElement);
                 successfulRenders++;
@@ -529,6 +545,252 @@ class ChatMessages {
     return messageElement;
   }
 
+  /**
+   * Check whether the last message is a reply that is still being streamed
+   * @returns {boolean} - Whether a message is streaming
+   */
+  isStreaming() {
+    const lastMessage = this.messages[this.messages.length - 1];
+    return Boolean(lastMessage && lastMessage.streaming);
+  }
+
+  /**
+   * Re-render the streaming message with the text and tool calls received so far
+   * Updates are batched to one per animation frame, and the message element is kept
+   * so its entrance animation does not replay on every token.
+   * @param {Object} message - The streaming message object
+   */
+  updateStreamingMessage(message) {
+    this.pendingStreamingMessage = message;
+    
+    if (this.streamingFrame) {
+      return;
+    }
+    
+    this.streamingFrame = requestAnimationFrame(() => {
+      this.streamingFrame = null;
+      
+      const messageElement = this.container?.querySelector('.message[data-streaming="true"]');
+      if (!messageElement || !this.pendingStreamingMessage) {
+        return;
+      }
+      
+      try {
+        const renderedElement = this.createMessageElement(this.pendingStreamingMessage);
+        messageElement.replaceChildren(...renderedElement.childNodes);
+        this.scrollToBottom();
+      } catch (error) {
+        messagesLogger.error('Error updating streaming message:', error);
+      }
+    });
+  }
+
+  /**
+   * Re-render a message that changed after it was added, such as a tool call whose agent step finished
+   * Agent steps the user expanded stay expanded.
+   * @param {Object} message - The message object, as passed to update
+   */
+  refreshMessage(message) {
+    const index = this.messages.indexOf(message);
+    const messageElement = index === -1 ? null : this.container?.querySelectorAll('.message')[index];
+    if (!messageElement) {
+      return;
+    }
+    
+    try {
+      const expandedSteps = new Set([...messageElement.querySelectorAll('.agent-step[open]')]
+        .map(element => element.dataset.toolCallId));
+      
+      const renderedElement = this.createMessageElement(message);
+      messageElement.replaceChildren(...renderedElement.childNodes);
+      
+      messageElement.querySelectorAll('.agent-step').forEach(element => {
+        element.open = expandedSteps.has(element.dataset.toolCallId);
+      });
+    } catch (error) {
+      messagesLogger.error('Error refreshing message:', error);
+    }
+  }
+
+  /**
+   * Remove the streaming message element once the final reply replaces it
+   */
+  removeStreamingMessage() {
+    if (this.streamingFrame) {
+      cancelAnimationFrame(this.streamingFrame);
+      this.streamingFrame = null;
+    }
+    this.pendingStreamingMessage = null;
+    
+    const messageElement = this.container?.querySelector('.message[data-streaming="true"]');
+    if (messageElement) {
+      messageElement.remove();
+    }
+  }
+
+  /**
+   * Replace the [n] citation markers in rendered message content with footnote links
+   * Markers inside code are left alone.
+   * @param {HTMLElement} element - Rendered message content
+   * @param {Array} citations - Citations of the message
+   */
+  linkCitationMarkers(element, citations) {
+    const citationsByIndex = new Map(citations.map(citation => [citation.index, citation]));
+    const markerPattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+    
+    const textNodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.parentElement.closest('pre, code') && node.textContent.match(markerPattern)) {
+        textNodes.push(node);
+      }
+    }
+    
+    textNodes.forEach(node => {
+      const text = node.textContent;
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      
+      text.replace(markerPattern, (marker, numbers, offset) => {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+        numbers.split(',').forEach(number => {
+          const citation = citationsByIndex.get(parseInt(number, 10));
+          fragment.appendChild(citation
+            ? this.createCitationMarker(citation)
+            : document.createTextNode(`[${number.trim()}]`));
+        });
+        lastIndex = offset + marker.length;
+        return marker;
+      });
+      
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+  
+  /**
+   * Create the inline link for a citation marker
+   * @param {Object} citation - Citation to open
+   * @returns {HTMLElement} - The marker element
+   */
+  createCitationMarker(citation) {
+    const marker = document.createElement('sup');
+    marker.className = 'citation-marker';
+    
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.textContent = citation.index;
+    link.title = citation.title || 'Untitled';
+    link.addEventListener('click', () => this.openCitation(citation));
+    
+    marker.appendChild(link);
+    return marker;
+  }
+  
+  /**
+   * Create the numbered footnotes listing the sources a message cites
+   * @param {Array} citations - Citations of the message
+   * @returns {HTMLElement} - The footnotes element
+   */
+  createCitationsElement(citations) {
+    const container = document.createElement('div');
+    container.className = 'message-citations';
+    
+    const heading = document.createElement('div');
+    heading.className = 'message-citations-title';
+    heading.textContent = 'Sources';
+    container.appendChild(heading);
+    
+    const list = document.createElement('ol');
+    citations.forEach(citation => {
+      const item = document.createElement('li');
+      item.value = citation.index;
+      
+      const footnote = document.createElement('button');
+      footnote.type = 'button';
+      footnote.className = 'citation-footnote';
+      footnote.addEventListener('click', () => this.openCitation(citation));
+      
+      const title = document.createElement('span');
+      title.className = 'citation-title';
+      title.textContent = citation.title || 'Untitled';
+      footnote.appendChild(title);
+      
+      if (citation.quote) {
+        const quote = document.createElement('span');
+        quote.className = 'citation-quote';
+        quote.textContent = `"${citation.quote}"`;
+        footnote.appendChild(quote);
+      }
+      
+      item.appendChild(footnote);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+    
+    return container;
+  }
+  
+  /**
+   * Create the list of files and links attached to a message
+   * Attachments not yet in the library can be saved to it from here.
+   * @param {Array} attachments - Attachments of the message
+   * @returns {HTMLElement} - The attachments element
+   */
+  createAttachmentsElement(attachments) {
+    const container = document.createElement('div');
+    container.className = 'message-attachments';
+    
+    attachments.forEach(attachment => {
+      const chip = document.createElement('div');
+      chip.className = 'chat-attachment';
+      chip.dataset.status = 'ready';
+      chip.dataset.kind = attachment.kind || '';
+      
+      const label = document.createElement('span');
+      label.className = 'chat-attachment-label';
+      label.textContent = attachment.title || 'Attachment';
+      chip.appendChild(label);
+      
+      const saveButton = document.createElement('button');
+      saveButton.type = 'button';
+      saveButton.className = 'chat-attachment-save';
+      saveButton.disabled = !!attachment.promoted;
+      saveButton.textContent = attachment.promoted ? 'Saved' : 'Save to Sieve';
+      saveButton.addEventListener('click', () => {
+        saveButton.disabled = true;
+        saveButton.textContent = 'Saving...';
+        document.dispatchEvent(new CustomEvent('attachment:promote', { detail: { attachment } }));
+      });
+      chip.appendChild(saveButton);
+      
+      container.appendChild(chip);
+    });
+    
+    return container;
+  }
+  
+  /**
+   * Open a cited item in the content viewer at the quoted passage
+   * @param {Object} citation - Citation to open
+   */
+  openCitation(citation) {
+    messagesLogger.debug(`Opening citation ${citation.index} of item ${citation.itemId}`);
+    document.dispatchEvent(new CustomEvent('content:selected', {
+      detail: {
+        itemId: citation.itemId,
+        itemData: {
+          id: citation.itemId,
+          title: citation.title,
+          sourceType: citation.sourceType,
+          textChunk: citation.quote,
+          citation
+        }
+      }
+    }));
+  }
+
   /**
    * Create a tool call element with enhanced styling
    * @param {Object} toolCall - The tool call object
@@ -540,6 +802,11 @@ class ChatMessages {
       return document.createElement('div'); // Return empty div as fallback
     }
     
+    // Tool calls run by the agent loop are shown as a collapsible step of its trace
+    if (toolCall.step) {
+      return this.createAgentStepElement(toolCall);
+    }
+    
     try {
       // Log the tool call for debugging
       messagesLogger.debug('Rendering tool call with ToolRenderer:', { 
@@ -593,6 +860,51 @@ class ChatMessages {
     }
   }
 
+  /**
+   * Create a collapsible agent step: a summary line with the step number, tool and status,
+   * expanding to the tool call itself
+   * @param {Object} toolCall - Normalized tool call with its step ({ number, status, durationMs, error })
+   * @returns {HTMLElement} - The step element
+   */
+  createAgentStepElement(toolCall) {
+    const { step } = toolCall;
+    const name = toolCall.name || toolCall.toolName || 'Unknown Tool';
+    
+    const stepElement = document.createElement('details');
+    stepElement.className = 'agent-step';
+    stepElement.dataset.status = step.status;
+    stepElement.dataset.toolCallId = toolCall.id || '';
+    
+    const statusText = {
+      pending: 'waiting',
+      running: 'running...',
+      completed: `done in ${((step.durationMs || 0) / 1000).toFixed(1)}s`,
+      error: `failed: ${step.error || 'unknown error'}`,
+      skipped: 'skipped, budget reached'
+    }[step.status] || step.status;
+    
+    const summary = document.createElement('summary');
+    summary.className = 'agent-step-summary';
+    
+    const number = document.createElement('span');
+    number.className = 'agent-step-number';
+    number.textContent = step.number ? `Step ${step.number}` : 'Step';
+    
+    const tool = document.createElement('span');
+    tool.className = 'agent-step-tool';
+    tool.textContent = name;
+    
+    const status = document.createElement('span');
+    status.className = 'agent-step-status';
+    status.textContent = statusText;
+    
+    summary.append(number, tool, status);
+    stepElement.appendChild(summary);
+    stepElement.appendChild(this.createToolCallElement({ ...toolCall, step: undefined }));
+    
+    return stepElement;
+  }
+
   /**
    * Render the welcome message with sample questions
    * @returns {HTMLElement} - The welcome message element
@@ -704,7 +1016,7 @@ class ChatMessages {
     }
 
     // Add thinking visualization if needed
-    if (this.isLoading) {
+    if (this.isLoading && !this.isStreaming()) {
       messageContainer.appendChild(this.renderThinkingVisualization());
     }
 
@@ -780,6 +1092,11 @@ class ChatMessages {
       this.thinkingVisualization = null;
     }
     
+    if (this.streamingFrame) {
+      cancelAnimationFrame(this.streamingFrame);
+      this.streamingFrame = null;
+    }
+    
     // Remove scroll to bottom button if exists
     const scrollButton = document.querySelector('.scroll-to-bottom');
     if (scrollButton && scrollButton.parentNode) {
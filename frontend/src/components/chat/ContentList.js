@@ -1,5 +1,8 @@
 // ContentList component
-import ApiService from '../services/ApiService.js';
+import ApiService from '../../services/ApiService.js';
+
+// Number of items fetched per page
+const PAGE_SIZE = 50;
 
 class ContentList {
   constructor(notificationService, documentManager = null) {
@@ -8,6 +11,9 @@ class ContentList {
     this.apiService = new ApiService();
     this.itemList = null;
     this.refreshButton = null;
+    this.loadMoreButton = null;
+    this.items = [];
+    this.nextCursor = null;
   }
   
   render() {
@@ -25,9 +31,16 @@ class ContentList {
     this.itemList = document.createElement('ul');
     this.itemList.id = 'item-list';
     
+    this.loadMoreButton = document.createElement('button');
+    this.loadMoreButton.id = 'load-more-items-btn';
+    this.loadMoreButton.textContent = 'Load More';
+    this.loadMoreButton.style.display = 'none';
+    this.loadMoreButton.addEventListener('click', () => this.loadMoreItems());
+    
     section.appendChild(title);
     section.appendChild(this.refreshButton);
     section.appendChild(this.itemList);
+    section.appendChild(this.loadMoreButton);
     
     return section;
   }
@@ -38,26 +51,50 @@ class ContentList {
   
   async refreshItems() {
     try {
-      let items;
+      const page = await this.fetchItemsPage(null);
+      this.items = page.items;
+      this.nextCursor = page.nextCursor;
       
-      if (this.documentManager) {
-        // Use Mnemosyne to get document list
-        items = await this.documentManager.getDocumentList();
-      } else {
-        // Fallback to direct API call if Mnemosyne is not available
-        items = await this.apiService.listItems();
+      this.displayItems(this.items);
+    } catch (error) {
+      if (this.notificationService) {
+        this.notificationService.error(`Failed to load items: ${error.message}`);
       }
+    }
+  }
+  
+  async loadMoreItems() {
+    if (!this.nextCursor) return;
+    
+    this.loadMoreButton.disabled = true;
+    try {
+      const page = await this.fetchItemsPage(this.nextCursor);
+      this.items = [...this.items, ...page.items];
+      this.nextCursor = page.nextCursor;
       
-      this.displayItems(items);
+      this.displayItems(this.items);
     } catch (error) {
       if (this.notificationService) {
-        this.notificationService.error(`Failed to load items: ${error.message}`);
+        this.notificationService.error(`Failed to load more items: ${error.message}`);
       }
+    } finally {
+      this.loadMoreButton.disabled = false;
     }
   }
   
+  fetchItemsPage(cursor) {
+    if (this.documentManager) {
+      // Use Mnemosyne to get the document page
+      return this.documentManager.getDocumentPage({ limit: PAGE_SIZE, cursor });
+    }
+    
+    // Fallback to direct API call if Mnemosyne is not available
+    return this.apiService.listItems({ limit: PAGE_SIZE, cursor });
+  }
+  
   displayItems(items) {
     this.itemList.innerHTML = '';
+    this.loadMoreButton.style.display = this.nextCursor ? '' : 'none';
     
     if (!items || items.length === 0) {
       const emptyMessage = document.createElement('p');
@@ -1,6 +1,14 @@
 // ContentViewer component
+import ApiService from '../../services/ApiService.js';
+import messageFormatter from '../../utils/messageFormatter.js';
+
+// Placeholders marking a cited passage while the text is formatted
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
 class ContentViewer {
   constructor() {
+    this.apiService = new ApiService();
     this.container = null;
     this.metadataContainer = null;
     this.textContainer = null;
@@ -188,10 +196,82 @@ class ContentViewer {
     const formattedText = this.formatTextContent(itemData.textChunk || 'No content available');
     this.textContainer.querySelector('.content-text').innerHTML = formattedText;
     
+    // Cited passages open in the full text of their item
+    if (itemData.citation) {
+      this.showCitedPassage(itemId, itemData.citation);
+      return;
+    }
+    
     // Scroll to content viewer with smooth animation
     this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
   
+  /**
+   * Load the full text of a cited item and scroll to the quoted passage
+   * The viewer shows the quote alone until the text arrives, or if it cannot be loaded.
+   * @param {string} itemId - Cited item ID
+   * @param {Object} citation - Citation with quote, startOffset and endOffset
+   */
+  async showCitedPassage(itemId, citation) {
+    let text = null;
+    try {
+      const item = await this.apiService.getItem(itemId);
+      text = item ? item.extractedText : null;
+    } catch (error) {
+      console.error('Error loading cited item:', error);
+    }
+    
+    // Another item may have been opened while the text was loading
+    if (!this.currentItemData || this.currentItemData.citation !== citation) {
+      return;
+    }
+    
+    const textElement = this.textContainer.querySelector('.content-text');
+    const passage = text ? this.findPassage(text, citation) : null;
+    
+    if (!passage) {
+      if (text) {
+        this.currentItemData.textChunk = text;
+        textElement.innerHTML = this.formatTextContent(text);
+      }
+      this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+    
+    this.currentItemData.textChunk = text;
+    const marked = text.slice(0, passage.start) + HIGHLIGHT_START +
+      text.slice(passage.start, passage.end) + HIGHLIGHT_END + text.slice(passage.end);
+    textElement.innerHTML = this.formatTextContent(marked)
+      .replace(HIGHLIGHT_START, '<mark class="content-citation-highlight">')
+      .replace(HIGHLIGHT_END, '</mark>');
+    
+    textElement.querySelector('.content-citation-highlight')
+      .scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  
+  /**
+   * Locate a quoted passage in the text of an item
+   * Offsets are tried first; the quote is searched for when they no longer match, for example
+   * because the whitespace of the stored text differs from the chunk the quote came from.
+   * @param {string} text - Full item text
+   * @param {Object} citation - Citation with quote, startOffset and endOffset
+   * @returns {Object|null} - { start, end } of the passage, or null if it is not in the text
+   */
+  findPassage(text, citation) {
+    const { quote, startOffset, endOffset } = citation;
+    if (!quote) {
+      return null;
+    }
+    
+    if (typeof startOffset === 'number' && text.slice(startOffset, endOffset) === quote) {
+      return { start: startOffset, end: endOffset };
+    }
+    
+    const words = quote.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = new RegExp(words.join('\\s+')).exec(text);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+  }
+  
   getSourceTypeBadge(sourceType) {
     let badgeColor = '#95a5a6';
     let badgeIcon = '';
@@ -245,8 +325,9 @@ class ContentViewer {
   }
   
   formatTextContent(text) {
+    // Item text is scraped from pages and files, so it is escaped before any markup is added
     // Enhanced formatting with proper paragraph handling and link detection
-    let formatted = text
+    let formatted = messageFormatter.escapeHtml(text)
       .replace(/\n\n/g, '</p><p>')
       .replace(/\n/g, '<br>')
       .trim();
@@ -7,6 +7,7 @@ class SearchSection {
     this.apiService = new ApiService();
     this.searchInput = null;
     this.searchButton = null;
+    this.modeSelect = null;
     this.resultsContainer = null;
     this.isSearching = false;
   }
@@ -40,6 +41,21 @@ class SearchSection {
       }
     });
     
+    // Ranking strategy: exact terms, meaning, or both fused
+    this.modeSelect = document.createElement('select');
+    this.modeSelect.id = 'search-mode';
+    this.modeSelect.title = 'Search mode';
+    [
+      { value: 'hybrid', label: 'Hybrid' },
+      { value: 'keyword', label: 'Keyword' },
+      { value: 'vector', label: 'Semantic' }
+    ].forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.modeSelect.appendChild(option);
+    });
+    
     this.searchButton = document.createElement('button');
     this.searchButton.id = 'search-btn';
     this.searchButton.innerHTML = `
@@ -62,6 +78,7 @@ class SearchSection {
     
     searchContainer.appendChild(searchIcon);
     searchContainer.appendChild(this.searchInput);
+    searchContainer.appendChild(this.modeSelect);
     searchContainer.appendChild(this.searchButton);
     
     this.resultsContainer = document.createElement('div');
@@ -137,7 +154,7 @@ class SearchSection {
       this.showLoadingIndicator();
       
       // Perform search
-      const results = await this.apiService.search(query, 15);
+      const results = await this.apiService.search(query, 15, { mode: this.modeSelect.value });
       
       // Display results
       this.displaySearchResults(results, query);
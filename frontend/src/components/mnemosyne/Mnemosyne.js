@@ -11,6 +11,9 @@ import MuseModel from '../../utils/MuseModel.js';
 // Create scope-specific logger
 const mnemosyneLogger = logger.scope('MnemosyneComponent');
 
+// Document files the Docs card accepts
+const DOCS_ACCEPT = '.pdf,.md,.markdown,.txt,.text,.html,.htm,.xhtml,.epub,.docx';
+
 class Mnemosyne {
   constructor(notificationService) {
     this.notificationService = notificationService;
@@ -18,7 +21,10 @@ class Mnemosyne {
     this.apiService = new ApiService();
     
     // Input elements
-    this.pdfInput = null;
+    this.docsInput = null;
+    this.folderIncludeInput = null;
+    this.folderExcludeInput = null;
+    this.selectedFolder = null;
     this.urlInput = null;
     this.youtubeInput = null;
     
@@ -37,7 +43,8 @@ class Mnemosyne {
     this.summaryContainer = null;
     
     // Bind methods
-    this.processPDF = this.processPDF.bind(this);
+    this.processDocs = this.processDocs.bind(this);
+    this.selectFolder = this.selectFolder.bind(this);
     this.processURL = this.processURL.bind(this);
     this.processYouTube = this.processYouTube.bind(this);
     this.handleCardSelection = this.handleCardSelection.bind(this);
@@ -46,6 +53,7 @@ class Mnemosyne {
     this.hideProcessingOverlay = this.hideProcessingOverlay.bind(this);
     this.showSummary = this.showSummary.bind(this);
     this.hideSummary = this.hideSummary.bind(this);
+    this.showDuplicateNotice = this.showDuplicateNotice.bind(this);
     
     mnemosyneLogger.info('Initializing Mnemosyne component');
   }
@@ -56,7 +64,7 @@ class Mnemosyne {
   initialize() {
     // Listen for document events
     this.processor.addDocumentListener((eventType, data) => {
-      if (['pdf:processed', 'url:processed', 'youtube:processed', 'document:deleted'].includes(eventType)) {
+      if (['document:processed', 'folder:processed', 'url:processed', 'youtube:processed', 'document:deleted'].includes(eventType)) {
         // Handle document processing events
         mnemosyneLogger.info(`Document event received: ${eventType}`);
       }
@@ -311,7 +319,10 @@ class Mnemosyne {
     const fileInput = event.target;
     const fileNameElement = fileInput.parentElement.querySelector('.file-name');
     
-    if (fileInput.files.length > 0) {
+    if (fileInput.files.length > 1) {
+      fileNameElement.textContent = `${fileInput.files.length} files selected`;
+      fileNameElement.style.display = 'block';
+    } else if (fileInput.files.length > 0) {
       fileNameElement.textContent = fileInput.files[0].name;
       fileNameElement.style.display = 'block';
     } else {
@@ -530,6 +541,88 @@ class Mnemosyne {
     }, 10);
   }
   
+  /**
+   * Tell the user the content is already in their library, with a link to the existing item
+   * @param {Object} item - The existing item returned in place of a new one
+   */
+  showDuplicateNotice(item) {
+    if (!this.summaryContainer) {
+      this.summaryContainer = document.createElement('div');
+      this.summaryContainer.className = 'mnemosyne-summary-container';
+      
+      document.body.appendChild(this.summaryContainer);
+    }
+    
+    this.summaryContainer.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'summary-header';
+    
+    const title = document.createElement('h2');
+    title.textContent = 'Already in your library';
+    header.appendChild(title);
+    
+    const content = document.createElement('div');
+    content.className = 'summary-content';
+    
+    const message = document.createElement('p');
+    message.className = 'summary-text duplicate-notice-text';
+    message.textContent = `"${item.title || 'Untitled'}" was added before, so it was not stored again.`;
+    content.appendChild(message);
+    
+    if (item.preview) {
+      const preview = document.createElement('p');
+      preview.className = 'duplicate-notice-preview';
+      preview.textContent = item.preview;
+      content.appendChild(preview);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'summary-actions';
+    
+    const viewButton = document.createElement('button');
+    viewButton.className = 'summary-save-btn';
+    viewButton.textContent = 'View Existing Item';
+    viewButton.addEventListener('click', () => {
+      this.hideSummary();
+      this.resetCardSelection();
+      
+      // Open the existing card, the same way the library list does
+      document.dispatchEvent(new CustomEvent('content:selected', {
+        detail: {
+          itemId: item.id,
+          itemData: {
+            id: item.id,
+            title: item.title,
+            sourceType: item.source_type,
+            sourceIdentifier: item.source_identifier || 'Unknown',
+            textChunk: item.preview || 'No preview available'
+          }
+        }
+      }));
+    });
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'summary-close-btn';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => {
+      this.hideSummary();
+      this.resetCardSelection();
+    });
+    
+    actions.appendChild(viewButton);
+    actions.appendChild(closeButton);
+    
+    this.summaryContainer.appendChild(header);
+    this.summaryContainer.appendChild(content);
+    this.summaryContainer.appendChild(actions);
+    
+    this.summaryContainer.style.display = 'block';
+    setTimeout(() => {
+      this.summaryContainer.classList.add('active');
+    }, 10);
+  }
+  
   /**
    * Hide summary
    */
@@ -545,53 +638,111 @@ class Mnemosyne {
   }
   
   /**
-   * Process PDF document
+   * Let the user choose a folder for the Docs card
+   */
+  async selectFolder() {
+    try {
+      const folderPath = await this.apiService.selectFolder();
+      if (!folderPath) return;
+      
+      this.selectedFolder = folderPath;
+      
+      // A folder replaces any chosen files
+      this.docsInput.value = '';
+      const fileNameElement = this.docsInput.parentElement.querySelector('.file-name');
+      fileNameElement.textContent = folderPath;
+      fileNameElement.style.display = 'block';
+    } catch (error) {
+      mnemosyneLogger.error('Error selecting folder', { error: error.message });
+      this.notificationService?.error(`Could not open the folder picker: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Clear the Docs card inputs
    */
-  async processPDF() {
-    const file = this.pdfInput.files[0];
-    if (!file) {
+  resetDocsInputs() {
+    this.selectedFolder = null;
+    this.docsInput.value = '';
+    const fileNameElement = this.docsInput.parentElement.querySelector('.file-name');
+    fileNameElement.textContent = '';
+    fileNameElement.style.display = 'none';
+  }
+  
+  /**
+   * Process the chosen document files or folder
+   */
+  async processDocs() {
+    const files = Array.from(this.docsInput.files || []);
+    if (!this.selectedFolder && files.length === 0) {
       if (this.notificationService) {
-        this.notificationService.warning('Please select a PDF file');
+        this.notificationService.warning('Please choose documents or a folder');
       }
       return;
     }
     
     try {
-      // Show processing overlay
-      this.showProcessingOverlay('Processing PDF Document');
-      
-      // Set options to ensure file is saved along with embeddings and summary
-      const options = {
-        saveFile: true,
-        generateEmbedding: true,
-        generateSummary: true,
-        useLLM: true  // Explicitly enable LLM for summary generation
-      };
-      
-      // Process the PDF with enhanced options
-      const result = await this.processor.processPDF(file.path, options);
-      
-      // Hide processing overlay
-      this.hideProcessingOverlay();
-      
-      // Show summary if available
-      if (result && result.summary) {
-        this.showSummary(result, 'pdf');
+      if (this.selectedFolder) {
+        this.showProcessingOverlay('Processing Folder');
+        
+        const result = await this.processor.processFolder(this.selectedFolder, {
+          include: this.folderIncludeInput.value,
+          exclude: this.folderExcludeInput.value
+        });
+        
+        this.hideProcessingOverlay();
+        this.resetCardSelection();
+        
+        if (result && result.failed.length > 0) {
+          mnemosyneLogger.warn('Some documents in the folder failed', { failed: result.failed });
+        }
+      } else if (files.length === 1) {
+        this.showProcessingOverlay('Processing Document');
+        
+        const result = await this.processor.processDocument(files[0].path);
+        
+        this.hideProcessingOverlay();
+        
+        if (result && result.duplicate) {
+          this.showDuplicateNotice(result);
+        } else if (result && result.summary) {
+          // Show summary if available
+          this.showSummary(result, 'document');
+        } else {
+          // Reset card selection if no summary
+          this.resetCardSelection();
+        }
       } else {
-        // Reset card selection if no summary
+        this.showProcessingOverlay(`Processing ${files.length} Documents`);
+        
+        // One at a time, so a failing file does not stop the others
+        let failed = 0;
+        let duplicates = 0;
+        for (const file of files) {
+          try {
+            const result = await this.processor.processDocument(file.path);
+            if (result && result.duplicate) {
+              duplicates++;
+            }
+          } catch (error) {
+            failed++;
+          }
+        }
+        
+        this.hideProcessingOverlay();
         this.resetCardSelection();
+        
+        if (this.notificationService) {
+          const alreadyStored = duplicates > 0 ? `; ${duplicates} were already in your library` : '';
+          if (failed > 0) {
+            this.notificationService.warning(`Processed ${files.length - failed} of ${files.length} documents${alreadyStored}`);
+          } else {
+            this.notificationService.success(`Processed ${files.length} documents${alreadyStored}`);
+          }
+        }
       }
       
-      // Clear the input
-      this.pdfInput.value = '';
-      const fileNameElement = this.pdfInput.parentElement.querySelector('.file-name');
-      fileNameElement.textContent = '';
-      fileNameElement.style.display = 'none';
-      
-      // Show success notification
-      if (this.notificationService) {
-        this.notificationService.success('PDF document processed and stored successfully');
-      }
+      this.resetDocsInputs();
     } catch (error) {
       // Hide processing overlay
       this.hideProcessingOverlay();
@@ -599,10 +750,10 @@ class Mnemosyne {
       // Reset card selection
       this.resetCardSelection();
       
-      mnemosyneLogger.error('Error processing PDF', { error: error.message });
+      mnemosyneLogger.error('Error processing documents', { error: error.message });
       
       if (this.notificationService) {
-        this.notificationService.error(`Error processing PDF: ${error.message}`);
+        this.notificationService.error(`Error processing documents: ${error.message}`);
       }
     }
   }
@@ -639,6 +790,14 @@ class Mnemosyne {
       // Hide processing overlay
       this.hideProcessingOverlay();
       
+      // Clear the input
+      this.urlInput.value = '';
+      
+      if (result && result.duplicate) {
+        this.showDuplicateNotice(result);
+        return;
+      }
+      
       // Show summary if available
       if (result && result.summary) {
         this.showSummary(result, 'url');
@@ -647,9 +806,6 @@ class Mnemosyne {
         this.resetCardSelection();
       }
       
-      // Clear the input
-      this.urlInput.value = '';
-      
       // Show success notification
       if (this.notificationService) {
         this.notificationService.success('Web page processed and stored successfully');
@@ -705,6 +861,14 @@ class Mnemosyne {
       // Hide processing overlay
       this.hideProcessingOverlay();
       
+      // Clear the input
+      this.youtubeInput.value = '';
+      
+      if (result && result.duplicate) {
+        this.showDuplicateNotice(result);
+        return;
+      }
+      
       // Show summary if available
       if (result && result.summary) {
         this.showSummary(result, 'youtube');
@@ -713,9 +877,6 @@ class Mnemosyne {
         this.resetCardSelection();
       }
       
-      // Clear the input
-      this.youtubeInput.value = '';
-      
       // Show success notification
       if (this.notificationService) {
         this.notificationService.success('YouTube video processed and transcript stored successfully');
@@ -818,19 +979,24 @@ class Mnemosyne {
     this.cardsContainer = document.createElement('div');
     this.cardsContainer.className = 'mnemosyne-cards';
     
-    // Create PDF card
-    const pdfCard = this.createCardElement(
+    // Create Docs card
+    const docsCard = this.createCardElement(
       'document',
-      'PDF Documents',
-      'Upload and process PDF files to extract knowledge',
+      'Docs',
+      'Process PDF, Markdown, text, HTML, EPUB and DOCX files, or a whole folder of them',
       'file',
-      'Choose PDF File',
-      '.pdf',
-      'Process Document',
-      this.processPDF
+      'Choose Documents',
+      DOCS_ACCEPT,
+      'Process Documents',
+      this.processDocs
     );
-    this.pdfInput = pdfCard.querySelector('input');
-    this.cardElements.push(pdfCard);
+    this.docsInput = docsCard.querySelector('input');
+    this.docsInput.multiple = true;
+    this.docsInput.addEventListener('change', () => {
+      this.selectedFolder = null;
+    });
+    this.appendFolderControls(docsCard);
+    this.cardElements.push(docsCard);
     
     // Create URL card
     const urlCard = this.createCardElement(
@@ -863,7 +1029,7 @@ class Mnemosyne {
     this.cardElements.push(youtubeCard);
     
     // Add cards to container
-    this.cardsContainer.appendChild(pdfCard);
+    this.cardsContainer.appendChild(docsCard);
     this.cardsContainer.appendChild(urlCard);
     this.cardsContainer.appendChild(youtubeCard);
     
@@ -921,6 +1087,38 @@ class Mnemosyne {
     return container;
   }
   
+  /**
+   * Add the folder picker and include/exclude globs to the Docs card
+   * @param {HTMLElement} card - The Docs card
+   */
+  appendFolderControls(card) {
+    const inputGroup = card.querySelector('.mnemosyne-input-group');
+    
+    const folderButton = document.createElement('button');
+    folderButton.type = 'button';
+    folderButton.className = 'mnemosyne-folder-btn';
+    folderButton.textContent = 'Choose Folder';
+    folderButton.addEventListener('click', this.selectFolder);
+    
+    const createGlobInput = (label, placeholder) => {
+      const labelElement = document.createElement('label');
+      labelElement.textContent = label;
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'mnemosyne-glob-input';
+      input.placeholder = placeholder;
+      
+      inputGroup.appendChild(labelElement);
+      inputGroup.appendChild(input);
+      return input;
+    };
+    
+    inputGroup.appendChild(folderButton);
+    this.folderIncludeInput = createGlobInput('Include (folders only)', '**/*.md, notes/**');
+    this.folderExcludeInput = createGlobInput('Exclude (folders only)', 'drafts/**, *.tmp.md');
+  }
+  
   /**
    * Create a card element
    * @param {string} type - Card type identifier
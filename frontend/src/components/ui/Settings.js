@@ -3,6 +3,15 @@
  */
 import logger from '../../utils/logger.js';
 import '../../services/SettingsService.js';
+import systemPrompt from '../../services/systemPrompt.js';
+import {
+  getProfiles,
+  findProfile,
+  normalizeProfile,
+  exportProfiles,
+  parseProfiles,
+  mergeProfiles
+} from '../../services/promptProfiles.js';
 
 // Create context-specific logger
 const settingsLogger = logger.scope('Settings');
@@ -26,6 +35,26 @@ class Settings {
     this.handleSettingChange = this.handleSettingChange.bind(this);
     this.handleClearSettings = this.handleClearSettings.bind(this);
     this.handleScroll = this.handleScroll.bind(this);
+    this.handleRebuildAction = this.handleRebuildAction.bind(this);
+    this.renderRebuildStatus = this.renderRebuildStatus.bind(this);
+    this.handleAddWatchedFolder = this.handleAddWatchedFolder.bind(this);
+    this.handleWatchedFolderAction = this.handleWatchedFolderAction.bind(this);
+    this.handleWatchedFolderStatus = this.handleWatchedFolderStatus.bind(this);
+    this.handlePromptProfileSelect = this.handlePromptProfileSelect.bind(this);
+    this.handlePromptProfileInput = this.handlePromptProfileInput.bind(this);
+    this.handlePromptProfileAction = this.handlePromptProfileAction.bind(this);
+    this.handlePromptProfileImport = this.handlePromptProfileImport.bind(this);
+    
+    // Unsubscribes from library rebuild progress events
+    this.unsubscribeRebuildProgress = null;
+    
+    // Watched folders shown in the Library tab, and the unsubscribe for their sync status
+    this.watchedFolders = [];
+    this.unsubscribeWatchedFolders = null;
+    
+    // Prompt profiles shown in the Prompts tab, and the one selected for new chats and editing
+    this.promptProfiles = [];
+    this.activeProfileId = null;
     
     // Log initial creation
     settingsLogger.info('Settings component created');
@@ -52,7 +81,9 @@ class Settings {
           openrouter: ''
         },
         models: {
+          chatProvider: 'gemini',
           defaultChatModel: 'gemini-2.0-flash',
+          localBaseUrl: 'http://localhost:11434/v1',
           defaultEmbeddingModel: 'text-embedding-3-small'
         },
         interface: {
@@ -63,7 +94,9 @@ class Settings {
         advanced: {
           debugMode: false,
           maxTokens: 2048,
-          temperature: 0.7
+          temperature: 0.7,
+          agentMaxSteps: 6,
+          agentMaxSeconds: 90
         }
       };
       
@@ -77,6 +110,9 @@ class Settings {
       settingsLogger.debug('API Key Status:', apiKeyStatus);
       console.log('API Key Status:', apiKeyStatus);
       
+      this.promptProfiles = getProfiles(this.settings);
+      this.activeProfileId = findProfile(this.promptProfiles, this.settings.prompts?.activeProfileId).id;
+      
       this.updateUI();
 
       // Set up scroll event handler for creative scrollbar
@@ -119,6 +155,489 @@ class Settings {
   handleTabClick(tabId) {
     this.activeTab = tabId;
     this.updateUI();
+    
+    if (tabId === 'library') {
+      this.loadLibraryStatus();
+      this.loadWatchedFolders();
+    }
+  }
+
+  /**
+   * Load the embedding and rebuild status into the Library tab
+   */
+  async loadLibraryStatus() {
+    if (!this.container || !window.api?.getEmbeddingStatus) return;
+    
+    try {
+      const [embedding, rebuild] = await Promise.all([
+        window.api.getEmbeddingStatus(),
+        window.api.getLibraryRebuildStatus()
+      ]);
+      
+      if (embedding?.success) {
+        this.renderEmbeddingStatus(embedding);
+      }
+      if (rebuild?.success) {
+        this.renderRebuildStatus(rebuild.job);
+      }
+    } catch (error) {
+      settingsLogger.error('Error loading library status:', error);
+      this.notificationService?.error('Failed to load library status');
+    }
+  }
+
+  /**
+   * Show which embedding model the library uses and fill the provider choices
+   * @param {Object} status - Result of getEmbeddingStatus
+   */
+  renderEmbeddingStatus(status) {
+    const summary = this.container?.querySelector('.library-embedding-summary');
+    const providerSelect = this.container?.querySelector('#rebuild-provider');
+    if (!summary || !providerSelect) return;
+    
+    const library = status.library;
+    summary.textContent = library
+      ? `Library vectors: ${library.modelId} (${library.dimensions} dimensions, provider ${library.providerId || 'unknown'})`
+      : 'Library vectors: not recorded yet';
+    
+    if (status.switchPending && status.configured) {
+      summary.textContent += `. The configured model ${status.configured.modelId} takes effect after a rebuild.`;
+    }
+    
+    const selected = providerSelect.value || status.configured?.id || library?.providerId;
+    providerSelect.innerHTML = (status.providers || []).map(provider => `
+      <option value="${provider.id}">${provider.label} – ${provider.modelId} (${provider.dimensions})</option>
+    `).join('');
+    if (selected) {
+      providerSelect.value = selected;
+    }
+  }
+
+  /**
+   * Show the progress of the current or last library rebuild
+   * @param {Object} job - Job status from the backend
+   */
+  renderRebuildStatus(job) {
+    const panel = this.container?.querySelector('.library-rebuild');
+    if (!panel || !job) return;
+    
+    const state = job.state || 'idle';
+    const total = job.total || 0;
+    const processed = job.processed || 0;
+    const percent = total > 0 ? Math.round((processed / total) * 100) : (state === 'completed' ? 100 : 0);
+    
+    const labels = {
+      idle: 'No rebuild has run',
+      running: total > 0 ? `Rebuilding: ${processed} of ${total} items` : 'Preparing rebuild...',
+      interrupted: `Interrupted at ${processed} of ${total} items`,
+      failed: `Failed at ${processed} of ${total} items: ${job.error || 'unknown error'}`,
+      cancelled: 'Rebuild cancelled',
+      completed: `Rebuilt ${processed} items`
+    };
+    
+    panel.dataset.state = state;
+    panel.querySelector('.rebuild-progress-fill').style.width = `${percent}%`;
+    panel.querySelector('.rebuild-status-text').textContent = labels[state] || state;
+    
+    const resumable = state === 'interrupted' || state === 'failed';
+    panel.querySelector('[data-rebuild-action="start"]').disabled = state === 'running' || resumable;
+    panel.querySelector('[data-rebuild-action="resume"]').hidden = !resumable;
+    panel.querySelector('[data-rebuild-action="cancel"]').hidden = state !== 'running' && !resumable;
+    
+    // The library switches models when a rebuild completes
+    if (state === 'completed' && this.lastRebuildState === 'running') {
+      this.notificationService?.success('Library rebuild completed');
+      this.loadLibraryStatus();
+    }
+    this.lastRebuildState = state;
+  }
+
+  /**
+   * Handle the Library tab's rebuild, resume and cancel buttons
+   * @param {Event} event - Button click event
+   */
+  async handleRebuildAction(event) {
+    const action = event.currentTarget.dataset.rebuildAction;
+    
+    try {
+      let result;
+      if (action === 'start') {
+        if (!confirm('Rebuild the chunks and embeddings of every item in the library? Searches keep using the current index until the rebuild finishes.')) {
+          return;
+        }
+        result = await window.api.startLibraryRebuild({
+          providerId: this.container.querySelector('#rebuild-provider').value || undefined,
+          strategy: this.container.querySelector('#rebuild-strategy').value,
+          chunkSize: parseInt(this.container.querySelector('#rebuild-chunkSize').value, 10),
+          chunkOverlap: parseInt(this.container.querySelector('#rebuild-chunkOverlap').value, 10)
+        });
+      } else if (action === 'resume') {
+        result = await window.api.resumeLibraryRebuild();
+      } else if (action === 'cancel') {
+        result = await window.api.cancelLibraryRebuild();
+      }
+      
+      if (!result?.success) {
+        throw new Error(result?.error || `Could not ${action} the rebuild`);
+      }
+      this.renderRebuildStatus(result.job);
+    } catch (error) {
+      settingsLogger.error(`Error on library rebuild ${action}:`, error);
+      this.notificationService?.error(error.message);
+    }
+  }
+
+  /**
+   * Load the watched folders into the Library tab
+   */
+  async loadWatchedFolders() {
+    if (!this.container || !window.api?.listWatchedFolders) return;
+    
+    try {
+      const result = await window.api.listWatchedFolders();
+      if (!result?.success) {
+        throw new Error(result?.error || 'Could not list watched folders');
+      }
+      this.watchedFolders = result.sources || [];
+      this.renderWatchedFolders();
+    } catch (error) {
+      settingsLogger.error('Error loading watched folders:', error);
+      this.notificationService?.error('Failed to load watched folders');
+    }
+  }
+
+  /**
+   * Describe the last sync of a watched folder
+   * @param {Object|null} lastSync - Last sync status from the backend
+   * @returns {string} Status text
+   */
+  describeWatchedFolderSync(lastSync) {
+    if (!lastSync) return 'Not synced yet';
+    if (lastSync.state === 'syncing') return 'Syncing...';
+    if (lastSync.state === 'error') return `Sync failed: ${lastSync.error || 'unknown error'}`;
+    
+    const counts = ['added', 'updated', 'removed', 'failed']
+      .filter(key => lastSync[key] > 0)
+      .map(key => `${lastSync[key]} ${key}`);
+    const when = new Date(lastSync.finishedAt).toLocaleString();
+    return `Synced ${when}: ${counts.length > 0 ? counts.join(', ') : 'no changes'}`;
+  }
+
+  /**
+   * Render the watched folder list
+   */
+  renderWatchedFolders() {
+    const list = this.container?.querySelector('.watched-folder-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    if (this.watchedFolders.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'watched-folder-empty';
+      empty.textContent = 'No folders are watched';
+      list.appendChild(empty);
+      return;
+    }
+    
+    this.watchedFolders.forEach(source => {
+      const item = document.createElement('li');
+      item.className = 'watched-folder';
+      item.dataset.state = source.lastSync?.state || 'idle';
+      
+      const details = document.createElement('div');
+      details.className = 'watched-folder-details';
+      
+      const folderPath = document.createElement('span');
+      folderPath.className = 'watched-folder-path';
+      folderPath.textContent = source.folderPath;
+      folderPath.title = source.folderPath;
+      
+      const globs = [
+        source.include ? `include ${source.include}` : 'all supported files',
+        source.exclude ? `exclude ${source.exclude}` : '',
+        source.recursive ? '' : 'top level only'
+      ].filter(Boolean).join(' · ');
+      const meta = document.createElement('span');
+      meta.className = 'watched-folder-meta';
+      meta.textContent = `${source.fileCount} files · ${globs}`;
+      
+      const status = document.createElement('span');
+      status.className = 'watched-folder-status';
+      status.textContent = this.describeWatchedFolderSync(source.lastSync);
+      if (source.lastSync?.errors?.length > 0) {
+        status.title = source.lastSync.errors.map(entry => `${entry.filePath}: ${entry.error}`).join('\n');
+      }
+      
+      details.append(folderPath, meta, status);
+      
+      const actions = document.createElement('div');
+      actions.className = 'rebuild-actions';
+      actions.innerHTML = `
+        <button class="rebuild-btn" data-watched-action="sync">Sync Now</button>
+        <button class="rebuild-btn rebuild-cancel-btn" data-watched-action="remove">Remove</button>
+      `;
+      actions.querySelector('[data-watched-action="sync"]').disabled = source.lastSync?.state === 'syncing';
+      actions.querySelectorAll('button').forEach(button => {
+        button.dataset.sourceId = source.id;
+      });
+      
+      item.append(details, actions);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Update a watched folder when the backend reports a sync status change
+   * @param {Object} source - Source summary from the backend
+   */
+  handleWatchedFolderStatus(source) {
+    if (!source) return;
+    
+    const index = this.watchedFolders.findIndex(candidate => candidate.id === source.id);
+    if (index === -1) {
+      this.watchedFolders.push(source);
+    } else {
+      this.watchedFolders[index] = source;
+    }
+    this.renderWatchedFolders();
+  }
+
+  /**
+   * Pick a folder and start watching it
+   */
+  async handleAddWatchedFolder() {
+    try {
+      const folderPath = (await window.api.selectFolder())?.folderPath;
+      if (!folderPath) return;
+      
+      const result = await window.api.addWatchedFolder({
+        folderPath,
+        include: this.container.querySelector('#watched-include').value.trim(),
+        exclude: this.container.querySelector('#watched-exclude').value.trim(),
+        recursive: this.container.querySelector('#watched-recursive').checked
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Could not watch the folder');
+      }
+      
+      this.container.querySelector('#watched-include').value = '';
+      this.container.querySelector('#watched-exclude').value = '';
+      this.handleWatchedFolderStatus(result.source);
+      this.notificationService?.success(`Watching ${folderPath}`);
+    } catch (error) {
+      settingsLogger.error('Error adding watched folder:', error);
+      this.notificationService?.error(error.message);
+    }
+  }
+
+  /**
+   * Handle the sync and remove buttons of the watched folder list
+   * @param {Event} event - Click event on the list
+   */
+  async handleWatchedFolderAction(event) {
+    const button = event.target.closest('[data-watched-action]');
+    if (!button) return;
+    
+    const { watchedAction: action, sourceId } = button.dataset;
+    const source = this.watchedFolders.find(candidate => candidate.id === sourceId);
+    if (!source) return;
+    
+    try {
+      let result;
+      if (action === 'sync') {
+        result = await window.api.syncWatchedFolder(sourceId);
+      } else if (action === 'remove') {
+        if (!confirm(`Stop watching ${source.folderPath}?`)) {
+          return;
+        }
+        const deleteItems = source.fileCount > 0
+          && confirm(`Also delete the ${source.fileCount} items ingested from this folder? Choose Cancel to keep them in the library.`);
+        result = await window.api.removeWatchedFolder(sourceId, { deleteItems });
+      }
+      
+      if (!result?.success) {
+        throw new Error(result?.error || `Could not ${action} the watched folder`);
+      }
+      if (action === 'remove') {
+        this.watchedFolders = this.watchedFolders.filter(candidate => candidate.id !== sourceId);
+        this.renderWatchedFolders();
+      } else {
+        this.handleWatchedFolderStatus(result.source);
+      }
+    } catch (error) {
+      settingsLogger.error(`Error on watched folder ${action}:`, error);
+      this.notificationService?.error(error.message);
+    }
+  }
+
+  /**
+   * Get the prompt profile selected in the Prompts tab
+   * @returns {Object} - The profile
+   */
+  getSelectedPromptProfile() {
+    return findProfile(this.promptProfiles, this.activeProfileId);
+  }
+
+  /**
+   * Copy the prompt profiles into the settings so Save Settings stores them
+   */
+  storePromptProfiles() {
+    this.settings.prompts = {
+      activeProfileId: this.activeProfileId,
+      profiles: this.promptProfiles
+    };
+  }
+
+  /**
+   * Render the Prompts tab with the selected profile in the editor
+   */
+  renderPromptProfiles() {
+    const select = this.container?.querySelector('#prompt-profile');
+    if (!select) return;
+    
+    const profile = this.getSelectedPromptProfile();
+    
+    select.innerHTML = '';
+    this.promptProfiles.forEach(candidate => {
+      const option = document.createElement('option');
+      option.value = candidate.id;
+      option.textContent = candidate.name;
+      select.appendChild(option);
+    });
+    select.value = profile.id;
+    
+    this.container.querySelector('#prompt-name').value = profile.name;
+    this.container.querySelector('#prompt-persona').value = profile.persona;
+    this.container.querySelector('#prompt-tone').value = profile.tone;
+    this.container.querySelector('#prompt-formatRules').value = profile.formatRules;
+    this.container.querySelector('[data-prompt-action="delete"]').disabled = this.promptProfiles.length <= 1;
+    
+    const toolList = this.container.querySelector('.prompt-tool-list');
+    toolList.innerHTML = '';
+    systemPrompt.getDefaultToolDefinitions().forEach(tool => {
+      const label = document.createElement('label');
+      label.className = 'prompt-tool';
+      label.title = tool.description;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `prompt-tool-${tool.name}`;
+      checkbox.value = tool.name;
+      checkbox.checked = !profile.allowedTools || profile.allowedTools.includes(tool.name);
+      
+      label.append(checkbox, document.createTextNode(tool.name));
+      toolList.appendChild(label);
+    });
+  }
+
+  /**
+   * Select the prompt profile new chats use and show it in the editor
+   * @param {Event} event - Change event of the profile selector
+   */
+  handlePromptProfileSelect(event) {
+    this.activeProfileId = event.target.value;
+    this.storePromptProfiles();
+    this.renderPromptProfiles();
+  }
+
+  /**
+   * Copy edits of the profile fields and tool checkboxes into the selected profile
+   * @param {Event} event - Input or change event inside the profile editor
+   */
+  handlePromptProfileInput(event) {
+    const { id } = event.target;
+    const profile = this.getSelectedPromptProfile();
+    
+    if (id.startsWith('prompt-tool-')) {
+      const checkboxes = [...this.container.querySelectorAll('.prompt-tool-list input')];
+      const allowed = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+      
+      // A profile allowing every tool also gets tools added later
+      profile.allowedTools = allowed.length === checkboxes.length ? null : allowed;
+    } else if (['prompt-name', 'prompt-persona', 'prompt-tone', 'prompt-formatRules'].includes(id)) {
+      const field = id.replace('prompt-', '');
+      profile[field] = event.target.value;
+      
+      if (field === 'name') {
+        const option = this.container.querySelector(`#prompt-profile option[value="${CSS.escape(profile.id)}"]`);
+        if (option) {
+          option.textContent = profile.name;
+        }
+      }
+    } else {
+      return;
+    }
+    
+    this.storePromptProfiles();
+  }
+
+  /**
+   * Handle the new, duplicate, delete, import and export buttons of the Prompts tab
+   * @param {Event} event - Click event inside the Prompts tab
+   */
+  handlePromptProfileAction(event) {
+    const button = event.target.closest('[data-prompt-action]');
+    if (!button) return;
+    
+    const action = button.dataset.promptAction;
+    const selected = this.getSelectedPromptProfile();
+    
+    if (action === 'new' || action === 'duplicate') {
+      const source = action === 'new'
+        ? { name: 'New Profile', persona: 'You are a helpful assistant for {{userName}}\'s personal knowledge base, the Sieve.' }
+        : { ...selected, name: `${selected.name} (copy)` };
+      const profile = normalizeProfile({ ...source, id: `profile-${Date.now()}` });
+      
+      this.promptProfiles.push(profile);
+      this.activeProfileId = profile.id;
+    } else if (action === 'delete') {
+      if (this.promptProfiles.length <= 1 || !confirm(`Delete the prompt profile "${selected.name}"?`)) {
+        return;
+      }
+      this.promptProfiles = this.promptProfiles.filter(profile => profile.id !== selected.id);
+      this.activeProfileId = findProfile(this.promptProfiles).id;
+    } else if (action === 'import') {
+      this.container.querySelector('#prompt-import-file').click();
+      return;
+    } else if (action === 'export') {
+      const blob = new Blob([exportProfiles(this.promptProfiles)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'prompt-profiles.json';
+      a.click();
+      
+      URL.revokeObjectURL(url);
+      return;
+    } else {
+      return;
+    }
+    
+    this.storePromptProfiles();
+    this.renderPromptProfiles();
+  }
+
+  /**
+   * Add the profiles of an exported JSON file; profiles with the same ID are replaced
+   * @param {Event} event - Change event of the import file input
+   */
+  async handlePromptProfileImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const imported = parseProfiles(await file.text());
+      this.promptProfiles = mergeProfiles(this.promptProfiles, imported);
+      this.activeProfileId = imported[0].id;
+      this.storePromptProfiles();
+      this.renderPromptProfiles();
+      this.notificationService?.success(`Imported ${imported.length} prompt profile${imported.length === 1 ? '' : 's'}. Save settings to keep them.`);
+    } catch (error) {
+      settingsLogger.error('Error importing prompt profiles:', error);
+      this.notificationService?.error(error.message);
+    }
   }
 
   /**
@@ -150,6 +669,15 @@ class Settings {
     } else {
       this.settings[section][setting] = value;
     }
+    
+    // A model name rarely carries over to another provider, so fall back to the new provider's default
+    if (id === 'models-chatProvider') {
+      this.settings.models.defaultChatModel = '';
+      const modelInput = this.container?.querySelector('#models-defaultChatModel');
+      if (modelInput) {
+        modelInput.value = '';
+      }
+    }
   }
 
   /**
@@ -165,13 +693,13 @@ class Settings {
     
     console.log('API Key to save:', googleApiKey ? (googleApiKey.substring(0, 4) + '...' + googleApiKey.substring(googleApiKey.length - 4)) : 'Not provided');
     
-    // Create settings object
+    // Save every section, with the Google key as currently typed
     const settings = {
+      ...this.settings,
       apiKeys: {
-        google: googleApiKey,
-        // ... other API keys ...
-      },
-      // ... other settings ...
+        ...this.settings.apiKeys,
+        google: googleApiKey
+      }
     };
     
     // Log if backend.settingsService exists
@@ -297,10 +825,12 @@ class Settings {
         if (input.type === 'checkbox') {
           input.checked = !!this.settings.advanced[setting];
         } else {
-          input.value = this.settings.advanced[setting] || '';
+          input.value = this.settings.advanced[setting] ?? '';
         }
       }
     });
+    
+    this.renderPromptProfiles();
   }
 
   /**
@@ -340,6 +870,20 @@ class Settings {
               </svg>
               <span>Models</span>
             </div>
+            <div class="settings-sidebar-item" data-tab-id="prompts">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+              </svg>
+              <span>Prompts</span>
+            </div>
+            <div class="settings-sidebar-item" data-tab-id="library">
+              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
+                <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+                <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path>
+                <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+              </svg>
+              <span>Library</span>
+            </div>
             <div class="settings-sidebar-item" data-tab-id="advanced">
               <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M12.9 6.858l4.242 4.243-7.071 7.071L5.83 13.93l7.07-7.071zm6.364 6.364l1.414 1.414a1 1 0 11-1.414 1.415l-1.414-1.415a1 1 0 111.414-1.414zM3 13.93l1.414 1.414a1 1 0 11-1.414 1.414L1.586 15.34A1 1 0 113 13.928zm14.485-9.9l1.414 1.415a1 1 0 01-1.414 1.414L16.07 5.444a1 1 0 111.415-1.414zM5.444 7.929L6.858 9.343a1 1 0 11-1.415 1.414L4.03 9.343a1 1 0 111.414-1.414z"></path>
@@ -413,18 +957,33 @@ class Settings {
             
             <div class="settings-section">
               <div class="setting-item">
-                <label for="models-defaultChatModel">Default Chat Model</label>
-                <select id="models-defaultChatModel">
-                  <option value="gemini-2.0-flash" ${this.settings.models?.defaultChatModel === 'gemini-2.0-flash' ? 'selected' : ''}>Google Gemini Flash</option>
-                  <option value="gemini-2.0-pro" ${this.settings.models?.defaultChatModel === 'gemini-2.0-pro' ? 'selected' : ''}>Google Gemini Pro</option>
-                  <option value="gpt-3.5-turbo" ${this.settings.models?.defaultChatModel === 'gpt-3.5-turbo' ? 'selected' : ''}>OpenAI GPT-3.5 Turbo</option>
-                  <option value="gpt-4" ${this.settings.models?.defaultChatModel === 'gpt-4' ? 'selected' : ''}>OpenAI GPT-4</option>
-                  <option value="claude-3-opus" ${this.settings.models?.defaultChatModel === 'claude-3-opus' ? 'selected' : ''}>Anthropic Claude 3 Opus</option>
-                  <option value="claude-3-sonnet" ${this.settings.models?.defaultChatModel === 'claude-3-sonnet' ? 'selected' : ''}>Anthropic Claude 3 Sonnet</option>
-                  <option value="claude-3-haiku" ${this.settings.models?.defaultChatModel === 'claude-3-haiku' ? 'selected' : ''}>Anthropic Claude 3 Haiku</option>
+                <label for="models-chatProvider">Chat Provider</label>
+                <select id="models-chatProvider">
+                  <option value="gemini" ${(this.settings.models?.chatProvider || 'gemini') === 'gemini' ? 'selected' : ''}>Google Gemini</option>
+                  <option value="openai" ${this.settings.models?.chatProvider === 'openai' ? 'selected' : ''}>OpenAI</option>
+                  <option value="local" ${this.settings.models?.chatProvider === 'local' ? 'selected' : ''}>Local server (OpenAI-compatible)</option>
                 </select>
               </div>
               
+              <div class="setting-item">
+                <label for="models-defaultChatModel">Default Chat Model</label>
+                <input type="text" id="models-defaultChatModel" list="chat-model-suggestions" placeholder="Provider default" value="${this.settings.models?.defaultChatModel || ''}">
+                <datalist id="chat-model-suggestions">
+                  <option value="gemini-2.0-flash">Google Gemini Flash</option>
+                  <option value="gemini-2.0-pro">Google Gemini Pro</option>
+                  <option value="gpt-4o-mini">OpenAI GPT-4o mini</option>
+                  <option value="gpt-4o">OpenAI GPT-4o</option>
+                  <option value="llama3.1">Llama 3.1 (local)</option>
+                  <option value="qwen2.5">Qwen 2.5 (local)</option>
+                </datalist>
+              </div>
+              
+              <div class="setting-item">
+                <label for="models-localBaseUrl">Local Server URL</label>
+                <input type="text" id="models-localBaseUrl" placeholder="http://localhost:11434/v1" value="${this.settings.models?.localBaseUrl || ''}">
+              </div>
+              <p class="settings-description">The local provider works with any server that speaks the OpenAI chat API, such as llama.cpp, Ollama or LM Studio, so chat keeps working without internet access. Conversations keep the provider they started with; a new chat picks up changes.</p>
+              
               <div class="setting-item">
                 <label for="models-defaultEmbeddingModel">Default Embedding Model</label>
                 <select id="models-defaultEmbeddingModel">
@@ -436,6 +995,126 @@ class Settings {
             </div>
           </div>
           
+          <div class="tab-content" id="prompts-tab">
+            <h3>Prompt Profiles</h3>
+            <p class="settings-description">A profile sets the assistant's persona, tone, tools and response format. New chats use the selected profile, and each chat can switch profiles from its header. Use {{userName}} in the persona for your name.</p>
+            
+            <div class="settings-section">
+              <div class="setting-item">
+                <label for="prompt-profile">Profile</label>
+                <select id="prompt-profile"></select>
+              </div>
+              
+              <div class="rebuild-actions">
+                <button class="rebuild-btn" data-prompt-action="new">New</button>
+                <button class="rebuild-btn" data-prompt-action="duplicate">Duplicate</button>
+                <button class="rebuild-btn rebuild-cancel-btn" data-prompt-action="delete">Delete</button>
+                <button class="rebuild-btn" data-prompt-action="import">Import...</button>
+                <button class="rebuild-btn" data-prompt-action="export">Export</button>
+                <input type="file" id="prompt-import-file" accept=".json,application/json" hidden>
+              </div>
+            </div>
+            
+            <div class="settings-section prompt-editor">
+              <div class="setting-item">
+                <label for="prompt-name">Name</label>
+                <input type="text" id="prompt-name">
+              </div>
+              
+              <div class="prompt-field">
+                <label for="prompt-persona">Persona</label>
+                <textarea id="prompt-persona" rows="8"></textarea>
+              </div>
+              
+              <div class="prompt-field">
+                <label for="prompt-tone">Tone</label>
+                <textarea id="prompt-tone" rows="4"></textarea>
+              </div>
+              
+              <div class="prompt-field">
+                <label for="prompt-formatRules">Response Format</label>
+                <textarea id="prompt-formatRules" rows="4"></textarea>
+              </div>
+              
+              <div class="prompt-field">
+                <label>Allowed Tools</label>
+                <div class="prompt-tool-list"></div>
+              </div>
+            </div>
+          </div>
+          
+          <div class="tab-content" id="library-tab">
+            <h3>Library</h3>
+            <p class="settings-description">Rebuilding re-chunks and re-embeds every item in the background. Searches use the current index until the rebuild finishes, and an interrupted rebuild can be resumed.</p>
+            
+            <div class="settings-section">
+              <h4>Embeddings</h4>
+              <p class="library-embedding-summary">Loading...</p>
+              
+              <div class="setting-item">
+                <label for="rebuild-provider">Embedding Provider</label>
+                <select id="rebuild-provider"></select>
+              </div>
+              
+              <div class="setting-item">
+                <label for="rebuild-strategy">Chunking Strategy</label>
+                <select id="rebuild-strategy">
+                  <option value="paragraphs">Paragraphs</option>
+                  <option value="characters">Fixed size with overlap</option>
+                  <option value="markdown">Markdown sections</option>
+                </select>
+              </div>
+              
+              <div class="setting-item">
+                <label for="rebuild-chunkSize">Chunk Size</label>
+                <input type="number" id="rebuild-chunkSize" min="100" max="8000" value="1000">
+              </div>
+              
+              <div class="setting-item">
+                <label for="rebuild-chunkOverlap">Chunk Overlap</label>
+                <input type="number" id="rebuild-chunkOverlap" min="0" max="1000" value="200">
+              </div>
+              
+              <div class="library-rebuild" data-state="idle">
+                <div class="rebuild-progress">
+                  <div class="rebuild-progress-fill"></div>
+                </div>
+                <p class="rebuild-status-text">No rebuild has run</p>
+                <div class="rebuild-actions">
+                  <button class="rebuild-btn" data-rebuild-action="start">Rebuild Library</button>
+                  <button class="rebuild-btn" data-rebuild-action="resume" hidden>Resume</button>
+                  <button class="rebuild-btn rebuild-cancel-btn" data-rebuild-action="cancel" hidden>Cancel</button>
+                </div>
+              </div>
+            </div>
+            
+            <div class="settings-section">
+              <h4>Watched Folders</h4>
+              <p class="settings-description">Documents in watched folders are kept in sync with the library: new and changed files are ingested and items of deleted files are removed. Folders are synced on startup and whenever their files change.</p>
+              
+              <ul class="watched-folder-list"></ul>
+              
+              <div class="setting-item">
+                <label for="watched-include">Include</label>
+                <input type="text" id="watched-include" placeholder="*.md, *.pdf">
+              </div>
+              
+              <div class="setting-item">
+                <label for="watched-exclude">Exclude</label>
+                <input type="text" id="watched-exclude" placeholder="drafts, *.tmp.md">
+              </div>
+              
+              <div class="setting-item">
+                <label for="watched-recursive">Include Subfolders</label>
+                <input type="checkbox" id="watched-recursive" checked>
+              </div>
+              
+              <div class="rebuild-actions">
+                <button class="rebuild-btn watched-add-btn">Watch Folder...</button>
+              </div>
+            </div>
+          </div>
+          
           <div class="tab-content" id="advanced-tab">
             <h3>Advanced Settings</h3>
             <p class="settings-description">Advanced settings should only be modified if you understand their impact.</p>
@@ -457,6 +1136,17 @@ class Settings {
                 <span class="range-value">${this.settings.advanced?.temperature || 0.7}</span>
               </div>
               
+              <div class="setting-item">
+                <label for="advanced-agentMaxSteps">Agent Step Limit</label>
+                <input type="number" id="advanced-agentMaxSteps" min="0" max="30" value="${this.settings.advanced?.agentMaxSteps ?? 6}">
+              </div>
+              
+              <div class="setting-item">
+                <label for="advanced-agentMaxSeconds">Agent Time Limit (seconds)</label>
+                <input type="number" id="advanced-agentMaxSeconds" min="5" max="600" value="${this.settings.advanced?.agentMaxSeconds ?? 90}">
+              </div>
+              <p class="settings-description">The assistant can chain tool calls, such as searching, reading and then summarizing, before it answers. Once either limit is reached it answers with what it found. A step limit of 0 turns tools off.</p>
+              
               <div class="danger-zone">
                 <h4>Danger Zone</h4>
                 <button class="clear-settings-btn">Reset All Settings</button>
@@ -485,8 +1175,8 @@ class Settings {
         input.addEventListener('change', this.handleApiKeyChange);
       });
       
-      // Settings
-      container.querySelectorAll('input:not([id$="-api-key"]), select').forEach(input => {
+      // Settings (the library rebuild, watched folder and prompt profile inputs are handled separately)
+      container.querySelectorAll('input:not([id$="-api-key"]):not([id^="rebuild-"]):not([id^="watched-"]):not([id^="prompt-"]), select:not([id^="rebuild-"]):not([id^="prompt-"])').forEach(input => {
         input.addEventListener('change', this.handleSettingChange);
       });
       
@@ -511,6 +1201,30 @@ class Settings {
       if (clearButton) {
         clearButton.addEventListener('click', this.handleClearSettings);
       }
+      
+      // Library rebuild buttons and progress
+      container.querySelectorAll('[data-rebuild-action]').forEach(button => {
+        button.addEventListener('click', this.handleRebuildAction);
+      });
+      if (window.api?.onLibraryRebuildProgress && !this.unsubscribeRebuildProgress) {
+        this.unsubscribeRebuildProgress = window.api.onLibraryRebuildProgress(this.renderRebuildStatus);
+      }
+      
+      // Watched folders
+      container.querySelector('.watched-add-btn')?.addEventListener('click', this.handleAddWatchedFolder);
+      container.querySelector('.watched-folder-list')?.addEventListener('click', this.handleWatchedFolderAction);
+      
+      // Prompt profiles
+      const promptsTab = container.querySelector('#prompts-tab');
+      promptsTab.querySelector('#prompt-profile').addEventListener('change', this.handlePromptProfileSelect);
+      promptsTab.querySelector('.prompt-editor').addEventListener('input', this.handlePromptProfileInput);
+      promptsTab.addEventListener('click', this.handlePromptProfileAction);
+      promptsTab.querySelector('#prompt-import-file').addEventListener('change', this.handlePromptProfileImport);
+      this.renderPromptProfiles();
+      
+      if (window.api?.onWatchedFoldersStatus && !this.unsubscribeWatchedFolders) {
+        this.unsubscribeWatchedFolders = window.api.onWatchedFoldersStatus(this.handleWatchedFolderStatus);
+      }
     }, 0);
     
     // After container is created, set up scroll handler
@@ -546,6 +1260,18 @@ class Settings {
         saveButton.removeEventListener('click', this.handleSaveSettings);
       }
       
+      this.container.querySelectorAll('[data-rebuild-action]').forEach(button => {
+        button.removeEventListener('click', this.handleRebuildAction);
+      });
+      this.container.querySelector('.watched-add-btn')?.removeEventListener('click', this.handleAddWatchedFolder);
+      this.container.querySelector('.watched-folder-list')?.removeEventListener('click', this.handleWatchedFolderAction);
+      
+      const promptsTab = this.container.querySelector('#prompts-tab');
+      promptsTab?.querySelector('#prompt-profile').removeEventListener('change', this.handlePromptProfileSelect);
+      promptsTab?.querySelector('.prompt-editor').removeEventListener('input', this.handlePromptProfileInput);
+      promptsTab?.removeEventListener('click', this.handlePromptProfileAction);
+      promptsTab?.querySelector('#prompt-import-file').removeEventListener('change', this.handlePromptProfileImport);
+      
       // Remove sidebar item event listeners
       const sidebarItems = this.container.querySelectorAll('.settings-sidebar-item');
       sidebarItems.forEach(item => {
@@ -567,6 +1293,16 @@ class Settings {
       }
     }
     
+    // Stop listening for library rebuild progress
+    if (this.unsubscribeRebuildProgress) {
+      this.unsubscribeRebuildProgress();
+      this.unsubscribeRebuildProgress = null;
+    }
+    if (this.unsubscribeWatchedFolders) {
+      this.unsubscribeWatchedFolders();
+      this.unsubscribeWatchedFolders = null;
+    }
+    
     this.container = null;
   }
 }
@@ -10,6 +10,185 @@ class Sidebar {
     this.container = null;
     this.onNavItemClick = onNavItemClick || (() => {});
     this.isCollapsed = true;
+    
+    // Stored chat conversations
+    this.conversationHandlers = null;
+    this.conversations = [];
+    this.conversationQuery = '';
+    this.activeConversationId = null;
+    this.searchTimer = null;
+  }
+
+  /**
+   * Set the callbacks behind the conversation list
+   * @param {Object} handlers - Conversation handlers
+   * @param {Function} handlers.list - Async (query) => conversation summaries
+   * @param {Function} handlers.open - Async (id) => resumes the conversation
+   * @param {Function} handlers.rename - Async (id, title) => renames the conversation
+   * @param {Function} handlers.setPinned - Async (id, pinned) => pins or unpins the conversation
+   * @param {Function} handlers.remove - Async (id) => deletes the conversation
+   */
+  setConversationHandlers(handlers) {
+    this.conversationHandlers = handlers;
+  }
+
+  /**
+   * Reload the conversation list, matching the current search
+   * @param {string|null} [activeConversationId] - ID of the conversation shown in the chat
+   */
+  async refreshConversations(activeConversationId = this.activeConversationId) {
+    this.activeConversationId = activeConversationId;
+    if (!this.conversationHandlers) return;
+    
+    try {
+      this.conversations = await this.conversationHandlers.list(this.conversationQuery);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+      this.conversations = [];
+    }
+    this.renderConversationList();
+  }
+
+  /**
+   * Render the conversation list into the sidebar
+   */
+  renderConversationList() {
+    const list = this.container?.querySelector('.conversation-list');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (this.conversations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'conversation-empty';
+      empty.textContent = this.conversationQuery ? 'No chats match your search' : 'No saved chats yet';
+      list.appendChild(empty);
+      return;
+    }
+    
+    this.conversations.forEach(conversation => {
+      list.appendChild(this.createConversationItem(conversation));
+    });
+  }
+
+  /**
+   * Create the list entry of a conversation
+   * @param {Object} conversation - Conversation summary
+   * @returns {HTMLElement} - The list entry
+   */
+  createConversationItem(conversation) {
+    const item = document.createElement('div');
+    item.className = 'conversation-item';
+    item.classList.toggle('active', conversation.id === this.activeConversationId);
+    item.classList.toggle('pinned', !!conversation.pinned);
+    item.dataset.conversationId = conversation.id;
+    
+    const title = document.createElement('div');
+    title.className = 'conversation-item-title';
+    title.textContent = conversation.title;
+    title.title = conversation.title;
+    item.appendChild(title);
+    
+    if (conversation.match && conversation.match.snippet) {
+      const snippet = document.createElement('div');
+      snippet.className = 'conversation-item-snippet';
+      snippet.textContent = conversation.match.snippet;
+      item.appendChild(snippet);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'conversation-item-actions';
+    actions.innerHTML = `
+      <button class="conversation-action pin-conversation" title="${conversation.pinned ? 'Unpin' : 'Pin'}" aria-label="${conversation.pinned ? 'Unpin chat' : 'Pin chat'}">
+        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="${conversation.pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 17v5"></path><path d="M9 10.76V6h6v4.76l2 3.24H7z"></path><path d="M8 2h8"></path></svg>
+      </button>
+      <button class="conversation-action rename-conversation" title="Rename" aria-label="Rename chat">
+        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z"></path></svg>
+      </button>
+      <button class="conversation-action delete-conversation" title="Delete" aria-label="Delete chat">
+        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path><path d="M10 11v6"></path><path d="M14 11v6"></path></svg>
+      </button>
+    `;
+    item.appendChild(actions);
+    
+    item.addEventListener('click', () => {
+      this.onNavItemClick('ai-assistant');
+      this.conversationHandlers.open(conversation.id);
+    });
+    
+    actions.querySelector('.pin-conversation').addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.runConversationAction(() => this.conversationHandlers.setPinned(conversation.id, !conversation.pinned));
+    });
+    
+    actions.querySelector('.rename-conversation').addEventListener('click', (event) => {
+      event.stopPropagation();
+      this.startRename(item, conversation);
+    });
+    
+    actions.querySelector('.delete-conversation').addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (confirm(`Delete the chat "${conversation.title}"?`)) {
+        this.runConversationAction(() => this.conversationHandlers.remove(conversation.id));
+      }
+    });
+    
+    return item;
+  }
+
+  /**
+   * Replace the title of a conversation entry with a field to rename it
+   * Enter or leaving the field saves the title, Escape cancels.
+   * @param {HTMLElement} item - The list entry
+   * @param {Object} conversation - Conversation summary
+   */
+  startRename(item, conversation) {
+    const title = item.querySelector('.conversation-item-title');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'conversation-rename-input';
+    input.value = conversation.title;
+    
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      
+      const newTitle = input.value.trim();
+      if (save && newTitle && newTitle !== conversation.title) {
+        this.runConversationAction(() => this.conversationHandlers.rename(conversation.id, newTitle));
+      } else {
+        input.replaceWith(title);
+      }
+    };
+    
+    input.addEventListener('click', event => event.stopPropagation());
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        finish(true);
+      } else if (event.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    title.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Run a conversation action
+   * The chat refreshes the list once the action is done; after a failure the list is reloaded as stored.
+   * @param {Function} action - Async action
+   */
+  async runConversationAction(action) {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Conversation action failed:', error);
+      this.refreshConversations();
+    }
   }
 
   /**
@@ -100,6 +279,32 @@ class Sidebar {
     chatNav.addEventListener('click', () => this.onNavItemClick('ai-assistant'));
     chatSection.appendChild(chatNav);
     
+    // Saved conversations with full-text search
+    if (this.conversationHandlers) {
+      const history = document.createElement('div');
+      history.className = 'conversation-history';
+      
+      const search = document.createElement('input');
+      search.type = 'search';
+      search.className = 'conversation-search';
+      search.placeholder = 'Search chats...';
+      search.value = this.conversationQuery;
+      search.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+          this.conversationQuery = search.value.trim();
+          this.refreshConversations();
+        }, 250);
+      });
+      
+      const list = document.createElement('div');
+      list.className = 'conversation-list';
+      
+      history.appendChild(search);
+      history.appendChild(list);
+      chatSection.appendChild(history);
+    }
+    
     sidebarNav.appendChild(chatSection);
     
     // Library Section
@@ -215,6 +420,7 @@ class Sidebar {
     sidebar.appendChild(sidebarFooter);
     
     this.container = sidebar;
+    this.refreshConversations();
     return sidebar;
   }
 
@@ -235,6 +441,8 @@ class Sidebar {
    * Clean up component resources
    */
   cleanup() {
+    clearTimeout(this.searchTimer);
+    
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
@@ -144,6 +144,7 @@ if (require('electron-squirrel-startup')) {
 // Keep a global reference of the mainWindow object to prevent garbage collection
 let mainWindow = null;
 let backendServer = null;
+let watchedFolders = null;
 
 // Check if a port is in use (quickly determine if backend is already running)
 const isPortInUse = (port) => {
@@ -827,6 +828,15 @@ app.whenReady().then(async () => {
     // This should only happen inside the whenReady promise
     createMainWindow();
 
+    // Step 6: Sync watched folders with the library and watch them for changes
+    // This runs in the background so a large folder doesn't hold up the UI
+    try {
+      ({ watchedFolders } = require(path.join(__dirname, '../../backend/src/services/watchedFolders')));
+      watchedFolders.start().catch(err => logger.error('Watched folder sync failed:', err));
+    } catch (watchErr) {
+      logger.error('Failed to start watched folders:', watchErr);
+    }
+
     // Copy story files to userData directory
     copyStoryFilesToUserData();
 
@@ -1109,6 +1119,21 @@ window.addEventListener('load', fixMargins);
     // Register a protocol handler for loading files in webviews
     protocol.registerFileProtocol('webview-file', (request, callback) => {
       const url = request.url.substr('webview-file://'.length);
+
+      // Archived pages are served from the library's web storage rather than the app
+      if (url.startsWith('web_storage/')) {
+        const { storage } = require(path.join(__dirname, '../../backend/src/config'));
+        const relativePath = decodeURIComponent(url.substring('web_storage/'.length).split(/[?#]/)[0]);
+        const filePath = path.resolve(storage.webPath, relativePath);
+        if (!filePath.startsWith(path.resolve(storage.webPath) + path.sep)) {
+          logger.warn(`Refused webview-file request outside web storage: ${request.url}`);
+          callback({ error: -6 }); // FILE_NOT_FOUND
+          return;
+        }
+        callback({ path: filePath });
+        return;
+      }
+
       const filePath = path.normalize(`${app.getAppPath()}/${url}`);
       callback({ path: filePath });
     });
@@ -1137,6 +1162,13 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Stop the watched folder watchers before quitting
+app.on('will-quit', () => {
+  if (watchedFolders) {
+    watchedFolders.stop();
+  }
+});
+
 // On macOS it's common to re-create a window when the dock icon is clicked
 app.on('activate', () => {
   if (mainWindow === null) {
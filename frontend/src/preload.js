@@ -131,6 +131,36 @@ const api = {
     }
   },
   
+  // Document file processing (Markdown, text, HTML, EPUB, DOCX or PDF)
+  processDocument: async (filePath, options = {}) => {
+    try {
+      return await ipcRenderer.invoke('process-document', filePath, options);
+    } catch (error) {
+      log.error('Error processing document:', error);
+      throw error;
+    }
+  },
+  
+  // Folder processing; options: include and exclude globs, recursive
+  processFolder: async (folderPath, options = {}) => {
+    try {
+      return await ipcRenderer.invoke('process-folder', folderPath, options);
+    } catch (error) {
+      log.error('Error processing folder:', error);
+      throw error;
+    }
+  },
+  
+  // Ask the user for a folder; resolves to { success, folderPath } with folderPath null when cancelled
+  selectFolder: async () => {
+    try {
+      return await ipcRenderer.invoke('select-folder');
+    } catch (error) {
+      log.error('Error selecting folder:', error);
+      throw error;
+    }
+  },
+  
   // URL processing
   processURL: async (url) => {
     try {
@@ -141,6 +171,141 @@ const api = {
     }
   },
   
+  // Fetch a stored web page again, keeping a new version if it changed
+  refreshURL: async (id) => {
+    try {
+      return await ipcRenderer.invoke('refresh-url', id);
+    } catch (error) {
+      log.error('Error refreshing URL:', error);
+      throw error;
+    }
+  },
+  
+  // List the stored versions of a web page item
+  getURLVersions: async (id) => {
+    try {
+      return await ipcRenderer.invoke('get-url-versions', id);
+    } catch (error) {
+      log.error('Error listing URL versions:', error);
+      throw error;
+    }
+  },
+  
+  // Diff two versions of a web page item
+  diffURLVersions: async (id, fromVersion, toVersion) => {
+    try {
+      return await ipcRenderer.invoke('diff-url-versions', id, fromVersion, toVersion);
+    } catch (error) {
+      log.error('Error diffing URL versions:', error);
+      throw error;
+    }
+  },
+  
+  // Highlights made in reader view, anchored to the page URL
+  getHighlights: async (url) => {
+    try {
+      return await ipcRenderer.invoke('highlights:list', url);
+    } catch (error) {
+      log.error('Error listing highlights:', error);
+      throw error;
+    }
+  },
+  
+  // highlight is { url, title, selector: { exact, prefix, suffix }, color, note }
+  addHighlight: async (highlight) => {
+    try {
+      return await ipcRenderer.invoke('highlights:add', highlight);
+    } catch (error) {
+      log.error('Error adding highlight:', error);
+      throw error;
+    }
+  },
+  
+  deleteHighlight: async (url, id) => {
+    try {
+      return await ipcRenderer.invoke('highlights:delete', url, id);
+    } catch (error) {
+      log.error('Error deleting highlight:', error);
+      throw error;
+    }
+  },
+  
+  // Read-later queue with offline snapshots; options.status picks 'unread' or 'read' articles
+  listReadLater: async (options = {}) => {
+    try {
+      return await ipcRenderer.invoke('read-later:list', options);
+    } catch (error) {
+      log.error('Error listing read-later queue:', error);
+      throw error;
+    }
+  },
+  
+  // article is { url, title, html, text, byline, siteName, excerpt } with sanitized reader HTML
+  addReadLater: async (article) => {
+    try {
+      return await ipcRenderer.invoke('read-later:add', article);
+    } catch (error) {
+      log.error('Error saving article for later:', error);
+      throw error;
+    }
+  },
+  
+  getReadLater: async (id) => {
+    try {
+      return await ipcRenderer.invoke('read-later:get', id);
+    } catch (error) {
+      log.error('Error reading queued article:', error);
+      throw error;
+    }
+  },
+  
+  // changes is { status: 'unread' | 'read', progress: 0-1 }
+  updateReadLater: async (id, changes) => {
+    try {
+      return await ipcRenderer.invoke('read-later:update', id, changes);
+    } catch (error) {
+      log.error('Error updating queued article:', error);
+      throw error;
+    }
+  },
+  
+  removeReadLater: async (id) => {
+    try {
+      return await ipcRenderer.invoke('read-later:remove', id);
+    } catch (error) {
+      log.error('Error removing queued article:', error);
+      throw error;
+    }
+  },
+  
+  promoteReadLater: async (id) => {
+    try {
+      return await ipcRenderer.invoke('read-later:promote', id);
+    } catch (error) {
+      log.error('Error promoting queued article:', error);
+      throw error;
+    }
+  },
+  
+  // Full-page archives
+  archivePage: async (capture) => {
+    try {
+      return await ipcRenderer.invoke('archive-page', capture);
+    } catch (error) {
+      log.error('Error archiving page:', error);
+      throw error;
+    }
+  },
+  
+  getPageArchives: async (itemId) => {
+    try {
+      return await ipcRenderer.invoke('get-page-archives', itemId);
+    } catch (error) {
+      log.error('Error listing page archives:', error);
+      throw error;
+    }
+  },
+  
   // YouTube URL processing
   processYouTube: async (url) => {
     try {
@@ -151,16 +316,26 @@ const api = {
     }
   },
   
-  // List all items in the database
-  listItems: async () => {
+  // List a page of items in the database
+  listItems: async (options = {}) => {
     try {
-      return await ipcRenderer.invoke('list-items');
+      return await ipcRenderer.invoke('list-items', options);
     } catch (error) {
       log.error('Error listing items:', error);
       throw error;
     }
   },
   
+  // Get an item with its full extracted text
+  getItem: async (itemId) => {
+    try {
+      return await ipcRenderer.invoke('get-item', itemId);
+    } catch (error) {
+      log.error('Error getting item:', error);
+      throw error;
+    }
+  },
+  
   // Delete an item from the database
   deleteItem: async (itemId) => {
     try {
@@ -172,15 +347,121 @@ const api = {
   },
   
   // Search items in the database
-  search: async (query, limit = 10) => {
+  search: async (query, limit = 10, options = {}) => {
     try {
-      return await ipcRenderer.invoke('search', { query, limit });
+      return await ipcRenderer.invoke('search', query, limit, options);
     } catch (error) {
       log.error('Error searching:', error);
       throw error;
     }
   },
   
+  // Embedding model of the library and any pending provider switch
+  getEmbeddingStatus: async () => {
+    try {
+      return await ipcRenderer.invoke('get-embedding-status');
+    } catch (error) {
+      log.error('Error getting embedding status:', error);
+      throw error;
+    }
+  },
+  
+  // Start rebuilding every item's chunks and embeddings in the background
+  startLibraryRebuild: async (options = {}) => {
+    try {
+      log.info('Starting library rebuild', options);
+      return await ipcRenderer.invoke('rebuild:start', options);
+    } catch (error) {
+      log.error('Error starting library rebuild:', error);
+      throw error;
+    }
+  },
+  
+  // Resume an interrupted or failed library rebuild
+  resumeLibraryRebuild: async () => {
+    try {
+      return await ipcRenderer.invoke('rebuild:resume');
+    } catch (error) {
+      log.error('Error resuming library rebuild:', error);
+      throw error;
+    }
+  },
+  
+  // Cancel the library rebuild and discard its partial results
+  cancelLibraryRebuild: async () => {
+    try {
+      return await ipcRenderer.invoke('rebuild:cancel');
+    } catch (error) {
+      log.error('Error cancelling library rebuild:', error);
+      throw error;
+    }
+  },
+  
+  // Status of the current or last library rebuild
+  getLibraryRebuildStatus: async () => {
+    try {
+      return await ipcRenderer.invoke('rebuild:status');
+    } catch (error) {
+      log.error('Error getting library rebuild status:', error);
+      throw error;
+    }
+  },
+  
+  // Subscribe to library rebuild progress; returns a function that unsubscribes
+  onLibraryRebuildProgress: (callback) => {
+    const listener = (_event, job) => callback(job);
+    ipcRenderer.on('rebuild:progress', listener);
+    return () => ipcRenderer.removeListener('rebuild:progress', listener);
+  },
+  
+  // Folders whose documents are kept in sync with the library
+  listWatchedFolders: async () => {
+    try {
+      return await ipcRenderer.invoke('watched-folders:list');
+    } catch (error) {
+      log.error('Error listing watched folders:', error);
+      throw error;
+    }
+  },
+  
+  // Start watching a folder ({ folderPath, include, exclude, recursive })
+  addWatchedFolder: async (options) => {
+    try {
+      log.info('Adding watched folder', options);
+      return await ipcRenderer.invoke('watched-folders:add', options);
+    } catch (error) {
+      log.error('Error adding watched folder:', error);
+      throw error;
+    }
+  },
+  
+  // Stop watching a folder, optionally deleting the items ingested from it
+  removeWatchedFolder: async (id, options = {}) => {
+    try {
+      return await ipcRenderer.invoke('watched-folders:remove', id, options);
+    } catch (error) {
+      log.error('Error removing watched folder:', error);
+      throw error;
+    }
+  },
+  
+  // Sync a watched folder now
+  syncWatchedFolder: async (id) => {
+    try {
+      return await ipcRenderer.invoke('watched-folders:sync', id);
+    } catch (error) {
+      log.error('Error syncing watched folder:', error);
+      throw error;
+    }
+  },
+  
+  // Subscribe to watched folder sync status; returns a function that unsubscribes
+  onWatchedFoldersStatus: (callback) => {
+    const listener = (_event, source) => callback(source);
+    ipcRenderer.on('watched-folders:status', listener);
+    return () => ipcRenderer.removeListener('watched-folders:status', listener);
+  },
+  
   // List all files tool
   listAllFiles: async (params = {}) => {
     try {
@@ -293,6 +574,113 @@ You can get your Google API key from: https://ai.google.dev/`,
       log.error('Chat request failed completely:', error.message);
       throw error;
     }
+  },
+  
+  // Streaming chat; tokens and tool calls arrive through onChatStreamEvent tagged with requestId
+  streamChat: async (requestId, data) => {
+    try {
+      log.info(`Sending streaming chat request ${requestId} via IPC`);
+      return await ipcRenderer.invoke('chat:stream', requestId, data);
+    } catch (error) {
+      log.error('Streaming chat request failed:', error);
+      throw error;
+    }
+  },
+  
+  // Abort a streaming chat request
+  cancelChat: async (requestId) => {
+    try {
+      return await ipcRenderer.invoke('chat:cancel', requestId);
+    } catch (error) {
+      log.error('Error cancelling chat request:', error);
+      throw error;
+    }
+  },
+  
+  // Subscribe to streaming chat events; returns a function that unsubscribes
+  onChatStreamEvent: (callback) => {
+    const listener = (_event, streamEvent) => callback(streamEvent);
+    ipcRenderer.on('chat:stream-event', listener);
+    return () => ipcRenderer.removeListener('chat:stream-event', listener);
+  },
+  
+  // Stored chat conversations, pinned first; options.query searches their text
+  listConversations: async (options = {}) => {
+    try {
+      return await ipcRenderer.invoke('conversations:list', options);
+    } catch (error) {
+      log.error('Error listing conversations:', error);
+      throw error;
+    }
+  },
+  
+  // Read a stored conversation with its messages
+  getConversation: async (id) => {
+    try {
+      return await ipcRenderer.invoke('conversations:get', id);
+    } catch (error) {
+      log.error('Error reading conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Store a conversation ({ id, messages, provider, model }); creates it when id is missing
+  saveConversation: async (conversation) => {
+    try {
+      return await ipcRenderer.invoke('conversations:save', conversation);
+    } catch (error) {
+      log.error('Error saving conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Rename or pin a conversation ({ title, pinned })
+  updateConversation: async (id, changes) => {
+    try {
+      return await ipcRenderer.invoke('conversations:update', id, changes);
+    } catch (error) {
+      log.error('Error updating conversation:', error);
+      throw error;
+    }
+  },
+  
+  deleteConversation: async (id) => {
+    try {
+      return await ipcRenderer.invoke('conversations:delete', id);
+    } catch (error) {
+      log.error('Error deleting conversation:', error);
+      throw error;
+    }
+  },
+  
+  // Chat attachments: source is { filePath }, { url } or { name, data } with base64 data
+  extractAttachment: async (source) => {
+    try {
+      return await ipcRenderer.invoke('attachments:extract', source);
+    } catch (error) {
+      log.error('Error extracting attachment:', error);
+      throw error;
+    }
+  },
+  
+  promoteAttachment: async (attachment) => {
+    try {
+      return await ipcRenderer.invoke('attachments:promote', attachment);
+    } catch (error) {
+      log.error('Error promoting attachment:', error);
+      throw error;
+    }
+  },
+  
+  // Passages that answer a question, re-ranked and packed under a token budget
+  // Options: topK, candidates, maxTokens, mode
+  retrieveContext: async (question, options = {}) => {
+    try {
+      return await ipcRenderer.invoke('rag:retrieve', question, options);
+    } catch (error) {
+      log.error('Error retrieving context:', error);
+      throw error;
+    }
   }
 };
 
@@ -399,6 +787,25 @@ const serverProxy = {
     return api.chat(data);
   },
   
+  // Streaming chat, see api.streamChat
+  async streamChat(requestId, data) {
+    log.info('Server proxy: Delegating streaming chat request to API');
+    return api.streamChat(requestId, data);
+  },
+  
+  async cancelChat(requestId) {
+    return api.cancelChat(requestId);
+  },
+  
+  onChatStreamEvent(callback) {
+    return api.onChatStreamEvent(callback);
+  },
+  
+  // Passages for retrieval-augmented answers, see api.retrieveContext
+  async retrieveContext(question, options = {}) {
+    return api.retrieveContext(question, options);
+  },
+  
   // Check health endpoint to verify backend is running
   async checkHealth() {
     log.info('Checking backend health status via IPC');
@@ -714,9 +1121,18 @@ contextBridge.exposeInMainWorld('electron', {
     invoke: (channel, ...args) => {
       const validChannels = [
         'check-health', 'get-config', 'process-pdf', 'process-url', 'process-youtube',
-        'delete-item', 'list-items', 'save-browser-content', 'search',
+        'refresh-url', 'get-url-versions', 'diff-url-versions',
+        'highlights:list', 'highlights:add', 'highlights:delete',
+        'read-later:list', 'read-later:add', 'read-later:get', 'read-later:update', 'read-later:remove', 'read-later:promote',
+        'archive-page', 'get-page-archives',
+        'process-document', 'process-folder', 'select-folder',
+        'get-item', 'delete-item', 'list-items', 'save-browser-content', 'search',
+        'get-embedding-status', 'rebuild:start', 'rebuild:resume', 'rebuild:cancel', 'rebuild:status',
+        'watched-folders:list', 'watched-folders:add', 'watched-folders:remove', 'watched-folders:sync',
         'list-all-files', 'list-files-by-type', 'list-files-with-content', 'list-recent-files',
-        'get-available-tools', 'execute-tool', 'generate-summary', 'chat',
+        'get-available-tools', 'execute-tool', 'generate-summary', 'chat', 'chat:stream', 'chat:cancel',
+        'conversations:list', 'conversations:get', 'conversations:save', 'conversations:update', 'conversations:delete',
+        'attachments:extract', 'attachments:promote', 'rag:retrieve',
         'generate-embeddings', 'execute-tool-call', 'semantic-search',
         'get-story-chapters', 'get-story-chapter-content', 'setup-header-bypass',
         'settings:get', 'settings:save', 'settings:clear', 'settings:testApiKey',
@@ -750,9 +1166,18 @@ try {
     invoke: (channel, ...args) => {
       const validChannels = [
         'check-health', 'get-config', 'process-pdf', 'process-url', 'process-youtube',
-        'delete-item', 'list-items', 'save-browser-content', 'search',
+        'refresh-url', 'get-url-versions', 'diff-url-versions',
+        'highlights:list', 'highlights:add', 'highlights:delete',
+        'read-later:list', 'read-later:add', 'read-later:get', 'read-later:update', 'read-later:remove', 'read-later:promote',
+        'archive-page', 'get-page-archives',
+        'process-document', 'process-folder', 'select-folder',
+        'get-item', 'delete-item', 'list-items', 'save-browser-content', 'search',
+        'get-embedding-status', 'rebuild:start', 'rebuild:resume', 'rebuild:cancel', 'rebuild:status',
+        'watched-folders:list', 'watched-folders:add', 'watched-folders:remove', 'watched-folders:sync',
         'list-all-files', 'list-files-by-type', 'list-files-with-content', 'list-recent-files',
-        'get-available-tools', 'execute-tool', 'generate-summary', 'chat',
+        'get-available-tools', 'execute-tool', 'generate-summary', 'chat', 'chat:stream', 'chat:cancel',
+        'conversations:list', 'conversations:get', 'conversations:save', 'conversations:update', 'conversations:delete',
+        'attachments:extract', 'attachments:promote', 'rag:retrieve',
         'generate-embeddings', 'generate-local-embedding', 'execute-tool-call', 'semantic-search',
         'get-story-chapters', 'get-story-chapter-content', 'setup-header-bypass',
         'settings:get', 'settings:save', 'settings:clear', 'settings:testApiKey',
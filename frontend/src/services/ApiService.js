@@ -10,20 +10,42 @@ class ApiService {
     this.api = window.api;
   }
 
-  // List all items from the database
-  async listItems() {
+  // List a page of items from the database
+  // Options: limit, offset, cursor (nextCursor of the previous page), sortBy ('created_at' | 'title'),
+  // sortDirection ('asc' | 'desc') and where (column/value pairs, e.g. { source_type: 'pdf' })
+  async listItems(options = {}) {
     try {
-      const response = await this.api.listItems();
+      const response = await this.api.listItems(options);
       if (!response.success) {
         throw new Error(response.error || 'Failed to list items');
       }
-      return response.items || [];
+      return {
+        items: response.items || [],
+        total: response.total || 0,
+        offset: response.offset || 0,
+        nextCursor: response.nextCursor || null,
+        hasMore: !!response.hasMore
+      };
     } catch (error) {
       console.error('Error listing items:', error);
       throw new Error(`Error listing items: ${error.message}`);
     }
   }
   
+  // List every item from the database by following page cursors
+  async listAllItems(options = {}) {
+    const items = [];
+    let cursor = null;
+    
+    do {
+      const page = await this.listItems({ limit: 200, ...options, cursor });
+      items.push(...page.items);
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+    
+    return items;
+  }
+  
   // Process a PDF file
   async processPDF(filePath) {
     try {
@@ -38,6 +60,48 @@ class ApiService {
     }
   }
   
+  // Process a document file (Markdown, text, HTML, EPUB, DOCX or PDF)
+  async processDocument(filePath, options = {}) {
+    try {
+      const response = await this.api.processDocument(filePath, options);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to process document');
+      }
+      return response.result;
+    } catch (error) {
+      console.error('Error processing document:', error);
+      throw new Error(`Error processing document: ${error.message}`);
+    }
+  }
+  
+  // Process every supported document in a folder
+  // Options: include and exclude (glob or array of globs), recursive (default true)
+  async processFolder(folderPath, options = {}) {
+    try {
+      const response = await this.api.processFolder(folderPath, options);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to process folder');
+      }
+      return {
+        total: response.total || 0,
+        processed: response.processed || [],
+        failed: response.failed || []
+      };
+    } catch (error) {
+      console.error('Error processing folder:', error);
+      throw new Error(`Error processing folder: ${error.message}`);
+    }
+  }
+  
+  // Ask the user to pick a folder; resolves to its path, or null when cancelled
+  async selectFolder() {
+    const response = await this.api.selectFolder();
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to select folder');
+    }
+    return response.folderPath;
+  }
+  
   // Process a URL
   async processURL(url) {
     try {
@@ -52,6 +116,48 @@ class ApiService {
     }
   }
   
+  // Fetch a stored web page again; resolves to { changed, version, versions, stats }
+  async refreshURL(itemId) {
+    try {
+      const response = await this.api.refreshURL(itemId);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to refresh URL');
+      }
+      return response.result;
+    } catch (error) {
+      console.error('Error refreshing URL:', error);
+      throw new Error(`Error refreshing URL: ${error.message}`);
+    }
+  }
+  
+  // List the stored versions of a web page item, oldest first
+  async getURLVersions(itemId) {
+    try {
+      const response = await this.api.getURLVersions(itemId);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to list versions');
+      }
+      return response.versions;
+    } catch (error) {
+      console.error('Error listing URL versions:', error);
+      throw new Error(`Error listing versions: ${error.message}`);
+    }
+  }
+  
+  // Diff two versions of a web page item; resolves to { from, to, changes, stats }
+  async diffURLVersions(itemId, fromVersion, toVersion) {
+    try {
+      const response = await this.api.diffURLVersions(itemId, fromVersion, toVersion);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to diff versions');
+      }
+      return response.diff;
+    } catch (error) {
+      console.error('Error diffing URL versions:', error);
+      throw new Error(`Error diffing versions: ${error.message}`);
+    }
+  }
+  
   // Process a YouTube URL
   async processYouTube(url, options = {}) {
     try {
@@ -81,9 +187,10 @@ class ApiService {
   }
   
   // Search for items
-  async search(query, limit = 10) {
+  // Options: mode ('keyword' | 'vector' | 'hybrid')
+  async search(query, limit = 10, options = {}) {
     try {
-      const response = await this.api.search(query, limit);
+      const response = await this.api.search(query, limit, options);
       if (!response.success) {
         throw new Error(response.error || 'Search failed');
       }
@@ -163,6 +270,105 @@ class ApiService {
       throw new Error(`Error generating summary: ${error.message}`);
     }
   }
+  
+  // List stored chat conversations, pinned first; a query keeps those containing every word
+  async listConversations(query = '') {
+    try {
+      const response = await this.api.listConversations({ query });
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to list conversations');
+      }
+      return response.conversations || [];
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      throw new Error(`Error listing conversations: ${error.message}`);
+    }
+  }
+  
+  // Read a stored conversation with its messages
+  async getConversation(id) {
+    try {
+      const response = await this.api.getConversation(id);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to read conversation');
+      }
+      return response.conversation;
+    } catch (error) {
+      console.error('Error reading conversation:', error);
+      throw new Error(`Error reading conversation: ${error.message}`);
+    }
+  }
+  
+  // Store a conversation ({ id, messages, provider, model }); resolves to its summary
+  async saveConversation(conversation) {
+    try {
+      const response = await this.api.saveConversation(conversation);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save conversation');
+      }
+      return response.conversation;
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+      throw new Error(`Error saving conversation: ${error.message}`);
+    }
+  }
+  
+  // Rename or pin a conversation ({ title, pinned }); resolves to its summary
+  async updateConversation(id, changes) {
+    try {
+      const response = await this.api.updateConversation(id, changes);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to update conversation');
+      }
+      return response.conversation;
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+      throw new Error(`Error updating conversation: ${error.message}`);
+    }
+  }
+  
+  // Delete a stored conversation
+  async deleteConversation(id) {
+    try {
+      const response = await this.api.deleteConversation(id);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to delete conversation');
+      }
+      return response;
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      throw new Error(`Error deleting conversation: ${error.message}`);
+    }
+  }
+  
+  // Extract the text of a chat attachment without storing it
+  // Source: { filePath }, { url } or { name, data } with base64 data; resolves to { id, kind, title, source, text, truncated }
+  async extractAttachment(source) {
+    try {
+      const response = await this.api.extractAttachment(source);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to read attachment');
+      }
+      return response.attachment;
+    } catch (error) {
+      console.error('Error extracting attachment:', error);
+      throw new Error(`Error reading attachment: ${error.message}`);
+    }
+  }
+  
+  // Store the extracted text of a chat attachment as an item
+  async promoteAttachment(attachment) {
+    try {
+      const response = await this.api.promoteAttachment(attachment);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save attachment');
+      }
+      return response.result;
+    } catch (error) {
+      console.error('Error promoting attachment:', error);
+      throw new Error(`Error saving attachment: ${error.message}`);
+    }
+  }
 }
 
 export default ApiService; 
\ No newline at end of file
@@ -59,7 +59,7 @@ class DocProcessor {
   /**
    * Process a PDF document
    * @param {string} filePath - Path to the PDF file
-   * @returns {Promise<Object>} - Processing result with summary
+   * @returns {Promise<Object>} - Processing result with summary, or the existing item if already in the library
    */
   async processPDF(filePath) {
     if (!filePath) {
@@ -75,6 +75,12 @@ class DocProcessor {
       
       const result = await this.apiService.processPDF(filePath);
       
+      const duplicate = this.getDuplicate(result);
+      if (duplicate) {
+        this.notify('info', `"${duplicate.title}" is already in your library`);
+        return duplicate;
+      }
+      
       // Generate summary from the processed content
       const summary = await this.generateDocumentSummary(result);
       
@@ -90,10 +96,88 @@ class DocProcessor {
     }
   }
 
+  /**
+   * Process a document file (Markdown, text, HTML, EPUB, DOCX or PDF)
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Object>} - Processing result with summary, or the existing item if already in the library
+   */
+  async processDocument(filePath) {
+    if (!filePath) {
+      const message = 'No document selected';
+      this.notify('warning', message);
+      docProcessorLogger.warn(message);
+      return null;
+    }
+    
+    try {
+      this.notify('info', 'Processing document...');
+      docProcessorLogger.info(`Processing document: ${filePath}`);
+      
+      const result = await this.apiService.processDocument(filePath);
+      
+      const duplicate = this.getDuplicate(result);
+      if (duplicate) {
+        this.notify('info', `"${duplicate.title}" is already in your library`);
+        return duplicate;
+      }
+      
+      // Generate summary from the processed content
+      const summary = await this.generateDocumentSummary(result);
+      
+      this.notify('success', `Successfully processed document: ${result.title || 'Unnamed document'}`);
+      this.notifyListeners('document:processed', { id: result.id, filePath, summary });
+      
+      return { ...result, summary };
+    } catch (error) {
+      const errorMessage = `Failed to process document: ${error.message}`;
+      this.notify('error', errorMessage);
+      docProcessorLogger.error(errorMessage, { filePath, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Process every supported document in a folder
+   * @param {string} folderPath - Folder to ingest
+   * @param {Object} options - Include/exclude globs and whether to recurse
+   * @returns {Promise<Object>} - { total, processed, failed }
+   */
+  async processFolder(folderPath, options = {}) {
+    if (!folderPath) {
+      const message = 'No folder selected';
+      this.notify('warning', message);
+      docProcessorLogger.warn(message);
+      return null;
+    }
+    
+    try {
+      this.notify('info', 'Processing folder...');
+      docProcessorLogger.info(`Processing folder: ${folderPath}`, options);
+      
+      const result = await this.apiService.processFolder(folderPath, options);
+      
+      const duplicates = result.processed.filter(item => item.duplicate).length;
+      const alreadyStored = duplicates > 0 ? `; ${duplicates} were already in your library` : '';
+      if (result.failed.length > 0) {
+        this.notify('warning', `Processed ${result.processed.length} of ${result.total} documents; ${result.failed.length} failed${alreadyStored}`);
+      } else {
+        this.notify('success', `Processed ${result.processed.length} documents from the folder${alreadyStored}`);
+      }
+      this.notifyListeners('folder:processed', { folderPath, ...result });
+      
+      return result;
+    } catch (error) {
+      const errorMessage = `Failed to process folder: ${error.message}`;
+      this.notify('error', errorMessage);
+      docProcessorLogger.error(errorMessage, { folderPath, error });
+      throw error;
+    }
+  }
+
   /**
    * Process a Web URL
    * @param {string} url - URL to process
-   * @returns {Promise<Object>} - Processing result with summary
+   * @returns {Promise<Object>} - Processing result with summary, or the existing item if already in the library
    */
   async processURL(url) {
     if (!url) {
@@ -109,6 +193,12 @@ class DocProcessor {
       
       const result = await this.apiService.processURL(url);
       
+      const duplicate = this.getDuplicate(result);
+      if (duplicate) {
+        this.notify('info', `"${duplicate.title}" is already in your library`);
+        return duplicate;
+      }
+      
       // Generate summary from the processed content
       const summary = await this.generateDocumentSummary(result);
       
@@ -128,7 +218,7 @@ class DocProcessor {
    * Process a YouTube URL
    * @param {string} url - YouTube URL to process
    * @param {Object} options - Processing options
-   * @returns {Promise<Object>} - Processing result with summary
+   * @returns {Promise<Object>} - Processing result with summary, or the existing item if already in the library
    */
   async processYouTube(url, options = {}) {
     if (!url) {
@@ -173,6 +263,12 @@ class DocProcessor {
       // Pass options to the API service
       const result = await this.apiService.processYouTube(url, processOptions);
       
+      const duplicate = this.getDuplicate(result);
+      if (duplicate) {
+        this.notify('info', `"${duplicate.title}" is already in your library`);
+        return duplicate;
+      }
+      
       // Generate summary from the processed content
       const summary = await this.generateDocumentSummary(result);
       
@@ -193,6 +289,16 @@ class DocProcessor {
     }
   }
 
+  /**
+   * Get the existing library item a processing result turned out to duplicate
+   * @param {Object} result - Processing result, bare or wrapped as { success, result }
+   * @returns {Object|null} - The existing item (flagged duplicate), or null if the content was new
+   */
+  getDuplicate(result) {
+    const item = result && result.result ? result.result : result;
+    return item && item.duplicate ? item : null;
+  }
+
   /**
    * Generate a summary for a document
    * @param {Object} document - Document data
@@ -298,7 +404,7 @@ class DocProcessor {
   async getDocumentList() {
     try {
       docProcessorLogger.info('Fetching document list');
-      const documents = await this.apiService.listItems();
+      const documents = await this.apiService.listAllItems();
       return documents;
     } catch (error) {
       const errorMessage = `Failed to fetch document list: ${error.message}`;
@@ -308,6 +414,23 @@ class DocProcessor {
     }
   }
 
+  /**
+   * Get one page of stored documents
+   * @param {Object} options - listItems options: limit, cursor, sortBy, sortDirection and where
+   * @returns {Promise<Object>} - { items, total, nextCursor, hasMore }
+   */
+  async getDocumentPage(options = {}) {
+    try {
+      docProcessorLogger.info('Fetching document page');
+      return await this.apiService.listItems(options);
+    } catch (error) {
+      const errorMessage = `Failed to fetch document list: ${error.message}`;
+      this.notify('error', errorMessage);
+      docProcessorLogger.error(errorMessage, { error });
+      return { items: [], total: 0, offset: 0, nextCursor: null, hasMore: false };
+    }
+  }
+
   /**
    * Get a specific document by ID
    * @param {string} id - Document ID
@@ -348,6 +471,66 @@ class DocProcessor {
     }
   }
 
+  /**
+   * Read a file, pasted file or URL attached to a chat message
+   * The text is only kept with the message; nothing is added to the library.
+   * @param {Object} source - { filePath }, { url } or { name, data } with base64 data
+   * @returns {Promise<Object>} - Attachment { id, kind, title, source, text, truncated }
+   */
+  async extractAttachment(source) {
+    const label = source.url || source.filePath || source.name;
+    
+    try {
+      docProcessorLogger.info(`Reading attachment: ${label}`);
+      return await this.apiService.extractAttachment(source);
+    } catch (error) {
+      const errorMessage = `Failed to read attachment: ${error.message}`;
+      this.notify('error', errorMessage);
+      docProcessorLogger.error(errorMessage, { source: label, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a chat attachment as a permanent item
+   * Files and URLs go through the regular processing paths; images and pasted data are stored as their text.
+   * @param {Object} attachment - Attachment returned by extractAttachment
+   * @returns {Promise<Object>} - Processing result, or the existing item if already in the library
+   */
+  async promoteAttachment(attachment) {
+    const { kind, title, source = {} } = attachment;
+    
+    if (source.url) {
+      return this.processURL(source.url);
+    }
+    if (source.filePath && kind !== 'image') {
+      return this.processDocument(source.filePath);
+    }
+    
+    try {
+      this.notify('info', `Saving ${title}...`);
+      docProcessorLogger.info(`Promoting attachment: ${title}`, { kind });
+      
+      const result = await this.apiService.promoteAttachment(attachment);
+      
+      const duplicate = this.getDuplicate(result);
+      if (duplicate) {
+        this.notify('info', `"${duplicate.title}" is already in your library`);
+        return duplicate;
+      }
+      
+      this.notify('success', `Saved to your library: ${result.title || title}`);
+      this.notifyListeners('attachment:promoted', { id: result.id, title: result.title });
+      
+      return result;
+    } catch (error) {
+      const errorMessage = `Failed to save attachment: ${error.message}`;
+      this.notify('error', errorMessage);
+      docProcessorLogger.error(errorMessage, { title, error });
+      throw error;
+    }
+  }
+
   /**
    * Save document with summary data
    * @param {Object} documentData - Document data with summary
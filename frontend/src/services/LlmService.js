@@ -1,7 +1,42 @@
 // LlmService for Gemini 2.5 Flash integration
 import systemPrompt from './systemPrompt';
+import { filterToolsForProfile } from './promptProfiles';
 import messageFormatter from '../utils/messageFormatter.js';
 
+// Default budget of an agent run: tool calls it may make and seconds it may take
+export const DEFAULT_AGENT_MAX_STEPS = 6;
+export const DEFAULT_AGENT_MAX_SECONDS = 90;
+
+// Sent after each round of tool calls so the model either calls more tools or answers
+const AGENT_CONTINUE_PROMPT = 'Continue with the tool results above. Call more tools if you still need information, otherwise answer my last question.';
+
+// Sent once the budget is spent; the model then answers without tools
+const AGENT_FINAL_PROMPT = 'Answer my last question using the tool results above.';
+
+// Answer in "Ask the Sieve" mode when the retrieved passages do not answer the question
+export const RAG_NOT_FOUND = 'Not found in the Sieve.';
+
+/**
+ * Wrap a question in the passages retrieved for it and the instruction to answer only from them
+ * @param {string} question - The user's question
+ * @param {string} context - Numbered passages with source headers, packed by the backend
+ * @returns {string} - Message sent to the model
+ */
+export function buildGroundedMessage(question, context) {
+  return [
+    '[CONTEXT]',
+    'The numbered passages below were retrieved from the Sieve for the question that follows. ' +
+      'Answer using only these passages, not your own knowledge. Cite each passage you rely on with its ' +
+      'number in square brackets right after the sentence, for example [1] or [1][3]. ' +
+      `If the passages do not answer the question, reply exactly: "${RAG_NOT_FOUND}"`,
+    '',
+    context,
+    '[END CONTEXT]',
+    '',
+    `Question: ${question}`
+  ].join('\n');
+}
+
 class LlmService {
   constructor() {
     this.defaultModel = 'gemini-2.0-flash'; // Update to supported model
@@ -9,6 +44,8 @@ class LlmService {
     this.config = null;
     this.configPromise = this.loadConfig();
     this.apiKeyMissing = false;
+    this.activeStreamId = null; // Request ID of the response being streamed
+    this.agentStopRequested = false; // Set by stopAgentLoop to end the running agent loop
     this.debugMode = process.env.NODE_ENV !== 'production'; // Enable debug mode in development
   }
 
@@ -80,24 +117,32 @@ class LlmService {
    * @param {string} message - Message to send
    * @param {Array} chatHistory - Previous chat history
    * @param {Object} options - Additional options for the LLM
+   * @param {string} [options.provider] - LLM provider ID (gemini, openai or local); defaults to the one in the settings
+   * @param {string} [options.model] - Model name; defaults to the provider's model
+   * @param {Object} [options.profile] - Prompt profile the system prompt and tools come from
+   * @param {Object} [options.rag] - "Ask the Sieve" mode: answer only from retrieved passages, see retrieveGroundedMessage
    * @returns {Promise<Object>} - Response from the LLM
    */
   async sendMessage(message, chatHistory = [], options = {}) {
     try {
       // Check for backend connection first
       if (!await this.checkBackendStatus()) {
-        return {
-          error: true,
-          text: "⚠️ Error: Backend server is not available. Please make sure the backend service is running.",
-          suggestedActions: [
-            { label: "Restart Application", action: "restart" },
-            { label: "Check Server Logs", action: "check_logs" }
-          ]
-        };
+        return this.createBackendUnavailableResponse();
+      }
+      
+      // In "Ask the Sieve" mode the question goes out wrapped in the passages retrieved for it, without tools
+      const grounded = options.rag ? await this.retrieveGroundedMessage(message, options.rag) : null;
+      if (grounded && grounded.sources.length === 0) {
+        return this.createNotFoundResponse();
       }
 
       // Prepare chat history with system prompt
-      const formattedHistory = this.formatChatHistoryWithSystemPrompt(chatHistory, options.systemPrompt);
+      const tools = grounded ? [] : this.getToolsForProfile(options.tools, options.profile);
+      const formattedHistory = this.formatChatHistoryWithSystemPrompt(chatHistory, {
+        ...options.systemPrompt,
+        profile: options.profile,
+        tools
+      });
       
       // Log memory usage before API call (if debug enabled)
       if (this.debugMode) {
@@ -110,12 +155,16 @@ class LlmService {
       
       console.log('[LlmService] Sending chat request to backend server');
       const response = await window.server.chat({
-        message,
+        message: grounded ? grounded.message : message,
         chatHistory: formattedHistory,
-        model: options.model || this.defaultModel,
+        // The backend falls back to the provider and model chosen in the settings
+        provider: options.provider,
+        model: options.model,
         temperature: options.temperature,
         maxTokens: options.maxTokens,
-        tools: options.tools || this.getDefaultTools()
+        tools,
+        // Retrieved passages are the sources the answer's [n] markers refer to
+        ...(grounded && { sources: grounded.sources })
       });
       
       console.log('[LlmService] Received response from backend server:', response);
@@ -144,64 +193,7 @@ class LlmService {
       
       // Check for error response from the IPC bridge
       if (response.error === true) {
-        let errorMessage = response.message || "Unknown error occurred";
-        let errorDetails = [];
-        
-        // Provide helpful guidance for API key issues
-        if (errorMessage.includes("API key") || 
-            errorMessage.includes("unregistered callers") || 
-            errorMessage.includes("authentication") ||
-            errorMessage.includes("403 Forbidden")) {
-          
-          errorMessage = "⚠️ Google API Key Issue: The application cannot connect to Gemini AI.";
-          errorDetails = [
-            "The Google API key is missing or invalid, or doesn't have proper permissions. Please follow these steps:",
-            "1. Get an API key from https://ai.google.dev/",
-            "2. Make sure your project is enabled for Gemini API including function calling",
-            "3. Add your key to backend/.env file: GOOGLE_API_KEY=YOUR_API_KEY",
-            "4. Restart the application",
-            "",
-            "For detailed instructions, see backend/API_SETUP.md"
-          ];
-          
-          return {
-            error: true,
-            text: errorMessage,
-            details: errorDetails,
-            suggestedActions: [
-              { label: "Get API Key", action: "open_url", url: "https://ai.google.dev/" },
-              { label: "View Setup Guide", action: "view_docs", file: "API_SETUP.md" },
-              { label: "Check API Status", action: "check_api_status" }
-            ]
-          };
-        }
-        
-        // Handle quota/rate limit errors
-        if (errorMessage.includes("rate limit") || errorMessage.includes("quota")) {
-          errorMessage = "⚠️ API Quota Exceeded: You've reached your Google AI API usage limits.";
-          errorDetails = [
-            "You've reached your Google AI API quota or rate limits. Please try:",
-            "1. Wait a few minutes and try again",
-            "2. Check your Google AI Studio quota and usage limits",
-            "3. Consider upgrading your Google AI plan for higher limits"
-          ];
-          
-          return {
-            error: true,
-            text: errorMessage,
-            details: errorDetails,
-            suggestedActions: [
-              { label: "Check Quota", action: "open_url", url: "https://console.cloud.google.com/apis/dashboard" }
-            ]
-          };
-        }
-        
-        // Generic error handling
-        return {
-          error: true,
-          text: errorMessage,
-          details: errorDetails
-        };
+        return this.createErrorResponse(response.message || "Unknown error occurred");
       }
       
       // Process successful response using message formatter
@@ -354,6 +346,391 @@ class LlmService {
     }
   }
 
+  /**
+   * Send a message to the LLM and stream the response as it is generated
+   * Resolves to the same response as sendMessage once the stream ends, or to
+   * { cancelled: true, content } holding the text received so far when cancelStream stops it.
+   * @param {string} message - Message to send
+   * @param {Array} chatHistory - Previous chat history
+   * @param {Object} options - Additional options for the LLM, plus stream callbacks
+   * @param {Function} [options.onToken] - Called with the full text received so far after every token
+   * @param {Function} [options.onToolCall] - Called with each tool call as the model makes it
+   * @param {Object} [options.profile] - Prompt profile the system prompt and tools come from
+   * @param {Object} [options.rag] - "Ask the Sieve" mode, see sendMessage
+   * @returns {Promise<Object>} - Response from the LLM
+   */
+  async streamMessage(message, chatHistory = [], options = {}) {
+    if (!await this.checkBackendStatus()) {
+      return this.createBackendUnavailableResponse();
+    }
+    
+    const requestId = `chat-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    let streamedText = '';
+    
+    const unsubscribe = window.server.onChatStreamEvent(event => {
+      if (event.requestId !== requestId) {
+        return;
+      }
+      
+      if (event.type === 'token') {
+        streamedText += event.text;
+        options.onToken?.(streamedText);
+      } else if (event.type === 'tool-call') {
+        options.onToolCall?.(event.toolCall);
+      }
+    });
+    
+    this.activeStreamId = requestId;
+    
+    try {
+      const grounded = options.rag ? await this.retrieveGroundedMessage(message, options.rag) : null;
+      if (grounded && grounded.sources.length === 0) {
+        return this.createNotFoundResponse();
+      }
+      
+      const tools = grounded ? [] : this.getToolsForProfile(options.tools, options.profile);
+      const formattedHistory = this.formatChatHistoryWithSystemPrompt(chatHistory, {
+        ...options.systemPrompt,
+        profile: options.profile,
+        tools
+      });
+      
+      console.log(`[LlmService] Sending streaming chat request ${requestId} to backend server`);
+      const result = await window.server.streamChat(requestId, {
+        message: grounded ? grounded.message : message,
+        chatHistory: formattedHistory,
+        // The backend falls back to the provider and model chosen in the settings
+        provider: options.provider,
+        model: options.model,
+        temperature: options.temperature,
+        maxTokens: options.maxTokens,
+        tools,
+        ...(grounded && { sources: grounded.sources })
+      });
+      
+      if (result.cancelled) {
+        console.log(`[LlmService] Streaming chat request ${requestId} was cancelled`);
+        return {
+          cancelled: true,
+          role: 'assistant',
+          content: streamedText,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      if (!result.success) {
+        return this.createErrorResponse(result.error || 'Unknown error occurred');
+      }
+      
+      const formattedResponse = messageFormatter.processResponse(result.response);
+      if (!formattedResponse.content) {
+        formattedResponse.content = formattedResponse.text || '';
+      }
+      
+      return formattedResponse;
+    } catch (error) {
+      console.error('[LlmService] Error streaming message:', error);
+      
+      return {
+        error: true,
+        text: `⚠️ Error: ${error.message}`,
+        details: [error.stack]
+      };
+    } finally {
+      unsubscribe();
+      if (this.activeStreamId === requestId) {
+        this.activeStreamId = null;
+      }
+    }
+  }
+
+  /**
+   * Stop the response being streamed, if any
+   * @returns {Promise<boolean>} - Whether a streaming request was cancelled
+   */
+  async cancelStream() {
+    if (!this.activeStreamId) {
+      return false;
+    }
+    
+    console.log(`[LlmService] Cancelling streaming chat request ${this.activeStreamId}`);
+    const result = await window.server.cancelChat(this.activeStreamId);
+    return Boolean(result && result.success);
+  }
+
+  /**
+   * Send a message and keep executing the tool calls the model asks for until it answers
+   * Each round streams a reply; its tool calls are executed one by one, and their results are sent
+   * back so the model can chain tools (search, then read, then summarize). Once the step or time
+   * budget is spent, the model is asked to answer without tools.
+   * The assistant and tool messages of every round are reported through the callbacks, and each
+   * tool call carries a step ({ number, status, durationMs, error }) that is updated as it runs.
+   * Tool calls outside the tools options.profile allows are not run and end in an error step.
+   * @param {string} message - Message to send
+   * @param {Array} chatHistory - Previous chat history
+   * @param {Object} options - Options for streamMessage, plus:
+   * @param {number} [options.maxSteps] - Most tool calls to execute
+   * @param {number} [options.maxSeconds] - Most seconds to spend before answering
+   * @param {Function} [options.onToolRound] - Called with the assistant message holding a round of tool calls
+   * @param {Function} [options.onStepStart] - Called with { step, toolCall, toolMessage } before a tool runs
+   * @param {Function} [options.onStepEnd] - Called with { step, toolCall, toolMessage } after a tool ran, or
+   *   with a null toolMessage when the budget ran out before it
+   * @returns {Promise<Object>} - Final response from the LLM, with steps (tool calls executed) and
+   *   budgetReached ('steps' or 'time') when the budget ended the run
+   */
+  async runAgentLoop(message, chatHistory = [], options = {}) {
+    const {
+      maxSteps = DEFAULT_AGENT_MAX_STEPS,
+      maxSeconds = DEFAULT_AGENT_MAX_SECONDS,
+      onToolRound,
+      onStepStart,
+      onStepEnd,
+      ...streamOptions
+    } = options;
+    
+    const history = [...chatHistory];
+    const deadline = Date.now() + maxSeconds * 1000;
+    // The model may ask for tools it was not offered; only those the profile allows are run
+    const allowedTools = new Set(this.getToolsForProfile(streamOptions.tools, streamOptions.profile).map(tool => tool.name));
+    let prompt = message;
+    let steps = 0;
+    let budgetReached = null;
+    
+    this.agentStopRequested = false;
+    
+    while (true) {
+      if (this.agentStopRequested) {
+        return { cancelled: true, role: 'assistant', content: '', steps };
+      }
+      
+      if (!budgetReached && steps >= maxSteps) {
+        budgetReached = 'steps';
+      } else if (!budgetReached && Date.now() >= deadline) {
+        budgetReached = 'time';
+      }
+      if (budgetReached && steps > 0) {
+        prompt = AGENT_FINAL_PROMPT;
+      }
+      
+      const response = await this.streamMessage(prompt, history, {
+        ...streamOptions,
+        ...(budgetReached && { tools: [] })
+      });
+      
+      const toolCalls = (response.toolCalls || [])
+        .map(toolCall => messageFormatter.normalizeToolCall(toolCall))
+        .filter(Boolean);
+      
+      // Stopped just as the reply finished: keep its text but run none of its tools
+      if (this.agentStopRequested && toolCalls.length > 0 && !response.error && !response.cancelled) {
+        return { cancelled: true, role: 'assistant', content: response.content || '', steps };
+      }
+      
+      if (response.error || response.cancelled || budgetReached || toolCalls.length === 0) {
+        return { ...response, steps, budgetReached };
+      }
+      
+      // Keep the round's tool calls in the history the next round is sent with
+      const assistantMessage = {
+        role: 'assistant',
+        content: response.content || '',
+        toolCalls: toolCalls.map(({ id, name, args }) => ({
+          toolCallId: id,
+          toolName: name,
+          parameters: args,
+          step: { number: 0, status: 'pending' }
+        })),
+        timestamp: response.timestamp || new Date().toISOString()
+      };
+      history.push(assistantMessage);
+      onToolRound?.(assistantMessage);
+      
+      for (const toolCall of assistantMessage.toolCalls) {
+        if (this.agentStopRequested) {
+          return { cancelled: true, role: 'assistant', content: '', steps };
+        }
+        if (steps >= maxSteps || Date.now() >= deadline) {
+          toolCall.step.status = 'skipped';
+          onStepEnd?.({ step: toolCall.step, toolCall, toolMessage: null });
+          continue;
+        }
+        
+        steps++;
+        toolCall.step = { number: steps, status: 'running' };
+        
+        const toolMessage = {
+          role: 'tool',
+          toolCallId: toolCall.toolCallId,
+          name: toolCall.toolName,
+          content: `Executing tool: ${toolCall.toolName}`,
+          status: 'running',
+          args: toolCall.parameters,
+          timestamp: new Date().toISOString()
+        };
+        history.push(toolMessage);
+        onStepStart?.({ step: toolCall.step, toolCall, toolMessage });
+        
+        const startedAt = Date.now();
+        try {
+          if (!allowedTools.has(toolCall.toolName)) {
+            throw new Error(`Tool not allowed: ${toolCall.toolName}`);
+          }
+          const result = await this.executeToolCall(toolCall.toolCallId, toolCall.toolName, toolCall.parameters);
+          toolMessage.content = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+          toolMessage.status = 'completed';
+          toolCall.step.status = 'completed';
+        } catch (error) {
+          console.error(`[LlmService] Agent step ${steps} (${toolCall.toolName}) failed:`, error);
+          toolMessage.content = `Error: ${error.message}`;
+          toolMessage.status = 'error';
+          toolCall.step.status = 'error';
+          toolCall.step.error = error.message;
+        }
+        toolCall.step.durationMs = Date.now() - startedAt;
+        onStepEnd?.({ step: toolCall.step, toolCall, toolMessage });
+      }
+      
+      prompt = AGENT_CONTINUE_PROMPT;
+    }
+  }
+
+  /**
+   * Stop the running agent loop: the response being streamed is cancelled, and no further tool runs
+   * @returns {Promise<boolean>} - Whether a streaming request was cancelled
+   */
+  async stopAgentLoop() {
+    this.agentStopRequested = true;
+    return this.cancelStream();
+  }
+
+  /**
+   * Build the response shown in the chat when the backend cannot be reached
+   * @returns {Object} - Error response for ChatUI
+   */
+  createBackendUnavailableResponse() {
+    return {
+      error: true,
+      text: "⚠️ Error: Backend server is not available. Please make sure the backend service is running.",
+      suggestedActions: [
+        { label: "Restart Application", action: "restart" },
+        { label: "Check Server Logs", action: "check_logs" }
+      ]
+    };
+  }
+
+  /**
+   * Retrieve the passages that answer a question and wrap the question in them
+   * The backend re-ranks the search hits and packs the best of them under a token budget.
+   * @param {string} question - The user's question
+   * @param {Object} rag - Retrieval options: topK, candidates, maxTokens and mode ('keyword' | 'vector' | 'hybrid'),
+   *   plus query, the text to search for when it differs from the question (e.g. without attachments)
+   * @returns {Promise<Object>} - { message, sources }; sources is empty when nothing relevant was found
+   */
+  async retrieveGroundedMessage(question, rag = {}) {
+    const { query = question, ...retrievalOptions } = rag;
+    const result = await window.server.retrieveContext(query, retrievalOptions);
+    if (!result || !result.success) {
+      throw new Error(result?.error || 'Failed to retrieve passages from the Sieve');
+    }
+    
+    const sources = result.passages || [];
+    console.log(`[LlmService] Retrieved ${sources.length} passages (${result.estimatedTokens} tokens) for "Ask the Sieve"`);
+    
+    return {
+      message: sources.length > 0 ? buildGroundedMessage(question, result.context) : question,
+      sources
+    };
+  }
+
+  /**
+   * Build the answer given in "Ask the Sieve" mode when no passage matches the question
+   * @returns {Object} - Assistant response
+   */
+  createNotFoundResponse() {
+    return {
+      role: 'assistant',
+      content: RAG_NOT_FOUND,
+      text: RAG_NOT_FOUND,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build the error response shown in the chat for a failed request
+   * API key and quota problems come with guidance on fixing them.
+   * @param {string} message - Error message from the backend
+   * @returns {Object} - Error response for ChatUI
+   */
+  createErrorResponse(message) {
+    let errorMessage = message;
+    let errorDetails = [];
+    
+    // Errors of the OpenAI and local providers name the provider and what to fix already
+    if (errorMessage.includes("OpenAI")) {
+      return {
+        error: true,
+        text: `⚠️ ${errorMessage}`,
+        details: ["The chat provider, model and local server URL can be changed in Settings → Models; API keys in Settings → API Keys."]
+      };
+    }
+    
+    // Provide helpful guidance for API key issues
+    if (errorMessage.includes("API key") || 
+        errorMessage.includes("unregistered callers") || 
+        errorMessage.includes("authentication") ||
+        errorMessage.includes("403 Forbidden")) {
+      
+      errorMessage = "⚠️ Google API Key Issue: The application cannot connect to Gemini AI.";
+      errorDetails = [
+        "The Google API key is missing or invalid, or doesn't have proper permissions. Please follow these steps:",
+        "1. Get an API key from https://ai.google.dev/",
+        "2. Make sure your project is enabled for Gemini API including function calling",
+        "3. Add your key to backend/.env file: GOOGLE_API_KEY=YOUR_API_KEY",
+        "4. Restart the application",
+        "",
+        "For detailed instructions, see backend/API_SETUP.md"
+      ];
+      
+      return {
+        error: true,
+        text: errorMessage,
+        details: errorDetails,
+        suggestedActions: [
+          { label: "Get API Key", action: "open_url", url: "https://ai.google.dev/" },
+          { label: "View Setup Guide", action: "view_docs", file: "API_SETUP.md" },
+          { label: "Check API Status", action: "check_api_status" }
+        ]
+      };
+    }
+    
+    // Handle quota/rate limit errors
+    if (errorMessage.includes("rate limit") || errorMessage.includes("quota")) {
+      errorMessage = "⚠️ API Quota Exceeded: You've reached your Google AI API usage limits.";
+      errorDetails = [
+        "You've reached your Google AI API quota or rate limits. Please try:",
+        "1. Wait a few minutes and try again",
+        "2. Check your Google AI Studio quota and usage limits",
+        "3. Consider upgrading your Google AI plan for higher limits"
+      ];
+      
+      return {
+        error: true,
+        text: errorMessage,
+        details: errorDetails,
+        suggestedActions: [
+          { label: "Check Quota", action: "open_url", url: "https://console.cloud.google.com/apis/dashboard" }
+        ]
+      };
+    }
+    
+    // Generic error handling
+    return {
+      error: true,
+      text: errorMessage,
+      details: errorDetails
+    };
+  }
+
   /**
    * Format chat history with system prompt if needed
    * @param {Array} chatHistory - Raw chat history from the UI
@@ -375,7 +752,8 @@ class LlmService {
         this.getMinimalSystemPrompt() : 
         this.getSystemPrompt({
           userName: options.userName || 'User',
-          toolsMetadata: options.tools || this.getDefaultTools()
+          toolsMetadata: options.tools || this.getDefaultTools(),
+          profile: options.profile
         });
       
       // Gemini 2.0 Flash doesn't support system roles, so we convert it to a user message
@@ -517,6 +895,26 @@ class LlmService {
     }
   }
 
+  /**
+   * Get the text of a message as the model sees it, with the text of its attachments after it
+   * @param {Object} message - Chat message, optionally with attachments ({ title, kind, source, text, truncated })
+   * @returns {string} - Message content
+   */
+  formatMessageContent(message) {
+    const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+    if (attachments.length === 0) {
+      return message.content;
+    }
+    
+    const blocks = attachments.map(attachment => {
+      const origin = attachment.source?.url || attachment.source?.filePath || attachment.source?.name || '';
+      const note = attachment.truncated ? '\n[Only the start of the attachment is included]' : '';
+      return `[ATTACHMENT: ${attachment.title}${origin ? ` (${origin})` : ''}]\n${attachment.text}${note}\n[END ATTACHMENT]`;
+    });
+    
+    return `${message.content}\n\n${blocks.join('\n\n')}`;
+  }
+
   /**
    * Format chat history for the API request
    * @param {Array} chatHistory - Raw chat history from the UI
@@ -525,7 +923,7 @@ class LlmService {
   formatChatHistory(chatHistory) {
     return chatHistory.map(message => ({
       role: message.role,
-      content: message.content,
+      content: this.formatMessageContent(message),
       // Include tool calls if they exist
       ...(message.toolCalls && message.toolCalls.length > 0 && {
         toolCalls: message.toolCalls
@@ -541,6 +939,16 @@ class LlmService {
     return systemPrompt.getDefaultToolDefinitions();
   }
 
+  /**
+   * Get the tools a prompt profile allows
+   * @param {Array} [tools] - Tool definitions; defaults to the default tools
+   * @param {Object} [profile] - Prompt profile
+   * @returns {Array} - Allowed tool definitions
+   */
+  getToolsForProfile(tools, profile) {
+    return filterToolsForProfile(tools || this.getDefaultTools(), profile);
+  }
+
   /**
    * Get a system prompt for the LLM
    * @param {Object} options - Options for the system prompt
@@ -14,7 +14,7 @@ const getToolDefinitions = () => {
     searchKnowledgeBase: {
       name: 'searchKnowledgeBase',
       description: 'Search the knowledge base for relevant information',
-      version: '1.0.0',
+      version: '1.1.0',
       location: 'backend', // Where this tool is primarily implemented
       parameters: {
         type: 'object',
@@ -40,6 +40,11 @@ const getToolDefinitions = () => {
           limit: {
             type: 'integer',
             description: 'Maximum number of results to return (default: 5)'
+          },
+          mode: {
+            type: 'string',
+            description: 'Ranking strategy: keyword (exact terms such as names, error codes and acronyms), vector (meaning) or hybrid (both, default)',
+            enum: ['keyword', 'vector', 'hybrid']
           }
         },
         required: ['query']
@@ -571,6 +571,7 @@ class MessageFormatter {
         content: text, // Add content field directly (critical for ChatMessages)
         ...(response.timestamp && { timestamp: response.timestamp }),
         ...(toolCalls && toolCalls.length > 0 && { toolCalls }),
+        ...(response.citations && response.citations.length > 0 && { citations: response.citations }),
         raw: this.debug ? response : undefined
       };
 
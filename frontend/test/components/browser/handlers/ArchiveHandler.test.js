@@ -0,0 +1,130 @@
+/**
+ * Tests for ArchiveHandler.js and PageArchiver.js - archiving pages and the archive: list
+ */
+
+import {
+  isArchiveAddress,
+  createArchiveListHTML,
+  handleArchiveAddress
+} from '../../../../src/components/browser/handlers/ArchiveHandler.js';
+import { archiveUrl, archiveCurrentPage } from '../../../../src/components/browser/utils/PageArchiver.js';
+import { navigate, renderHtml } from '../../../../src/components/browser/handlers/NavigationService.js';
+
+jest.mock('../../../../src/components/browser/handlers/NavigationService.js', () => ({
+  navigate: jest.fn(),
+  renderHtml: jest.fn()
+}));
+
+describe('ArchiveHandler', () => {
+  const archives = [
+    {
+      id: '2026-10-19T08-30-00-000Z',
+      itemId: 'item-1',
+      url: 'https://example.com/bees',
+      title: 'Bees <and> honey',
+      capturedAt: '2026-10-19T08:30:00.000Z',
+      path: 'archives/item-1/2026-10-19T08-30-00-000Z.html',
+      size: 2.5 * 1024 * 1024,
+      missing: 2
+    },
+    {
+      id: '2026-10-01T10-00-00-000Z',
+      itemId: 'item-2',
+      url: 'https://example.com/wasps',
+      title: 'Wasps',
+      capturedAt: '2026-10-01T10:00:00.000Z',
+      path: 'archives/item-2/2026-10-01T10-00-00-000Z.html',
+      size: 300,
+      missing: 0
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.api = {
+      getPageArchives: jest.fn().mockResolvedValue({ success: true, archives }),
+      archivePage: jest.fn().mockResolvedValue({ success: true, itemId: 'item-3', saved: true, archive: { missing: 0 } })
+    };
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    delete window.api;
+  });
+
+  test('recognizes archive: addresses', () => {
+    expect(isArchiveAddress('archive:')).toBe(true);
+    expect(isArchiveAddress(' Archive: bees')).toBe(true);
+    expect(isArchiveAddress('https://archive.org')).toBe(false);
+  });
+
+  test('serves archives from web storage through the webview-file protocol', () => {
+    expect(archiveUrl({ path: 'archives/item 1/2026.html' })).toBe('webview-file://web_storage/archives/item%201/2026.html');
+  });
+
+  test('lists archives with escaped titles, sizes and missing resources', () => {
+    const html = createArchiveListHTML('', archives);
+
+    expect(html).toContain('Bees &lt;and&gt; honey');
+    expect(html).toContain('2.5 MB · 2 resources missing');
+    expect(html).toContain('1 KB');
+    expect(html).toContain(`href="#sieve-archive=${encodeURIComponent(archives[0].path)}"`);
+    expect(html).toContain('href="https://example.com/wasps">Open live page');
+    expect(html).toContain('2 archives');
+  });
+
+  test('filters archives by title or URL and opens a clicked archive', async () => {
+    const listeners = {};
+    const browser = {
+      webview: { addEventListener: jest.fn((type, listener) => { listeners[type] = listener; }) }
+    };
+
+    const shown = await handleArchiveAddress(browser, 'archive: wasps');
+
+    expect(window.api.getPageArchives).toHaveBeenCalledWith(undefined);
+    expect(shown.map(archive => archive.itemId)).toEqual(['item-2']);
+    expect(renderHtml).toHaveBeenCalledWith(browser, expect.stringContaining('Archived pages matching “wasps”'));
+
+    listeners['did-navigate-in-page']({ url: `about:blank#sieve-archive=${encodeURIComponent(archives[1].path)}` });
+    expect(navigate).toHaveBeenCalledWith(browser, `webview-file://web_storage/${archives[1].path}`);
+  });
+
+  test('ignores archive links once the browser has left the list page', async () => {
+    const listeners = {};
+    const browser = {
+      webview: { addEventListener: jest.fn((type, listener) => { listeners[type] = listener; }) }
+    };
+
+    await handleArchiveAddress(browser, 'archive:');
+    listeners['did-navigate']({ url: 'https://example.com/' });
+    listeners['did-navigate-in-page']({ url: `https://example.com/#sieve-archive=${encodeURIComponent(archives[1].path)}` });
+
+    expect(navigate).not.toHaveBeenCalled();
+  });
+
+  test('archives the DOM of the current page and refreshes the library when it was saved', async () => {
+    const page = { url: 'https://example.com/ants', title: 'Ants', html: '<html></html>', text: 'Ants' };
+    const browser = {
+      state: { url: 'https://example.com/ants' },
+      webview: { executeJavaScript: jest.fn().mockResolvedValue(page) }
+    };
+    const updated = jest.fn();
+    document.addEventListener('content:updated', updated);
+
+    const result = await archiveCurrentPage(browser);
+
+    expect(browser.webview.executeJavaScript).toHaveBeenCalledWith(expect.stringContaining('document.documentElement.cloneNode(true)'));
+    expect(window.api.archivePage).toHaveBeenCalledWith(page);
+    expect(result.itemId).toBe('item-3');
+    expect(updated.mock.calls[0][0].detail).toEqual({ itemId: 'item-3', source: 'archive' });
+    document.removeEventListener('content:updated', updated);
+  });
+
+  test('refuses to archive internal pages', async () => {
+    const browser = { state: { url: 'webview-file://web_storage/archives/item-1/a.html' }, webview: { executeJavaScript: jest.fn() } };
+
+    await expect(archiveCurrentPage(browser)).rejects.toThrow('Only web pages can be archived');
+    expect(browser.webview.executeJavaScript).not.toHaveBeenCalled();
+  });
+});
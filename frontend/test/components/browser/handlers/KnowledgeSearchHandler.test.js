@@ -0,0 +1,148 @@
+/**
+ * Tests for KnowledgeSearchHandler.js - sieve: and kb: queries in the address bar
+ */
+
+import {
+  isKnowledgeQuery,
+  parseKnowledgeQuery,
+  createKnowledgeResultsHTML,
+  handleKnowledgeSearch
+} from '../../../../src/components/browser/handlers/KnowledgeSearchHandler.js';
+import { renderHtml } from '../../../../src/components/browser/handlers/NavigationService.js';
+
+jest.mock('../../../../src/components/browser/handlers/NavigationService.js', () => ({
+  renderHtml: jest.fn()
+}));
+
+describe('KnowledgeSearchHandler', () => {
+  const results = [
+    {
+      id: 'item-1',
+      title: 'Attention <is> all you need',
+      sourceType: 'pdf',
+      sourceIdentifier: 'https://arxiv.org/abs/1706.03762',
+      textChunk: 'The dominant sequence transduction models...',
+      createdAt: '2025-02-01T10:00:00.000Z'
+    },
+    {
+      id: 'item-2',
+      title: 'Notes',
+      sourceType: 'document',
+      sourceIdentifier: '/docs/notes.md',
+      textChunk: 'Local notes'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('recognizes both schemes', () => {
+    expect(isKnowledgeQuery('kb: attention')).toBe(true);
+    expect(isKnowledgeQuery('Sieve:attention')).toBe(true);
+    expect(isKnowledgeQuery('https://example.com')).toBe(false);
+    expect(isKnowledgeQuery('bookmark:list')).toBe(false);
+  });
+
+  test('parses type and date filters out of the query', () => {
+    const query = parseKnowledgeQuery('kb: transformer attention type:pdf after:2025-01 before:2026');
+
+    expect(query.text).toBe('transformer attention');
+    expect(query.filters).toEqual({
+      sourceTypes: ['pdf'],
+      after: '2025-01-01',
+      before: '2026-01-01'
+    });
+    expect(query.ignored).toEqual([]);
+  });
+
+  test('expands type aliases and ignores invalid dates', () => {
+    const query = parseKnowledgeQuery('sieve: bees type:web,pdf after:2025-13');
+
+    expect(query.text).toBe('bees');
+    expect(query.filters).toEqual({ sourceTypes: ['url', 'browser', 'pdf'] });
+    expect(query.ignored).toEqual(['after:2025-13']);
+  });
+
+  test('parses author and language filters', () => {
+    const query = parseKnowledgeQuery('kb: pollination author:frisch lang:de author:');
+
+    expect(query.text).toBe('pollination');
+    expect(query.filters).toEqual({ author: 'frisch', language: 'de' });
+    expect(query.ignored).toEqual(['author:']);
+  });
+
+  test('renders escaped results with links to the item and its original URL', () => {
+    const html = createKnowledgeResultsHTML(parseKnowledgeQuery('kb: attention type:pdf'), results);
+
+    expect(html).toContain('Attention &lt;is&gt; all you need');
+    expect(html).not.toContain('<is>');
+    expect(html).toContain('href="#sieve-item=item-1"');
+    expect(html).toContain('href="https://arxiv.org/abs/1706.03762"');
+    expect(html).not.toContain('href="/docs/notes.md"');
+    expect(html).toContain('2 results');
+    expect(html).toContain('type pdf');
+  });
+
+  test('searches with the parsed filters and renders the results page', async () => {
+    window.api = { search: jest.fn().mockResolvedValue({ success: true, results }) };
+    const browser = { webview: { addEventListener: jest.fn() } };
+
+    await handleKnowledgeSearch(browser, 'kb: attention type:pdf after:2025-01');
+
+    expect(window.api.search).toHaveBeenCalledWith('attention', 20, {
+      mode: 'hybrid',
+      filters: { sourceTypes: ['pdf'], after: '2025-01-01' }
+    });
+    expect(renderHtml).toHaveBeenCalledWith(browser, expect.stringContaining('#sieve-item=item-1'));
+    expect(browser.webview.addEventListener).toHaveBeenCalledWith('did-navigate-in-page', expect.any(Function));
+  });
+
+  test('opens a stored item when its link is followed', async () => {
+    window.api = { search: jest.fn().mockResolvedValue({ success: true, results }) };
+    const browser = { webview: { addEventListener: jest.fn() } };
+    const selected = jest.fn();
+    document.addEventListener('content:selected', selected);
+
+    await handleKnowledgeSearch(browser, 'kb: attention');
+    const onNavigate = browser.webview.addEventListener.mock.calls[0][1];
+    onNavigate({ url: 'https://example.com/#sieve-item=item-2' });
+
+    expect(selected).toHaveBeenCalledTimes(1);
+    expect(selected.mock.calls[0][0].detail).toEqual({ itemId: 'item-2', itemData: results[1] });
+    document.removeEventListener('content:selected', selected);
+  });
+
+  test('ignores item links once the browser has left the results page', async () => {
+    window.api = { search: jest.fn().mockResolvedValue({ success: true, results }) };
+    const listeners = {};
+    const browser = { webview: { addEventListener: jest.fn((type, listener) => { listeners[type] = listener; }) } };
+    const selected = jest.fn();
+    document.addEventListener('content:selected', selected);
+
+    await handleKnowledgeSearch(browser, 'kb: attention');
+    listeners['did-navigate']({ url: 'https://example.com/' });
+    listeners['did-navigate-in-page']({ url: 'https://example.com/#sieve-item=item-2' });
+
+    expect(selected).not.toHaveBeenCalled();
+
+    // A results page loaded as a data: URL keeps its links
+    await handleKnowledgeSearch(browser, 'kb: attention');
+    listeners['did-navigate']({ url: 'data:text/html;charset=utf-8,%3Chtml%3E' });
+    listeners['did-navigate-in-page']({ url: 'data:text/html;charset=utf-8,%3Chtml%3E#sieve-item=item-2' });
+
+    expect(selected).toHaveBeenCalledTimes(1);
+    document.removeEventListener('content:selected', selected);
+  });
+
+  test('shows the error on the results page when the search fails', async () => {
+    window.api = { search: jest.fn().mockResolvedValue({ success: false, error: 'Database not initialized' }) };
+    const browser = { webview: { addEventListener: jest.fn() } };
+
+    const shown = await handleKnowledgeSearch(browser, 'kb: attention');
+
+    expect(shown).toEqual([]);
+    expect(renderHtml).toHaveBeenCalledWith(browser, expect.stringContaining('Search failed: Database not initialized'));
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for OmniboxSuggestions.js - ranked address bar suggestions
+ */
+
+import {
+  visitWeight,
+  frecency,
+  rankSuggestions,
+  updateSuggestions,
+  handleSuggestionKey
+} from '../../../../src/components/browser/handlers/OmniboxSuggestions.js';
+import { navigate } from '../../../../src/components/browser/handlers/NavigationService.js';
+
+jest.mock('../../../../src/components/browser/handlers/NavigationService.js', () => ({
+  navigate: jest.fn()
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T12:00:00Z').getTime();
+const daysAgo = days => new Date(now - days * DAY).toISOString();
+
+describe('OmniboxSuggestions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    delete window.api;
+  });
+
+  test('weights visits by their age', () => {
+    expect(visitWeight(daysAgo(1), now)).toBe(100);
+    expect(visitWeight(daysAgo(10), now)).toBe(70);
+    expect(visitWeight(daysAgo(60), now)).toBe(30);
+    expect(visitWeight(daysAgo(400), now)).toBe(10);
+    expect(frecency([daysAgo(1), daysAgo(10)], now)).toBe(170);
+  });
+
+  test('ranks frequently and recently visited pages first', () => {
+    const suggestions = rankSuggestions('news', {
+      history: [
+        { url: 'https://old-news.example.com/', title: 'Old news', visitedAt: daysAgo(200) },
+        { url: 'https://news.example.com/', title: 'News', visitedAt: daysAgo(1) },
+        { url: 'https://news.example.com', title: 'News', visitedAt: daysAgo(2) }
+      ]
+    }, now);
+
+    expect(suggestions.map(s => s.url)).toEqual(['https://news.example.com/', 'https://old-news.example.com/']);
+    expect(suggestions[0]).toMatchObject({ type: 'history', action: 'navigate', score: 400 });
+  });
+
+  test('merges bookmarks and turns open pages into switch-to-tab suggestions', () => {
+    const suggestions = rankSuggestions('docs', {
+      history: [{ url: 'https://docs.example.com/guide', title: 'Guide', visitedAt: daysAgo(1) }],
+      bookmarks: [{ url: 'https://docs.example.com/api', title: 'API docs' }],
+      tabs: [
+        { id: 'tab-1', url: 'https://docs.example.com/guide', title: 'Guide (open)' },
+        { id: 'tab-2', url: 'https://docs.example.com/current', title: 'Current docs' }
+      ],
+      activeTabId: 'tab-2'
+    }, now);
+
+    expect(suggestions).toHaveLength(2);
+    expect(suggestions[0]).toMatchObject({ type: 'tab', action: 'switch-tab', tabId: 'tab-1', title: 'Guide (open)' });
+    expect(suggestions[1]).toMatchObject({ type: 'bookmark', action: 'navigate', url: 'https://docs.example.com/api' });
+  });
+
+  test('mixes in Sieve items that are not already suggested', () => {
+    const suggestions = rankSuggestions('attention', {
+      history: [{ url: 'https://arxiv.org/abs/1706.03762', title: 'Attention paper', visitedAt: daysAgo(100) }],
+      sieveItems: [
+        { id: 'item-1', title: 'Attention paper', sourceIdentifier: 'https://arxiv.org/abs/1706.03762' },
+        { id: 'item-2', title: 'Notes on attention', sourceIdentifier: '/docs/notes.md' }
+      ]
+    }, now);
+
+    expect(suggestions.map(s => s.type)).toEqual(['sieve', 'history']);
+    expect(suggestions[0]).toMatchObject({ action: 'open-item', url: null, item: { id: 'item-2' } });
+  });
+
+  test('shows local suggestions and moves through them with the keyboard', async () => {
+    localStorage.setItem('browser-history-entries', JSON.stringify([
+      { url: 'https://example.com/a', title: 'Example A', visitedAt: new Date().toISOString() },
+      { url: 'https://example.com/b', title: 'Example B', visitedAt: new Date(Date.now() - 20 * DAY).toISOString() }
+    ]));
+    const form = document.createElement('form');
+    const input = document.createElement('input');
+    form.appendChild(input);
+    const browser = { addressInput: input, searchForm: form, state: { url: 'https://start.example.com' } };
+
+    await updateSuggestions(browser, 'ex');
+
+    const items = form.querySelectorAll('.voyager-omnibox-item');
+    expect(items).toHaveLength(2);
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+
+    const key = name => ({ key: name, preventDefault: jest.fn() });
+    expect(handleSuggestionKey(browser, key('ArrowDown'))).toBe(true);
+    expect(handleSuggestionKey(browser, key('ArrowDown'))).toBe(true);
+    expect(form.querySelector('.voyager-omnibox-item.selected').textContent).toContain('Example B');
+
+    const enter = key('Enter');
+    expect(handleSuggestionKey(browser, enter)).toBe(true);
+    expect(enter.preventDefault).toHaveBeenCalled();
+    expect(navigate).toHaveBeenCalledWith(browser, 'https://example.com/b');
+    expect(form.querySelector('.voyager-omnibox').hidden).toBe(true);
+  });
+
+  test('does not suggest pages for address bar commands', async () => {
+    const form = document.createElement('form');
+    const input = document.createElement('input');
+    form.appendChild(input);
+    window.api = { search: jest.fn() };
+    const browser = { addressInput: input, searchForm: form };
+
+    await updateSuggestions(browser, 'kb: attention');
+
+    expect(form.querySelectorAll('.voyager-omnibox-item')).toHaveLength(0);
+    expect(window.api.search).not.toHaveBeenCalled();
+  });
+});
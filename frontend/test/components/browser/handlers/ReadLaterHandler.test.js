@@ -0,0 +1,195 @@
+/**
+ * Tests for ReadLaterHandler.js - the read-later queue behind later: addresses
+ */
+
+import {
+  isReadLaterAddress,
+  createQueueHTML,
+  handleReadLaterAddress
+} from '../../../../src/components/browser/handlers/ReadLaterHandler.js';
+import { renderHtml } from '../../../../src/components/browser/handlers/NavigationService.js';
+import { openOfflineArticle } from '../../../../src/components/browser/handlers/ReaderModeManager.js';
+import ExtractorManager from '../../../../src/components/browser/extraction/ExtractorManager';
+import WorkerManager from '../../../../src/components/browser/utils/WorkerManager';
+
+jest.mock('../../../../src/components/browser/handlers/NavigationService.js', () => ({
+  renderHtml: jest.fn()
+}));
+
+jest.mock('../../../../src/components/browser/handlers/ReaderModeManager.js', () => ({
+  openOfflineArticle: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../../../../src/components/browser/utils/BrowserEnv.js', () => ({
+  showToastNotification: jest.fn()
+}));
+
+jest.mock('../../../../src/components/browser/extraction/ExtractorManager', () => ({
+  __esModule: true,
+  default: { extract: jest.fn() }
+}));
+
+jest.mock('../../../../src/components/browser/utils/WorkerManager', () => ({
+  __esModule: true,
+  default: { executeTask: jest.fn() }
+}));
+
+describe('ReadLaterHandler', () => {
+  const articles = [
+    {
+      id: 'a1',
+      url: 'https://example.com/bees',
+      title: 'Bees <and> honey',
+      siteName: 'Example',
+      excerpt: 'Bees make honey.',
+      savedAt: '2026-10-01T10:00:00.000Z',
+      status: 'unread',
+      progress: 0.4,
+      itemId: null
+    },
+    {
+      id: 'a2',
+      url: 'https://example.com/wasps',
+      title: 'Wasps',
+      savedAt: '2026-09-01T10:00:00.000Z',
+      status: 'read',
+      progress: 1,
+      itemId: 'item-9'
+    }
+  ];
+
+  /**
+   * Create a browser whose webview reports in-page navigations to the test
+   */
+  function createBrowser() {
+    const listeners = {};
+    return {
+      state: {},
+      webview: {
+        addEventListener: jest.fn((type, listener) => { listeners[type] = listener; })
+      },
+      clickLink(hash) {
+        return listeners['did-navigate-in-page']({ url: `about:blank${hash}` });
+      },
+      navigateTo(url) {
+        listeners['did-navigate']({ url });
+      }
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.api = {
+      listReadLater: jest.fn().mockResolvedValue({ success: true, articles }),
+      addReadLater: jest.fn(article => Promise.resolve({ success: true, article: { id: 'a3', ...article, duplicate: false } })),
+      updateReadLater: jest.fn().mockResolvedValue({ success: true, article: articles[0] }),
+      promoteReadLater: jest.fn().mockResolvedValue({ success: true, id: 'item-1', duplicate: false })
+    };
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    delete window.api;
+  });
+
+  test('recognizes later: addresses', () => {
+    expect(isReadLaterAddress('later:')).toBe(true);
+    expect(isReadLaterAddress('  LATER:unread')).toBe(true);
+    expect(isReadLaterAddress('https://later.example.com')).toBe(false);
+  });
+
+  test('renders queued articles with their status and escaped titles', () => {
+    const html = createQueueHTML(articles, { render: 2 });
+
+    expect(html).toContain('Bees &lt;and&gt; honey');
+    expect(html).toContain('40% read');
+    expect(html).toContain('in the Sieve');
+    expect(html).toContain('href="#read-later/2/open/a1"');
+    expect(html).toContain('href="#read-later/2/read/a1"');
+    expect(html).toContain('href="#read-later/2/promote/a1"');
+    expect(html).not.toContain('href="#read-later/2/promote/a2"');
+    expect(html).toContain('href="#read-later/2/unread/a2"');
+    expect(html).toContain('2 articles · 1 unread');
+  });
+
+  test('lists the queue filtered by status', async () => {
+    const browser = createBrowser();
+
+    await handleReadLaterAddress(browser, 'later:unread');
+
+    expect(window.api.listReadLater).toHaveBeenCalledWith({ status: 'unread' });
+    expect(renderHtml).toHaveBeenCalledWith(browser, expect.stringContaining('Unread articles'));
+  });
+
+  test('runs the action of a clicked link and shows the queue again', async () => {
+    const browser = createBrowser();
+    await handleReadLaterAddress(browser, 'later:');
+
+    await browser.clickLink('#read-later/1/read/a1');
+    expect(window.api.updateReadLater).toHaveBeenCalledWith('a1', { status: 'read' });
+    expect(renderHtml).toHaveBeenCalledTimes(2);
+
+    // Links of the earlier render are ignored
+    await browser.clickLink('#read-later/1/remove/a1');
+    expect(renderHtml).toHaveBeenCalledTimes(2);
+
+    await browser.clickLink('#read-later/2/open/a2');
+    expect(openOfflineArticle).toHaveBeenCalledWith(browser, 'a2');
+  });
+
+  test('ignores action links once the browser has left the queue page', async () => {
+    const browser = createBrowser();
+    window.api.removeReadLater = jest.fn().mockResolvedValue({ success: true });
+    await handleReadLaterAddress(browser, 'later:');
+
+    browser.navigateTo('https://example.com/');
+    await browser.clickLink('#read-later/1/remove/a1');
+    await browser.clickLink('#read-later/1/promote/a1');
+
+    expect(window.api.removeReadLater).not.toHaveBeenCalled();
+    expect(window.api.promoteReadLater).not.toHaveBeenCalled();
+    expect(renderHtml).toHaveBeenCalledTimes(1);
+  });
+
+  test('promotes an article to the Sieve and refreshes the library', async () => {
+    const browser = createBrowser();
+    const updated = jest.fn();
+    document.addEventListener('content:updated', updated);
+    await handleReadLaterAddress(browser, 'later:');
+
+    await browser.clickLink('#read-later/1/promote/a1');
+
+    expect(window.api.promoteReadLater).toHaveBeenCalledWith('a1');
+    expect(updated.mock.calls[0][0].detail).toEqual({ itemId: 'item-1', source: 'read-later' });
+    document.removeEventListener('content:updated', updated);
+  });
+
+  test('saves the current page with its sanitized reader HTML', async () => {
+    const browser = createBrowser();
+    browser.state = { url: 'https://example.com/ants', title: 'Ants' };
+    ExtractorManager.extract.mockResolvedValue({
+      title: 'All about ants',
+      text: 'Ants live in colonies.',
+      processedContent: '<p>Ants live in colonies.</p><script>alert(1)</script>',
+      byline: 'A. Ant'
+    });
+    WorkerManager.executeTask.mockResolvedValue('<p>Ants live in colonies.</p>');
+
+    const article = await handleReadLaterAddress(browser, 'later:add');
+
+    expect(WorkerManager.executeTask).toHaveBeenCalledWith('sanitize-html', {
+      html: '<p>Ants live in colonies.</p><script>alert(1)</script>'
+    });
+    expect(window.api.addReadLater).toHaveBeenCalledWith({
+      url: 'https://example.com/ants',
+      title: 'All about ants',
+      html: '<p>Ants live in colonies.</p>',
+      text: 'Ants live in colonies.',
+      byline: 'A. Ant',
+      siteName: '',
+      excerpt: ''
+    });
+    expect(article.id).toBe('a3');
+  });
+});
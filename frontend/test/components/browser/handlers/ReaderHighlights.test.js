@@ -0,0 +1,123 @@
+/**
+ * Tests for ReaderHighlights.js - highlights anchored with text-quote selectors
+ */
+
+import {
+  createTextQuoteSelector,
+  anchorSelector,
+  paintHighlights,
+  unpaintHighlight,
+  saveHighlight,
+  attachReaderHighlights
+} from '../../../../src/components/browser/handlers/ReaderHighlights.js';
+
+describe('ReaderHighlights', () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement('div');
+    root.innerHTML = '<h1>Bees</h1><p>Bees make honey. Wasps do not make <em>honey</em> at all.</p>';
+    document.body.appendChild(root);
+    delete window.api;
+  });
+
+  afterEach(() => {
+    root.remove();
+  });
+
+  test('describes a selection with its quote and surrounding text', () => {
+    const range = document.createRange();
+    const paragraph = root.querySelector('p');
+    range.setStart(paragraph.firstChild, 23);
+    range.setEnd(paragraph.querySelector('em').firstChild, 5);
+
+    expect(createTextQuoteSelector(root, range)).toEqual({
+      type: 'TextQuoteSelector',
+      exact: 'do not make honey',
+      prefix: 'BeesBees make honey. Wasps ',
+      suffix: ' at all.'
+    });
+  });
+
+  test('ignores collapsed selections and selections outside the reader', () => {
+    const range = document.createRange();
+    range.setStart(root.querySelector('p').firstChild, 3);
+    expect(createTextQuoteSelector(root, range)).toBeNull();
+
+    const outside = document.createElement('p');
+    outside.textContent = 'Elsewhere';
+    document.body.appendChild(outside);
+    range.selectNodeContents(outside);
+    expect(createTextQuoteSelector(root, range)).toBeNull();
+    outside.remove();
+  });
+
+  test('uses the context to pick between repeated quotes and ignores whitespace changes', () => {
+    const text = 'Bees make honey.\n\nWasps   do not make honey at all.';
+
+    expect(anchorSelector(text, { exact: 'honey', prefix: 'make ', suffix: ' at all' })).toEqual({ start: 38, end: 43 });
+    expect(anchorSelector(text, { exact: 'honey', prefix: 'Bees make ', suffix: '.' })).toEqual({ start: 10, end: 15 });
+    expect(anchorSelector(text, { exact: 'Wasps do not', prefix: '', suffix: '' })).toEqual({ start: 18, end: 32 });
+    expect(anchorSelector(text, { exact: 'butterflies' })).toBeNull();
+  });
+
+  test('paints highlights across elements and removes them again', () => {
+    const highlight = {
+      id: 'h1',
+      color: 'green',
+      note: 'Really?',
+      selector: { exact: 'not make honey', prefix: 'Wasps do ', suffix: ' at all.' }
+    };
+
+    const unanchored = paintHighlights(root, [highlight, { id: 'h2', selector: { exact: 'butterflies' } }]);
+
+    const marks = root.querySelectorAll('mark.reader-highlight');
+    expect(unanchored.map(h => h.id)).toEqual(['h2']);
+    expect(Array.from(marks).map(mark => mark.textContent)).toEqual(['not make ', 'honey']);
+    expect(marks[0].classList.contains('reader-highlight-green')).toBe(true);
+    expect(marks[0].title).toBe('Really?');
+    expect(root.textContent).toBe('BeesBees make honey. Wasps do not make honey at all.');
+
+    unpaintHighlight(root, 'h1');
+    expect(root.querySelectorAll('mark')).toHaveLength(0);
+    expect(root.querySelector('p').innerHTML).toBe('Bees make honey. Wasps do not make <em>honey</em> at all.');
+  });
+
+  test('saves a highlight for the page and paints it', async () => {
+    const selector = { type: 'TextQuoteSelector', exact: 'Bees make', prefix: 'Bees', suffix: ' honey' };
+    window.api = {
+      addHighlight: jest.fn().mockResolvedValue({
+        success: true,
+        highlight: { id: 'h3', color: 'yellow', selector }
+      })
+    };
+
+    await saveHighlight({ url: 'https://example.com/bees', title: 'Bees' }, root, selector, { color: 'yellow', note: '' });
+
+    expect(window.api.addHighlight).toHaveBeenCalledWith({
+      url: 'https://example.com/bees',
+      title: 'Bees',
+      selector,
+      color: 'yellow',
+      note: ''
+    });
+    expect(root.querySelector('p mark[data-highlight-id="h3"]').textContent).toBe('Bees make');
+  });
+
+  test('paints the saved highlights of the page when reader content is shown', async () => {
+    window.api = {
+      getHighlights: jest.fn().mockResolvedValue({
+        success: true,
+        highlights: [{ id: 'h4', color: 'blue', selector: { exact: 'at all', prefix: 'honey ', suffix: '.' } }]
+      })
+    };
+    const browser = { state: {} };
+
+    attachReaderHighlights(browser, root, { url: 'https://example.com/bees', title: 'Bees', text: 'Bees make honey.' });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(window.api.getHighlights).toHaveBeenCalledWith('https://example.com/bees');
+    expect(root.querySelector('mark.reader-highlight-blue').textContent).toBe('at all');
+  });
+});
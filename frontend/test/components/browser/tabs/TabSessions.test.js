@@ -0,0 +1,188 @@
+/**
+ * TabSessions.test.js - Tests for saving, restoring, exporting and importing tab sessions
+ */
+
+import {
+  SESSIONS_STORAGE_KEY,
+  isRestorableUrl,
+  createSession,
+  listSessions,
+  getSession,
+  saveSession,
+  deleteSession,
+  exportSessions,
+  parseSessions,
+  importSessions
+} from '../../../../src/components/browser/tabs/TabSessions.js';
+import TabManager from '../../../../src/components/browser/tabs/TabManager.js';
+import VoyagerTabManager from '../../../../src/components/browser/tabs/VoyagerTabManager.js';
+import webviewStateManager from '../../../../src/components/browser/tabs/WebviewStateManager.js';
+
+jest.mock('../../../../src/components/browser/tabs/TabGroupingService', () => jest.fn().mockImplementation(() => ({
+  colorPalette: ['#4285F4']
+})));
+jest.mock('../../../../src/components/browser/extraction/processors/MetadataProcessor.js', () => ({
+  __esModule: true,
+  default: {}
+}));
+
+describe('TabSessions', () => {
+  const tabState = {
+    tabs: [
+      { id: 'tab-1', url: 'https://example.com/bees', title: 'Bees', favicon: null, groupId: 'default', content: 'long text' },
+      { id: 'tab-2', url: 'https://example.com/wasps', title: 'Wasps', favicon: null, groupId: 'default' },
+      { id: 'tab-3', url: '', title: 'Loading' }
+    ],
+    groups: [
+      { id: 'default', name: 'Ungrouped', color: '#cccccc', tabIds: ['tab-1'] },
+      { id: 'insects', name: 'Insects', color: '#ff0000', tabIds: ['tab-2'] }
+    ],
+    activeTabId: 'tab-2'
+  };
+  const states = {
+    'tab-2': { url: 'https://example.com/wasps#nest', scrollPosition: { x: 0, y: 1200 }, formData: {} }
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('captures tabs, groups and scroll positions', () => {
+    const session = createSession('Project X research', tabState, states);
+
+    expect(session.name).toBe('Project X research');
+    expect(session.activeTabId).toBe('tab-2');
+    expect(session.groups).toEqual([
+      { id: 'default', name: 'Ungrouped', color: '#cccccc' },
+      { id: 'insects', name: 'Insects', color: '#ff0000' }
+    ]);
+    expect(session.tabs).toEqual([
+      { id: 'tab-1', url: 'https://example.com/bees', title: 'Bees', favicon: null, groupId: 'default', scrollPosition: { x: 0, y: 0 } },
+      { id: 'tab-2', url: 'https://example.com/wasps#nest', title: 'Wasps', favicon: null, groupId: 'insects', scrollPosition: { x: 0, y: 1200 } }
+    ]);
+    expect(() => createSession('  ', tabState)).toThrow('A session needs a name');
+  });
+
+  test('overwrites a session saved under the same name and lists the newest first', () => {
+    jest.spyOn(Date.prototype, 'toISOString')
+      .mockReturnValueOnce('2026-10-19T08:00:00.000Z')
+      .mockReturnValueOnce('2026-10-19T08:00:01.000Z')
+      .mockReturnValueOnce('2026-10-19T09:00:00.000Z')
+      .mockReturnValueOnce('2026-10-19T09:00:01.000Z')
+      .mockReturnValueOnce('2026-10-19T10:00:00.000Z')
+      .mockReturnValueOnce('2026-10-19T10:00:01.000Z');
+
+    const first = saveSession(createSession('Project X research', tabState));
+    const other = saveSession(createSession('Reading', tabState));
+    const updated = saveSession(createSession('project x research', { ...tabState, activeTabId: 'tab-1' }));
+
+    expect(updated.id).toBe(first.id);
+    expect(updated.createdAt).toBe('2026-10-19T08:00:00.000Z');
+    expect(listSessions().map(session => session.id)).toEqual([first.id, other.id]);
+    expect(getSession(first.id).activeTabId).toBe('tab-1');
+
+    expect(deleteSession(other.id)).toBe(true);
+    expect(deleteSession(other.id)).toBe(false);
+    expect(JSON.parse(localStorage.getItem(SESSIONS_STORAGE_KEY))).toHaveLength(1);
+  });
+
+  test('exports sessions as JSON and imports them back', () => {
+    const session = saveSession(createSession('Project X research', tabState, states));
+    const json = exportSessions([session]);
+    localStorage.clear();
+
+    const imported = importSessions(json);
+
+    expect(JSON.parse(json).version).toBe(1);
+    expect(imported).toHaveLength(1);
+    expect(getSession(session.id)).toMatchObject({ name: 'Project X research', tabs: session.tabs, groups: session.groups });
+  });
+
+  test('imports a single session and rejects files without sessions', () => {
+    const [session] = parseSessions(JSON.stringify({
+      name: 'Shared',
+      tabs: [{ url: 'https://example.com/ants', groupId: 'missing', scrollPosition: { y: -5 } }]
+    }));
+
+    expect(session.tabs[0]).toMatchObject({ title: 'https://example.com/ants', groupId: 'default', scrollPosition: { x: 0, y: 0 } });
+    expect(session.activeTabId).toBe(session.tabs[0].id);
+    expect(() => parseSessions('{nope')).toThrow('Session file is not valid JSON');
+    expect(() => parseSessions('[]')).toThrow('Session file contains no sessions');
+    expect(() => parseSessions('{"name":"Empty","tabs":[]}')).toThrow('Session 1 needs a name and at least one tab with an http(s) URL');
+  });
+
+  test('drops imported tabs that are not web pages or archives', () => {
+    const [session] = parseSessions(JSON.stringify({
+      name: 'Shared',
+      tabs: [
+        { url: 'javascript:alert(document.cookie)' },
+        { url: 'file:///etc/passwd' },
+        { url: 'data:text/html,<script>alert(1)</script>' },
+        { url: 'not a url' },
+        { url: 'https://example.com/ants' },
+        { url: 'webview-file://web_storage/archives/item-1/index.html' }
+      ]
+    }));
+
+    expect(session.tabs.map(tab => tab.url)).toEqual([
+      'https://example.com/ants',
+      'webview-file://web_storage/archives/item-1/index.html'
+    ]);
+    expect(() => parseSessions(JSON.stringify({ name: 'Bad', tabs: [{ url: 'JavaScript:alert(1)' }] })))
+      .toThrow('Session 1 needs a name and at least one tab with an http(s) URL');
+    expect(isRestorableUrl('http://localhost:3000/')).toBe(true);
+    expect(isRestorableUrl('about:blank')).toBe(false);
+  });
+
+  test('replaces the tabs and groups of the tab manager', () => {
+    const tabManager = new TabManager();
+    tabManager.addTab({ url: 'https://example.com/old', title: 'Old' });
+    const session = createSession('Project X research', tabState, states);
+
+    const state = tabManager.replaceState(session);
+
+    expect(state.tabs.map(tab => tab.id)).toEqual(['tab-1', 'tab-2']);
+    expect(state.activeTabId).toBe('tab-2');
+    expect(state.groups.map(group => [group.id, group.tabIds])).toEqual([['default', ['tab-1']], ['insects', ['tab-2']]]);
+    expect(tabManager.getTabById('tab-2').groupId).toBe('insects');
+  });
+
+  test('restores a session loading only its active tab', async () => {
+    jest.useFakeTimers();
+    const voyager = {
+      state: { url: 'https://example.com/old' },
+      webview: { executeJavaScript: jest.fn().mockResolvedValue({ url: 'https://example.com/old', scrollX: 0, scrollY: 300 }) },
+      navigate: jest.fn()
+    };
+    const restoreState = jest.spyOn(webviewStateManager, 'restoreState').mockResolvedValue(true);
+    const voyagerTabManager = new VoyagerTabManager(voyager);
+    const oldTabId = voyagerTabManager.getActiveTabId();
+
+    const saved = await voyagerTabManager.saveSession('Old tabs');
+    expect(saved.tabs[0]).toMatchObject({ url: 'https://example.com/old', scrollPosition: { x: 0, y: 300 } });
+
+    const session = saveSession(createSession('Project X research', tabState, states));
+    await voyagerTabManager.restoreSession(session.id);
+
+    expect(voyagerTabManager.getTabs().map(tab => tab.id)).toEqual(['tab-1', 'tab-2']);
+    expect(voyagerTabManager.activeSessionId).toBe(session.id);
+    expect(restoreState).toHaveBeenCalledTimes(1);
+    expect(restoreState).toHaveBeenCalledWith('tab-2', voyager.webview, 'https://example.com/wasps#nest');
+    expect(voyager.navigate).not.toHaveBeenCalled();
+    expect(webviewStateManager.getState(oldTabId)).toBeNull();
+    expect(webviewStateManager.getState('tab-1')).toMatchObject({ url: 'https://example.com/bees', scrollPosition: { x: 0, y: 0 } });
+
+    jest.runOnlyPendingTimers();
+    expect(voyagerTabManager.isSwitchingTabs).toBe(false);
+
+    await expect(voyagerTabManager.restoreSession('missing')).rejects.toThrow('Tab session not found');
+    webviewStateManager.clearAllStates();
+    jest.useRealTimers();
+  });
+});
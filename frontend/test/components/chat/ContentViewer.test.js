@@ -0,0 +1,35 @@
+/**
+ * ContentViewer.test.js - Tests for showing item text and cited passages
+ */
+
+import ContentViewer from '../../../src/components/chat/ContentViewer.js';
+
+describe('ContentViewer', () => {
+  const text = 'Intro <img src=x onerror="window.pwned = true">\n\nBees make honey. See https://example.com/a?b=1&c=2';
+  let viewer;
+
+  beforeEach(() => {
+    window.api = { getItem: jest.fn().mockResolvedValue({ success: true, item: { id: 'item-1', extractedText: text } }) };
+    Element.prototype.scrollIntoView = jest.fn();
+    viewer = new ContentViewer();
+    document.body.appendChild(viewer.render());
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete window.api;
+  });
+
+  test('escapes markup in the text of a cited item and highlights the passage', async () => {
+    const citation = { quote: 'Bees make honey.', startOffset: -1, endOffset: -1 };
+    viewer.viewItem('item-1', { title: 'Bees', sourceType: 'url', textChunk: 'Bees', citation });
+    // Let the full text load
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const textElement = viewer.textContainer.querySelector('.content-text');
+    expect(textElement.querySelector('img')).toBeNull();
+    expect(textElement.textContent).toContain('Intro <img src=x onerror="window.pwned = true">');
+    expect(textElement.querySelector('mark.content-citation-highlight').textContent).toBe('Bees make honey.');
+    expect(textElement.querySelector('a.content-text-link').getAttribute('href')).toBe('https://example.com/a?b=1&c=2');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the agent loop of the LLM service
+ */
+import LlmService from '../../src/services/LlmService';
+
+describe('LlmService agent loop', () => {
+  let service;
+
+  const toolCall = (toolCallId, toolName, parameters = {}) => ({ toolCallId, toolName, parameters });
+  const answer = (content) => ({ role: 'assistant', content, toolCalls: [] });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new LlmService();
+    jest.spyOn(service, 'executeToolCall').mockImplementation(async (toolCallId, toolName) => ({
+      toolCallId,
+      toolName,
+      result: { ok: true }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should chain tool calls until the model answers', async () => {
+    jest.spyOn(service, 'streamMessage')
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-1', 'searchKnowledgeBase', { query: 'bees' })] })
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-2', 'getItemContent', { itemId: 'item-1' })] })
+      .mockResolvedValueOnce(answer('Bees cluster in winter.'));
+    const onToolRound = jest.fn();
+    const onStepEnd = jest.fn();
+
+    const response = await service.runAgentLoop('What about bees?', [], { onToolRound, onStepEnd });
+
+    expect(response).toMatchObject({ content: 'Bees cluster in winter.', steps: 2, budgetReached: null });
+    expect(service.executeToolCall.mock.calls.map(call => call[1])).toEqual(['searchKnowledgeBase', 'getItemContent']);
+    expect(onToolRound).toHaveBeenCalledTimes(2);
+    expect(onStepEnd.mock.calls.map(([event]) => event.step)).toEqual([
+      expect.objectContaining({ number: 1, status: 'completed' }),
+      expect.objectContaining({ number: 2, status: 'completed' })
+    ]);
+
+    // The last round is sent with both rounds of tool calls and their results
+    const lastHistory = service.streamMessage.mock.calls[2][1];
+    expect(lastHistory.map(message => message.role)).toEqual(['assistant', 'tool', 'assistant', 'tool']);
+    expect(JSON.parse(lastHistory[3].content)).toMatchObject({ toolCallId: 'call-2', result: { ok: true } });
+  });
+
+  test('should answer without tools once the step budget is spent', async () => {
+    jest.spyOn(service, 'streamMessage')
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-1', 'searchKnowledgeBase'), toolCall('call-2', 'listAllFiles')] })
+      .mockResolvedValueOnce(answer('Here is what I found.'));
+    const onStepEnd = jest.fn();
+
+    const response = await service.runAgentLoop('Find it', [], { maxSteps: 1, onStepEnd });
+
+    expect(response).toMatchObject({ content: 'Here is what I found.', steps: 1, budgetReached: 'steps' });
+    expect(service.executeToolCall).toHaveBeenCalledTimes(1);
+    expect(onStepEnd.mock.calls[1][0]).toMatchObject({ step: { status: 'skipped' }, toolMessage: null });
+    expect(service.streamMessage.mock.calls[1][2].tools).toEqual([]);
+  });
+
+  test('should record failed steps and let the model continue', async () => {
+    service.executeToolCall.mockRejectedValueOnce(new Error('Item not found'));
+    jest.spyOn(service, 'streamMessage')
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-1', 'getItemContent')] })
+      .mockResolvedValueOnce(answer('That item is gone.'));
+    const onStepEnd = jest.fn();
+
+    await service.runAgentLoop('Open it', [], { onStepEnd });
+
+    expect(onStepEnd.mock.calls[0][0]).toMatchObject({
+      step: { number: 1, status: 'error', error: 'Item not found' },
+      toolMessage: { status: 'error', content: 'Error: Item not found' }
+    });
+  });
+
+  test('should not run tools the profile does not allow', async () => {
+    jest.spyOn(service, 'streamMessage')
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-1', 'queryDatabase'), toolCall('call-2', 'searchKnowledgeBase')] })
+      .mockResolvedValueOnce(answer('Found it by searching.'));
+    const onStepEnd = jest.fn();
+    const profile = { id: 'reader', allowedTools: ['searchKnowledgeBase'] };
+
+    const response = await service.runAgentLoop('Find it', [], { profile, onStepEnd });
+
+    expect(response).toMatchObject({ content: 'Found it by searching.', steps: 2 });
+    expect(service.executeToolCall.mock.calls.map(call => call[1])).toEqual(['searchKnowledgeBase']);
+    expect(onStepEnd.mock.calls[0][0]).toMatchObject({
+      step: { number: 1, status: 'error', error: 'Tool not allowed: queryDatabase' },
+      toolMessage: { status: 'error', content: 'Error: Tool not allowed: queryDatabase' }
+    });
+    expect(onStepEnd.mock.calls[1][0]).toMatchObject({ step: { number: 2, status: 'completed' } });
+  });
+
+  test('should stop before the next step when asked to', async () => {
+    jest.spyOn(service, 'cancelStream').mockResolvedValue(false);
+    jest.spyOn(service, 'streamMessage')
+      .mockResolvedValueOnce({ content: '', toolCalls: [toolCall('call-1', 'searchKnowledgeBase'), toolCall('call-2', 'getItemContent')] });
+    service.executeToolCall.mockImplementationOnce(async () => {
+      await service.stopAgentLoop();
+      return { result: {} };
+    });
+
+    const response = await service.runAgentLoop('Dig in', []);
+
+    expect(response).toMatchObject({ cancelled: true, steps: 1 });
+    expect(service.executeToolCall).toHaveBeenCalledTimes(1);
+    expect(service.streamMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the "Ask the Sieve" mode of the LLM service
+ */
+import LlmService, { RAG_NOT_FOUND, buildGroundedMessage } from '../../src/services/LlmService';
+
+describe('LlmService Ask the Sieve mode', () => {
+  let service;
+
+  const passages = [
+    { index: 1, itemId: 'item-1', chunkIndex: 0, title: 'Beekeeping', sourceType: 'pdf', text: 'Bees cluster in winter.', startOffset: 0 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.server = {
+      getConfig: jest.fn().mockResolvedValue({}),
+      checkHealth: jest.fn().mockResolvedValue({ status: 'ok' }),
+      retrieveContext: jest.fn().mockResolvedValue({
+        success: true,
+        passages,
+        context: '[1] "Beekeeping" (pdf)\nBees cluster in winter.',
+        estimatedTokens: 12
+      }),
+      chat: jest.fn().mockResolvedValue({ role: 'assistant', content: 'They cluster [1].', text: 'They cluster [1].' })
+    };
+    service = new LlmService();
+    jest.spyOn(service, 'checkBackendStatus').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.server;
+  });
+
+  test('should answer from the retrieved passages without tools', async () => {
+    await service.sendMessage('What do bees do in winter?', [], { rag: { topK: 4 } });
+
+    expect(window.server.retrieveContext).toHaveBeenCalledWith('What do bees do in winter?', { topK: 4 });
+    const request = window.server.chat.mock.calls[0][0];
+    expect(request.tools).toEqual([]);
+    expect(request.sources).toEqual(passages);
+    expect(request.message).toBe(buildGroundedMessage(
+      'What do bees do in winter?',
+      '[1] "Beekeeping" (pdf)\nBees cluster in winter.'
+    ));
+    expect(request.message).toContain(RAG_NOT_FOUND);
+  });
+
+  test('should search for the query option instead of the whole message', async () => {
+    await service.sendMessage('Question\n\n[ATTACHMENT: notes]\nLong text\n[END ATTACHMENT]', [], { rag: { query: 'Question' } });
+
+    expect(window.server.retrieveContext).toHaveBeenCalledWith('Question', {});
+    expect(window.server.chat.mock.calls[0][0].message).toContain('Question: Question\n\n[ATTACHMENT: notes]');
+  });
+
+  test('should answer not found without asking the model when nothing matches', async () => {
+    window.server.retrieveContext.mockResolvedValue({ success: true, passages: [], context: '', estimatedTokens: 0 });
+
+    const response = await service.sendMessage('What about wasps?', [], { rag: {} });
+
+    expect(response).toMatchObject({ role: 'assistant', content: RAG_NOT_FOUND });
+    expect(window.server.chat).not.toHaveBeenCalled();
+  });
+
+  test('should send tools and no sources outside the mode', async () => {
+    await service.sendMessage('Hello', []);
+
+    expect(window.server.retrieveContext).not.toHaveBeenCalled();
+    const request = window.server.chat.mock.calls[0][0];
+    expect(request.tools.length).toBeGreaterThan(0);
+    expect(request).not.toHaveProperty('sources');
+  });
+});
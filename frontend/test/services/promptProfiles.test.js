@@ -0,0 +1,81 @@
+/**
+ * Tests for prompt profiles and the system prompt assembled from them
+ */
+import {
+  BUILT_IN_PROFILES,
+  getProfiles,
+  getActiveProfile,
+  filterToolsForProfile,
+  exportProfiles,
+  parseProfiles,
+  mergeProfiles
+} from '../../src/services/promptProfiles';
+import { createSystemPrompt } from '../../src/services/systemPrompt';
+
+describe('Prompt profiles', () => {
+  const tools = [
+    { name: 'searchKnowledgeBase', description: 'Search the knowledge base' },
+    { name: 'getItemContent', description: 'Get the full content of an item' },
+    { name: 'listAllFiles', description: 'List all files' }
+  ];
+
+  test('should fall back to the built-in profiles and the Cognivore default', () => {
+    expect(getProfiles({}).map(profile => profile.id)).toEqual(BUILT_IN_PROFILES.map(profile => profile.id));
+    expect(getActiveProfile({}).id).toBe('cognivore');
+    expect(getActiveProfile({ prompts: { activeProfileId: 'research-assistant' } }).id).toBe('research-assistant');
+    expect(getActiveProfile({ prompts: { activeProfileId: 'deleted' } }).id).toBe('cognivore');
+  });
+
+  test('should keep only the tools a profile allows', () => {
+    expect(filterToolsForProfile(tools, { allowedTools: null })).toEqual(tools);
+    expect(filterToolsForProfile(tools, { allowedTools: ['getItemContent'] })).toEqual([tools[1]]);
+    expect(filterToolsForProfile(tools, { allowedTools: [] })).toEqual([]);
+  });
+
+  test('should round-trip exported profiles and replace profiles with the same ID', () => {
+    const profiles = getProfiles({});
+    const edited = { ...profiles[1], tone: '- Be brief' };
+
+    const imported = parseProfiles(exportProfiles([edited]));
+    const merged = mergeProfiles(profiles, imported);
+
+    expect(imported).toEqual([edited]);
+    expect(merged).toHaveLength(profiles.length);
+    expect(merged[1].tone).toBe('- Be brief');
+  });
+
+  test('should reject invalid profile files', () => {
+    expect(() => parseProfiles('{ not json')).toThrow('Profile file is not valid JSON');
+    expect(() => parseProfiles('[]')).toThrow('Profile file contains no profiles');
+    expect(() => parseProfiles('[{ "name": "No persona" }]')).toThrow('Profile 1 needs a name and persona text');
+  });
+
+  test('should assemble the system prompt from the profile', () => {
+    const profile = {
+      id: 'terse',
+      name: 'Terse',
+      persona: 'You help {{userName}} with their notes.',
+      tone: '- Be brief',
+      allowedTools: ['getItemContent'],
+      formatRules: '- Answer in one paragraph'
+    };
+
+    const prompt = createSystemPrompt({ userName: 'Ada', toolsMetadata: tools, profile });
+
+    expect(prompt).toContain('# Terse');
+    expect(prompt).toContain('You help Ada with their notes.');
+    expect(prompt).toContain('## Tone\n\n- Be brief');
+    expect(prompt).toContain('## Response Format\n\n- Answer in one paragraph');
+    expect(prompt).toContain('- getItemContent: Get the full content of an item');
+    expect(prompt).not.toContain('searchKnowledgeBase');
+    expect(prompt).not.toContain('Mnemosyne');
+  });
+
+  test('should use the Cognivore persona without a profile', () => {
+    const prompt = createSystemPrompt({ userName: 'Ada', toolsMetadata: tools });
+
+    expect(prompt).toContain('You are Cognivore');
+    expect(prompt).toContain('help Ada retrieve');
+    expect(prompt).toContain('- searchKnowledgeBase: Search the knowledge base');
+  });
+});